@@ -0,0 +1,68 @@
+/**
+ * 実行の中断（タイムアウト・ユーザーによる中断）
+ * 実行ごとの中断シグナルの作成と、中断された実行の扱い（エラー・中断後の計画の停止）を定義する
+ */
+
+// 中断の理由
+export const CANCEL_REASONS = {
+  // 実行時間の上限に達した
+  TIMEOUT: 'timeout',
+  // ユーザーが中断した（Ctrl+C など）
+  USER: 'user'
+};
+
+/**
+ * 実行が中断されたことを表すエラー
+ * 中断までに記録した中間ステップを保持する
+ */
+export class RunCancelledError extends Error {
+  /**
+   * コンストラクタ
+   * @param {string} reason - 中断の理由（CANCEL_REASONS の値）
+   * @param {Object} partial - 中断までの実行結果
+   * @param {Array} partial.intermediateSteps - 中断までに完了した中間ステップ
+   */
+  constructor(reason, partial = {}) {
+    super(reason === CANCEL_REASONS.TIMEOUT ? '実行時間の上限に達したため中断しました' : '実行が中断されました');
+    this.name = 'RunCancelledError';
+    this.code = 'RUN_CANCELLED';
+    this.reason = reason;
+    this.intermediateSteps = partial.intermediateSteps || [];
+  }
+}
+
+/**
+ * 実行の中断シグナルを作成する
+ * 呼び出し元のシグナルと実行時間の上限のどちらかで中断する
+ * @param {Object} options - オプション
+ * @param {AbortSignal} options.signal - 呼び出し元の中断シグナル（省略可）
+ * @param {number} options.timeoutMs - 実行時間の上限（ミリ秒、0または省略時は上限なし）
+ * @returns {AbortSignal|undefined} 中断シグナル（どちらも指定されていない場合はundefined）
+ */
+export const createRunSignal = ({ signal, timeoutMs } = {}) => {
+  const signals = [signal, timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : null].filter(Boolean);
+  return signals.length > 0 ? AbortSignal.any(signals) : undefined;
+};
+
+/**
+ * 中断シグナルから中断の理由を取得する
+ * @param {AbortSignal} signal - 中断されたシグナル
+ * @returns {string} 中断の理由（CANCEL_REASONS の値）
+ */
+export const getCancelReason = (signal) => (signal?.reason?.name === 'TimeoutError' ? CANCEL_REASONS.TIMEOUT : CANCEL_REASONS.USER);
+
+/**
+ * 中断された後にエージェントが次の行動を計画しないようにする
+ * AgentExecutor はツールの実行後に中断を確認せず、中断済みのシグナルのままストリーミングで計画を始めるため、
+ * LangChain の内部で処理されない Promise の失敗が発生する。計画を始める前に中断を確認して失敗させる
+ * @param {AgentExecutor} executor - エージェント実行器
+ * @returns {AgentExecutor} 同じエージェント実行器
+ */
+export const guardAgentPlanning = (executor) => {
+  const plan = executor.agent.plan.bind(executor.agent);
+  executor.agent.plan = (steps, inputs, callbackManager, runConfig) => {
+    runConfig?.signal?.throwIfAborted();
+    return plan(steps, inputs, callbackManager, runConfig);
+  };
+  return executor;
+};
@@ -0,0 +1,301 @@
+/**
+ * コンテキストウィンドウ管理
+ * モデルのコンテキストウィンドウ（capabilities.contextWindow）に収まるよう、
+ * 長い入力の分割とエージェントのスクラッチパッド（過去のステップ）の圧縮を行う
+ */
+import { AIMessage } from "@langchain/core/messages";
+import config from '../config/index.js';
+import modelSelector from '../models/selector.js';
+import promptRegistry from './prompt-registry.js';
+
+// capabilities.contextWindow が未設定のモデルで仮定するコンテキストウィンドウ
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// 出力トークン数が未設定のモデルで出力用に確保するトークン数
+const DEFAULT_OUTPUT_TOKENS = 1024;
+
+// トークン数の推定誤差を見込んで使用しない割合
+const SAFETY_MARGIN = 0.1;
+
+// 入力に使用できる割合（残りはプロンプト本体とスクラッチパッドに使用する）
+const INPUT_BUDGET_RATIO = 0.4;
+
+// 圧縮せずに残す直近のステップ数
+const RECENT_STEPS_TO_KEEP = 2;
+
+// 圧縮したステップの観察結果・ツール入力の最大文字数
+const TRIMMED_TEXT_LENGTH = 300;
+
+/**
+ * 設定の出力言語でテンプレートを展開する（fitStepsToBudget で renderPrompt を指定しない場合に使用）
+ * @param {string} name - 言語を除いたテンプレート名
+ * @param {Object} values - 変数名 → 値
+ * @returns {string} 値を埋め込んだテキスト
+ */
+const renderDefaultPrompt = (name, values) => promptRegistry.render(`${name}-${config.agent.outputLanguage}`, values);
+
+/**
+ * テキストのトークン数を推定する
+ * 英数字は約4文字で1トークン、日本語などの非ASCII文字は1文字で約1トークンとして数える
+ * @param {string} text - テキスト
+ * @returns {number} 推定トークン数
+ */
+export const estimateTokens = (text) => {
+  if (!text) return 0;
+  const value = String(text);
+  let ascii = 0;
+  let other = 0;
+  for (const char of value) {
+    if (char.charCodeAt(0) < 128) {
+      ascii += 1;
+    } else {
+      other += 1;
+    }
+  }
+  return Math.ceil(ascii / 4) + other;
+};
+
+/**
+ * モデルがプロンプトに使用できるトークン数を取得する
+ * コンテキストウィンドウから出力用のトークン数と安全マージンを差し引いた値
+ * @param {string} modelName - モデル名
+ * @returns {number} プロンプトに使用できるトークン数
+ */
+export const getPromptBudget = (modelName) => {
+  const modelData = config.models.availableModels[modelName];
+  const contextWindow = modelData?.capabilities?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+  const outputTokens = modelSelector.getEffectiveParameters(modelName).maxTokens || DEFAULT_OUTPUT_TOKENS;
+  return Math.max(0, Math.floor(contextWindow * (1 - SAFETY_MARGIN)) - outputTokens);
+};
+
+/**
+ * 複数のモデルで共通して使用できるプロンプトのトークン数を取得する
+ * フォールバック先のモデルを含め、最も小さいモデルに合わせる
+ * @param {Array<string>} modelNames - モデル名の配列
+ * @returns {number} プロンプトに使用できるトークン数
+ */
+export const getSharedPromptBudget = (modelNames) => {
+  const chain = [...new Set(modelNames.flatMap(name => config.models.getFallbackChain(name)))];
+  return Math.min(...chain.map(getPromptBudget));
+};
+
+/**
+ * 入力に使用できるトークン数を取得する
+ * @param {number} promptBudget - プロンプトに使用できるトークン数
+ * @returns {number} 入力に使用できるトークン数
+ */
+export const getInputBudget = (promptBudget) => Math.floor(promptBudget * INPUT_BUDGET_RATIO);
+
+/**
+ * テキストを指定したトークン数以下のチャンクに分割する
+ * 段落（空行）→ 行 → 文字の順に区切り位置を探す
+ * @param {string} text - テキスト
+ * @param {number} maxTokens - チャンクあたりの最大トークン数
+ * @returns {Array<string>} チャンクの配列
+ */
+export const splitIntoChunks = (text, maxTokens) => {
+  const chunks = [];
+  let current = '';
+
+  const flush = () => {
+    if (current.trim()) chunks.push(current.trim());
+    current = '';
+  };
+
+  const append = (piece, separator) => {
+    const candidate = current ? `${current}${separator}${piece}` : piece;
+    if (estimateTokens(candidate) <= maxTokens) {
+      current = candidate;
+      return;
+    }
+    flush();
+    if (estimateTokens(piece) <= maxTokens) {
+      current = piece;
+      return;
+    }
+    // 1つの段落・行が大きすぎる場合はさらに細かく分割
+    if (separator === '\n\n') {
+      piece.split('\n').forEach(line => append(line, '\n'));
+    } else {
+      let rest = piece;
+      while (rest) {
+        let length = Math.min(rest.length, maxTokens);
+        while (length > 1 && estimateTokens(rest.substring(0, length)) > maxTokens) {
+          length = Math.floor(length * 0.9);
+        }
+        chunks.push(rest.substring(0, length));
+        rest = rest.substring(length);
+      }
+    }
+  };
+
+  String(text).split(/\n\s*\n/).forEach(paragraph => append(paragraph, '\n\n'));
+  flush();
+  return chunks;
+};
+
+/**
+ * テキストを指定した文字数に切り詰める
+ * @param {string} text - テキスト
+ * @param {number} length - 最大文字数
+ * @param {Function} renderPrompt - テンプレートを出力言語で展開する関数
+ * @returns {string} 切り詰めたテキスト
+ */
+const trimText = (text, length, renderPrompt) => {
+  const value = String(text ?? '');
+  if (value.length <= length) return value;
+  return `${value.substring(0, length)}${renderPrompt('trimmed-text', { count: value.length - length })}`;
+};
+
+/**
+ * メッセージの内容をテキストに変換する
+ * @param {string|Array} content - メッセージの内容
+ * @returns {string} テキスト
+ */
+const contentToText = (content) => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return '';
+};
+
+/**
+ * ツール呼び出しの引数に含まれる文字列を切り詰める（引数の構造は変えない）
+ * @param {*} value - 引数の値
+ * @param {Function} renderPrompt - テンプレートを出力言語で展開する関数
+ * @returns {*} 切り詰めた値
+ */
+const trimArgs = (value, renderPrompt) => {
+  if (typeof value === 'string') return trimText(value, TRIMMED_TEXT_LENGTH, renderPrompt);
+  if (Array.isArray(value)) return value.map(item => trimArgs(item, renderPrompt));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, trimArgs(item, renderPrompt)]));
+  }
+  return value;
+};
+
+/**
+ * アクションがスクラッチパッドで使用するトークン数を推定する
+ * ネイティブのツール呼び出しでは、ログではなく messageLog のメッセージ（本文とツール呼び出しの引数）がプロンプトに含まれる
+ * @param {Object} action - エージェントのアクション
+ * @returns {number} 推定トークン数
+ */
+const estimateActionTokens = (action) => {
+  if (!action.messageLog) {
+    return estimateTokens(action.log);
+  }
+  return action.messageLog.reduce((sum, message) => sum
+    + estimateTokens(contentToText(message.content))
+    + (message.tool_calls || []).reduce((total, toolCall) => total + estimateTokens(JSON.stringify(toolCall.args)), 0), 0);
+};
+
+/**
+ * ステップがスクラッチパッドで使用するトークン数を推定する
+ * @param {Object} step - { action, observation }
+ * @returns {number} 推定トークン数
+ */
+const estimateStepTokens = (step) => estimateActionTokens(step.action) + estimateTokens(step.observation) + 10;
+
+/**
+ * アクションのツール入力を切り詰める
+ * ReActのアクションはログの Action Input を、ネイティブのツール呼び出しは messageLog のツール呼び出しの引数を切り詰める
+ * @param {Object} action - エージェントのアクション
+ * @param {Function} renderPrompt - テンプレートを出力言語で展開する関数
+ * @returns {Object} 圧縮したアクション
+ */
+const compactAction = (action, renderPrompt) => {
+  if (action.messageLog) {
+    return {
+      ...action,
+      messageLog: action.messageLog.map(message => (message.tool_calls?.length > 0
+        ? new AIMessage({
+          content: message.content,
+          tool_calls: message.tool_calls.map(toolCall => ({ ...toolCall, args: trimArgs(toolCall.args, renderPrompt) }))
+        })
+        : message))
+    };
+  }
+
+  const [thought] = action.log.split(/\nAction\s*\d*\s*:/);
+  const toolInput = typeof action.toolInput === 'string'
+    ? action.toolInput
+    : JSON.stringify(action.toolInput);
+  return {
+    ...action,
+    log: `${thought.trim()}\nAction: ${action.tool}\nAction Input: ${trimText(toolInput, TRIMMED_TEXT_LENGTH, renderPrompt)}`
+  };
+};
+
+/**
+ * ステップを圧縮する（ツール入力と観察結果を切り詰める）
+ * @param {Object} step - { action, observation }
+ * @param {Function} renderPrompt - テンプレートを出力言語で展開する関数
+ * @returns {Object} 圧縮したステップ
+ */
+const compactStep = (step, renderPrompt) => {
+  if (step.summary) return step;
+  return {
+    action: compactAction(step.action, renderPrompt),
+    observation: trimText(step.observation, TRIMMED_TEXT_LENGTH, renderPrompt)
+  };
+};
+
+/**
+ * 省略したステップの代わりに置く要約のステップを作成する
+ * @param {Array<Object>} steps - 省略したステップ
+ * @param {Function} renderPrompt - テンプレートを出力言語で展開する関数
+ * @returns {Object} 要約のステップ
+ */
+const summarizeSteps = (steps, renderPrompt) => {
+  const tools = steps.map(step => step.action.tool).join(', ');
+  // テンプレートの1行目を思考、残りを観察結果とする（プロンプトは "Thought:" で終わるため、ログは思考の本文から始める）
+  const [log, ...rest] = renderPrompt('scratchpad-summary', { count: steps.length, tools }).split('\n');
+  const observation = rest.join('\n');
+  // ネイティブのツール呼び出しでは messageLog のないステップはログだけのAIメッセージになるため、観察結果もログに含める
+  const toolCalling = steps.some(step => step.action.messageLog);
+  return {
+    summary: true,
+    action: {
+      tool: '_summary',
+      toolInput: '',
+      log: toolCalling ? `${log}\n${observation}` : log
+    },
+    observation
+  };
+};
+
+/**
+ * スクラッチパッドがトークン数の上限に収まるよう過去のステップを圧縮する
+ * 1. 直近のステップ以外のツール入力と観察結果を切り詰める
+ * 2. それでも超える場合は古いステップから要約に置き換える
+ * 元のステップは変更せず、プロンプトに使用するステップの配列を新たに返す
+ * @param {Array<Object>} steps - エージェントの中間ステップ
+ * @param {number} maxTokens - スクラッチパッドに使用できるトークン数
+ * @param {Function} renderPrompt - 要約・省略の注記のテンプレートを出力言語で展開する関数 (name, values) => string
+ * @returns {Object} { steps: 圧縮したステップ, trimmed: 圧縮したステップ数, summarized: 要約に置き換えたステップ数 }
+ */
+export const fitStepsToBudget = (steps, maxTokens, renderPrompt = renderDefaultPrompt) => {
+  const total = (list) => list.reduce((sum, step) => sum + estimateStepTokens(step), 0);
+
+  if (total(steps) <= maxTokens) {
+    return { steps, trimmed: 0, summarized: 0 };
+  }
+
+  const recentStart = Math.max(0, steps.length - RECENT_STEPS_TO_KEEP);
+  let fitted = steps.map((step, index) => (index < recentStart ? compactStep(step, renderPrompt) : step));
+  let summarized = 0;
+
+  // 古いステップから要約に置き換える（直近のステップは残す）
+  while (total(fitted) > maxTokens && summarized < recentStart) {
+    summarized += 1;
+    fitted = [summarizeSteps(steps.slice(0, summarized), renderPrompt), ...fitted.slice(fitted.length - (steps.length - summarized))];
+  }
+
+  // 直近のステップだけでも超える場合は切り詰める
+  if (total(fitted) > maxTokens) {
+    fitted = fitted.map(step => compactStep(step, renderPrompt));
+  }
+
+  return { steps: fitted, trimmed: recentStart - summarized, summarized };
+};
@@ -0,0 +1,156 @@
+/**
+ * 会話の履歴（マルチターンの記憶）
+ * セッションに記録されたメッセージから、直近の会話と古い会話の要約を作成し、次の入力に付ける
+ * 履歴の書式と要約の指示は、出力言語のテンプレート（conversation-* / summarize-conversation-*）から作成する
+ */
+import { estimateTokens } from './context-window.js';
+
+// 会話の履歴の扱い
+export const MEMORY_MODES = {
+  // 履歴を使用しない（各入力を独立して処理する）
+  NONE: 'none',
+  // 直近の会話だけをそのまま使用する
+  WINDOW: 'window',
+  // 直近の会話に加えて、それより古い会話を要約して使用する
+  SUMMARY: 'summary'
+};
+
+// 履歴に含めるユーザー入力の最大文字数
+const USER_TEXT_LENGTH = 800;
+
+// 履歴に含めるエージェントの回答の最大文字数
+const ASSISTANT_TEXT_LENGTH = 1200;
+
+/**
+ * 会話の履歴の扱いの指定が有効か確認する
+ * @param {string} mode - 会話の履歴の扱い
+ * @returns {string} 会話の履歴の扱い
+ * @throws {Error} 無効な値が指定された場合
+ */
+export const validateMemoryMode = (mode) => {
+  if (!Object.values(MEMORY_MODES).includes(mode)) {
+    throw new Error(`無効な会話の履歴の設定です: ${mode}（${Object.values(MEMORY_MODES).join(' / ')} を指定してください）`);
+  }
+  return mode;
+};
+
+/**
+ * 長いテキストの中間を省略する
+ * @param {string} text - テキスト
+ * @param {number} maxLength - 最大文字数
+ * @returns {string} 省略したテキスト
+ */
+const shorten = (text, maxLength) => {
+  const value = String(text ?? '').trim();
+  if (value.length <= maxLength) return value;
+  const half = Math.floor(maxLength / 2);
+  return `${value.slice(0, half)}\n...\n${value.slice(-half)}`;
+};
+
+/**
+ * セッションのメッセージを「ユーザーの入力とエージェントの回答」の往復にまとめる
+ * 回答のない入力（実行に失敗した入力）は含めない
+ * @param {Array} messages - セッションのメッセージ
+ * @returns {Array<Object>} { user, assistant, files } の配列（古い順）
+ */
+export const collectTurns = (messages = []) => {
+  const turns = [];
+  let pendingUser = null;
+
+  for (const message of messages) {
+    if (message.role === 'user') {
+      pendingUser = message;
+    } else if (message.role === 'assistant' && pendingUser) {
+      turns.push({
+        user: pendingUser.content,
+        assistant: message.content,
+        files: message.files || []
+      });
+      pendingUser = null;
+    }
+  }
+
+  return turns;
+};
+
+/**
+ * 往復のリストを履歴のテキストに変換する
+ * @param {Array<Object>} turns - { user, assistant, files } の配列
+ * @param {Function} renderPrompt - テンプレートを出力言語で展開する関数
+ * @returns {string} 履歴のテキスト
+ */
+const formatTurns = (turns, renderPrompt) => turns.map(turn => renderPrompt('conversation-turn', {
+  user: shorten(turn.user, USER_TEXT_LENGTH),
+  assistant: shorten(turn.assistant, ASSISTANT_TEXT_LENGTH),
+  files: turn.files.length > 0 ? turn.files.join(', ') : '-'
+})).join('\n\n');
+
+/**
+ * 古い会話の要約を更新する
+ * @param {string} summary - これまでの要約
+ * @param {Array<Object>} turns - 新たに要約に含める往復
+ * @param {Function} summarize - プロンプトを受け取り要約を返す関数
+ * @param {Function} renderPrompt - テンプレートを出力言語で展開する関数
+ * @returns {Promise<string>} 更新した要約
+ */
+const updateSummary = async (summary, turns, summarize, renderPrompt) => {
+  const result = await summarize(renderPrompt('summarize-conversation', {
+    summary: summary || '-',
+    turns: formatTurns(turns, renderPrompt)
+  }));
+  return result.trim();
+};
+
+/**
+ * 次の入力に付ける会話の履歴を作成する
+ * @param {Array} messages - セッションのメッセージ（今回の入力を含まない）
+ * @param {Object|null} state - 前回までの要約の状態 { summary, summarizedTurns }
+ * @param {Object} options - オプション
+ * @param {string} options.mode - 会話の履歴の扱い（MEMORY_MODES の値）
+ * @param {number} options.windowTurns - そのまま含める直近の往復数
+ * @param {number} options.maxTokens - 履歴に使用する最大トークン数
+ * @param {Function} options.summarize - プロンプトを受け取り要約を返す関数（summary の場合に使用）
+ * @param {Function} options.renderPrompt - テンプレートを出力言語で展開する関数 (name, values) => string
+ * @returns {Promise<Object>} { text: 履歴のテキスト（履歴がない場合は空文字）, turns: そのまま含めた往復数, summarizedTurns: 要約に含めた往復数, state: 更新した要約の状態 }
+ */
+export const buildConversationHistory = async (messages, state, { mode, windowTurns, maxTokens, summarize, renderPrompt }) => {
+  const turns = collectTurns(messages);
+  const empty = { text: '', turns: 0, summarizedTurns: 0, state: state || null };
+  if (mode === MEMORY_MODES.NONE || turns.length === 0) {
+    return empty;
+  }
+
+  let recent = turns.slice(-windowTurns);
+  let summary = '';
+  let nextState = state || null;
+
+  if (mode === MEMORY_MODES.SUMMARY) {
+    const older = turns.slice(0, turns.length - recent.length);
+    summary = state?.summary || '';
+    const summarizedTurns = state?.summarizedTurns || 0;
+    // 前回から直近の範囲を外れた往復だけを要約に追加する
+    if (older.length > summarizedTurns) {
+      summary = await updateSummary(summary, older.slice(summarizedTurns), summarize, renderPrompt);
+      nextState = { summary, summarizedTurns: older.length };
+    }
+  }
+
+  const compose = () => [
+    summary ? renderPrompt('conversation-summary', { summary }) : '',
+    recent.length > 0 ? renderPrompt('conversation-recent', { turns: formatTurns(recent, renderPrompt) }) : ''
+  ].filter(Boolean).join('\n\n');
+
+  // 上限を超える場合は古い往復から除く
+  let text = compose();
+  while (recent.length > 1 && estimateTokens(text) > maxTokens) {
+    recent = recent.slice(1);
+    text = compose();
+  }
+
+  return {
+    text,
+    turns: recent.length,
+    summarizedTurns: nextState?.summarizedTurns || 0,
+    state: nextState
+  };
+};
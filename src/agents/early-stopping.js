@@ -0,0 +1,93 @@
+/**
+ * 反復回数の上限による早期終了
+ * AgentExecutor が反復回数の上限に達した場合に、途中までのステップから最終回答をまとめ、内容が保存されていないドキュメントの下書きを保存する
+ */
+import path from 'path';
+import { getStepThought } from './step-trace.js';
+
+// 反復回数の上限に達したときの扱い
+export const EARLY_STOPPING_METHODS = {
+  // 途中までのステップから最終回答をまとめ、下書きを保存する
+  GENERATE: 'generate',
+  // AgentExecutor の出力（"Agent stopped due to max iterations."）のまま終了する
+  FORCE: 'force'
+};
+
+// プロンプトに渡すステップ1件あたりの入力・結果の最大文字数
+const STEP_TEXT_LENGTH = 1500;
+
+/**
+ * 早期終了の扱いの指定が有効か確認する
+ * @param {string} method - 早期終了の扱い
+ * @returns {string} 早期終了の扱い
+ * @throws {Error} 無効な値が指定された場合
+ */
+export const validateEarlyStoppingMethod = (method) => {
+  if (!Object.values(EARLY_STOPPING_METHODS).includes(method)) {
+    throw new Error(`無効な早期終了の扱いです: ${method}（${Object.values(EARLY_STOPPING_METHODS).join(' / ')} を指定してください）`);
+  }
+  return method;
+};
+
+/**
+ * 最大反復回数の指定が有効か確認する
+ * @param {number} maxIterations - 最大反復回数
+ * @returns {number} 最大反復回数
+ * @throws {Error} 1以上の整数でない場合
+ */
+export const validateMaxIterations = (maxIterations) => {
+  if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+    throw new Error(`最大反復回数は1以上の整数で指定してください: ${maxIterations}`);
+  }
+  return maxIterations;
+};
+
+const truncate = (text, maxLength) => (text.length > maxLength ? `${text.slice(0, maxLength)}\n...` : text);
+
+/**
+ * 中間ステップを最終回答・下書きの作成に使用するテキストに変換する
+ * 各ステップは出力言語の stopped-step テンプレートで書式を整え、長い入力・結果は省略して ... で示す
+ * @param {Array} steps - 中間ステップ
+ * @param {Function} renderPrompt - テンプレートを出力言語で展開する関数 (name, values) => string
+ * @returns {string} ステップのテキスト（ステップがない場合は "-"）
+ */
+export const formatStoppedSteps = (steps, renderPrompt) => {
+  if (steps.length === 0) return '-';
+  return steps.map((step, index) => {
+    const input = typeof step.action.toolInput === 'string' ? step.action.toolInput : JSON.stringify(step.action.toolInput);
+    return renderPrompt('stopped-step', {
+      index: index + 1,
+      tool: step.action.tool,
+      thought: getStepThought(step.action) || '-',
+      input: truncate(input, STEP_TEXT_LENGTH),
+      observation: truncate(String(step.observation ?? ''), STEP_TEXT_LENGTH)
+    });
+  }).join('\n\n');
+};
+
+/**
+ * 仮の内容のまま残っているドキュメントを、下書きを保存するものと不要なものに分ける
+ * requirement_analysis / external_design は日時付きのファイルを事前に作成するため、
+ * 同じフォルダに内容を保存した別のドキュメントがある場合は、仮のファイルは不要として扱う
+ * @param {Array<string>} placeholders - 仮の内容のままのファイルのパス
+ * @param {Array<string>} files - 実行中に書き込まれたファイルのパス
+ * @returns {Object} { drafts: 下書きを保存するファイル, redundant: 不要なファイル }
+ */
+export const classifyPlaceholders = (placeholders, files) => {
+  const saved = files.filter(file => file.endsWith('.md') && !placeholders.includes(file));
+  const hasSavedDocument = file => saved.some(other => path.dirname(other) === path.dirname(file));
+  return {
+    drafts: placeholders.filter(file => !hasSavedDocument(file)),
+    redundant: placeholders.filter(hasSavedDocument)
+  };
+};
+
+/**
+ * モデルが出力した下書きから本文を取り出す（全体がコードブロックで囲まれている場合は囲みを外す）
+ * @param {string} text - モデルの出力
+ * @returns {string} ドキュメントの本文
+ */
+export const extractDocumentText = (text) => {
+  const match = String(text).trim().match(/^```(?:markdown|md)?\s*\n([\s\S]*?)\n```$/);
+  return `${(match ? match[1] : String(text)).trim()}\n`;
+};
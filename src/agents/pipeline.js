@@ -0,0 +1,75 @@
+/**
+ * 複数エージェントによるパイプライン（要件分析担当 → 設計担当 → レビュー担当）
+ * 役割ごとの使用ツール・プロンプトの定義と、レビュー結果の読み取りを行う
+ */
+import config from '../config/index.js';
+import {
+  requirementAnalysisTool,
+  saveDocumentTool,
+  externalDesignTool,
+  umlGeneratorTool,
+  layoutGeneratorTool
+} from '../tools/analysis-tools.js';
+
+// パイプラインの役割
+export const PIPELINE_ROLES = {
+  ANALYST: 'analyst',
+  DESIGNER: 'designer',
+  REVIEWER: 'reviewer'
+};
+
+// 役割ごとに使用するツール（レビュー担当はツールを使用せず、成果物を読んで講評する）
+export const ROLE_TOOLS = {
+  [PIPELINE_ROLES.ANALYST]: [requirementAnalysisTool, saveDocumentTool],
+  [PIPELINE_ROLES.DESIGNER]: [externalDesignTool, umlGeneratorTool, layoutGeneratorTool],
+  [PIPELINE_ROLES.REVIEWER]: []
+};
+
+// レビューの判定
+export const REVIEW_VERDICTS = {
+  APPROVE: 'approve',
+  REVISE: 'revise'
+};
+
+// レビュー結果の判定行（例: "VERDICT: REVISE"）
+const VERDICT_PATTERN = /^\s*VERDICT\s*[:：]\s*(APPROVE|REVISE)\b/im;
+
+// レビュー結果の修正対象の行（例: "TARGET: requirements, design"）
+const TARGET_PATTERN = /^\s*TARGET\s*[:：]\s*(.+)$/im;
+
+/**
+ * 役割の設定（モデル名・プロンプトテンプレート名）を取得する
+ * @param {string} role - 役割
+ * @param {Object} overrides - 役割ごとのモデル名の指定 { analyst, designer, reviewer }
+ * @param {string} defaultModel - 指定がない場合に使用するモデル名
+ * @returns {Object} { model, prompt }
+ */
+export const resolveRoleSettings = (role, overrides, defaultModel) => {
+  const settings = config.pipeline.roles[role];
+  return {
+    model: overrides?.[role] || settings.model || defaultModel,
+    prompt: settings.prompt
+  };
+};
+
+/**
+ * レビュー担当の出力から判定と修正対象を読み取る
+ * 判定行がない場合は修正依頼として扱う（承認は明示された場合のみ）
+ * 修正対象の行がない場合は要件と設計の両方を修正対象にする
+ * @param {string} text - レビュー担当の出力
+ * @returns {Object} { verdict, targets: 修正対象の役割の配列 }
+ */
+export const parseReview = (text) => {
+  const verdictMatch = String(text).match(VERDICT_PATTERN);
+  const verdict = verdictMatch?.[1].toUpperCase() === 'APPROVE' ? REVIEW_VERDICTS.APPROVE : REVIEW_VERDICTS.REVISE;
+  if (verdict === REVIEW_VERDICTS.APPROVE) {
+    return { verdict, targets: [] };
+  }
+
+  const targetText = String(text).match(TARGET_PATTERN)?.[1].toLowerCase() || '';
+  const targets = [];
+  if (targetText.includes('requirements')) targets.push(PIPELINE_ROLES.ANALYST);
+  if (targetText.includes('design')) targets.push(PIPELINE_ROLES.DESIGNER);
+
+  return { verdict, targets: targets.length > 0 ? targets : [PIPELINE_ROLES.ANALYST, PIPELINE_ROLES.DESIGNER] };
+};
@@ -0,0 +1,148 @@
+/**
+ * 計画実行（plan-and-execute）方式
+ * 最初に作業の計画（要件分析 → 画面設計 → UML → 保存 など）を作成し、各ステップを個別の反復回数の上限で実行する
+ */
+import { z } from 'zod';
+import Logger from '../utils/logger.js';
+import { isCassetteMissError } from '../utils/errors.js';
+
+// エージェントの実行方式
+export const AGENT_MODES = {
+  // 1つのReActループで処理する
+  SINGLE: 'single',
+  // 計画を作成してからステップごとに実行する
+  PLAN_AND_EXECUTE: 'plan-and-execute'
+};
+
+// 計画のステップの状態
+export const PLAN_STEP_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  // 反復回数の上限に達して途中で終了した
+  INCOMPLETE: 'incomplete',
+  FAILED: 'failed'
+};
+
+// 次のステップに渡す前のステップの結果の最大文字数
+const STEP_RESULT_LENGTH = 600;
+
+// AgentExecutor が反復回数の上限に達したときの出力
+const STOPPED_EARLY_PATTERN = /^Agent stopped due to (max iterations|iteration limit)/;
+
+// 計画のスキーマ
+const planSchema = z.array(z.object({
+  title: z.string().min(1),
+  instruction: z.string().min(1)
+})).min(1);
+
+/**
+ * 実行方式の指定が有効か確認する
+ * @param {string} mode - 実行方式
+ * @returns {string} 実行方式
+ * @throws {Error} 無効な実行方式が指定された場合
+ */
+export const validateAgentMode = (mode) => {
+  if (!Object.values(AGENT_MODES).includes(mode)) {
+    throw new Error(`無効な実行方式です: ${mode}（${Object.values(AGENT_MODES).join(' / ')} を指定してください）`);
+  }
+  return mode;
+};
+
+/**
+ * モデルの出力から計画（JSON配列）を読み取る
+ * @param {string} text - モデルの出力
+ * @param {number} maxSteps - 最大ステップ数
+ * @returns {Array<Object>} { title, instruction } の配列
+ * @throws {Error} JSON配列が見つからない、または形式が正しくない場合
+ */
+export const parsePlan = (text, maxSteps) => {
+  const match = String(text).match(/\[[\s\S]*\]/);
+  if (!match) {
+    throw new Error('計画のJSON配列が見つかりません');
+  }
+  const result = planSchema.safeParse(JSON.parse(match[0]));
+  if (!result.success) {
+    throw new Error(`計画の形式が正しくありません: ${result.error.issues.map(issue => issue.message).join(', ')}`);
+  }
+  if (result.data.length > maxSteps) {
+    Logger.warn(`計画のステップ数が上限を超えたため${maxSteps}ステップに切り詰めます（${result.data.length}ステップ）`, 'PlanAndExecute');
+  }
+  return result.data.slice(0, maxSteps);
+};
+
+/**
+ * 計画を作成する
+ * モデルの出力を読み取れない場合は既定の計画（要件分析 → 画面設計 → UML → 保存）を使用する
+ * カセットの再生で記録されていない呼び出しになった場合は、既定の計画を使用せずに失敗する
+ * @param {Function} generate - プロンプトを受け取りモデルの出力を返す関数
+ * @param {string} prompt - 計画を作成するプロンプト
+ * @param {number} maxSteps - 最大ステップ数
+ * @param {Function} getDefaultPlan - 既定の計画（JSON配列のテキスト）を返す関数（計画を作成できた場合は呼び出さない）
+ * @returns {Promise<Object>} { steps: ステップの配列, source: 'model' または 'default' }
+ */
+export const createPlan = async (generate, prompt, maxSteps, getDefaultPlan) => {
+  let steps;
+  let source = 'model';
+  try {
+    steps = parsePlan(await generate(prompt), maxSteps);
+  } catch (error) {
+    if (isCassetteMissError(error)) {
+      throw error;
+    }
+    Logger.warn(`計画を作成できなかったため既定の計画を使用します: ${error.message}`, 'PlanAndExecute');
+    steps = parsePlan(getDefaultPlan(), maxSteps);
+    source = 'default';
+  }
+
+  return {
+    source,
+    steps: steps.map((step, index) => ({
+      index: index + 1,
+      title: step.title,
+      instruction: step.instruction,
+      status: PLAN_STEP_STATUS.PENDING
+    }))
+  };
+};
+
+/**
+ * 計画を状態付きのテキストに変換する
+ * @param {Object} plan - 計画
+ * @returns {string} 計画のテキスト
+ */
+export const formatPlan = (plan) => plan.steps
+  .map(step => `${step.index}. [${step.status}] ${step.title}: ${step.instruction}`)
+  .join('\n');
+
+/**
+ * 完了したステップの結果を次のステップに渡すテキストに変換する
+ * @param {Object} plan - 計画
+ * @returns {string} 結果のテキスト（結果がない場合は "-"）
+ */
+export const formatStepResults = (plan) => {
+  const done = plan.steps.filter(step => step.output);
+  if (done.length === 0) return '-';
+  return done.map((step) => {
+    const output = step.output.length > STEP_RESULT_LENGTH ? `${step.output.slice(0, STEP_RESULT_LENGTH)}...` : step.output;
+    return `${step.index}. ${step.title}:\n${output}`;
+  }).join('\n\n');
+};
+
+/**
+ * エージェントの出力が反復回数の上限による終了か
+ * @param {string} output - エージェントの出力
+ * @returns {boolean} 上限に達して終了したか
+ */
+export const isStoppedEarly = (output) => STOPPED_EARLY_PATTERN.test(String(output ?? ''));
+
+/**
+ * 計画の実行結果を最終的な回答にまとめる
+ * 失敗したステップはエラーメッセージを本文とする
+ * @param {Object} plan - 実行後の計画
+ * @returns {string} 最終的な回答
+ */
+export const summarizePlanResult = (plan) => plan.steps.map((step) => {
+  const body = step.status === PLAN_STEP_STATUS.FAILED ? step.error : step.output;
+  return `## ${step.index}. ${step.title} [${step.status}]\n${body || ''}`.trimEnd();
+}).join('\n\n');
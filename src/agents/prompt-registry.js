@@ -0,0 +1,176 @@
+/**
+ * プロンプトテンプレートのレジストリ
+ * 同梱のテンプレート（src/agents/prompts）を読み込み、ユーザー・プロジェクトごとのテンプレートで上書きする
+ */
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import YAML from 'yaml';
+import { z } from 'zod';
+import config from '../config/index.js';
+import Logger from '../utils/logger.js';
+
+// 同梱のテンプレートの配置先
+const BUNDLED_PROMPT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'prompts');
+
+// ユーザーのホームディレクトリ内のテンプレート配置先
+const USER_PROMPT_DIR = path.join(os.homedir(), '.react-agent', 'prompts');
+
+// テンプレートファイルの拡張子
+const TEMPLATE_EXTENSION = '.txt';
+
+// テンプレートのヘッダー（先頭の "---" で囲まれたYAML）
+const FRONT_MATTER_PATTERN = /^---\n([\s\S]*?)\n---\n?([\s\S]*)$/;
+
+// ヘッダーのスキーマ
+const frontMatterSchema = z.object({
+  name: z.string(),
+  version: z.union([z.string(), z.number()]).transform(String),
+  description: z.string().optional(),
+  variables: z.array(z.string()).optional()
+}).strict();
+
+/**
+ * テンプレートファイルを読み込んで検証する
+ * @param {string} file - テンプレートファイルのパス
+ * @returns {Object} { name, version, description, variables, template, file }
+ * @throws {Error} ヘッダーがない、または形式が正しくない場合
+ */
+export const readPromptFile = (file) => {
+  const text = fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n');
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    throw new Error(`プロンプトテンプレートにヘッダー（name / version）がありません (${file})`);
+  }
+
+  let header;
+  try {
+    header = YAML.parse(match[1]);
+  } catch (error) {
+    throw new Error(`プロンプトテンプレートのヘッダーを読み込めません (${file}): ${error.message}`);
+  }
+
+  const result = frontMatterSchema.safeParse(header ?? {});
+  if (!result.success) {
+    const issues = result.error.issues
+      .map(issue => `  - ${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('\n');
+    throw new Error(`プロンプトテンプレートのヘッダーが正しくありません (${file}):\n${issues}`);
+  }
+
+  return { ...result.data, template: match[2].trimEnd(), file };
+};
+
+/**
+ * テンプレートを探すディレクトリの一覧を取得する（後のディレクトリほど優先）
+ * @returns {Array<string>} 存在するディレクトリのパス
+ */
+export const findPromptDirs = () => {
+  const dirs = [BUNDLED_PROMPT_DIR, USER_PROMPT_DIR, path.join(config.app.rootDir, 'prompts')];
+
+  // 環境変数で明示的に指定されたディレクトリを最優先
+  if (config.prompts.dir) {
+    const explicitDir = path.resolve(config.app.rootDir, config.prompts.dir);
+    if (!fs.existsSync(explicitDir)) {
+      throw new Error(`PROMPT_DIRで指定されたディレクトリが見つかりません: ${explicitDir}`);
+    }
+    dirs.push(explicitDir);
+  }
+
+  return [...new Set(dirs)].filter(dir => fs.existsSync(dir));
+};
+
+/**
+ * プロンプトテンプレートのレジストリ
+ * テンプレートは最初に使用したときに読み込み、プロセスの間キャッシュする
+ */
+class PromptRegistry {
+  constructor() {
+    this.templates = null;
+  }
+
+  /**
+   * すべてのディレクトリからテンプレートを読み込む
+   * 同じ名前のテンプレートは後のディレクトリのものを使用する
+   * @returns {Map<string, Object>} テンプレート名 → テンプレート
+   * @private
+   */
+  _load() {
+    const templates = new Map();
+
+    for (const dir of findPromptDirs()) {
+      const files = fs.readdirSync(dir).filter(file => file.endsWith(TEMPLATE_EXTENSION));
+      for (const file of files) {
+        const prompt = readPromptFile(path.join(dir, file));
+        const bundled = templates.get(prompt.name);
+
+        // 同梱のテンプレートで必須の変数が上書きしたテンプレートに含まれているか確認
+        const variables = bundled?.variables || prompt.variables || [];
+        const missing = variables.filter(name => !prompt.template.includes(`{${name}}`));
+        if (missing.length > 0) {
+          throw new Error(`プロンプトテンプレート "${prompt.name}" に必要な変数がありません (${prompt.file}): ${missing.map(name => `{${name}}`).join(', ')}`);
+        }
+
+        if (bundled) {
+          Logger.info(`プロンプトテンプレート "${prompt.name}" を上書きしました: ${prompt.version} (${prompt.file})`, 'PromptRegistry');
+        }
+        templates.set(prompt.name, {
+          ...prompt,
+          variables,
+          source: dir === BUNDLED_PROMPT_DIR ? 'bundled' : 'override'
+        });
+      }
+    }
+
+    return templates;
+  }
+
+  /**
+   * テンプレートを取得する
+   * @param {string} name - テンプレート名
+   * @returns {Object} { name, version, source, file, template }
+   * @throws {Error} テンプレートが存在しない場合
+   */
+  get(name) {
+    if (!this.templates) {
+      this.templates = this._load();
+    }
+
+    const prompt = this.templates.get(name);
+    if (!prompt) {
+      throw new Error(`プロンプトテンプレート "${name}" が見つかりません`);
+    }
+    return prompt;
+  }
+
+  /**
+   * テンプレートの変数（{name}）に値を埋め込む
+   * @param {string} name - テンプレート名
+   * @param {Object} values - 変数名 → 値
+   * @returns {string} 値を埋め込んだテキスト
+   */
+  render(name, values) {
+    const { template, variables } = this.get(name);
+    if (variables.length === 0) {
+      return template;
+    }
+    // 埋め込んだ値の中の "{name}" は置き換えないよう、1回の置換で処理する
+    const pattern = new RegExp(`\\{(${variables.join('|')})\\}`, 'g');
+    return template.replace(pattern, (match, variable) => String(values[variable] ?? ''));
+  }
+
+  /**
+   * セッションに記録するテンプレートの情報を取得する
+   * @param {string} name - テンプレート名
+   * @returns {Object} { name, version, source }
+   */
+  describe(name) {
+    const { version, source } = this.get(name);
+    return { name, version, source };
+  }
+}
+
+// シングルトンインスタンスを作成してエクスポート
+const promptRegistry = new PromptRegistry();
+export default promptRegistry;
@@ -2,15 +2,94 @@
  * ReActエージェントアダプター実装
  * LangChain v0.3のReActフレームワークでツールアダプターを使用する
  */
+import path from 'path';
+import fs from 'fs-extra';
 import { AgentExecutor, createReactAgent } from "langchain/agents";
-import { formatToOpenAITool } from "langchain/tools";
-import { pull } from "langchain/hub";
 import modelSelector from '../models/selector.js';
+import RoutingChatModel, { resolveRoutingPolicy } from '../models/router.js';
 import Logger from '../utils/logger.js';
 import config from '../config/index.js';
 import { analysisTools } from '../tools/analysis-tools.js';
 import ReActToolAdapter from '../tools/react-tool-adapter.js';
 import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { RunnablePassthrough, RunnableSequence } from "@langchain/core/runnables";
+import { isContextLengthError, isCassetteMissError } from '../utils/errors.js';
+import {
+  estimateTokens,
+  getSharedPromptBudget,
+  getInputBudget,
+  splitIntoChunks,
+  fitStepsToBudget
+} from './context-window.js';
+import {
+  AGENT_STRATEGIES,
+  validateAgentStrategy,
+  resolveAgentStrategy,
+  toNativeTools,
+  createNativeToolAgent
+} from './tool-calling-agent.js';
+import promptRegistry from './prompt-registry.js';
+import { buildConversationHistory, validateMemoryMode } from './conversation-memory.js';
+import {
+  AGENT_MODES,
+  PLAN_STEP_STATUS,
+  validateAgentMode,
+  createPlan,
+  formatPlan,
+  formatStepResults,
+  isStoppedEarly,
+  summarizePlanResult
+} from './plan-and-execute.js';
+import {
+  loadChecklist,
+  readDocuments,
+  formatDocuments,
+  formatChecklist,
+  parseCritique,
+  formatFeedback
+} from './reflection.js';
+import { extractWrittenFiles, findPlaceholderFiles, removePlaceholderFiles } from '../utils/output-files.js';
+import { RunCancelledError, getCancelReason, guardAgentPlanning } from './cancellation.js';
+import { createStepRecorder, getStepThought } from './step-trace.js';
+import {
+  EARLY_STOPPING_METHODS,
+  validateEarlyStoppingMethod,
+  validateMaxIterations,
+  formatStoppedSteps,
+  classifyPlaceholders,
+  extractDocumentText
+} from './early-stopping.js';
+import {
+  APPROVAL_POLICIES,
+  APPROVAL_DECISIONS,
+  DEFAULT_APPROVAL_POLICIES,
+  validateApprovalPolicy,
+  parseApprovalPolicies,
+  resolveApprovalPolicy,
+  formatRejection
+} from '../tools/tool-approval.js';
+
+// 戦略ごとのシステムプロンプトを構成するテンプレート（先頭の出力言語の指示と役割の指示は別途追加する）
+const STRATEGY_PROMPTS = {
+  [AGENT_STRATEGIES.REACT]: ['react'],
+  [AGENT_STRATEGIES.TOOL_CALLING]: ['tool-calling']
+};
+
+// エージェントの出力言語（preamble-<言語> のテンプレートを使用する）
+export const OUTPUT_LANGUAGES = ['ja', 'en'];
+
+/**
+ * 出力言語の指定が有効か確認する
+ * @param {string} language - 出力言語
+ * @returns {string} 出力言語
+ * @throws {Error} 対応していない言語が指定された場合
+ */
+export const validateOutputLanguage = (language) => {
+  if (!OUTPUT_LANGUAGES.includes(language)) {
+    throw new Error(`無効な出力言語です: ${language}（${OUTPUT_LANGUAGES.join(' / ')} を指定してください）`);
+  }
+  return language;
+};
 
 /**
  * ReActフレームワークを使用したアダプター対応エージェントを設定するクラス
@@ -22,18 +101,72 @@ class ReActAgentAdapter {
    * @param {string} options.modelName - 使用するモデル名
    * @param {Array} options.tools - 使用するツール配列
    * @param {number} options.maxIterations - 最大反復回数
+   * @param {string} options.earlyStopping - 反復回数の上限に達したときの扱い（generate / force）
    * @param {boolean} options.verbose - 詳細ログを出力するか
+   * @param {boolean} options.streaming - トークンやエージェントのイベントを逐次通知するか
+   * @param {Object} options.routing - 役割ごとのモデル名 { planning, toolArgument, finalAnswer }（未指定の役割は modelName を使用）
+   * @param {string} options.strategy - エージェント戦略（auto / react / tool-calling）
+   * @param {string} options.outputLanguage - ドキュメントとツールの入力を書く言語（ja / en）
+   * @param {Object} options.memory - 会話の履歴の設定 { mode, windowTurns, maxTokens }
+   * @param {string} options.mode - 実行方式（single / plan-and-execute）
+   * @param {string} options.rolePrompt - 役割の指示のテンプレート名（パイプラインの担当ごとの指示、言語を除いた名前で "<name>-<出力言語>" を使用する、省略可）
+   * @param {Object} options.reflection - セルフレビューの設定 { enabled, threshold, maxRounds }
+   * @param {Object} options.approval - ツール呼び出しの承認の設定 { enabled, defaultPolicy, policies }
    */
   constructor(options = {}) {
     this.modelName = options.modelName || config.models.defaultModel;
     this.originalTools = options.tools || analysisTools;
-    this.maxIterations = options.maxIterations || 10;
+    this.maxIterations = validateMaxIterations(options.maxIterations || config.agent.maxIterations);
+    this.earlyStopping = validateEarlyStoppingMethod(options.earlyStopping || config.agent.earlyStopping);
     this.verbose = options.verbose ?? true;
+    this.streaming = options.streaming ?? config.streaming.enabled;
+    this.routing = { ...config.routing, ...(options.routing || {}) };
+    this.strategy = validateAgentStrategy(options.strategy || config.agent.strategy);
+    this.outputLanguage = validateOutputLanguage(options.outputLanguage || config.agent.outputLanguage);
+    this.memory = { ...config.memory, ...(options.memory || {}) };
+    validateMemoryMode(this.memory.mode);
+    this.mode = validateAgentMode(options.mode || config.agent.mode);
+    this.rolePrompt = options.rolePrompt || null;
+    this.reflection = { ...config.reflection, ...(options.reflection || {}) };
+    this.approval = {
+      enabled: options.approval?.enabled ?? config.approval.enabled,
+      defaultPolicy: validateApprovalPolicy(options.approval?.defaultPolicy || config.approval.defaultPolicy),
+      policies: {
+        ...DEFAULT_APPROVAL_POLICIES,
+        ...parseApprovalPolicies(config.approval.policies),
+        ...(options.approval?.policies || {})
+      }
+    };
+    // 実行中のツール呼び出しの確認を行う関数（run の options.onApproval）と、確認の記録
+    this.approvalHandler = null;
+    this.approvalEvents = [];
+    // 実行中の中断シグナル（run の options.signal）
+    this.runSignal = null;
+    // 実行中のツール呼び出しの記録（中断時の中間ステップとトレース）
+    this.stepRecorder = null;
+    // 初期化時に決定したエージェント戦略（react / tool-calling）
+    this.activeStrategy = null;
+    // システムプロンプトに使用したテンプレート（{ name, version, source } の配列）
+    this.promptTemplates = [];
+    // 入力や要約に使用したテンプレート（テンプレート名 → { name, version, source }、実行ごとに実行結果に含める）
+    this.renderedPrompts = new Map();
     this.agent = null;
     this.executor = null;
     
-    // アダプターでラップされたツールを作成
-    this.adaptedTools = ReActToolAdapter.wrapTools(this.originalTools);
+    // 実行中に発生したモデルの切り替え（フォールバック）の記録
+    this.fallbackEvents = [];
+    
+    // コンテキストウィンドウの管理状態（プロンプトに使用できるトークン数と、実行中に圧縮した回数）
+    this.promptBudget = null;
+    this.baseTokens = 0;
+    this.trimmedCalls = 0;
+    
+    // アダプターでラップされたツールを作成（実行前に承認の設定に従って引数を確認し、解析した引数をトレースに記録する）
+    const review = request => this._reviewToolCall(request);
+    const onParse = ({ runId, args }) => this.stepRecorder?.recordParsedInput(runId, args);
+    this.adaptedTools = ReActToolAdapter.wrapTools(this.originalTools, { review, onParse });
+    // ネイティブのツール呼び出しではツールのスキーマをそのまま使用する
+    this.nativeTools = ReActToolAdapter.withReview(toNativeTools(this.originalTools), review);
     
     // エージェントの初期化状態
     this.initialized = false;
@@ -52,81 +185,97 @@ class ReActAgentAdapter {
       // モデルの取得
       this.llm = await modelSelector.getModel(this.modelName);
       
-      Logger.info(`ReActエージェントアダプターを初期化します。`, 'ReActAgentAdapter');
+      // 計画実行方式の計画は計画の役割のモデルで作成する
+      const modelNames = resolveRoutingPolicy(this.modelName, this.routing);
+      this.plannerLlm = await modelSelector.getModel(modelNames.planning);
+      // 反復回数の上限に達したときの最終回答は最終回答の役割のモデルで作成する
+      this.finalLlm = await modelSelector.getModel(modelNames.finalAnswer);
+      
+      // エージェントに渡すチャットモデル（フォールバックチェーンが設定されていれば切り替え対応）
+      // 役割ごとに異なるモデルが指定されている場合は、呼び出しの役割に応じてモデルを切り替える
+      const chatModels = {};
+      for (const name of new Set(Object.values(modelNames))) {
+        chatModels[name] = await modelSelector.getChatModel(name, {
+          onFallback: (event) => this.fallbackEvents.push(event)
+        });
+      }
+      
+      if (Object.keys(chatModels).length > 1) {
+        this.chatModel = new RoutingChatModel({ modelNames, chatModels });
+        Logger.info(`役割別ルーティングを使用します: ${JSON.stringify(modelNames)}`, 'ReActAgentAdapter');
+      } else {
+        this.chatModel = Object.values(chatModels)[0];
+      }
+      
+      // エージェント戦略の決定（ルーティング先・フォールバック先を含むすべてのモデルを対象にする）
+      const reachableModels = [...new Set(Object.keys(chatModels).flatMap(name => config.models.getFallbackChain(name)))];
+      const { strategy, reason } = resolveAgentStrategy(this.modelName, reachableModels, this.strategy);
+      this.activeStrategy = strategy;
+      if (this.strategy === AGENT_STRATEGIES.TOOL_CALLING && strategy !== AGENT_STRATEGIES.TOOL_CALLING) {
+        Logger.warn(`ネイティブのツール呼び出しを使用できません: ${reason}`, 'ReActAgentAdapter');
+      }
+      Logger.info(`エージェント戦略: ${strategy}（${reason}）`, 'ReActAgentAdapter');
+      
+      const tools = strategy === AGENT_STRATEGIES.TOOL_CALLING ? this.nativeTools : this.adaptedTools;
       
       // ツール情報
-      const toolNames = this.adaptedTools.map(t => t.name);
+      const toolNames = tools.map(t => t.name);
       Logger.info('ツール情報:', {
-        toolsCount: this.adaptedTools.length,
+        toolsCount: tools.length,
         toolNames: toolNames
       }, 'ReActAgentAdapter');
       
-      // カスタムプロンプトを作成（日本語優先設定）
-      try {
-        // 基本プロンプトをHubから取得
-        let basePrompt = await pull("hwchase17/react");
-        Logger.info("Hubからプロンプトを取得しました", "ReActAgentAdapter");
-        
-        // プロンプトテンプレートを取得
-        let templateText = "";
-        if (basePrompt.template) {
-          templateText = basePrompt.template;
-        } else if (basePrompt.messages && basePrompt.messages.length > 0) {
-          // v0.3ではメッセージ配列を使用する場合がある
-          const systemMessage = basePrompt.messages.find(m => m.role === 'system');
-          if (systemMessage && systemMessage.content) {
-            templateText = systemMessage.content;
-          } else {
-            templateText = basePrompt.messages[0].content;
-          }
-        } else {
-          // フォールバック: 利用可能なプロパティを使用
-          templateText = JSON.stringify(basePrompt);
-          Logger.warn("プロンプトのテンプレートが見つかりません。フォールバックを使用します", "ReActAgentAdapter");
-        }
-        
-        // 先頭に日本語指示を追加
-        const customSystemPrompt = `
-以下の質問に日本語で回答してください。複数のツールにアクセスできます。必要なツールのみを使用してください。
-ツールの入力は常に日本語で行い、英語に翻訳しないでください。
-日本語の入力をそのまま利用して処理を行ってください。
-
-${templateText}
-`;
-
-        // カスタムプロンプトの作成
-        const customPrompt = ChatPromptTemplate.fromMessages([
-          ["system", customSystemPrompt]
-        ]);
-        
-        Logger.info("カスタムプロンプト（日本語優先）を作成しました", "ReActAgentAdapter");
-        
-        // ReActエージェントの作成
-        this.agent = await createReactAgent({
-          llm: this.llm.model,
-          tools: this.adaptedTools,
-          prompt: customPrompt
+      // 戦略ごとのエージェントの作成
+      const systemPrompt = this._createSystemPrompt(strategy);
+      let strategyAgent;
+      if (strategy === AGENT_STRATEGIES.TOOL_CALLING) {
+        strategyAgent = createNativeToolAgent({
+          llm: this.chatModel,
+          tools,
+          systemPrompt
         });
-      } catch (promptError) {
-        Logger.error(`Hubからのプロンプト取得に失敗: ${promptError.message}`, "ReActAgentAdapter");
-        
-        // デフォルトのReActエージェントを作成
-        Logger.info("代替方法: LangChainのデフォルトReActプロンプトを使用します", "ReActAgentAdapter");
-        
-        this.agent = await createReactAgent({
-          llm: this.llm.model,
-          tools: this.adaptedTools
+      } else {
+        strategyAgent = await createReactAgent({
+          llm: this.chatModel,
+          tools,
+          prompt: ChatPromptTemplate.fromMessages([
+            ["system", systemPrompt]
+          ])
         });
       }
       
+      // コンテキストウィンドウの計算（役割別ルーティング・フォールバック先のうち最も小さいモデルに合わせる）
+      this.promptBudget = getSharedPromptBudget(Object.keys(chatModels));
+      this.baseTokens = estimateTokens(systemPrompt)
+        + tools.reduce((total, tool) => total + estimateTokens(`${tool.name}: ${tool.description}`), 0);
+      Logger.info(`プロンプトに使用できるトークン数: ${this.promptBudget}（プロンプト本体: 約${this.baseTokens}）`, 'ReActAgentAdapter');
+      
+      // スクラッチパッドがコンテキストウィンドウに収まるよう、プロンプトを作成する前に過去のステップを圧縮する
+      this.agent = RunnableSequence.from([
+        RunnablePassthrough.assign({ steps: (values) => this._fitSteps(values) }),
+        strategyAgent
+      ]);
+      // AgentExecutor が単一・複数アクションのどちらのエージェントとして扱うか、作成したエージェントの設定を引き継ぐ
+      this.agent.singleAction = strategyAgent.singleAction;
+      this.agent.streamRunnable = strategyAgent.streamRunnable;
+      
       // エージェント実行器の作成
-      this.executor = new AgentExecutor({
+      this.executor = guardAgentPlanning(new AgentExecutor({
         agent: this.agent,
-        tools: this.adaptedTools,
+        tools,
         maxIterations: this.maxIterations,
         verbose: this.verbose,
         returnIntermediateSteps: true
-      });
+      }));
+      
+      // 計画実行方式で各ステップを実行する実行器（ステップごとの反復回数の上限を使用）
+      this.stepExecutor = guardAgentPlanning(new AgentExecutor({
+        agent: this.agent,
+        tools,
+        maxIterations: config.agent.plan.stepIterations,
+        verbose: this.verbose,
+        returnIntermediateSteps: true
+      }));
       
       this.initialized = true;
       Logger.info('ReActエージェントアダプターの初期化が完了しました', 'ReActAgentAdapter');
@@ -137,6 +286,48 @@ ${templateText}
     }
   }
   
+  /**
+   * エージェント戦略のシステムプロンプトをテンプレートから作成する
+   * @param {string} strategy - エージェント戦略（react / tool-calling）
+   * @returns {string} システムプロンプト
+   * @private
+   */
+  _createSystemPrompt(strategy) {
+    const names = [
+      `preamble-${this.outputLanguage}`,
+      ...(this.rolePrompt ? [`${this.rolePrompt}-${this.outputLanguage}`] : []),
+      ...STRATEGY_PROMPTS[strategy]
+    ];
+    this.promptTemplates = names.map(name => promptRegistry.describe(name));
+    Logger.info(`プロンプトテンプレート: ${this.promptTemplates.map(t => `${t.name}@${t.version}`).join(', ')}`, 'ReActAgentAdapter');
+    return names.map(name => promptRegistry.get(name).template).join('\n\n');
+  }
+  
+  /**
+   * 出力言語のテンプレートに値を埋め込む
+   * 使用したテンプレートは次の実行の結果（セッションのメタデータ）に記録する
+   * @param {string} name - 言語を除いたテンプレート名（"<name>-<出力言語>" のテンプレートを使用する）
+   * @param {Object} values - 変数名 → 値
+   * @returns {string} 値を埋め込んだテキスト
+   */
+  renderPrompt(name, values = {}) {
+    const templateName = `${name}-${this.outputLanguage}`;
+    const text = promptRegistry.render(templateName, values);
+    this.renderedPrompts.set(templateName, promptRegistry.describe(templateName));
+    return text;
+  }
+  
+  /**
+   * 実行結果に記録するテンプレートを取得し、入力や要約に使用したテンプレートの記録をクリアする
+   * @returns {Array<Object>} { name, version, source } の配列
+   * @private
+   */
+  _takePrompts() {
+    const prompts = [...this.promptTemplates, ...this.renderedPrompts.values()];
+    this.renderedPrompts.clear();
+    return prompts;
+  }
+  
   /**
    * モデルを変更する
    * @param {string} modelName - 新しいモデル名
@@ -163,12 +354,302 @@ ${templateText}
     }
   }
   
+  /**
+   * 現在のモデルの生成パラメータを変更し、新しい値でエージェントを再構築する
+   * @param {Object|null} params - { temperature, maxTokens, topP, stop }（nullの場合は設定ファイルの値に戻す）
+   * @returns {Promise<Object>} 変更後の実効パラメータ
+   */
+  async setModelParameters(params) {
+    try {
+      const parameters = modelSelector.setModelParameters(this.modelName, params);
+      
+      // エージェントを再初期化
+      this.initialized = false;
+      await this.initialize();
+      
+      return parameters;
+    } catch (error) {
+      Logger.error(`パラメータの変更に失敗しました: ${error.message}`, 'ReActAgentAdapter');
+      throw error;
+    }
+  }
+  
+  /**
+   * 役割別ルーティングのポリシーを変更し、エージェントを再構築する
+   * @param {Object} routing - 役割ごとのモデル名 { planning, toolArgument, finalAnswer }（未指定・空の役割は現在のモデルを使用）
+   * @returns {Promise<Object>} すべての役割のモデル名
+   */
+  async setRoutingPolicy(routing) {
+    try {
+      // 指定されたモデルが利用可能か確認
+      for (const name of Object.values(routing).filter(Boolean)) {
+        await modelSelector.getModel(name);
+      }
+      
+      this.routing = { ...routing };
+      
+      // エージェントを再初期化
+      this.initialized = false;
+      await this.initialize();
+      
+      return resolveRoutingPolicy(this.modelName, this.routing);
+    } catch (error) {
+      Logger.error(`ルーティングの変更に失敗しました: ${error.message}`, 'ReActAgentAdapter');
+      throw error;
+    }
+  }
+  
+  /**
+   * エージェント戦略を変更し、エージェントを再構築する
+   * @param {string} strategy - エージェント戦略（auto / react / tool-calling）
+   * @returns {Promise<string>} 実際に使用するエージェント戦略（react / tool-calling）
+   */
+  async setAgentStrategy(strategy) {
+    try {
+      this.strategy = validateAgentStrategy(strategy);
+      
+      // エージェントを再初期化
+      this.initialized = false;
+      await this.initialize();
+      
+      return this.activeStrategy;
+    } catch (error) {
+      Logger.error(`エージェント戦略の変更に失敗しました: ${error.message}`, 'ReActAgentAdapter');
+      throw error;
+    }
+  }
+  
+  /**
+   * 会話の履歴の設定を変更する（次の実行から反映する）
+   * @param {Object} memory - { mode, windowTurns, maxTokens }（未指定の項目は変更しない）
+   */
+  setMemoryOptions(memory) {
+    const next = { ...this.memory, ...memory };
+    validateMemoryMode(next.mode);
+    if (!Number.isInteger(next.windowTurns) || next.windowTurns < 1) {
+      throw new Error(`直近の会話の往復数は1以上の整数で指定してください: ${next.windowTurns}`);
+    }
+    this.memory = next;
+  }
+  
+  /**
+   * セルフレビューの設定を変更する（次の実行から反映する）
+   * @param {Object} reflection - { enabled, threshold, maxRounds }（未指定の項目は変更しない）
+   */
+  setReflectionOptions(reflection) {
+    const next = { ...this.reflection, ...reflection };
+    if (!(next.threshold >= 0 && next.threshold <= 100)) {
+      throw new Error(`セルフレビューの合格点は0〜100で指定してください: ${next.threshold}`);
+    }
+    if (!Number.isInteger(next.maxRounds) || next.maxRounds < 0) {
+      throw new Error(`セルフレビューの修正回数は0以上の整数で指定してください: ${next.maxRounds}`);
+    }
+    this.reflection = next;
+  }
+  
+  /**
+   * ツール呼び出しの承認の設定を変更する（次のツール呼び出しから反映する）
+   * @param {Object} approval - { enabled, defaultPolicy, policies: ツール名ごとの扱い }（未指定の項目は変更しない、policies は既存の指定に追加する）
+   */
+  setApprovalOptions(approval) {
+    const policies = { ...this.approval.policies, ...(approval.policies || {}) };
+    Object.values(policies).forEach(validateApprovalPolicy);
+    this.approval = {
+      enabled: approval.enabled ?? this.approval.enabled,
+      defaultPolicy: validateApprovalPolicy(approval.defaultPolicy || this.approval.defaultPolicy),
+      policies
+    };
+  }
+  
+  /**
+   * 最大反復回数と、上限に達したときの扱いを変更する（次の実行から反映する）
+   * @param {Object} options - { maxIterations, earlyStopping }（未指定の項目は変更しない）
+   */
+  setIterationOptions({ maxIterations, earlyStopping } = {}) {
+    if (maxIterations !== undefined) {
+      this.maxIterations = validateMaxIterations(maxIterations);
+      // 初期化済みの実行器にも反映する（計画実行方式のステップは PLAN_STEP_ITERATIONS を使用する）
+      if (this.executor) {
+        this.executor.maxIterations = this.maxIterations;
+      }
+    }
+    if (earlyStopping !== undefined) {
+      this.earlyStopping = validateEarlyStoppingMethod(earlyStopping);
+    }
+  }
+  
+  /**
+   * 実行方式を変更する（次の実行から反映する）
+   * @param {string} mode - 実行方式（single / plan-and-execute）
+   */
+  setAgentMode(mode) {
+    this.mode = validateAgentMode(mode);
+  }
+  
+  /**
+   * 出力言語を変更する
+   * システムプロンプトは次の実行時にエージェントを再構築するときに反映する
+   * @param {string} language - 出力言語（ja / en）
+   */
+  setOutputLanguage(language) {
+    this.outputLanguage = validateOutputLanguage(language);
+    this.initialized = false;
+  }
+  
+  /**
+   * 中間ステップにルーティングの判断を記録する
+   * ReActでは1回のLLM呼び出しが1つのステップになるため、呼び出しの順序でステップに対応付ける
+   * @param {Array} intermediateSteps - エージェントの中間ステップ
+   * @param {Array} decisions - ルーティングの判断
+   * @returns {Array} ルーティングの判断を追加した中間ステップ
+   * @private
+   */
+  _attachRouting(intermediateSteps, decisions) {
+    if (decisions.length === 0) {
+      return intermediateSteps;
+    }
+    return intermediateSteps.map((step, index) => ({
+      ...step,
+      routing: decisions.filter(decision => decision.call === index)
+    }));
+  }
+  
+  /**
+   * スクラッチパッドに使用する過去のステップをコンテキストウィンドウに収まるよう圧縮する
+   * 元の中間ステップは変更しないため、実行結果には圧縮前のステップが記録される
+   * @param {Object} values - エージェントへの入力 { input, steps }
+   * @returns {Array} プロンプトに使用するステップ
+   * @private
+   */
+  _fitSteps({ input, steps }) {
+    const budget = this.promptBudget - this.baseTokens - estimateTokens(input);
+    const fitted = fitStepsToBudget(steps, budget, (name, values) => this.renderPrompt(name, values));
+    
+    if (fitted.trimmed > 0 || fitted.summarized > 0) {
+      this.trimmedCalls += 1;
+      Logger.info(`スクラッチパッドを圧縮しました: 切り詰め=${fitted.trimmed}ステップ, 要約=${fitted.summarized}ステップ（上限: ${budget}トークン）`, 'ReActAgentAdapter');
+    }
+    
+    return fitted.steps;
+  }
+  
+  /**
+   * コンテキストウィンドウに対して大きすぎる入力を分割し、チャンクごとに要約して結合する
+   * @param {string} inputText - 入力テキスト
+   * @returns {Promise<Object>} { text: エージェントに渡す入力, chunks: 分割したチャンク数（分割しない場合は1） }
+   * @private
+   */
+  async _fitInput(inputText) {
+    const budget = getInputBudget(this.promptBudget);
+    const tokens = estimateTokens(inputText);
+    if (tokens <= budget) {
+      return { text: inputText, chunks: 1 };
+    }
+    
+    const chunks = splitIntoChunks(inputText, budget);
+    Logger.info(`入力が大きすぎるため${chunks.length}個のチャンクに分割して要約します（約${tokens}トークン / 上限: ${budget}トークン）`, 'ReActAgentAdapter');
+    
+    const summaries = [];
+    for (const [index, chunk] of chunks.entries()) {
+      const summary = await this.llm.generate(this.renderPrompt('summarize-chunk', { index: index + 1, count: chunks.length, chunk }), { signal: this.runSignal });
+      summaries.push(summary.trim());
+    }
+    
+    const text = summaries.join('\n\n');
+    if (estimateTokens(text) > budget) {
+      Logger.warn(`要約後も入力が上限を超えています（約${estimateTokens(text)}トークン / 上限: ${budget}トークン）`, 'ReActAgentAdapter');
+    }
+    return { text, chunks: chunks.length };
+  }
+  
+  /**
+   * 会話の履歴を入力に付ける
+   * 履歴はコンテキストウィンドウの入力枠の半分までに収める
+   * @param {string} inputText - 今回の入力（_fitInput で調整済み）
+   * @param {Object} history - { messages: セッションのメッセージ, state: 前回までの要約の状態 }
+   * @returns {Promise<Object>} { text: 履歴を付けた入力, memory: { mode, turns, summarizedTurns, state } }
+   * @private
+   */
+  async _withConversationHistory(inputText, history) {
+    const memory = await buildConversationHistory(history?.messages || [], history?.state || null, {
+      mode: this.memory.mode,
+      windowTurns: this.memory.windowTurns,
+      maxTokens: Math.min(this.memory.maxTokens, Math.floor(getInputBudget(this.promptBudget) / 2)),
+      summarize: prompt => this.llm.generate(prompt, { signal: this.runSignal }),
+      renderPrompt: (name, values) => this.renderPrompt(name, values)
+    });
+    const { text: historyText, ...rest } = memory;
+    const summary = { mode: this.memory.mode, ...rest };
+    
+    if (!historyText) {
+      return { text: inputText, memory: summary };
+    }
+    
+    Logger.info(`会話の履歴を入力に追加します（直近: ${memory.turns}往復, 要約: ${memory.summarizedTurns}往復）`, 'ReActAgentAdapter');
+    const text = this.renderPrompt('conversation', { history: historyText, input: inputText });
+    return { text, memory: summary };
+  }
+  
+  /**
+   * ストリーミング用のコールバックハンドラーを作成する
+   * @param {Function} onEvent - イベントを受け取る関数
+   * @returns {Object} コールバックハンドラー
+   * @private
+   */
+  _createStreamingCallbacks(onEvent) {
+    const emit = async (event) => {
+      try {
+        await onEvent(event);
+      } catch (error) {
+        Logger.warn(`ストリーミングイベントの処理に失敗しました: ${error.message}`, 'ReActAgentAdapter');
+      }
+    };
+    
+    // ツール開始イベントにはラッパーのクラス名が渡されるため、直前のアクションのツール名を使用する
+    let currentTool = null;
+    
+    return {
+      // 表示の順序を保つため、コールバックの完了を待ってから処理を進める
+      awaitHandlers: true,
+      handleLLMNewToken: async (token) => {
+        if (token) {
+          await emit({ type: 'token', token });
+        }
+      },
+      handleAgentAction: async (action) => {
+        const thought = getStepThought(action);
+        currentTool = action.tool;
+        await emit({ type: 'thought', thought, tool: action.tool, toolInput: action.toolInput });
+      },
+      handleToolStart: async (tool, toolInput, runId, parentRunId, tags, metadata, runName) => {
+        await emit({ type: 'tool_start', tool: currentTool || runName, input: toolInput });
+      },
+      handleToolEnd: async (output) => {
+        const text = typeof output === 'string' ? output : (output?.content ?? JSON.stringify(output));
+        await emit({ type: 'tool_end', output: text });
+      },
+      handleToolError: async (error) => {
+        await emit({ type: 'tool_error', error: error.message });
+      }
+    };
+  }
+  
   /**
    * エージェントに入力を実行させる
    * @param {string|Object} input - ユーザー入力またはオブジェクト
-   * @returns {Promise<Object>} 実行結果
+   * @param {Object} options - 実行オプション
+   * @param {Function} options.onEvent - ストリーミングイベント（token/thought/tool_start/tool_end/tool_error）を受け取る関数
+   * @param {Object} options.history - 会話の履歴 { messages: セッションのメッセージ, state: 前回までの要約の状態 }
+   * @param {Function} options.onApproval - ツール呼び出しの確認を行う関数（{ tool, args, validate } を受け取り { decision, args, feedback, remember } を返す、省略時は確認しない）
+   * @param {AbortSignal} options.signal - 実行を中断するシグナル（中断された場合は RunCancelledError で失敗する）
+   * @returns {Promise<Object>} 実行結果（反復回数の上限に達した場合は stoppedEarly に { maxIterations, method, drafts, removedFiles } を含む）
+   * @throws {RunCancelledError} 実行が中断された場合（中断までの中間ステップを含む）
    */
-  async run(input) {
+  async run(input, options = {}) {
+    // 中断された場合に途中までの中間ステップを返すため、ツール呼び出しを記録する（実行時間・解析後の引数のトレースにも使用する）
+    const recorder = createStepRecorder();
+    this.stepRecorder = recorder;
+    
     try {
       // 初期化されていない場合は初期化
       if (!this.initialized) {
@@ -220,21 +701,398 @@ ${templateText}
       
       Logger.info(`エージェント実行開始: "${inputText.substring(0, 50)}${inputText.length > 50 ? '...' : ''}"`, 'ReActAgentAdapter');
       
+      // フォールバックの状態を実行ごとに初期化
+      this.fallbackEvents = [];
+      this.trimmedCalls = 0;
+      this.approvalEvents = [];
+      this.approvalHandler = options.onApproval || null;
+      this.runSignal = options.signal || null;
+      
+      // 大きすぎる入力はエージェントに渡す前に分割・要約する
+      const fittedInput = await this._fitInput(inputText);
+      
+      // セッションの会話の履歴を付ける（履歴は要約済みのため分割の対象にしない）
+      const conversation = await this._withConversationHistory(fittedInput.text, options.history);
+      
+      // ストリーミングが有効な場合はイベントを逐次通知
+      const callbacks = [
+        recorder.handler,
+        ...(this.streaming && options.onEvent ? [this._createStreamingCallbacks(options.onEvent)] : [])
+      ];
+      
       // エージェントの実行
-      const result = await this.executor.invoke({
-        input: inputText
-      });
+      const result = this.mode === AGENT_MODES.PLAN_AND_EXECUTE
+        ? await this._runPlan(conversation.text, callbacks, options.onEvent)
+        : await this._runSingle(conversation.text, callbacks);
+      
+      // 反復回数の上限に達した場合は、内容が保存されていないドキュメントの下書きを保存し、最終回答をまとめる
+      const stoppedEarly = result.stoppedEarly
+        ? await this._handleStoppedRun(conversation.text, result)
+        : null;
+      
+      // 保存されたドキュメントのセルフレビューと修正
+      const reflection = this.reflection.enabled
+        ? await this._reflect(result, callbacks, options.onEvent)
+        : null;
       
       Logger.info('エージェント実行完了', 'ReActAgentAdapter');
       
       return {
         output: result.output,
-        intermediateSteps: result.intermediateSteps,
-        modelName: this.modelName
+        intermediateSteps: recorder.annotate(result.intermediateSteps),
+        modelName: this.modelName,
+        activeModelName: this.chatModel.activeModelName || this.modelName,
+        strategy: this.activeStrategy,
+        outputLanguage: this.outputLanguage,
+        prompts: this._takePrompts(),
+        memory: conversation.memory,
+        mode: this.mode,
+        plan: result.plan,
+        stoppedEarly,
+        reflection,
+        approvals: [...this.approvalEvents],
+        fallbacks: [...this.fallbackEvents],
+        routing: result.routing,
+        context: {
+          promptBudget: this.promptBudget,
+          inputChunks: fittedInput.chunks,
+          trimmedCalls: this.trimmedCalls
+        }
       };
     } catch (error) {
+      if (this.runSignal?.aborted) {
+        const reason = getCancelReason(this.runSignal);
+        Logger.warn(`エージェントの実行を中断しました（理由: ${reason}, 完了したツール呼び出し: ${recorder.steps.length}件）`, 'ReActAgentAdapter');
+        throw new RunCancelledError(reason, { intermediateSteps: recorder.steps });
+      }
       Logger.error(`エージェント実行エラー: ${error.message}`, 'ReActAgentAdapter');
+      this.renderedPrompts.clear();
+      if (isContextLengthError(error)) {
+        throw new Error(`実行エラー: モデルのコンテキスト長を超えました。入力を短くするか、コンテキストウィンドウの大きいモデルを使用してください（${error.message}）`);
+      }
       throw new Error(`実行エラー: ${error.message}`);
+    } finally {
+      this.approvalHandler = null;
+      this.runSignal = null;
+      this.stepRecorder = null;
+    }
+  }
+  
+  /**
+   * ツールの実行前に、承認の設定に従って引数を確認する
+   * 確認を行う関数が指定されていない実行（比較・パイプラインなど）や、確認しない設定のツールはそのまま実行する
+   * @param {Object} request - { tool: ツール名, args: ツールの引数 }
+   * @returns {Promise<Object>} { approved, args: 実行に使用する引数, observation: 却下した場合にエージェントに返すテキスト }
+   * @private
+   */
+  async _reviewToolCall({ tool, args }) {
+    const policy = resolveApprovalPolicy(tool, this.approval);
+    if (!this.approval.enabled || policy === APPROVAL_POLICIES.AUTO || !this.approvalHandler) {
+      return { approved: true, args };
+    }
+    
+    // 修正した引数がツールのスキーマに合うか確認する関数（エラーの内容、問題がなければnull）
+    const schema = this.originalTools.find(original => original.name === tool)?.schema;
+    const validate = (value) => {
+      const result = schema?.safeParse(value);
+      return result && !result.success ? result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join(', ') : null;
+    };
+    
+    let response;
+    try {
+      response = await this.approvalHandler({ tool, args: structuredClone(args), validate });
+    } catch (error) {
+      Logger.warn(`ツール "${tool}" の確認に失敗したため実行を却下します: ${error.message}`, 'ReActAgentAdapter');
+      response = { decision: APPROVAL_DECISIONS.REJECT, feedback: '' };
+    }
+    
+    const decision = response?.decision || APPROVAL_DECISIONS.REJECT;
+    this.approvalEvents.push({
+      tool,
+      decision,
+      ...(decision === APPROVAL_DECISIONS.EDIT && { args: response.args }),
+      ...(decision === APPROVAL_DECISIONS.REJECT && { feedback: response?.feedback || '' }),
+      timestamp: new Date()
+    });
+    Logger.info(`ツール "${tool}" の確認結果: ${decision}`, 'ReActAgentAdapter');
+    
+    if (decision === APPROVAL_DECISIONS.REJECT) {
+      return { approved: false, observation: formatRejection(tool, response?.feedback, (name, values) => this.renderPrompt(name, values)) };
+    }
+    // 以後このツールを確認しない
+    if (response.remember) {
+      this.approval.policies = { ...this.approval.policies, [tool]: APPROVAL_POLICIES.AUTO };
+    }
+    return { approved: true, args: decision === APPROVAL_DECISIONS.EDIT ? response.args : args };
+  }
+  
+  /**
+   * 1つのReActループで入力を処理する
+   * @param {string} input - エージェントへの入力
+   * @param {Array} callbacks - コールバックハンドラー
+   * @returns {Promise<Object>} { output, intermediateSteps, routing, plan: null, stoppedEarly: 反復回数の上限に達したか }
+   * @private
+   */
+  async _runSingle(input, callbacks) {
+    this.chatModel.reset?.();
+    const result = await this.executor.invoke({ input }, { callbacks, signal: this.runSignal || undefined });
+    
+    // 役割別ルーティングを使用した場合の判断
+    const routing = [...(this.chatModel.decisions || [])];
+    
+    return {
+      output: result.output,
+      intermediateSteps: this._attachRouting(result.intermediateSteps, routing),
+      routing,
+      plan: null,
+      stoppedEarly: isStoppedEarly(result.output)
+    };
+  }
+  
+  /**
+   * 計画を作成し、ステップごとにエージェントを実行する
+   * ステップが反復回数の上限に達した場合や失敗した場合も、状態を記録して次のステップに進む
+   * 上限に達したステップの結果は、早期終了の扱いが generate の場合はそのステップの中間ステップからまとめる
+   * @param {string} request - 依頼（会話の履歴を含む）
+   * @param {Array} callbacks - コールバックハンドラー
+   * @param {Function} onEvent - 計画と進捗のイベント（plan / plan_step）を受け取る関数
+   * @returns {Promise<Object>} { output, intermediateSteps, routing, plan, stoppedEarly: 上限に達したステップがあるか }
+   * @private
+   */
+  async _runPlan(request, callbacks, onEvent) {
+    const emit = event => this._notify(onEvent, event);
+    
+    const plan = await createPlan(
+      prompt => this.plannerLlm.generate(prompt, { signal: this.runSignal }),
+      this.renderPrompt('planner', {
+        request,
+        tools: this.originalTools.map(tool => `- ${tool.name}: ${tool.description}`).join('\n'),
+        max_steps: config.agent.plan.maxSteps
+      }),
+      config.agent.plan.maxSteps,
+      () => this.renderPrompt('default-plan')
+    );
+    this.runSignal?.throwIfAborted();
+    Logger.info(`計画を作成しました（${plan.source}）:\n${formatPlan(plan)}`, 'ReActAgentAdapter');
+    await emit({ type: 'plan', plan: structuredClone(plan) });
+    
+    const intermediateSteps = [];
+    const routing = [];
+    
+    for (const step of plan.steps) {
+      step.status = PLAN_STEP_STATUS.RUNNING;
+      await emit({ type: 'plan_step', step: { ...step } });
+      
+      const input = this.renderPrompt('plan-step', {
+        request,
+        plan: formatPlan(plan),
+        results: formatStepResults(plan),
+        step: `${step.index}. ${step.title}: ${step.instruction}`
+      });
+      
+      try {
+        this.chatModel.reset?.();
+        const result = await this.stepExecutor.invoke({ input }, { callbacks, signal: this.runSignal || undefined });
+        const decisions = (this.chatModel.decisions || []).map(decision => ({ ...decision, planStep: step.index }));
+        
+        intermediateSteps.push(...this._attachRouting(result.intermediateSteps, decisions)
+          .map(intermediateStep => ({ ...intermediateStep, planStep: step.index })));
+        routing.push(...decisions);
+        
+        step.output = result.output;
+        step.toolCalls = result.intermediateSteps.length;
+        step.status = isStoppedEarly(result.output) ? PLAN_STEP_STATUS.INCOMPLETE : PLAN_STEP_STATUS.COMPLETED;
+        if (step.status === PLAN_STEP_STATUS.INCOMPLETE && this.earlyStopping === EARLY_STOPPING_METHODS.GENERATE) {
+          step.output = await this._synthesizeStoppedRun(input, result.intermediateSteps, config.agent.plan.stepIterations) ?? step.output;
+        }
+      } catch (error) {
+        // 実行の中断と、後続のステップでも発生するコンテキスト長の超過・カセットに記録されていない呼び出しは計画全体を中断する
+        if (this.runSignal?.aborted || isContextLengthError(error) || isCassetteMissError(error)) {
+          throw error;
+        }
+        Logger.warn(`計画のステップ ${step.index}（${step.title}）が失敗しました: ${error.message}`, 'ReActAgentAdapter');
+        step.status = PLAN_STEP_STATUS.FAILED;
+        step.error = error.message;
+      }
+      
+      await emit({ type: 'plan_step', step: { ...step } });
+    }
+    
+    return {
+      output: summarizePlanResult(plan),
+      intermediateSteps,
+      routing,
+      plan,
+      stoppedEarly: plan.steps.some(step => step.status === PLAN_STEP_STATUS.INCOMPLETE)
+    };
+  }
+  
+  /**
+   * 反復回数の上限に達した実行の後処理を行う
+   * 早期終了の扱いが generate の場合は、内容が保存されていないドキュメントの下書きを保存し、途中までのステップから最終回答をまとめる
+   * （計画実行方式では上限に達したステップごとにまとめ済みのため、最終回答は計画の結果のままにする）
+   * @param {string} request - 依頼（会話の履歴を含む）
+   * @param {Object} result - エージェントの実行結果（output を書き換える）
+   * @returns {Promise<Object>} { maxIterations, method, drafts: 下書きを保存したファイル, removedFiles: 削除した不要な仮のファイル }
+   * @private
+   */
+  async _handleStoppedRun(request, result) {
+    const maxIterations = this.mode === AGENT_MODES.PLAN_AND_EXECUTE ? config.agent.plan.stepIterations : this.maxIterations;
+    Logger.warn(`反復回数の上限（${maxIterations}回）に達したため、作業を途中で終了しました（扱い: ${this.earlyStopping}）`, 'ReActAgentAdapter');
+    const stoppedEarly = { maxIterations, method: this.earlyStopping, drafts: [], removedFiles: [] };
+    if (this.earlyStopping === EARLY_STOPPING_METHODS.FORCE) {
+      return stoppedEarly;
+    }
+    
+    const files = extractWrittenFiles(result.intermediateSteps);
+    const { drafts, redundant } = classifyPlaceholders(await findPlaceholderFiles(files), files);
+    stoppedEarly.removedFiles = await removePlaceholderFiles(redundant);
+    for (const file of drafts) {
+      if (await this._saveDraft(request, result.intermediateSteps, file)) {
+        stoppedEarly.drafts.push(file);
+      }
+    }
+    
+    if (this.mode !== AGENT_MODES.PLAN_AND_EXECUTE) {
+      result.output = await this._synthesizeStoppedRun(request, result.intermediateSteps, maxIterations) ?? result.output;
+    }
+    return stoppedEarly;
+  }
+  
+  /**
+   * 反復回数の上限に達した実行の最終回答を、途中までのステップからまとめる
+   * @param {string} request - エージェントへの入力
+   * @param {Array} steps - 上限に達するまでの中間ステップ
+   * @param {number} maxIterations - 最大反復回数
+   * @returns {Promise<string|null>} 最終回答（作成できなかった場合はnull）
+   * @private
+   */
+  async _synthesizeStoppedRun(request, steps, maxIterations) {
+    const files = extractWrittenFiles(steps);
+    try {
+      const output = await this.finalLlm.generate(this.renderPrompt('early-stop', {
+        request,
+        max_iterations: maxIterations,
+        steps: formatStoppedSteps(steps, (name, values) => this.renderPrompt(name, values)),
+        files: files.length > 0 ? files.map(file => `- ${file}`).join('\n') : '-'
+      }), { signal: this.runSignal });
+      Logger.info('反復回数の上限に達するまでのステップから最終回答をまとめました', 'ReActAgentAdapter');
+      return output;
+    } catch (error) {
+      if (this.runSignal?.aborted || isCassetteMissError(error)) {
+        throw error;
+      }
+      Logger.warn(`最終回答をまとめられませんでした: ${error.message}`, 'ReActAgentAdapter');
+      return null;
+    }
+  }
+  
+  /**
+   * 仮の内容のまま残っているドキュメントに、途中までのステップから作成した下書きを保存する
+   * @param {string} request - 依頼（会話の履歴を含む）
+   * @param {Array} steps - 上限に達するまでの中間ステップ
+   * @param {string} file - 仮の内容のままのファイルのパス
+   * @returns {Promise<boolean>} 保存できたか
+   * @private
+   */
+  async _saveDraft(request, steps, file) {
+    try {
+      const draft = await this.finalLlm.generate(this.renderPrompt('draft-document', {
+        request,
+        steps: formatStoppedSteps(steps, (name, values) => this.renderPrompt(name, values)),
+        document: path.relative(config.app.outputDir, file).split(path.sep).join('/'),
+        template: await fs.readFile(file, 'utf8')
+      }), { signal: this.runSignal });
+      await fs.writeFile(file, extractDocumentText(draft), 'utf8');
+      Logger.info(`内容が保存されていなかったドキュメントに下書きを保存しました: ${file}`, 'ReActAgentAdapter');
+      return true;
+    } catch (error) {
+      if (this.runSignal?.aborted || isCassetteMissError(error)) {
+        throw error;
+      }
+      Logger.warn(`ドキュメントの下書きを保存できませんでした (${file}): ${error.message}`, 'ReActAgentAdapter');
+      return false;
+    }
+  }
+  
+  /**
+   * 保存されたドキュメントをチェックリストで採点し、合格点に達するか修正回数の上限に達するまで修正させる
+   * 修正の実行で得た中間ステップ・ルーティングの判断は実行結果に追加する（reflectionRound に修正の回数を記録）
+   * @param {Object} result - エージェントの実行結果 { output, intermediateSteps, routing }
+   * @param {Array} callbacks - コールバックハンドラー
+   * @param {Function} onEvent - 採点結果のイベント（reflection）を受け取る関数
+   * @returns {Promise<Object>} { threshold, maxRounds, passed, rounds: 採点ごとの { round, score, passed, items, documents }, error: 採点を読み取れなかった場合の理由 }
+   * @private
+   */
+  async _reflect(result, callbacks, onEvent) {
+    const { threshold, maxRounds } = this.reflection;
+    const checklist = loadChecklist(() => this.renderPrompt('default-checklist'));
+    const rounds = [];
+    let error = null;
+    
+    // 修正で上書き・追加されたドキュメントを反映するため、パスごとに管理する
+    const documents = new Map();
+    const addDocuments = async (steps) => {
+      for (const document of await readDocuments(extractWrittenFiles(steps))) {
+        documents.set(document.path, document);
+      }
+    };
+    await addDocuments(result.intermediateSteps);
+    
+    if (documents.size === 0) {
+      Logger.info('保存されたドキュメントがないため、セルフレビューを行いません', 'ReActAgentAdapter');
+      return { threshold, maxRounds, passed: false, rounds, error };
+    }
+    
+    for (let round = 1; ; round++) {
+      let critique;
+      try {
+        critique = parseCritique(await this.llm.generate(this.renderPrompt('critic', {
+          checklist: formatChecklist(checklist),
+          documents: formatDocuments([...documents.values()])
+        }), { signal: this.runSignal }), checklist);
+      } catch (err) {
+        if (this.runSignal?.aborted || isCassetteMissError(err)) {
+          throw err;
+        }
+        Logger.warn(`セルフレビューの採点を読み取れないため終了します: ${err.message}`, 'ReActAgentAdapter');
+        error = err.message;
+        break;
+      }
+      
+      const passed = critique.score >= threshold;
+      rounds.push({ round, score: critique.score, passed, items: critique.items, documents: [...documents.keys()] });
+      Logger.info(`セルフレビュー ${round}回目: ${critique.score}点（合格点: ${threshold}）`, 'ReActAgentAdapter');
+      await this._notify(onEvent, { type: 'reflection', round, score: critique.score, passed, threshold });
+      
+      if (passed || round > maxRounds) {
+        break;
+      }
+      
+      const revision = await this._runSingle(this.renderPrompt('revise', {
+        documents: formatDocuments([...documents.values()], Infinity),
+        feedback: formatFeedback(critique.items)
+      }), callbacks);
+      result.intermediateSteps.push(...revision.intermediateSteps.map(step => ({ ...step, reflectionRound: round })));
+      result.routing.push(...revision.routing);
+      await addDocuments(revision.intermediateSteps);
+    }
+    
+    return { threshold, maxRounds, passed: rounds.at(-1)?.passed ?? false, rounds, error };
+  }
+  
+  /**
+   * イベントを通知する（通知先の例外でエージェントの実行を止めない）
+   * @param {Function} onEvent - イベントを受け取る関数（省略可）
+   * @param {Object} event - イベント
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _notify(onEvent, event) {
+    try {
+      await onEvent?.(event);
+    } catch (error) {
+      Logger.warn(`イベントの処理に失敗しました: ${error.message}`, 'ReActAgentAdapter');
     }
   }
   
@@ -259,7 +1117,20 @@ ${templateText}
       modelName: this.modelName,
       modelDisplayName: config.models.getModelDisplayName(this.modelName),
       toolCount: this.originalTools.length,
-      maxIterations: this.maxIterations
+      maxIterations: this.maxIterations,
+      earlyStopping: this.earlyStopping,
+      streaming: this.streaming,
+      routing: resolveRoutingPolicy(this.modelName, this.routing),
+      strategy: this.strategy,
+      activeStrategy: this.activeStrategy,
+      outputLanguage: this.outputLanguage,
+      memory: { mode: this.memory.mode, windowTurns: this.memory.windowTurns },
+      mode: this.mode,
+      reflection: { ...this.reflection },
+      approval: { ...this.approval, policies: { ...this.approval.policies } },
+      prompts: [...this.promptTemplates],
+      promptBudget: this.promptBudget,
+      parameters: modelSelector.getEffectiveParameters(this.modelName)
     };
   }
 }
@@ -3,9 +3,6 @@
  * LangChain v0.3のReActフレームワークを使用
  */
 import { ChatPromptTemplate } from "@langchain/core/prompts";
-import { RunnableSequence } from "@langchain/core/runnables";
-import { RunnablePassthrough } from "@langchain/core/runnables";
-import { StringOutputParser } from "@langchain/core/output_parsers";
 import { AgentExecutor, createReactAgent } from "langchain/agents";
 import { formatToOpenAITool } from "langchain/tools";
 import { pull } from "langchain/hub";
@@ -13,7 +10,7 @@ import modelSelector from '../models/selector.js';
 import Logger from '../utils/logger.js';
 import config from '../config/index.js';
 import { analysisTools } from '../tools/analysis-tools.js';
-import { SystemMessage, HumanMessage, AIMessage } from "@langchain/core/messages";
+import { SystemMessage, HumanMessage } from "@langchain/core/messages";
 
 /**
  * ReActフレームワークを使用したエージェントを設定するクラス
@@ -0,0 +1,144 @@
+/**
+ * セルフレビュー（自己批評と修正）
+ * エージェントが保存した要件定義書・外部設計書をチェックリストで採点し、基準に満たない項目の修正を依頼する
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import YAML from 'yaml';
+import { z } from 'zod';
+import config from '../config/index.js';
+
+// 採点に渡すドキュメント1件あたりの最大文字数
+const DOCUMENT_TEXT_LENGTH = 6000;
+
+// チェックリストファイルのスキーマ（文字列の配列、または { id, description } の配列）
+const checklistSchema = z.array(z.union([
+  z.string().min(1),
+  z.object({ id: z.string().min(1), description: z.string().min(1) }).strict()
+])).min(1);
+
+// 採点結果のスキーマ
+const critiqueSchema = z.object({
+  items: z.array(z.object({
+    id: z.string(),
+    passed: z.boolean(),
+    comment: z.string().optional().default('')
+  }))
+});
+
+/**
+ * チェックリストのテキスト（YAML または JSON）を読み取る
+ * @param {string} text - チェックリストのテキスト
+ * @param {string} source - エラーメッセージに含める読み込み元
+ * @returns {Array<Object>} { id, description } の配列
+ * @throws {Error} 形式が正しくない場合
+ */
+const parseChecklist = (text, source) => {
+  const result = checklistSchema.safeParse(YAML.parse(text));
+  if (!result.success) {
+    throw new Error(`チェックリストの形式が正しくありません (${source}): ${result.error.issues.map(issue => issue.message).join(', ')}`);
+  }
+  return result.data.map((item, index) => (typeof item === 'string' ? { id: `item-${index + 1}`, description: item } : item));
+};
+
+/**
+ * チェックリストを読み込む
+ * REFLECTION_CHECKLIST で指定したファイル（YAML または JSON）があればそれを、なければ既定のチェックリストを使用する
+ * @param {Function} getDefaultChecklist - 既定のチェックリスト（出力言語の default-checklist テンプレート）のテキストを返す関数
+ * @returns {Array<Object>} { id, description } の配列
+ * @throws {Error} ファイルが見つからない、または形式が正しくない場合
+ */
+export const loadChecklist = (getDefaultChecklist) => {
+  if (!config.reflection.checklistFile) {
+    return parseChecklist(getDefaultChecklist(), 'default-checklist');
+  }
+
+  const file = path.resolve(config.app.rootDir, config.reflection.checklistFile);
+  if (!fs.existsSync(file)) {
+    throw new Error(`REFLECTION_CHECKLISTで指定されたファイルが見つかりません: ${file}`);
+  }
+  return parseChecklist(fs.readFileSync(file, 'utf8'), file);
+};
+
+/**
+ * 採点の対象にするドキュメント（要件定義書・外部設計書）を読み込む
+ * 同じ内容のファイル（日時付きのファイルとその複製など）は1件にまとめる
+ * @param {Array<string>} files - エージェントが書き込んだファイルのパス
+ * @returns {Promise<Array<Object>>} { path, content } の配列
+ */
+export const readDocuments = async (files) => {
+  const dirs = [config.app.outputDirs.requirements, config.app.outputDirs.designs].map(dir => path.resolve(dir));
+  const targets = files.filter(file => file.endsWith('.md') && dirs.some(dir => file.startsWith(dir + path.sep)));
+
+  const documents = [];
+  const seen = new Set();
+  for (const file of targets) {
+    const content = await fs.readFile(file, 'utf8');
+    if (!seen.has(content)) {
+      seen.add(content);
+      documents.push({ path: file, content });
+    }
+  }
+  return documents;
+};
+
+/**
+ * ドキュメントをプロンプト用のテキストに変換する
+ * 見出しには出力ディレクトリからの相対パス（save_document の folderType/fileName）を使用し、省略した部分は ... で示す
+ * @param {Array<Object>} documents - { path, content } の配列
+ * @param {number} maxLength - ドキュメント1件あたりの最大文字数（修正の依頼では省略しない）
+ * @returns {string} プロンプト用のテキスト
+ */
+export const formatDocuments = (documents, maxLength = DOCUMENT_TEXT_LENGTH) => documents.map((document) => {
+  const content = document.content.length > maxLength
+    ? `${document.content.slice(0, maxLength)}\n...`
+    : document.content;
+  const name = path.relative(config.app.outputDir, document.path).split(path.sep).join('/');
+  return `### ${name}\n${content}`;
+}).join('\n\n');
+
+/**
+ * チェックリストを採点用のテキストに変換する
+ * @param {Array<Object>} checklist - { id, description } の配列
+ * @returns {string} チェックリストのテキスト
+ */
+export const formatChecklist = (checklist) => checklist.map(item => `- ${item.id}: ${item.description}`).join('\n');
+
+/**
+ * 採点の出力を読み取り、スコア（合格した項目の割合、0〜100）を計算する
+ * チェックリストにない項目は無視し、採点されなかった項目はコメントなしの不合格として扱う
+ * @param {string} text - 採点の出力
+ * @param {Array<Object>} checklist - チェックリスト
+ * @returns {Object} { score, items: { id, description, passed, comment } の配列 }
+ * @throws {Error} JSONが見つからない、または形式が正しくない場合
+ */
+export const parseCritique = (text, checklist) => {
+  const match = String(text).match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error('採点結果のJSONが見つかりません');
+  }
+  const result = critiqueSchema.safeParse(JSON.parse(match[0]));
+  if (!result.success) {
+    throw new Error(`採点結果の形式が正しくありません: ${result.error.issues.map(issue => issue.message).join(', ')}`);
+  }
+
+  const graded = new Map(result.data.items.map(item => [item.id, item]));
+  const items = checklist.map(item => ({
+    id: item.id,
+    description: item.description,
+    passed: graded.get(item.id)?.passed ?? false,
+    comment: graded.get(item.id)?.comment || ''
+  }));
+  const score = Math.round((items.filter(item => item.passed).length / items.length) * 100);
+  return { score, items };
+};
+
+/**
+ * 不合格の項目を修正の指摘に変換する
+ * @param {Array<Object>} items - 採点結果の項目
+ * @returns {string} 修正の指摘
+ */
+export const formatFeedback = (items) => items
+  .filter(item => !item.passed)
+  .map(item => `- ${item.description}${item.comment ? `: ${item.comment}` : ''}`)
+  .join('\n');
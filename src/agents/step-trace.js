@@ -0,0 +1,149 @@
+/**
+ * 中間ステップのトレース
+ * 実行中のツール呼び出し（思考・入力・解析後の引数・実行結果・実行時間）を記録し、表示用のタイムラインに変換する
+ */
+import { getToolCallThought } from './tool-calling-agent.js';
+
+/**
+ * アクションから思考のテキストを取得する
+ * ネイティブのツール呼び出しではツールと一緒に出力したテキスト、ReActでは "Thought: ...\nAction: ..." の思考部分
+ * @param {Object} action - エージェントのアクション
+ * @returns {string} 思考のテキスト
+ */
+export const getStepThought = (action) => (action.messageLog
+  ? getToolCallThought(action)
+  : (action.log || '').split(/\nAction\s*\d*\s*:/)[0].replace(/^\s*Thought\s*:/, '').trim());
+
+// ツールの開始イベントの入力と同じ形式に変換する（文字列以外はJSON）
+const formatToolInput = toolInput => (typeof toolInput === 'string' ? toolInput : JSON.stringify(toolInput));
+
+/**
+ * アクションの入力を、エージェントが出力したテキストのまま取得する
+ * ReActの出力パーサーは入力から `"` をすべて取り除くため、アクションのログの "Action Input:" 以降を使用する
+ * @param {Object} action - エージェントのアクション
+ * @returns {string|Object} 入力（ネイティブのツール呼び出しでは構造化された引数）
+ */
+export const getRawToolInput = (action) => {
+  if (action.messageLog || typeof action.toolInput !== 'string') {
+    return action.toolInput;
+  }
+  const match = (action.log || '').match(/Action\s*\d*\s*Input\s*\d*\s*:([\s\S]*?)(?:\nObservation\s*:|$)/);
+  return match ? match[1].trim() : action.toolInput;
+};
+
+/**
+ * ツール呼び出しを記録するコールバックハンドラーを作成する
+ * AgentExecutor は中断されると中間ステップを返さないため、実行中のアクションと実行結果を別途記録する。
+ * あわせて、ツールの実行時間とツールアダプターが解析した引数を記録し、実行結果の中間ステップに付け加える
+ * @returns {Object} { handler, steps, recordParsedInput, annotate }
+ */
+export const createStepRecorder = () => {
+  // 実行結果まで得られた中間ステップ
+  const steps = [];
+  // ツールの実行を待っているアクション（同じ計画で出力されたもの）
+  const pending = [];
+  // 直前のイベントがアクションの出力だったか（新しい計画の最初のアクションで、前の計画の残りを捨てる）
+  let collecting = false;
+  // 実行中のツール（実行IDごとのアクション・開始時刻・解析後の引数）
+  const running = new Map();
+  // 完了したアクションごとのトレース
+  const traces = new Map();
+
+  const complete = (runId, observation) => {
+    const run = running.get(runId);
+    if (!run) return;
+    running.delete(runId);
+    const trace = {
+      startedAt: run.startedAt,
+      durationMs: Date.now() - run.startedAt.getTime(),
+      ...(run.parsedInput !== undefined && { parsedInput: run.parsedInput })
+    };
+    traces.set(run.action, trace);
+    steps.push({ action: run.action, observation, ...trace });
+  };
+
+  return {
+    steps,
+    /**
+     * ツールアダプターが文字列の入力から解析した引数を記録する
+     * @param {string} runId - ツールの実行ID
+     * @param {Object} args - 解析後の引数
+     */
+    recordParsedInput: (runId, args) => {
+      const run = running.get(runId);
+      if (run) {
+        run.parsedInput = structuredClone(args);
+      }
+    },
+    /**
+     * 中間ステップに記録したトレース（開始時刻・実行時間・解析後の引数）を付け加える
+     * @param {Array} intermediateSteps - エージェントの中間ステップ
+     * @returns {Array} トレースを付け加えた中間ステップ
+     */
+    annotate: intermediateSteps => intermediateSteps.map(step => ({ ...step, ...traces.get(step.action) })),
+    handler: {
+      // 中断の直前に完了したツール呼び出しも記録されるよう、コールバックの完了を待ってから処理を進める
+      awaitHandlers: true,
+      handleAgentAction: (action) => {
+        // 存在しないツール名・引数のスキーマ違反のアクションはツールを開始しないため、前の計画の残りとして捨てる
+        if (!collecting) {
+          pending.length = 0;
+        }
+        collecting = true;
+        pending.push(action);
+      },
+      // ツールの開始イベントにはツール名が含まれないため、ツールのメタデータ（toolName）のツール名で対応付ける。
+      // 同じツールのアクションが複数ある場合は、入力が一致するものを優先する
+      handleToolStart: (tool, input, runId, parentRunId, tags, metadata) => {
+        collecting = false;
+        const name = metadata?.toolName?.toLowerCase();
+        const candidates = pending.filter(action => name === undefined || action.tool?.toLowerCase() === name);
+        const action = candidates.find(candidate => formatToolInput(candidate.toolInput) === input) ?? candidates[0];
+        if (action) {
+          pending.splice(pending.indexOf(action), 1);
+          running.set(runId, { action, startedAt: new Date() });
+        }
+      },
+      handleToolEnd: (output, runId) => {
+        complete(runId, typeof output === 'string' ? output : (output?.content ?? JSON.stringify(output)));
+      },
+      handleToolError: (error, runId) => {
+        complete(runId, `ツールの実行エラー: ${error.message}`);
+      }
+    }
+  };
+};
+
+/**
+ * 中間ステップを表示用のタイムラインに変換する
+ * セッションファイルから読み込んだ中間ステップ（JSONに変換済み）にも使用できる
+ * @param {Array} steps - 中間ステップ
+ * @returns {Array<Object>} { number, thought, tool, rawInput, parsedInput, observation, startedAt, durationMs, reflectionRound } の配列
+ */
+export const buildTimeline = (steps = []) => steps.map((step, index) => ({
+  number: index + 1,
+  thought: getStepThought(step.action),
+  tool: step.action.tool,
+  rawInput: getRawToolInput(step.action),
+  // ネイティブのツール呼び出しでは構造化された引数をそのまま使用するため、解析後の引数は記録されない
+  parsedInput: step.parsedInput ?? null,
+  observation: String(step.observation ?? ''),
+  startedAt: step.startedAt ? new Date(step.startedAt) : null,
+  durationMs: step.durationMs ?? null,
+  reflectionRound: step.reflectionRound ?? null
+}));
+
+/**
+ * セッションのメッセージから中間ステップを持つ実行（応答・中断）を取り出す
+ * @param {Array} messages - セッションのメッセージ
+ * @returns {Array<Object>} { input: 依頼, role, steps, timestamp } の配列（古い順）
+ */
+export const collectTraceRuns = (messages = []) => messages
+  .map((message, index) => ({ message, index }))
+  .filter(({ message }) => (message.role === 'assistant' || message.role === 'cancelled') && Array.isArray(message.steps))
+  .map(({ message, index }) => ({
+    input: messages.slice(0, index).reverse().find(previous => previous.role === 'user')?.content || '',
+    role: message.role,
+    steps: message.steps,
+    timestamp: message.timestamp
+  }));
@@ -0,0 +1,130 @@
+/**
+ * ネイティブのツール呼び出しを使用するエージェント戦略
+ * テキストのReAct形式を解析する代わりに、モデルのツール呼び出し機能でツールのzodスキーマに沿った引数を受け取る
+ */
+import { createToolCallingAgent } from "langchain/agents";
+import { DynamicStructuredTool } from "@langchain/core/tools";
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { z } from "zod";
+import config from '../config/index.js';
+
+// エージェント戦略
+export const AGENT_STRATEGIES = {
+  // モデルの設定と性能情報から自動で選択する
+  AUTO: 'auto',
+  // テキストのReAct形式（Thought / Action / Action Input）
+  REACT: 'react',
+  // ネイティブのツール呼び出し
+  TOOL_CALLING: 'tool-calling'
+};
+
+/**
+ * エージェント戦略の指定が有効か確認する
+ * @param {string} strategy - エージェント戦略
+ * @returns {string} エージェント戦略
+ * @throws {Error} 無効な戦略が指定された場合
+ */
+export const validateAgentStrategy = (strategy) => {
+  if (!Object.values(AGENT_STRATEGIES).includes(strategy)) {
+    throw new Error(`無効なエージェント戦略です: ${strategy}（${Object.values(AGENT_STRATEGIES).join(' / ')} を指定してください）`);
+  }
+  return strategy;
+};
+
+/**
+ * モデルがネイティブのツール呼び出しに対応しているか
+ * @param {string} modelName - モデル名
+ * @returns {boolean} 対応しているか
+ */
+export const supportsToolCalling = (modelName) => config.models.availableModels[modelName]?.capabilities?.toolCalling === true;
+
+/**
+ * 使用するエージェント戦略を決める
+ * 優先順位: 明示的な指定（CLI・環境変数） > モデル定義の agentStrategy > モデルの性能情報（capabilities.toolCalling）
+ * ネイティブのツール呼び出しは、呼び出す可能性のあるすべてのモデル（ルーティング先・フォールバック先）が対応している場合のみ使用する
+ * @param {string} modelName - 選択中のモデル名
+ * @param {Array<string>} modelNames - エージェントが呼び出す可能性のあるモデル名
+ * @param {string} requested - 指定されたエージェント戦略（AGENT_STRATEGIES の値）
+ * @returns {Object} { strategy: 'react' または 'tool-calling', reason: 選択の理由 }
+ */
+export const resolveAgentStrategy = (modelName, modelNames, requested = AGENT_STRATEGIES.AUTO) => {
+  if (requested === AGENT_STRATEGIES.REACT) {
+    return { strategy: AGENT_STRATEGIES.REACT, reason: 'ReActが指定されています' };
+  }
+
+  const preferred = config.models.availableModels[modelName]?.agentStrategy;
+  if (requested === AGENT_STRATEGIES.AUTO && preferred === AGENT_STRATEGIES.REACT) {
+    return { strategy: AGENT_STRATEGIES.REACT, reason: `モデル "${modelName}" の設定でReActが指定されています` };
+  }
+
+  const unsupported = modelNames.filter(name => !supportsToolCalling(name));
+  if (unsupported.length > 0) {
+    return {
+      strategy: AGENT_STRATEGIES.REACT,
+      reason: `ネイティブのツール呼び出しに対応していないモデルがあるためReActを使用します: ${unsupported.join(', ')}`
+    };
+  }
+
+  return {
+    strategy: AGENT_STRATEGIES.TOOL_CALLING,
+    reason: requested === AGENT_STRATEGIES.TOOL_CALLING
+      ? 'ネイティブのツール呼び出しが指定されています'
+      : 'すべてのモデルがネイティブのツール呼び出しに対応しています'
+  };
+};
+
+/**
+ * ツールをネイティブのツール呼び出し用に変換する
+ * 文字列の入力も受け付けるユニオン型のスキーマは、関数呼び出しのパラメータとして扱えるオブジェクトの形式だけを公開する
+ * @param {Array} tools - ツールの配列
+ * @returns {Array} ネイティブのツール呼び出しで使用するツールの配列
+ */
+export const toNativeTools = (tools) => tools.map((tool) => {
+  if (!(tool.schema instanceof z.ZodUnion)) {
+    return tool;
+  }
+  const objectSchema = tool.schema.options.find(option => option instanceof z.ZodObject);
+  if (!objectSchema) {
+    return tool;
+  }
+  return new DynamicStructuredTool({
+    name: tool.name,
+    description: tool.description,
+    schema: objectSchema,
+    func: async (args) => tool.invoke(args)
+  });
+});
+
+/**
+ * ツール呼び出しのアクションから、モデルがツールと一緒に出力したテキスト（思考）を取得する
+ * セッションファイルから読み込んだアクションでは、メッセージがJSONに変換された形式（kwargs.content）になる
+ * @param {Object} action - エージェントのアクション
+ * @returns {string} 思考のテキスト
+ */
+export const getToolCallThought = (action) => {
+  const message = action.messageLog?.[0];
+  const content = message?.content ?? message?.kwargs?.content;
+  if (typeof content === 'string') return content.trim();
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('').trim();
+  }
+  return '';
+};
+
+/**
+ * ネイティブのツール呼び出しを使用するエージェントを作成する
+ * @param {Object} params - パラメータ
+ * @param {Object} params.llm - ツールの結び付けに対応したチャットモデル
+ * @param {Array} params.tools - toNativeTools で変換したツールの配列
+ * @param {string} params.systemPrompt - システムプロンプト
+ * @returns {Object} エージェント（入力: { input, steps }）
+ */
+export const createNativeToolAgent = ({ llm, tools, systemPrompt }) => {
+  const prompt = ChatPromptTemplate.fromMessages([
+    ["system", systemPrompt],
+    ["human", "{input}"],
+    ["placeholder", "{agent_scratchpad}"]
+  ]);
+
+  return createToolCallingAgent({ llm, tools, prompt });
+};
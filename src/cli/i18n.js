@@ -0,0 +1,104 @@
+/**
+ * CLIのメッセージカタログ
+ * ロケールごとのカタログ（src/cli/locales/*.json）からCLIに表示する文字列を取得する
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import config from '../config/index.js';
+
+// カタログの配置先
+const LOCALE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'locales');
+
+// 対応しているロケール
+export const SUPPORTED_LOCALES = ['ja', 'en'];
+
+// キーが見つからない場合に使用するロケール
+const FALLBACK_LOCALE = 'ja';
+
+// 読み込んだカタログ（ロケール → カタログ）
+const catalogs = new Map();
+
+// 現在のロケール
+let currentLocale = FALLBACK_LOCALE;
+
+/**
+ * ロケールのカタログを読み込む
+ * @param {string} locale - ロケール
+ * @returns {Object} カタログ
+ */
+const loadCatalog = (locale) => {
+  if (!catalogs.has(locale)) {
+    catalogs.set(locale, fs.readJsonSync(path.join(LOCALE_DIR, `${locale}.json`)));
+  }
+  return catalogs.get(locale);
+};
+
+/**
+ * "a.b.c" 形式のキーでカタログの文字列を取得する
+ * @param {Object} catalog - カタログ
+ * @param {string} key - キー
+ * @returns {string|undefined} 文字列
+ */
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+/**
+ * ロケールの指定が有効か確認する
+ * @param {string} locale - ロケール
+ * @returns {string} ロケール
+ * @throws {Error} 対応していないロケールが指定された場合
+ */
+export const validateLocale = (locale) => {
+  if (!SUPPORTED_LOCALES.includes(locale)) {
+    throw new Error(`Unsupported locale: ${locale} (${SUPPORTED_LOCALES.join(' / ')})`);
+  }
+  return locale;
+};
+
+/**
+ * 現在のロケールを設定する
+ * @param {string} locale - ロケール
+ */
+export const setLocale = (locale) => {
+  currentLocale = validateLocale(locale);
+};
+
+/**
+ * 現在のロケールを取得する
+ * @returns {string} ロケール
+ */
+export const getLocale = () => currentLocale;
+
+/**
+ * 起動時のロケールを決める（コマンドラインの --locale > 環境変数 CLI_LOCALE > 既定値）
+ * コマンドの説明文を表示する前に決める必要があるため、引数を直接参照する
+ * @param {Array<string>} argv - コマンドライン引数
+ * @returns {string} ロケール
+ */
+export const detectLocale = (argv) => {
+  const index = argv.findIndex(arg => arg === '--locale' || arg.startsWith('--locale='));
+  if (index >= 0) {
+    return argv[index].includes('=') ? argv[index].split('=')[1] : argv[index + 1];
+  }
+  return config.i18n.locale;
+};
+
+/**
+ * 指定したロケールの文字列を取得する
+ * @param {string} locale - ロケール
+ * @param {string} key - キー（例: "status.title"）
+ * @param {Object} params - 埋め込む値（"{name}" を置き換える）
+ * @returns {string} 文字列（キーが見つからない場合はキー）
+ */
+export const translate = (locale, key, params = {}) => {
+  const text = lookup(loadCatalog(locale), key) ?? lookup(loadCatalog(FALLBACK_LOCALE), key) ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+/**
+ * 現在のロケールの文字列を取得する
+ * @param {string} key - キー（例: "status.title"）
+ * @param {Object} params - 埋め込む値（"{name}" を置き換える）
+ * @returns {string} 文字列
+ */
+export const t = (key, params) => translate(currentLocale, key, params);
@@ -10,14 +10,28 @@ import chalk from 'chalk';
 import config from '../config/index.js';
 import agentController from '../controllers/agent-controller.js';
 import Logger from '../utils/logger.js';
-import { getFormattedDateTime } from '../utils/formatter.js';
+import { runDiagnostics, CHECK_STATUS } from '../utils/doctor.js';
+import { t, setLocale, detectLocale } from './i18n.js';
+import { APPROVAL_POLICIES, APPROVAL_DECISIONS } from '../tools/tool-approval.js';
+import { CANCEL_REASONS } from '../agents/cancellation.js';
+import { EARLY_STOPPING_METHODS } from '../agents/early-stopping.js';
+import { buildTimeline } from '../agents/step-trace.js';
+import { getFormattedDateTime, formatCost, formatDuration, truncateText } from '../utils/formatter.js';
+
+// 表示言語の設定（コマンドの説明文を定義する前に決める）
+try {
+  setLocale(detectLocale(process.argv));
+} catch (error) {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+}
 
 // バナーの表示
 const showBanner = () => {
   console.log(chalk.cyan('------------------------------------------------'));
   console.log(chalk.cyan(`
-  ReAct エージェント v${config.app.version}
-  LangChain v0.3を使用した要件分析・外部設計ツール
+  ${t('banner.title', { version: config.app.version })}
+  ${t('banner.subtitle')}
   `));
   console.log(chalk.cyan('------------------------------------------------'));
 };
@@ -27,20 +41,28 @@ const listModels = async () => {
   const models = agentController.getAvailableModels();
   const currentModel = agentController.getCurrentModelInfo();
   
-  console.log(chalk.cyan('\n利用可能なモデル:'));
+  console.log(chalk.cyan(`\n${t('models.title')}`));
   
   for (const modelName of models) {
     const isCurrent = modelName === currentModel.name;
     const modelInfo = config.models.availableModels[modelName];
     const providerName = config.models.modelProviders[modelInfo.provider];
+    // エンドポイントを指定したモデルは接続先も表示
+    const endpoint = modelInfo.options.baseURL ? ` <${modelInfo.options.baseURL}>` : '';
+    const displayName = modelInfo.displayName ? ` ${modelInfo.displayName}` : '';
     
     if (isCurrent) {
-      console.log(chalk.green(`* ${modelName} (${providerName}) [現在選択中]`));
+      console.log(chalk.green(`* ${modelName}${displayName} (${providerName})${endpoint} ${t('models.current')}`));
     } else {
-      console.log(`  ${modelName} (${providerName})`);
+      console.log(`  ${modelName}${displayName} (${providerName})${endpoint}`);
     }
   }
   
+  // 読み込んだモデルカタログファイル
+  for (const file of config.models.catalogFiles) {
+    console.log(chalk.gray(`  ${t('models.catalog', { file })}`));
+  }
+  
   console.log('');
 };
 
@@ -51,12 +73,12 @@ const changeModel = async () => {
   const response = await prompts({
     type: 'select',
     name: 'selectedModel',
-    message: '使用するモデルを選択してください:',
+    message: t('models.selectPrompt'),
     choices: models.map(model => ({ title: model, value: model })),
     initial: 0
   }, {
     onCancel: () => {
-      console.log(chalk.yellow('モデル選択をキャンセルしました'));
+      console.log(chalk.yellow(t('models.selectCancelled')));
       return { selectedModel: null };
     }
   });
@@ -65,9 +87,151 @@ const changeModel = async () => {
   
   try {
     await agentController.changeModel(response.selectedModel);
-    console.log(chalk.green(`モデルを ${response.selectedModel} に変更しました`));
+    console.log(chalk.green(t('models.changed', { model: response.selectedModel })));
   } catch (error) {
-    console.error(chalk.red(`モデルの変更に失敗しました: ${error.message}`));
+    console.error(chalk.red(t('models.changeFailed', { message: error.message })));
+  }
+};
+
+// 環境診断の結果表示
+const showDiagnostics = (results) => {
+  const labels = {
+    [CHECK_STATUS.PASS]: chalk.green('PASS'),
+    [CHECK_STATUS.WARN]: chalk.yellow('WARN'),
+    [CHECK_STATUS.FAIL]: chalk.red('FAIL'),
+    [CHECK_STATUS.SKIP]: chalk.gray('SKIP')
+  };
+  const nameWidth = Math.max(...results.map(r => r.name.length));
+  
+  let category = null;
+  for (const r of results) {
+    if (r.category !== category) {
+      category = r.category;
+      console.log(chalk.cyan(`\n[${t(`doctor.categories.${category}`)}]`));
+    }
+    console.log(`  ${labels[r.status]}  ${r.name.padEnd(nameWidth)}  ${chalk.gray(t(`doctor.details.${r.detail.key}`, r.detail.params))}`);
+  }
+  
+  const count = (status) => results.filter(r => r.status === status).length;
+  console.log(`\n${t('doctor.summary', {
+    pass: count(CHECK_STATUS.PASS),
+    warn: count(CHECK_STATUS.WARN),
+    fail: count(CHECK_STATUS.FAIL),
+    skip: count(CHECK_STATUS.SKIP)
+  })}\n`);
+};
+
+// 生成パラメータの表示
+const showParameters = () => {
+  const params = agentController.getModelParameters();
+  const mark = (name) => (params.overridden.includes(name) ? chalk.yellow(t('params.changedMark')) : '');
+  const formatValue = (value) => (value === undefined ? chalk.gray(t('params.providerDefault')) : value);
+  
+  console.log(chalk.cyan(`\n${t('params.title', { model: agentController.getCurrentModelInfo().displayName })}`));
+  console.log(`  temperature: ${formatValue(params.temperature)}${mark('temperature')}`);
+  console.log(`  maxTokens: ${formatValue(params.maxTokens)}${mark('maxTokens')}`);
+  console.log(`  topP: ${formatValue(params.topP)}${mark('topP')}`);
+  console.log(`  stop: ${params.stop.length > 0 ? JSON.stringify(params.stop) : chalk.gray(t('params.none'))}${mark('stop')}`);
+  console.log('');
+};
+
+// コマンドラインオプションから生成パラメータを取得（指定されていない項目は含めない）
+const parametersFromOptions = (options) => {
+  const params = {};
+  if (options.temperature !== undefined) params.temperature = options.temperature;
+  if (options.maxTokens !== undefined) params.maxTokens = options.maxTokens;
+  if (options.topP !== undefined) params.topP = options.topP;
+  if (options.stop !== undefined) params.stop = options.stop;
+  return Object.keys(params).length > 0 ? params : null;
+};
+
+// コマンドラインオプションから役割別ルーティングのポリシーを取得（指定されていない場合はnull）
+const routingFromOptions = (options) => {
+  const routing = {
+    planning: options.planningModel,
+    toolArgument: options.toolModel,
+    finalAnswer: options.finalModel
+  };
+  return Object.values(routing).some(Boolean) ? routing : null;
+};
+
+// 生成パラメータの調整
+const adjustParameters = async () => {
+  const current = agentController.getModelParameters();
+  let cancelled = false;
+  
+  const response = await prompts([
+    {
+      type: 'select',
+      name: 'mode',
+      message: t('params.modePrompt'),
+      choices: [
+        { title: t('params.modeEdit'), value: 'edit' },
+        { title: t('params.modeReset'), value: 'reset' }
+      ],
+      initial: 0
+    },
+    {
+      type: prev => (prev === 'edit' ? 'number' : null),
+      name: 'temperature',
+      message: t('params.temperaturePrompt'),
+      initial: current.temperature ?? 0.7,
+      float: true,
+      round: 2,
+      min: 0,
+      max: 2
+    },
+    {
+      type: (prev, values) => (values.mode === 'edit' ? 'number' : null),
+      name: 'maxTokens',
+      message: t('params.maxTokensPrompt'),
+      initial: current.maxTokens ?? 4096,
+      min: 1
+    },
+    {
+      type: (prev, values) => (values.mode === 'edit' ? 'number' : null),
+      name: 'topP',
+      message: t('params.topPPrompt'),
+      initial: current.topP ?? 1,
+      float: true,
+      round: 2,
+      min: 0.01,
+      max: 1
+    },
+    {
+      type: (prev, values) => (values.mode === 'edit' ? 'list' : null),
+      name: 'stop',
+      message: t('params.stopPrompt'),
+      initial: current.stop.join(',')
+    }
+  ], {
+    onCancel: () => {
+      cancelled = true;
+      return false;
+    }
+  });
+  
+  if (cancelled || !response.mode) {
+    console.log(chalk.yellow(t('params.cancelled')));
+    return;
+  }
+  
+  try {
+    if (response.mode === 'reset') {
+      await agentController.setModelParameters(null);
+      console.log(chalk.green(t('params.reset')));
+    } else {
+      await agentController.setModelParameters({
+        temperature: response.temperature,
+        maxTokens: response.maxTokens,
+        topP: response.topP,
+        stop: response.stop.filter(Boolean)
+      });
+      console.log(chalk.green(t('params.changed')));
+    }
+    showParameters();
+  } catch (error) {
+    console.error(chalk.red(t('params.changeFailed', { message: error.message })));
   }
 };
 
@@ -76,31 +240,495 @@ const showStatus = async () => {
   const status = agentController.getStatus();
   const currentModel = agentController.getCurrentModelInfo();
   
-  console.log(chalk.cyan('\nエージェントの状態:'));
-  console.log(`初期化済み: ${status.initialized ? '✓' : '✗'}`);
-  console.log(`現在のモデル: ${currentModel.displayName}`);
-  console.log(`アクティブセッション: ${status.hasActiveSession ? '✓' : '✗'}`);
-  console.log(`セッション数: ${status.sessionCount}`);
+  console.log(chalk.cyan(`\n${t('status.title')}`));
+  console.log(t('status.initialized', { value: status.initialized ? '✓' : '✗' }));
+  console.log(t('status.currentModel', { model: currentModel.displayName }));
+  if (currentModel.options?.baseURL) {
+    console.log(t('status.endpoint', { url: currentModel.options.baseURL }));
+  }
+  if (currentModel.fallbacks?.length > 0) {
+    console.log(t('status.fallbacks', { chain: currentModel.fallbacks.join(' → ') }));
+  }
+  // 役割ごとに異なるモデルを使用している場合はルーティングを表示
+  const routing = status.agentStatus.routing;
+  if (new Set(Object.values(routing)).size > 1) {
+    console.log(t('status.routing', routing));
+  }
+  if (status.agentStatus.activeStrategy) {
+    console.log(t('status.strategy', { active: status.agentStatus.activeStrategy, requested: status.agentStatus.strategy }));
+  }
+  console.log(t('status.outputLanguage', { language: status.agentStatus.outputLanguage }));
+  console.log(t('status.mode', { mode: status.agentStatus.mode }));
+  const reflection = status.agentStatus.reflection;
+  console.log(t('status.reflection', {
+    value: reflection.enabled ? t('status.reflectionEnabled', reflection) : t('status.reflectionDisabled')
+  }));
+  console.log(t('status.memory', { ...status.agentStatus.memory, count: status.conversationTurns }));
+  console.log(t('status.iterations', { count: status.agentStatus.maxIterations, method: status.agentStatus.earlyStopping }));
+  console.log(t('status.timeout', {
+    value: status.runTimeoutSeconds > 0 ? formatDuration(status.runTimeoutSeconds * 1000) : t('status.timeoutNone')
+  }));
+  const approval = status.agentStatus.approval;
+  const autoTools = Object.keys(approval.policies).filter(tool => approval.policies[tool] === APPROVAL_POLICIES.AUTO);
+  console.log(t('status.approval', {
+    value: approval.enabled
+      ? t('status.approvalEnabled', { tools: autoTools.join(', ') || t('status.approvalNoAutoTools') })
+      : t('status.approvalDisabled')
+  }));
+  if (currentModel.parameters?.overridden.length > 0) {
+    const changed = currentModel.parameters.overridden
+      .map(name => `${name}=${JSON.stringify(currentModel.parameters[name])}`)
+      .join(', ');
+    console.log(t('status.changedParameters', { parameters: changed }));
+  }
+  if (status.cassette.mode) {
+    console.log(t('status.cassette', {
+      mode: t(status.cassette.mode === 'record' ? 'status.cassetteRecord' : 'status.cassetteReplay'),
+      file: status.cassette.file,
+      count: status.cassette.interactionCount
+    }));
+  }
+  console.log(t('status.activeSession', { value: status.hasActiveSession ? '✓' : '✗' }));
+  console.log(t('status.sessionCount', { count: status.sessionCount }));
+  
+  // セッションのトークン使用量と推定コスト
+  const usage = status.sessionUsage;
+  console.log(t('status.usage', {
+    input: usage.inputTokens.toLocaleString(),
+    output: usage.outputTokens.toLocaleString(),
+    total: usage.totalTokens.toLocaleString(),
+    calls: usage.calls
+  }));
+  console.log(t('status.cost', { cost: formatCost(usage.cost) }));
+  for (const [modelName, modelUsage] of Object.entries(usage.byModel)) {
+    console.log(t('status.modelUsage', {
+      model: modelName,
+      tokens: (modelUsage.inputTokens + modelUsage.outputTokens).toLocaleString(),
+      cost: formatCost(modelUsage.cost)
+    }));
+  }
+  
+  // 閉じていないサーキットブレーカーを表示
+  for (const breaker of status.circuitBreakers.filter(b => b.state !== 'closed')) {
+    console.log(chalk.yellow(t('status.circuitBreaker', breaker)));
+  }
   console.log('');
 };
 
+// エージェントのストリーミングイベントを表示する関数を作成
+const createStreamRenderer = () => {
+  // 直前のイベント以降にトークンを表示したか（思考の二重表示を防ぐ）
+  let hasPendingTokens = false;
+  
+  return (event) => {
+    switch (event.type) {
+      case 'token':
+        process.stdout.write(chalk.gray(event.token));
+        hasPendingTokens = true;
+        break;
+      
+      case 'thought':
+        if (hasPendingTokens) {
+          process.stdout.write('\n');
+        } else if (event.thought) {
+          console.log(chalk.gray(`Thought: ${event.thought}`));
+        }
+        hasPendingTokens = false;
+        break;
+      
+      case 'tool_start':
+        console.log(chalk.blue(t('stream.toolStart', { tool: event.tool })));
+        break;
+      
+      case 'tool_end':
+        console.log(chalk.blue(t('stream.toolEnd', { output: truncateText(String(event.output).replace(/\s+/g, ' '), 200) })));
+        break;
+      
+      case 'tool_error':
+        console.log(chalk.red(t('stream.toolError', { error: event.error })));
+        break;
+      
+      case 'plan':
+        console.log(chalk.cyan(`\n${t(event.plan.source === 'default' ? 'plan.defaultTitle' : 'plan.title')}`));
+        for (const step of event.plan.steps) {
+          console.log(chalk.cyan(`  ${step.index}. ${step.title}: ${step.instruction}`));
+        }
+        break;
+      
+      case 'plan_step':
+        console.log(formatPlanStep(event.step));
+        break;
+      
+      case 'reflection':
+        console.log((event.passed ? chalk.green : chalk.yellow)(t('reflection.round', event)));
+        break;
+    }
+  };
+};
+
+// 計画のステップの状態を表示用に整形
+const PLAN_STEP_COLORS = {
+  pending: chalk.gray,
+  running: chalk.cyan,
+  completed: chalk.green,
+  incomplete: chalk.yellow,
+  failed: chalk.red
+};
+const formatPlanStep = (step) => {
+  const color = PLAN_STEP_COLORS[step.status] || chalk.white;
+  const detail = step.status === 'failed' ? ` - ${step.error}` : '';
+  return color(`[${t(`plan.status.${step.status}`)}] ${step.index}. ${step.title}${detail}`);
+};
+
+// 計画の実行結果の表示
+const showPlanResult = (plan) => {
+  if (!plan) return;
+  console.log(chalk.cyan(t('plan.resultTitle')));
+  for (const step of plan.steps) {
+    console.log(formatPlanStep(step));
+  }
+};
+
+// セルフレビューの結果の表示
+const showReflectionResult = (reflection) => {
+  if (!reflection) return;
+  if (reflection.error) {
+    console.log(chalk.yellow(t('reflection.failed', { message: reflection.error })));
+  }
+  if (reflection.rounds.length === 0) {
+    if (!reflection.error) {
+      console.log(chalk.gray(t('reflection.skipped')));
+    }
+    return;
+  }
+  const scores = reflection.rounds.map(round => round.score).join(' → ');
+  console.log((reflection.passed ? chalk.green : chalk.yellow)(t(reflection.passed ? 'reflection.passed' : 'reflection.notPassed', {
+    scores,
+    threshold: reflection.threshold
+  })));
+  for (const item of reflection.rounds.at(-1).items.filter(item => !item.passed)) {
+    console.log(chalk.yellow(`  - ${item.description}${item.comment ? `: ${item.comment}` : ''}`));
+  }
+};
+
+// 反復回数の上限に達した実行の表示（まとめた最終回答は通常の出力として表示済み）
+const showStoppedEarly = (stoppedEarly) => {
+  if (!stoppedEarly) return;
+  const generated = stoppedEarly.method === EARLY_STOPPING_METHODS.GENERATE;
+  console.log(chalk.yellow(t(generated ? 'stoppedEarly.generated' : 'stoppedEarly.forced', { count: stoppedEarly.maxIterations })));
+  if (stoppedEarly.drafts.length > 0) {
+    console.log(chalk.green(t('stoppedEarly.drafts')));
+    stoppedEarly.drafts.forEach(file => console.log(chalk.green(`  - ${file}`)));
+  }
+  if (stoppedEarly.removedFiles.length > 0) {
+    console.log(chalk.gray(t('stoppedEarly.removedFiles')));
+    stoppedEarly.removedFiles.forEach(file => console.log(chalk.gray(`  - ${file}`)));
+  }
+};
+
+// ツール呼び出しの確認で表示する内容のプレビューの行数
+const APPROVAL_PREVIEW_LINES = 15;
+
+// 引数の値を1行で表示する文字列に変換
+const formatArgumentValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value)).replace(/\s+/g, ' ');
+
+// ツール名・引数・内容のプレビューの表示
+const showToolCall = (tool, args) => {
+  console.log(chalk.magenta(`\n${t('approval.title', { tool })}`));
+  console.log(chalk.magenta(t('approval.arguments')));
+  for (const [key, value] of Object.entries(args)) {
+    console.log(`  ${key}: ${truncateText(formatArgumentValue(value), 100)}`);
+  }
+  
+  // content、なければ最も長い複数行の文字列の引数をプレビューする
+  const field = typeof args.content === 'string'
+    ? 'content'
+    : Object.keys(args)
+      .filter(key => typeof args[key] === 'string' && args[key].includes('\n'))
+      .sort((a, b) => args[b].length - args[a].length)[0];
+  if (!field) return;
+  
+  const lines = args[field].split('\n');
+  console.log(chalk.magenta(t('approval.preview', { field, lines: Math.min(lines.length, APPROVAL_PREVIEW_LINES) })));
+  console.log(chalk.gray(lines.slice(0, APPROVAL_PREVIEW_LINES).map(line => `  | ${line}`).join('\n')));
+  if (lines.length > APPROVAL_PREVIEW_LINES) {
+    console.log(chalk.gray(t('approval.previewMore', { count: lines.length - APPROVAL_PREVIEW_LINES })));
+  }
+};
+
+// ツールの引数の編集（項目ごとに値を入力する、キャンセルした場合はnull）
+const editToolArguments = async (args, validate) => {
+  const edited = { ...args };
+  
+  for (;;) {
+    const { field } = await prompts({
+      type: 'select',
+      name: 'field',
+      message: t('approval.editField'),
+      choices: [
+        ...Object.keys(edited).map(key => ({ title: `${key}: ${truncateText(formatArgumentValue(edited[key]), 60)}`, value: key })),
+        { title: t('approval.addField'), value: '__add__' },
+        { title: t('approval.editDone'), value: '__done__' }
+      ]
+    });
+    
+    if (field === undefined) return null;
+    
+    if (field === '__done__') {
+      const error = validate(edited);
+      if (!error) return edited;
+      console.log(chalk.red(t('approval.invalidArguments', { message: error })));
+      continue;
+    }
+    
+    let key = field;
+    if (field === '__add__') {
+      ({ key } = await prompts({ type: 'text', name: 'key', message: t('approval.fieldName') }));
+      if (!key?.trim()) continue;
+      key = key.trim();
+    }
+    
+    // 文字列は改行を \n で入力し、それ以外の値はJSONで入力する（追加する項目はJSONとして読めなければ文字列として扱う）
+    const current = edited[key];
+    const { value } = await prompts({
+      type: 'text',
+      name: 'value',
+      message: t('approval.fieldValue', { field: key }),
+      initial: current === undefined ? '' : typeof current === 'string' ? current.replace(/\n/g, '\\n') : JSON.stringify(current)
+    });
+    if (value === undefined) continue;
+    
+    if (typeof current === 'string') {
+      edited[key] = value.replace(/\\n/g, '\n');
+    } else {
+      try {
+        edited[key] = JSON.parse(value);
+      } catch (error) {
+        if (current !== undefined) {
+          console.log(chalk.red(t('approval.invalidValue', { message: error.message })));
+          continue;
+        }
+        edited[key] = value.replace(/\\n/g, '\n');
+      }
+    }
+  }
+};
+
+// ツール呼び出しの確認（承認・承認して以後確認しない・引数の編集・却下を選ぶ）
+const confirmToolCall = async ({ tool, args, validate }) => {
+  let current = args;
+  let edited = false;
+  showToolCall(tool, current);
+  
+  for (;;) {
+    const { action } = await prompts({
+      type: 'select',
+      name: 'action',
+      message: t('approval.prompt'),
+      choices: [
+        { title: t('approval.approve'), value: 'approve' },
+        { title: t('approval.approveAlways', { tool }), value: 'always' },
+        { title: t('approval.edit'), value: 'edit' },
+        { title: t('approval.reject'), value: 'reject' }
+      ]
+    });
+    
+    switch (action) {
+      case 'approve':
+      case 'always':
+        return {
+          decision: edited ? APPROVAL_DECISIONS.EDIT : APPROVAL_DECISIONS.APPROVE,
+          args: current,
+          remember: action === 'always'
+        };
+      
+      case 'edit': {
+        const result = await editToolArguments(current, validate);
+        if (result) {
+          current = result;
+          edited = true;
+          showToolCall(tool, current);
+        }
+        break;
+      }
+      
+      case 'reject': {
+        const { feedback } = await prompts({
+          type: 'text',
+          name: 'feedback',
+          message: t('approval.feedbackPrompt')
+        });
+        return { decision: APPROVAL_DECISIONS.REJECT, feedback: (feedback || '').replace(/\\n/g, '\n') };
+      }
+      
+      default:
+        console.log(chalk.yellow(t('approval.cancelled')));
+        return { decision: APPROVAL_DECISIONS.REJECT, feedback: '' };
+    }
+  }
+};
+
+// 実行中の Ctrl+C で実行を中断する（中断中にもう一度押すと強制終了する）
+const runWithInterrupt = async (run) => {
+  const abortController = new AbortController();
+  const onInterrupt = () => {
+    if (abortController.signal.aborted) {
+      process.exit(130);
+    }
+    console.log(chalk.yellow(`\n${t('cancel.interrupting')}`));
+    abortController.abort();
+  };
+  
+  process.on('SIGINT', onInterrupt);
+  try {
+    return await run(abortController.signal);
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+};
+
+// 中断された実行の途中までの結果の表示
+const showCancelledRun = (error) => {
+  console.log(chalk.yellow(`\n${t(error.reason === CANCEL_REASONS.TIMEOUT ? 'cancel.timeout' : 'cancel.user')}`));
+  console.log(chalk.yellow(t('cancel.steps', { count: error.intermediateSteps.length })));
+  error.intermediateSteps.forEach((step, index) => {
+    console.log(chalk.gray(`  ${index + 1}. ${step.action.tool}: ${truncateText(String(step.observation).replace(/\s+/g, ' '), 100)}`));
+  });
+  if (error.files?.length > 0) {
+    console.log(chalk.green(t('cancel.files')));
+    error.files.forEach(file => console.log(chalk.green(`  - ${file}`)));
+  }
+  if (error.removedFiles?.length > 0) {
+    console.log(chalk.gray(t('cancel.removedFiles')));
+    error.removedFiles.forEach(file => console.log(chalk.gray(`  - ${file}`)));
+  }
+};
+
+// 実行後に中間ステップのトレースを表示するか（--trace）
+let traceAfterRun = false;
+
+// トレースで表示する思考・入力・結果の行数（--full を指定しない場合）
+const TRACE_PREVIEW_LINES = 10;
+
+// トレースの項目の表示（複数行のテキストは行数を超える部分を省略する）
+const showTraceText = (label, text, full) => {
+  const lines = String(text).split('\n');
+  const shown = full ? lines : lines.slice(0, TRACE_PREVIEW_LINES);
+  console.log(chalk.cyan(`  ${label}`));
+  console.log(chalk.gray(shown.map(line => `    | ${line}`).join('\n')));
+  if (shown.length < lines.length) {
+    console.log(chalk.gray(t('trace.more', { count: lines.length - shown.length })));
+  }
+};
+
+// 中間ステップの番号付きタイムラインの表示（思考・ツール・入力・解析後のJSON・結果・実行時間）
+const showTrace = (steps, { full = false } = {}) => {
+  const timeline = buildTimeline(steps);
+  if (timeline.length === 0) {
+    console.log(chalk.gray(t('trace.noSteps')));
+    return;
+  }
+  
+  for (const entry of timeline) {
+    const time = entry.startedAt ? ` ${entry.startedAt.toLocaleTimeString()}` : '';
+    const duration = entry.durationMs !== null ? formatDuration(entry.durationMs) : t('trace.durationUnknown');
+    const round = entry.reflectionRound ? ` ${t('trace.reflectionRound', { round: entry.reflectionRound })}` : '';
+    console.log(chalk.magenta(`\n#${entry.number}${time} ${entry.tool} (${duration})${round}`));
+    if (entry.thought) {
+      showTraceText(t('trace.thought'), entry.thought, full);
+    }
+    showTraceText(t('trace.rawInput'), typeof entry.rawInput === 'string' ? entry.rawInput : JSON.stringify(entry.rawInput, null, 2), full);
+    if (entry.parsedInput) {
+      showTraceText(t('trace.parsedInput'), JSON.stringify(entry.parsedInput, null, 2), full);
+    } else {
+      console.log(chalk.gray(`  ${t(typeof entry.rawInput === 'string' ? 'trace.parsedUnknown' : 'trace.parsedNative')}`));
+    }
+    showTraceText(t('trace.observation'), entry.observation, full);
+  }
+};
+
+// セッションの実行ごとのトレースの表示（番号を指定しない場合はすべての実行）
+const showTraceRuns = (runs, { run, full = false } = {}) => {
+  if (runs.length === 0) {
+    console.log(chalk.yellow(t('trace.noRuns')));
+    return;
+  }
+  if (run !== undefined && !(Number.isInteger(run) && run >= 1 && run <= runs.length)) {
+    throw new Error(t('trace.invalidRun', { total: runs.length }));
+  }
+  
+  const numbers = run !== undefined ? [run] : runs.map((_, index) => index + 1);
+  for (const number of numbers) {
+    const { input, role, steps } = runs[number - 1];
+    const cancelled = role === 'cancelled' ? ` ${t('trace.cancelled')}` : '';
+    console.log(chalk.cyan(`\n${t('trace.runTitle', {
+      number,
+      total: runs.length,
+      input: truncateText(input.replace(/\s+/g, ' '), 60),
+      steps: steps.length
+    })}${cancelled}`));
+    showTrace(steps, { full });
+  }
+};
+
+// 実行の直後のトレースの表示（--trace を指定した場合）
+const showTraceAfterRun = (steps) => {
+  if (!traceAfterRun) return;
+  console.log(chalk.cyan(`\n${t('trace.title', { count: steps.length })}`));
+  showTrace(steps);
+};
+
+// セッション保存の確認
+const confirmSaveSession = async () => {
+  const saveResponse = await prompts({
+    type: 'confirm',
+    name: 'saveToFile',
+    message: t('analysis.savePrompt'),
+    initial: true
+  }, {
+    onCancel: () => {
+      console.log(chalk.yellow(t('analysis.saveCancelled')));
+      return { saveToFile: false };
+    }
+  });
+  
+  if (saveResponse.saveToFile) {
+    try {
+      const filePath = await agentController.saveSession();
+      console.log(chalk.green(t('common.sessionSaved', { path: filePath })));
+    } catch (error) {
+      console.error(chalk.red(t('common.sessionSaveFailed', { message: error.message })));
+    }
+  }
+};
+
 // インタラクティブモード
-const interactiveMode = async () => {
+const interactiveMode = async (parameters = null, routing = null, strategy = null) => {
   showBanner();
   
   // エージェントの初期化
   try {
-    console.log(chalk.yellow('エージェントを初期化しています...'));
+    console.log(chalk.yellow(t('interactive.initializing')));
     await agentController.initialize();
-    console.log(chalk.green('エージェントの初期化が完了しました'));
+    // コマンドラインで指定された生成パラメータを適用
+    if (parameters) {
+      await agentController.setModelParameters(parameters);
+    }
+    if (routing) {
+      await agentController.setRoutingPolicy(routing);
+    }
+    if (strategy) {
+      await agentController.setAgentStrategy(strategy);
+    }
+    console.log(chalk.green(t('interactive.initialized')));
   } catch (error) {
-    console.error(chalk.red(`エージェントの初期化に失敗しました: ${error.message}`));
+    console.error(chalk.red(t('interactive.initFailed', { message: error.message })));
     return;
   }
   
   // 現在のモデル情報を表示
   const currentModel = agentController.getCurrentModelInfo();
-  console.log(chalk.green(`現在のモデル: ${currentModel.displayName}`));
+  console.log(chalk.green(t('interactive.currentModel', { model: currentModel.displayName })));
   
   let running = true;
   
@@ -108,18 +736,27 @@ const interactiveMode = async () => {
     const response = await prompts({
       type: 'select',
       name: 'action',
-      message: '操作を選択してください:',
+      message: t('interactive.actionPrompt'),
       choices: [
-        { title: '要件分析・外部設計を行う', value: 'analyze' },
-        { title: 'モデルを変更する', value: 'change_model' },
-        { title: 'ステータスを表示する', value: 'status' },
-        { title: 'モデル一覧を表示する', value: 'list_models' },
-        { title: '終了する', value: 'exit' }
+        { title: t('interactive.actionAnalyze'), value: 'analyze' },
+        // 前の回答がある場合は、その内容を踏まえた追加の依頼を受け付ける
+        ...(agentController.getStatus().conversationTurns > 0
+          ? [{ title: t('interactive.actionFollowUp'), value: 'follow_up' }]
+          : []),
+        // 中間ステップを持つ実行がある場合は、直前の実行のトレースを表示できる
+        ...(agentController.getTraceRuns().length > 0
+          ? [{ title: t('interactive.actionTrace'), value: 'trace' }]
+          : []),
+        { title: t('interactive.actionChangeModel'), value: 'change_model' },
+        { title: t('interactive.actionAdjustParameters'), value: 'adjust_parameters' },
+        { title: t('interactive.actionStatus'), value: 'status' },
+        { title: t('interactive.actionListModels'), value: 'list_models' },
+        { title: t('interactive.actionExit'), value: 'exit' }
       ],
       initial: 0
     }, {
       onCancel: () => {
-        console.log(chalk.yellow('操作をキャンセルしました'));
+        console.log(chalk.yellow(t('interactive.actionCancelled')));
         return { action: null };
       }
     });
@@ -131,10 +768,24 @@ const interactiveMode = async () => {
         await runAnalysis();
         break;
       
+      case 'follow_up':
+        await runFollowUp();
+        break;
+      
+      case 'trace': {
+        const runs = agentController.getTraceRuns();
+        showTraceRuns(runs, { run: runs.length });
+        break;
+      }
+      
       case 'change_model':
         await changeModel();
         break;
       
+      case 'adjust_parameters':
+        await adjustParameters();
+        break;
+      
       case 'status':
         await showStatus();
         break;
@@ -144,15 +795,15 @@ const interactiveMode = async () => {
         break;
       
       case 'exit':
-        console.log(chalk.yellow('セッションを保存しています...'));
+        console.log(chalk.yellow(t('interactive.savingSession')));
         try {
           const filePath = await agentController.saveSession();
-          console.log(chalk.green(`セッションを保存しました: ${filePath}`));
+          console.log(chalk.green(t('common.sessionSaved', { path: filePath })));
         } catch (error) {
-          console.error(chalk.red(`セッションの保存に失敗しました: ${error.message}`));
+          console.error(chalk.red(t('common.sessionSaveFailed', { message: error.message })));
         }
         
-        console.log(chalk.yellow('終了します。お疲れ様でした！'));
+        console.log(chalk.yellow(t('interactive.goodbye')));
         running = false;
         break;
     }
@@ -165,11 +816,11 @@ const runAnalysis = async () => {
   const projectResponse = await prompts({
     type: 'text',
     name: 'projectName',
-    message: 'プロジェクト名を入力してください:',
+    message: t('analysis.projectPrompt'),
     initial: `Project_${getFormattedDateTime()}`
   }, {
     onCancel: () => {
-      console.log(chalk.yellow('プロジェクト名の入力をキャンセルしました'));
+      console.log(chalk.yellow(t('analysis.projectCancelled')));
       return { projectName: null };
     }
   });
@@ -179,11 +830,11 @@ const runAnalysis = async () => {
   const requirementsResponse = await prompts({
     type: 'text',
     name: 'requirements',
-    message: '要件を入力してください（複数行の場合は\\nで改行を表現できます）:',
-    validate: input => input && input.trim() ? true : '要件を入力してください'
+    message: t('common.requirementsPrompt'),
+    validate: input => input && input.trim() ? true : t('common.requirementsRequired')
   }, {
     onCancel: () => {
-      console.log(chalk.yellow('要件の入力をキャンセルしました'));
+      console.log(chalk.yellow(t('common.requirementsCancelled')));
       return { requirements: null };
     }
   });
@@ -193,40 +844,63 @@ const runAnalysis = async () => {
   // 入力された要件を改行で正しく表示
   const formattedRequirements = requirementsResponse.requirements.replace(/\\n/g, '\n');
   
-  console.log(chalk.cyan('\n入力された要件:'));
+  console.log(chalk.cyan(`\n${t('analysis.requirementsTitle')}`));
   console.log(formattedRequirements);
   
   // 要件の確認
   const confirmResponse = await prompts({
     type: 'confirm',
     name: 'confirmed',
-    message: 'この要件で分析を開始しますか？',
+    message: t('analysis.confirmPrompt'),
     initial: true
   }, {
     onCancel: () => {
-      console.log(chalk.yellow('要件の確認をキャンセルしました'));
+      console.log(chalk.yellow(t('analysis.confirmCancelled')));
       return { confirmed: false };
     }
   });
   
   if (!confirmResponse.confirmed) {
-    console.log(chalk.yellow('要件分析をキャンセルしました'));
+    console.log(chalk.yellow(t('analysis.cancelled')));
     return;
   }
   
-  console.log(chalk.yellow('\n要件分析を開始します...'));
+  console.log(chalk.yellow(`\n${t('analysis.starting')}`));
   
   try {
-    // エージェントに要件を処理させる
-    const inputPrompt = `以下の要件について分析し、適切な外部設計を提案してください:\n\n${formattedRequirements}`;
+    // エージェントに要件を処理させる（指示は表示言語ではなく出力言語のテンプレートで書く）
+    const inputPrompt = agentController.createAnalysisInput(formattedRequirements);
     Logger.info(`エージェントへの入力: ${inputPrompt.substring(0, 100)}...`, 'CLI');
     
-    const result = await agentController.processInput(inputPrompt);
+    const result = await runWithInterrupt(signal => agentController.processInput(inputPrompt, {
+      onEvent: createStreamRenderer(),
+      onApproval: confirmToolCall,
+      signal
+    }));
+    
+    console.log(chalk.green(`\n${t('analysis.completed')}\n`));
     
-    console.log(chalk.green('\n要件分析が完了しました。\n'));
+    // 実行中にフォールバックが発生した場合は通知
+    for (const fallback of result.fallbacks) {
+      console.log(chalk.yellow(t('analysis.fallback', fallback)));
+    }
+    // 役割別ルーティングを使用した場合は各呼び出しのモデルを表示
+    if (result.routing.length > 0) {
+      console.log(chalk.gray(t('analysis.routing', { decisions: result.routing.map(d => `${d.role}(${d.modelName})`).join(' → ') })));
+    }
     console.log(chalk.cyan('----------------------------------------'));
     console.log(result.output);
     console.log(chalk.cyan('----------------------------------------'));
+    showPlanResult(result.plan);
+    showStoppedEarly(result.stoppedEarly);
+    showReflectionResult(result.reflection);
+    showTraceAfterRun(result.intermediateSteps);
+    console.log(chalk.cyan(t('analysis.usage', {
+      total: result.usage.totalTokens.toLocaleString(),
+      input: result.usage.inputTokens.toLocaleString(),
+      output: result.usage.outputTokens.toLocaleString(),
+      cost: formatCost(result.usage.cost)
+    })));
     
     // 分析結果のファイル出力結果を確認
     const requirementsDir = config.app.outputDirs.requirements;
@@ -240,7 +914,7 @@ const runAnalysis = async () => {
         file.endsWith('.md') || file.endsWith('.json')
       );
     } catch (error) {
-      console.log(chalk.yellow(`要件分析結果ディレクトリの読み取りに失敗しました: ${error.message}`));
+      console.log(chalk.yellow(t('analysis.requirementsDirFailed', { message: error.message })));
     }
     
     // designsディレクトリのファイル一覧を取得
@@ -251,51 +925,183 @@ const runAnalysis = async () => {
         file.endsWith('.md') || file.endsWith('.json')
       );
     } catch (error) {
-      console.log(chalk.yellow(`外部設計結果ディレクトリの読み取りに失敗しました: ${error.message}`));
+      console.log(chalk.yellow(t('analysis.designsDirFailed', { message: error.message })));
     }
     
     // 分析結果ファイルが存在するかどうかを表示
     if (requirementsFiles.length > 0) {
-      console.log(chalk.green(`✓ 要件分析結果が保存されました: ${requirementsDir}`));
+      console.log(chalk.green(t('analysis.requirementsSaved', { dir: requirementsDir })));
       requirementsFiles.forEach(file => {
         console.log(chalk.green(`  - ${file}`));
       });
     } else {
-      console.log(chalk.yellow(`! 要件分析結果ファイルが見つかりません。保存されていない可能性があります。`));
+      console.log(chalk.yellow(t('analysis.requirementsMissing')));
     }
     
     if (designsFiles.length > 0) {
-      console.log(chalk.green(`✓ 外部設計結果が保存されました: ${designsDir}`));
+      console.log(chalk.green(t('analysis.designsSaved', { dir: designsDir })));
       designsFiles.forEach(file => {
         console.log(chalk.green(`  - ${file}`));
       });
     } else {
-      console.log(chalk.yellow(`! 外部設計結果ファイルが見つかりません。保存されていない可能性があります。`));
+      console.log(chalk.yellow(t('analysis.designsMissing')));
     }
     
-    // セッション保存の確認
-    const saveResponse = await prompts({
-      type: 'confirm',
-      name: 'saveToFile',
-      message: '分析結果をファイルに保存しますか？',
-      initial: true
-    }, {
-      onCancel: () => {
-        console.log(chalk.yellow('保存の確認をキャンセルしました'));
-        return { saveToFile: false };
-      }
-    });
+    await confirmSaveSession();
+  } catch (error) {
+    if (error.code === 'RUN_CANCELLED') {
+      showCancelledRun(error);
+      showTraceAfterRun(error.intermediateSteps);
+      await confirmSaveSession();
+      return;
+    }
+    console.error(chalk.red(t('analysis.failed', { message: error.message })));
+  }
+};
+
+// これまでの会話を踏まえた追加の依頼（「その設計に管理画面を追加して」など）
+const runFollowUp = async () => {
+  const response = await prompts({
+    type: 'text',
+    name: 'request',
+    message: t('followUp.prompt'),
+    validate: input => input && input.trim() ? true : t('followUp.required')
+  }, {
+    onCancel: () => {
+      console.log(chalk.yellow(t('followUp.cancelled')));
+      return { request: null };
+    }
+  });
+  
+  if (!response.request) return;
+  
+  console.log(chalk.yellow(`\n${t('followUp.starting')}`));
+  
+  try {
+    const result = await runWithInterrupt(signal => agentController.processInput(response.request.replace(/\\n/g, '\n'), {
+      onEvent: createStreamRenderer(),
+      onApproval: confirmToolCall,
+      signal
+    }));
     
-    if (saveResponse.saveToFile) {
-      try {
-        const filePath = await agentController.saveSession();
-        console.log(chalk.green(`セッションを保存しました: ${filePath}`));
-      } catch (error) {
-        console.error(chalk.red(`セッションの保存に失敗しました: ${error.message}`));
-      }
+    console.log(chalk.gray(t('followUp.memory', result.memory)));
+    console.log(chalk.cyan('----------------------------------------'));
+    console.log(result.output);
+    console.log(chalk.cyan('----------------------------------------'));
+    showPlanResult(result.plan);
+    showStoppedEarly(result.stoppedEarly);
+    showReflectionResult(result.reflection);
+    showTraceAfterRun(result.intermediateSteps);
+    console.log(chalk.cyan(t('analysis.usage', {
+      total: result.usage.totalTokens.toLocaleString(),
+      input: result.usage.inputTokens.toLocaleString(),
+      output: result.usage.outputTokens.toLocaleString(),
+      cost: formatCost(result.usage.cost)
+    })));
+  } catch (error) {
+    if (error.code === 'RUN_CANCELLED') {
+      showCancelledRun(error);
+      showTraceAfterRun(error.intermediateSteps);
+      await confirmSaveSession();
+      return;
+    }
+    console.error(chalk.red(t('followUp.failed', { message: error.message })));
+  }
+};
+
+// 要件の取得（オプション > ファイル > 入力）、入力をキャンセルした場合はnull
+const readRequirements = async (options) => {
+  if (options.requirements) {
+    return options.requirements;
+  }
+  if (options.file) {
+    return fs.readFile(options.file, 'utf8');
+  }
+  const response = await prompts({
+    type: 'text',
+    name: 'requirements',
+    message: t('common.requirementsPrompt'),
+    validate: input => input && input.trim() ? true : t('common.requirementsRequired')
+  });
+  if (!response.requirements) {
+    console.log(chalk.yellow(t('common.requirementsCancelled')));
+    return null;
+  }
+  return response.requirements.replace(/\\n/g, '\n');
+};
+
+// 生成パラメータのオプションを追加
+const addParameterOptions = (command) => command
+  .option('--temperature <value>', t('options.temperature'), parseFloat)
+  .option('--max-tokens <count>', t('options.maxTokens'), value => parseInt(value, 10))
+  .option('--top-p <value>', t('options.topP'), parseFloat)
+  .option('--stop <sequences...>', t('options.stop'));
+
+// 役割別ルーティングのオプションを追加
+const addRoutingOptions = (command) => command
+  .option('--planning-model <model>', t('options.planningModel'))
+  .option('--tool-model <model>', t('options.toolModel'))
+  .option('--final-model <model>', t('options.finalModel'));
+
+// エージェント戦略と実行方式のオプションを追加
+const addStrategyOption = (command) => command
+  .option('--agent-strategy <strategy>', t('options.agentStrategy'))
+  .option('--agent-mode <mode>', t('options.agentMode'));
+
+// セルフレビューのオプションを追加
+const addReflectionOptions = (command) => command
+  .option('--reflect', t('options.reflect'))
+  .option('--reflection-threshold <score>', t('options.reflectionThreshold'), parseFloat)
+  .option('--reflection-rounds <count>', t('options.reflectionRounds'), value => parseInt(value, 10));
+
+// ツール呼び出しの承認のオプションを追加
+const addApprovalOptions = (command) => command
+  .option('--approve', t('options.approve'))
+  .option('--auto-approve <tools>', t('options.autoApprove'));
+
+// 実行時間の上限のオプションを追加
+const addTimeoutOption = (command) => command
+  .option('--timeout <seconds>', t('options.timeout'), parseFloat);
+
+// 最大反復回数と早期終了のオプションを追加
+const addIterationOptions = (command) => command
+  .option('--max-iterations <count>', t('options.maxIterations'), value => parseInt(value, 10))
+  .option('--early-stopping <method>', t('options.earlyStopping'));
+
+// 最大反復回数と早期終了の指定を適用（比較・パイプラインで作成するエージェントにも引き継がれる）
+const applyIterationOptions = (options) => {
+  if (options.maxIterations !== undefined || options.earlyStopping !== undefined) {
+    agentController.setIterationLimit({ maxIterations: options.maxIterations, earlyStopping: options.earlyStopping });
+  }
+};
+
+// 実行方式・セルフレビュー・ツールの承認・実行時間と反復回数の上限の指定を適用（エージェントの再構築は不要なため初期化の前に適用する）
+const applyRunOptions = (options) => {
+  try {
+    if (options.timeout !== undefined) {
+      agentController.setRunTimeout(options.timeout);
+    }
+    applyIterationOptions(options);
+    if (options.approve || options.autoApprove) {
+      const autoTools = (options.autoApprove || '').split(',').map(tool => tool.trim()).filter(Boolean);
+      agentController.setToolApproval({
+        ...(options.approve && { enabled: true }),
+        policies: Object.fromEntries(autoTools.map(tool => [tool, APPROVAL_POLICIES.AUTO]))
+      });
+    }
+    if (options.agentMode) {
+      agentController.setAgentMode(options.agentMode);
+    }
+    if (options.reflect || options.reflectionThreshold !== undefined || options.reflectionRounds !== undefined) {
+      agentController.setReflection({
+        enabled: true,
+        ...(options.reflectionThreshold !== undefined && { threshold: options.reflectionThreshold }),
+        ...(options.reflectionRounds !== undefined && { maxRounds: options.reflectionRounds })
+      });
     }
   } catch (error) {
-    console.error(chalk.red(`要件分析中にエラーが発生しました: ${error.message}`));
+    console.error(chalk.red(error.message));
+    process.exit(1);
   }
 };
 
@@ -304,17 +1110,81 @@ const cli = new Command();
 
 cli
   .name('react-agent')
-  .description('LangChain v0.3を使用したReActエージェントによる要件分析・外部設計ツール')
-  .version(config.app.version);
+  .description(t('commands.program'))
+  .version(config.app.version)
+  .option('--record', t('options.record'))
+  .option('--replay', t('options.replay'))
+  .option('--cassette <name>', t('options.cassette', { name: config.cassette.name }))
+  .option('--locale <locale>', t('options.locale'))
+  .option('--output-language <language>', t('options.outputLanguage'));
+
+// 出力言語と記録・再生モードの設定（すべてのコマンドの実行前に適用）
+cli.hook('preAction', () => {
+  const options = cli.opts();
+  if (options.record && options.replay) {
+    console.error(chalk.red(t('cassette.conflict')));
+    process.exit(1);
+  }
+  
+  if (options.outputLanguage) {
+    try {
+      agentController.setOutputLanguage(options.outputLanguage);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  }
+  
+  const mode = options.record ? 'record' : options.replay ? 'replay' : null;
+  if (!mode) return;
+  
+  try {
+    agentController.useCassette(mode, options.cassette || config.cassette.name);
+    console.log(chalk.gray(t('cassette.active', {
+      mode: t(mode === 'record' ? 'status.cassetteRecord' : 'status.cassetteReplay'),
+      file: agentController.getStatus().cassette.file
+    })));
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+});
+
+// モデルカタログの確認（すべてのコマンドの実行前に適用）
+cli.hook('preAction', (command, actionCommand) => {
+  // モデルカタログに誤りがある場合は、診断（doctor）以外のコマンドを実行しない
+  if (config.models.catalogError && actionCommand.name() !== 'doctor') {
+    console.error(chalk.red(config.models.catalogError));
+    process.exit(1);
+  }
+});
 
 // インタラクティブモードコマンド
-cli
+addIterationOptions(addTimeoutOption(addApprovalOptions(addReflectionOptions(addStrategyOption(addRoutingOptions(addParameterOptions(cli
   .command('interactive')
   .alias('i')
-  .description('インタラクティブモードでエージェントを起動')
-  .action(() => {
-    interactiveMode().catch(err => {
-      console.error(chalk.red(`エラーが発生しました: ${err.message}`));
+  .description(t('commands.interactive'))
+  .option('--no-stream', t('options.noStream'))
+  .option('--trace', t('options.trace'))
+  .option('--memory <mode>', t('options.memory'))
+  .option('--memory-turns <count>', t('options.memoryTurns'), value => parseInt(value, 10)))))))))
+  .action((options) => {
+    agentController.setStreaming(options.stream);
+    traceAfterRun = Boolean(options.trace);
+    applyRunOptions(options);
+    if (options.memory !== undefined || options.memoryTurns !== undefined) {
+      try {
+        agentController.setConversationMemory({
+          ...(options.memory !== undefined && { mode: options.memory }),
+          ...(options.memoryTurns !== undefined && { windowTurns: options.memoryTurns })
+        });
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      }
+    }
+    interactiveMode(parametersFromOptions(options), routingFromOptions(options), options.agentStrategy).catch(err => {
+      console.error(chalk.red(t('common.error', { message: err.message })));
       process.exit(1);
     });
   });
@@ -323,7 +1193,7 @@ cli
 cli
   .command('list-models')
   .alias('ls')
-  .description('利用可能なモデル一覧を表示')
+  .description(t('commands.listModels'))
   .action(async () => {
     try {
       // エージェントが初期化されていない場合は初期化
@@ -332,7 +1202,7 @@ cli
       }
       await listModels();
     } catch (err) {
-      console.error(chalk.red(`エラーが発生しました: ${err.message}`));
+      console.error(chalk.red(t('common.error', { message: err.message })));
       process.exit(1);
     }
   });
@@ -340,7 +1210,7 @@ cli
 // ステータス表示コマンド
 cli
   .command('status')
-  .description('エージェントの状態を表示')
+  .description(t('commands.status'))
   .action(async () => {
     try {
       // エージェントが初期化されていない場合は初期化
@@ -349,24 +1219,206 @@ cli
       }
       await showStatus();
     } catch (err) {
-      console.error(chalk.red(`エラーが発生しました: ${err.message}`));
+      console.error(chalk.red(t('common.error', { message: err.message })));
       process.exit(1);
     }
   });
 
-// 要件分析コマンド
+// モデル比較コマンド
+addIterationOptions(cli
+  .command('compare')
+  .description(t('commands.compare'))
+  .requiredOption('-m, --models <models...>', t('options.models'))
+  .option('-r, --requirements <text>', t('options.requirements'))
+  .option('-f, --file <path>', t('options.file'))
+  .option('-p, --project <name>', t('options.project'))
+  .option('--concurrent', t('options.concurrent')))
+  .action(async (options) => {
+    try {
+      if (options.models.length < 2) {
+        throw new Error(t('compare.tooFewModels'));
+      }
+      applyIterationOptions(options);
+      
+      const requirements = await readRequirements(options);
+      if (!requirements) return;
+      
+      console.log(chalk.yellow(`\n${t('compare.running', {
+        count: options.models.length,
+        mode: t(options.concurrent ? 'compare.concurrent' : 'compare.sequential')
+      })}`));
+      
+      const { reportPath, results } = await agentController.compareModels(requirements, options.models, {
+        projectName: options.project,
+        concurrent: options.concurrent,
+        onProgress: (event) => {
+          if (event.type === 'start') {
+            console.log(chalk.cyan(t('compare.modelRunning', { model: event.modelName })));
+          } else if (event.result.success) {
+            console.log(chalk.green(t('compare.modelSucceeded', {
+              model: event.modelName,
+              duration: formatDuration(event.result.durationMs),
+              tokens: event.result.usage.totalTokens.toLocaleString(),
+              cost: formatCost(event.result.usage.cost)
+            })));
+          } else {
+            console.log(chalk.red(t('compare.modelFailed', { model: event.modelName, error: event.result.error })));
+          }
+        }
+      });
+      
+      console.log(chalk.green(`\n${t('compare.reportSaved', { path: reportPath })}`));
+      if (results.every(result => !result.success)) {
+        process.exitCode = 1;
+      }
+    } catch (err) {
+      console.error(chalk.red(t('common.error', { message: err.message })));
+      process.exit(1);
+    }
+  });
+
+// 複数エージェントのパイプラインコマンド
+addIterationOptions(cli
+  .command('pipeline')
+  .description(t('commands.pipeline'))
+  .option('-r, --requirements <text>', t('options.requirements'))
+  .option('-f, --file <path>', t('options.file'))
+  .option('-p, --project <name>', t('options.project'))
+  .option('--analyst-model <model>', t('options.analystModel'))
+  .option('--designer-model <model>', t('options.designerModel'))
+  .option('--reviewer-model <model>', t('options.reviewerModel'))
+  .option('--max-revisions <count>', t('options.maxRevisions'), value => parseInt(value, 10)))
+  .action(async (options) => {
+    try {
+      applyIterationOptions(options);
+      const requirements = await readRequirements(options);
+      if (!requirements) return;
+      
+      console.log(chalk.yellow(`\n${t('pipeline.starting')}`));
+      
+      const result = await agentController.runPipeline(requirements, {
+        projectName: options.project,
+        maxRevisions: options.maxRevisions,
+        models: {
+          analyst: options.analystModel,
+          designer: options.designerModel,
+          reviewer: options.reviewerModel
+        },
+        onProgress: (event) => {
+          const role = t(`pipeline.roles.${event.role}`);
+          if (event.type === 'role_start') {
+            console.log(chalk.cyan(t('pipeline.roleStart', { round: event.round, role, model: event.modelName })));
+          } else if (event.type === 'role_end') {
+            console.log(chalk.green(t('pipeline.roleEnd', { role, steps: event.steps, artifact: event.artifact })));
+          } else if (event.type === 'review') {
+            const approved = event.verdict === 'approve';
+            console.log((approved ? chalk.green : chalk.yellow)(t(approved ? 'pipeline.approved' : 'pipeline.revise', {
+              targets: event.targets.map(target => t(`pipeline.roles.${target}`)).join(', '),
+              artifact: event.artifact
+            })));
+          }
+        }
+      });
+      
+      console.log(chalk.cyan(t('analysis.usage', {
+        total: result.usage.totalTokens.toLocaleString(),
+        input: result.usage.inputTokens.toLocaleString(),
+        output: result.usage.outputTokens.toLocaleString(),
+        cost: formatCost(result.usage.cost)
+      })));
+      if (result.status === 'failed') {
+        console.error(chalk.red(t('pipeline.failed', { message: result.error })));
+        process.exitCode = 1;
+      } else {
+        console.log(chalk.green(t(`pipeline.finished.${result.status}`, { dir: result.dir })));
+      }
+    } catch (err) {
+      console.error(chalk.red(t('common.error', { message: err.message })));
+      process.exit(1);
+    }
+  });
+
+// 環境診断コマンド
 cli
+  .command('doctor')
+  .description(t('commands.doctor'))
+  .option('--probe', t('options.probe'))
+  .action(async (options) => {
+    try {
+      const results = await runDiagnostics({ probe: options.probe });
+      showDiagnostics(results);
+      
+      // 失敗した項目がある場合は終了コードで通知
+      if (results.some(r => r.status === CHECK_STATUS.FAIL)) {
+        process.exitCode = 1;
+      }
+    } catch (err) {
+      console.error(chalk.red(t('common.error', { message: err.message })));
+      process.exit(1);
+    }
+  });
+
+// 生成パラメータ表示コマンド
+addParameterOptions(cli
+  .command('params')
+  .description(t('commands.params')))
+  .action(async (options) => {
+    try {
+      // エージェントが初期化されていない場合は初期化
+      if (!agentController.getStatus().initialized) {
+        await agentController.initialize();
+      }
+      const parameters = parametersFromOptions(options);
+      if (parameters) {
+        await agentController.setModelParameters(parameters);
+      }
+      showParameters();
+    } catch (err) {
+      console.error(chalk.red(t('common.error', { message: err.message })));
+      process.exit(1);
+    }
+  });
+
+// 要件分析コマンド
+addIterationOptions(addTimeoutOption(addApprovalOptions(addReflectionOptions(addStrategyOption(addRoutingOptions(addParameterOptions(cli
   .command('analyze')
-  .description('要件分析と外部設計を実行')
-  .action(() => {
+  .description(t('commands.analyze'))
+  .option('--no-stream', t('options.noStreamScript'))
+  .option('--trace', t('options.trace')))))))))
+  .action((options) => {
+    agentController.setStreaming(options.stream);
+    traceAfterRun = Boolean(options.trace);
+    applyRunOptions(options);
+    const parameters = parametersFromOptions(options);
+    const routing = routingFromOptions(options);
+    
     // エージェントの初期化
     agentController.initialize()
+      .then(() => parameters && agentController.setModelParameters(parameters))
+      .then(() => routing && agentController.setRoutingPolicy(routing))
+      .then(() => options.agentStrategy && agentController.setAgentStrategy(options.agentStrategy))
       .then(() => runAnalysis())
       .catch(err => {
-        console.error(chalk.red(`エラーが発生しました: ${err.message}`));
+        console.error(chalk.red(t('common.error', { message: err.message })));
         process.exit(1);
       });
   });
 
+// 中間ステップのトレース表示コマンド
+cli
+  .command('trace <sessionFile>')
+  .description(t('commands.trace'))
+  .option('--run <number>', t('options.traceRun'), value => parseInt(value, 10))
+  .option('--full', t('options.traceFull'))
+  .action(async (sessionFile, options) => {
+    try {
+      const runs = await agentController.loadTraceRuns(sessionFile);
+      showTraceRuns(runs, { run: options.run, full: options.full });
+    } catch (err) {
+      console.error(chalk.red(t('trace.failed', { message: err.message })));
+      process.exit(1);
+    }
+  });
+
 // エクスポート
 export default cli; 
\ No newline at end of file
@@ -0,0 +1,220 @@
+/**
+ * モデルカタログファイルの読み込み
+ * JSON/YAMLで記述したモデル定義を組み込みのモデル定義にマージする
+ */
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import YAML from 'yaml';
+import { z } from 'zod';
+
+// カタログファイルの候補となるファイル名
+const CATALOG_FILE_NAMES = ['models.yaml', 'models.yml', 'models.json'];
+
+// ユーザーのホームディレクトリ内のカタログ配置先
+const USER_CATALOG_DIR = path.join(os.homedir(), '.react-agent');
+
+// モデルの性能情報のスキーマ
+const capabilitiesSchema = z.object({
+  contextWindow: z.number().int().positive().optional(),
+  toolCalling: z.boolean().optional(),
+  streaming: z.boolean().optional()
+}).strict();
+
+// モデル定義のスキーマ（既存モデルの上書きでは provider 以外の項目のみ指定できる）
+const modelEntrySchema = z.object({
+  provider: z.string().optional(),
+  displayName: z.string().optional(),
+  options: z.record(z.any()).optional(),
+  capabilities: capabilitiesSchema.optional(),
+  pricing: z.object({
+    input: z.number().nonnegative(),
+    output: z.number().nonnegative()
+  }).strict().optional(),
+  fallbacks: z.array(z.string()).optional(),
+  agentStrategy: z.enum(['react', 'tool-calling']).optional(),
+  hidden: z.boolean().optional()
+}).strict();
+
+// カタログファイル全体のスキーマ
+const catalogSchema = z.object({
+  defaultModel: z.string().optional(),
+  models: z.record(modelEntrySchema).default({})
+}).strict();
+
+/**
+ * 読み込むカタログファイルの一覧を取得する（後のファイルほど優先）
+ * @param {string} rootDir - プロジェクトのルートディレクトリ
+ * @returns {Array<string>} 存在するカタログファイルのパス
+ */
+export const findCatalogFiles = (rootDir) => {
+  const findIn = (dir) => CATALOG_FILE_NAMES
+    .map(name => path.join(dir, name))
+    .find(file => fs.existsSync(file));
+
+  const files = [findIn(USER_CATALOG_DIR), findIn(rootDir)];
+
+  // 環境変数で明示的に指定されたファイルを最優先
+  if (process.env.MODEL_CATALOG) {
+    const explicitFile = path.resolve(rootDir, process.env.MODEL_CATALOG);
+    if (!fs.existsSync(explicitFile)) {
+      throw new Error(`MODEL_CATALOGで指定されたファイルが見つかりません: ${explicitFile}`);
+    }
+    files.push(explicitFile);
+  }
+
+  return [...new Set(files.filter(Boolean))];
+};
+
+/**
+ * カタログファイルを読み込んで検証する
+ * @param {string} file - カタログファイルのパス
+ * @returns {Object} 検証済みのカタログ
+ * @throws {Error} 構文エラーやスキーマに合わない場合
+ */
+export const readCatalogFile = (file) => {
+  let raw;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    raw = file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`モデルカタログの読み込みに失敗しました (${file}): ${error.message}`);
+  }
+
+  const result = catalogSchema.safeParse(raw ?? {});
+  if (!result.success) {
+    const issues = result.error.issues
+      .map(issue => `  - ${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('\n');
+    throw new Error(`モデルカタログの形式が正しくありません (${file}):\n${issues}`);
+  }
+
+  return result.data;
+};
+
+/**
+ * カタログを組み込みのモデル定義にマージする
+ * - 新しいモデルを追加する（provider と options.model が必須）
+ * - 既存モデルの項目を上書きする（options と capabilities は項目単位でマージ）
+ * - hidden: true のモデルを一覧から除外する
+ * @param {Object} availableModels - マージ先のモデル定義（直接変更される）
+ * @param {Object} modelProviders - 対応しているプロバイダー
+ * @param {Object} catalog - readCatalogFile で読み込んだカタログ
+ * @param {string} file - エラーメッセージ用のファイルパス
+ */
+export const applyCatalog = (availableModels, modelProviders, catalog, file) => {
+  for (const [modelName, entry] of Object.entries(catalog.models)) {
+    if (entry.hidden) {
+      delete availableModels[modelName];
+      continue;
+    }
+
+    const existing = availableModels[modelName];
+    const provider = entry.provider || existing?.provider;
+
+    if (!provider) {
+      throw new Error(`モデル "${modelName}" にproviderが指定されていません (${file})`);
+    }
+    if (!modelProviders[provider]) {
+      throw new Error(`モデル "${modelName}" のprovider "${provider}" には対応していません (${file})。対応プロバイダー: ${Object.keys(modelProviders).join(', ')}`);
+    }
+
+    const merged = {
+      ...(existing || {}),
+      ...entry,
+      provider,
+      options: { ...(existing?.options || {}), ...(entry.options || {}) },
+      capabilities: { ...(existing?.capabilities || {}), ...(entry.capabilities || {}) }
+    };
+    // hidden は一覧から除外する場合にのみ使用する
+    delete merged.hidden;
+
+    if (!merged.options.model) {
+      throw new Error(`モデル "${modelName}" にoptions.modelが指定されていません (${file})`);
+    }
+
+    availableModels[modelName] = merged;
+  }
+};
+
+/**
+ * マージした結果のモデル定義を検証する
+ * - 実際に使用するデフォルトモデルが hidden: true で除外されていないこと
+ * - カタログで指定した fallbacks のモデルがすべて存在すること（組み込みの fallbacks は、hidden で除外したモデルを切り替え先から外すだけとする）
+ * @param {Object} availableModels - マージした結果のモデル定義
+ * @param {Object} params - パラメータ
+ * @param {string} params.defaultModel - 実際に使用するデフォルトモデル
+ * @param {Map<string, string>} params.hiddenModels - hidden: true で除外したモデル名と、指定したファイル
+ * @param {Array<Object>} params.fallbacks - カタログで指定した fallbacks { modelName, fallbacks, file } の配列
+ * @throws {Error} 検証に失敗した場合
+ */
+export const validateMergedCatalog = (availableModels, { defaultModel, hiddenModels, fallbacks }) => {
+  if (hiddenModels.has(defaultModel)) {
+    throw new Error(`デフォルトモデル "${defaultModel}" はモデルカタログで hidden: true に設定されています (${hiddenModels.get(defaultModel)})。DEFAULT_MODEL またはカタログの defaultModel で別のモデルを指定してください`);
+  }
+
+  for (const entry of fallbacks) {
+    if (!availableModels[entry.modelName]) continue;
+    const unknown = entry.fallbacks.filter(name => !availableModels[name]);
+    if (unknown.length > 0) {
+      throw new Error(`モデル "${entry.modelName}" のfallbacksに存在しないモデルが指定されています (${entry.file}): ${unknown.join(', ')}`);
+    }
+  }
+};
+
+/**
+ * カタログファイルを探して組み込みのモデル定義にマージする
+ * すべてのファイルの読み込みと検証に成功した場合のみ、マージした結果をモデル定義に反映する
+ * @param {Object} params - パラメータ
+ * @param {string} params.rootDir - プロジェクトのルートディレクトリ
+ * @param {Object} params.availableModels - マージ先のモデル定義
+ * @param {Object} params.modelProviders - 対応しているプロバイダー
+ * @param {string} params.envDefaultModel - 環境変数で指定されたデフォルトモデル（カタログより優先）
+ * @param {string} params.builtinDefaultModel - 組み込みのデフォルトモデル（どちらも指定されていない場合に使用）
+ * @returns {Object} { files: 読み込んだファイル, defaultModel: カタログで指定されたデフォルトモデル }
+ * @throws {Error} 読み込み・検証に失敗した場合（モデル定義は変更しない）
+ */
+export const loadModelCatalog = ({ rootDir, availableModels, modelProviders, envDefaultModel, builtinDefaultModel }) => {
+  const files = findCatalogFiles(rootDir);
+  // applyCatalog はモデル定義の項目を置き換えるだけなので、浅いコピーにマージする
+  const merged = { ...availableModels };
+  const hiddenModels = new Map();
+  const fallbacks = [];
+  let defaultModel;
+
+  for (const file of files) {
+    const catalog = readCatalogFile(file);
+    applyCatalog(merged, modelProviders, catalog, file);
+    defaultModel = catalog.defaultModel || defaultModel;
+
+    for (const [modelName, entry] of Object.entries(catalog.models)) {
+      // 後のファイルで定義し直したモデルは除外しない
+      if (entry.hidden) {
+        hiddenModels.set(modelName, file);
+      } else {
+        hiddenModels.delete(modelName);
+      }
+      if (entry.fallbacks) {
+        fallbacks.push({ modelName, fallbacks: entry.fallbacks, file });
+      }
+    }
+  }
+
+  if (defaultModel && !merged[defaultModel] && !defaultModel.startsWith('ollama:')) {
+    throw new Error(`モデルカタログで指定されたデフォルトモデル "${defaultModel}" は存在しません`);
+  }
+  validateMergedCatalog(merged, {
+    defaultModel: envDefaultModel || defaultModel || builtinDefaultModel,
+    hiddenModels,
+    fallbacks
+  });
+
+  for (const modelName of Object.keys(availableModels)) {
+    if (!merged[modelName]) {
+      delete availableModels[modelName];
+    }
+  }
+  Object.assign(availableModels, merged);
+
+  return { files, defaultModel };
+};
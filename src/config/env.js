@@ -0,0 +1,15 @@
+/**
+ * 環境変数の読み込み
+ * models.js などがモジュールの評価時に環境変数を参照するため、他の設定モジュールより先にインポートする
+ */
+import * as dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// ES Modulesでのディレクトリパスの取得
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const rootDir = path.resolve(__dirname, '../../');
+
+// 環境変数の読み込み
+dotenv.config({ path: path.join(rootDir, '.env') });
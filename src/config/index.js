@@ -1,20 +1,28 @@
 /**
  * アプリケーション設定
  */
-import * as dotenv from 'dotenv';
+// 環境変数の読み込み（他の設定モジュールより先に評価する）
+import { rootDir } from './env.js';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
 
 import * as modelConfig from './models.js';
+import { loadModelCatalog } from './catalog.js';
 
-// ES Modulesでのディレクトリパスおよびファイルパスの取得
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const rootDir = path.resolve(__dirname, '../../');
-
-// 環境変数の読み込み
-dotenv.config({ path: path.join(rootDir, '.env') });
+// モデルカタログファイル（models.yaml など）を組み込みのモデル定義にマージ
+// 失敗した場合は組み込みのモデル定義のまま続行し、エラーを記録する（doctor で表示し、その他のコマンドは実行前に終了する）
+let modelCatalog;
+try {
+  modelCatalog = loadModelCatalog({
+    rootDir,
+    availableModels: modelConfig.availableModels,
+    modelProviders: modelConfig.modelProviders,
+    envDefaultModel: process.env.DEFAULT_MODEL,
+    builtinDefaultModel: modelConfig.defaultModel
+  });
+} catch (error) {
+  modelCatalog = { files: [], defaultModel: undefined, error: error.message };
+}
 
 // ログディレクトリの設定
 const logDir = process.env.LOG_DIR || path.join(rootDir, 'logs');
@@ -28,6 +36,8 @@ const outputDirs = {
   requirements: path.join(outputDir, 'requirements'),
   designs: path.join(outputDir, 'designs'),
   sessions: path.join(outputDir, 'sessions'),
+  comparisons: path.join(outputDir, 'comparisons'),
+  pipelines: path.join(outputDir, 'pipelines'),
   diagrams: path.join(outputDir, 'diagrams')
 };
 
@@ -35,6 +45,25 @@ const outputDirs = {
 fs.ensureDirSync(logDir);
 Object.values(outputDirs).forEach(dir => fs.ensureDirSync(dir));
 
+/**
+ * 0以上の整数を指定する環境変数を読み込む
+ * @param {string} name - 環境変数名
+ * @param {number} defaultValue - 未設定の場合の値
+ * @returns {number} 設定値
+ */
+const readNonNegativeInteger = (name, defaultValue) => {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name}は0以上の整数で指定してください: ${value}`);
+  }
+  return number;
+};
+
 // 設定オブジェクト
 const config = {
   // アプリケーション情報
@@ -58,7 +87,150 @@ const config = {
   // モデル設定
   models: {
     ...modelConfig,
-    defaultModel: process.env.DEFAULT_MODEL || modelConfig.defaultModel
+    defaultModel: process.env.DEFAULT_MODEL || modelCatalog.defaultModel || modelConfig.defaultModel,
+    catalogFiles: modelCatalog.files,
+    // モデルカタログの読み込み・検証に失敗した場合のエラーメッセージ
+    catalogError: modelCatalog.error || null
+  },
+
+  // ストリーミング設定（エージェントの出力をリアルタイムに表示するか）
+  streaming: {
+    enabled: process.env.STREAMING !== 'false'
+  },
+
+  // モデル呼び出しの再試行・サーキットブレーカー設定
+  resilience: {
+    // 一時的なエラー（429/5xx）の最大再試行回数
+    maxRetries: readNonNegativeInteger('LLM_MAX_RETRIES', 3),
+    // 初回の再試行までの待機時間（ミリ秒）
+    initialDelayMs: Number(process.env.LLM_RETRY_INITIAL_DELAY_MS) || 1000,
+    // 待機時間の上限（ミリ秒、Retry-Afterにも適用）
+    maxDelayMs: Number(process.env.LLM_RETRY_MAX_DELAY_MS) || 30000,
+    // 再試行ごとの待機時間の倍率
+    backoffMultiplier: 2,
+    // 待機時間に加えるジッターの割合（±）
+    jitterRatio: 0.2,
+    circuitBreaker: {
+      // サーキットブレーカーが開くまでの連続失敗回数
+      failureThreshold: Number(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 5,
+      // サーキットブレーカーが開いてから試行を再開するまでの時間（ミリ秒）
+      resetTimeoutMs: Number(process.env.LLM_CIRCUIT_RESET_TIMEOUT_MS) || 60000
+    }
+  },
+
+  // 役割別モデルルーティング設定（未指定の役割は選択中のモデルを使用）
+  routing: {
+    // 最初の呼び出し（計画）に使用するモデル
+    planning: process.env.ROUTING_PLANNING_MODEL,
+    // 途中の呼び出し（ツールと引数の決定）に使用するモデル
+    toolArgument: process.env.ROUTING_TOOL_MODEL,
+    // 最終回答に使用するモデル
+    finalAnswer: process.env.ROUTING_FINAL_MODEL
+  },
+
+  // エージェント設定
+  agent: {
+    // エージェント戦略（auto: モデルの設定と性能情報から選択 / react: テキストのReAct / tool-calling: ネイティブのツール呼び出し）
+    strategy: process.env.AGENT_STRATEGY || 'auto',
+    // エージェントがドキュメントとツールの入力を書く言語（ja / en）
+    outputLanguage: process.env.OUTPUT_LANGUAGE || 'ja',
+    // 実行方式（single: 1つのReActループ / plan-and-execute: 計画を作成してからステップごとに実行）
+    mode: process.env.AGENT_MODE || 'single',
+    // 1回の実行の時間の上限（秒、0の場合は上限なし）
+    timeoutSeconds: Number(process.env.RUN_TIMEOUT_SECONDS) || 0,
+    // 最大反復回数（ツール呼び出しの回数の上限）
+    maxIterations: Number(process.env.MAX_ITERATIONS) || 10,
+    // 反復回数の上限に達したときの扱い（generate: 途中までのステップから最終回答をまとめ、下書きを保存する / force: そのまま終了する）
+    earlyStopping: process.env.EARLY_STOPPING || 'generate',
+    // 計画実行方式の設定
+    plan: {
+      // 計画の最大ステップ数
+      maxSteps: Number(process.env.PLAN_MAX_STEPS) || 6,
+      // 各ステップの最大反復回数
+      stepIterations: Number(process.env.PLAN_STEP_ITERATIONS) || 6
+    }
+  },
+
+  // 複数エージェントのパイプライン設定
+  pipeline: {
+    // レビュー担当が修正を依頼できる最大回数
+    maxRevisions: Number(process.env.PIPELINE_MAX_REVISIONS ?? 2),
+    // 役割ごとのモデル（省略時は選択中のモデル）とプロンプトテンプレート
+    roles: {
+      analyst: {
+        model: process.env.PIPELINE_ANALYST_MODEL,
+        prompt: process.env.PIPELINE_ANALYST_PROMPT || 'role-analyst'
+      },
+      designer: {
+        model: process.env.PIPELINE_DESIGNER_MODEL,
+        prompt: process.env.PIPELINE_DESIGNER_PROMPT || 'role-designer'
+      },
+      reviewer: {
+        model: process.env.PIPELINE_REVIEWER_MODEL,
+        prompt: process.env.PIPELINE_REVIEWER_PROMPT || 'role-reviewer'
+      }
+    }
+  },
+
+  // セルフレビュー（保存したドキュメントの採点と修正）設定
+  reflection: {
+    // 有効にするか
+    enabled: process.env.REFLECTION === 'true',
+    // 合格点（チェックリストの合格した項目の割合、0〜100）
+    threshold: Number(process.env.REFLECTION_THRESHOLD ?? 80),
+    // 修正の最大回数
+    maxRounds: Number(process.env.REFLECTION_MAX_ROUNDS ?? 2),
+    // チェックリストのファイル（YAML / JSON、省略時は既定のチェックリスト）
+    checklistFile: process.env.REFLECTION_CHECKLIST
+  },
+
+  // ツール呼び出しの承認（実行前の確認）設定
+  approval: {
+    // 有効にするか（CLIの analyze / interactive で実行前に確認する）
+    enabled: process.env.TOOL_APPROVAL === 'true',
+    // 個別の指定がないツールの扱い（ask: 確認する / auto: 確認しない）
+    defaultPolicy: process.env.TOOL_APPROVAL_DEFAULT || 'ask',
+    // ツールごとの扱い（例: save_document:ask,requirement_analysis:auto）
+    policies: process.env.TOOL_APPROVAL_POLICIES
+  },
+
+  // 会話の履歴（マルチターンの記憶）設定
+  memory: {
+    // 会話の履歴の扱い（none: 使用しない / window: 直近の会話のみ / summary: 古い会話を要約して残す）
+    mode: process.env.MEMORY_MODE || 'window',
+    // そのまま入力に含める直近の会話の往復数
+    windowTurns: Number(process.env.MEMORY_WINDOW_TURNS) || 3,
+    // 会話の履歴に使用する最大トークン数
+    maxTokens: Number(process.env.MEMORY_MAX_TOKENS) || 2000
+  },
+
+  // CLIの表示設定
+  i18n: {
+    // CLIの表示言語（ja / en）
+    locale: process.env.CLI_LOCALE || 'ja'
+  },
+
+  // プロンプトテンプレート設定
+  prompts: {
+    // 同梱のテンプレートを上書きするテンプレートの配置先（省略時は ~/.react-agent/prompts と ./prompts を参照）
+    dir: process.env.PROMPT_DIR
+  },
+
+  // カセット（LLM呼び出しの記録・再生）設定
+  cassette: {
+    // カセットファイルの保存先
+    dir: process.env.CASSETTE_DIR || path.join(rootDir, 'cassettes'),
+    // --cassette を省略した場合のカセット名
+    name: 'default'
+  },
+
+  // Ollama設定
+  ollama: {
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    // 起動時に /api/tags からインストール済みモデルを取得するか
+    discovery: process.env.OLLAMA_DISCOVERY !== 'false',
+    // モデル一覧取得のタイムアウト（ミリ秒）
+    discoveryTimeout: Number(process.env.OLLAMA_DISCOVERY_TIMEOUT) || 1500
   },
 
   // API キー
@@ -70,12 +242,20 @@ const config = {
   }
 };
 
+// APIキーが不要なプロバイダー
+export const keylessProviders = ['ollama', 'openai-compatible', 'mock'];
+
 /**
  * APIキーが設定されているかチェックする
  * @param {string} provider - プロバイダー名
  * @returns {boolean} APIキーが設定されているかどうか
  */
 export const hasValidApiKey = (provider) => {
+  // APIキーを必要としないプロバイダー
+  if (keylessProviders.includes(provider)) {
+    return true;
+  }
+
   const keyMapping = {
     openai: 'openai',
     anthropic: 'anthropic',
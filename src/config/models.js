@@ -6,6 +6,11 @@
 export const defaultModel = process.env.DEFAULT_MODEL || 'gpt-3.5-turbo';
 
 // 利用可能なモデル定義
+// pricing: 100万トークンあたりの料金（USD）。input=入力トークン、output=出力トークン
+// capabilities: contextWindow=コンテキストウィンドウのトークン数、toolCalling=ネイティブのツール呼び出しに対応しているか
+// agentStrategy（任意）: このモデルで使用するエージェント戦略（react / tool-calling）。省略時は toolCalling から自動で選択
+// displayName（任意）: 一覧などに表示する名前
+// モデルカタログファイル（src/config/catalog.js）で追加・上書き・非表示にできる
 export const availableModels = {
   // OpenAIモデル
   'gpt-3.5-turbo': {
@@ -14,7 +19,9 @@ export const availableModels = {
       model: 'gpt-3.5-turbo',
       temperature: 0.7,
       maxTokens: 4096
-    }
+    },
+    pricing: { input: 0.5, output: 1.5 },
+    capabilities: { contextWindow: 16385, toolCalling: true }
   },
   'gpt-4-turbo': {
     provider: 'openai',
@@ -22,7 +29,9 @@ export const availableModels = {
       model: 'gpt-4-turbo',
       temperature: 0.7,
       maxTokens: 4096
-    }
+    },
+    pricing: { input: 10, output: 30 },
+    capabilities: { contextWindow: 128000, toolCalling: true }
   },
   'gpt-4o': {
     provider: 'openai',
@@ -30,7 +39,9 @@ export const availableModels = {
       model: 'gpt-4o',
       temperature: 0.7,
       maxTokens: 4096
-    }
+    },
+    pricing: { input: 2.5, output: 10 },
+    capabilities: { contextWindow: 128000, toolCalling: true }
   },
   'gpt-4o-mini': {
     provider: 'openai',
@@ -38,7 +49,9 @@ export const availableModels = {
       model: 'gpt-4o-mini',
       temperature: 0.7,
       maxTokens: 4096
-    }
+    },
+    pricing: { input: 0.15, output: 0.6 },
+    capabilities: { contextWindow: 128000, toolCalling: true }
   },
   
   // Geminiモデル
@@ -48,7 +61,9 @@ export const availableModels = {
       model: 'gemini-2.0-flash',
       temperature: 0.7,
       maxOutputTokens: 4096
-    }
+    },
+    pricing: { input: 0.1, output: 0.4 },
+    capabilities: { contextWindow: 1048576, toolCalling: true }
   },
   'gemini-1.5-flash': {
     provider: 'gemini',
@@ -56,7 +71,9 @@ export const availableModels = {
       model: 'gemini-1.5-flash',
       temperature: 0.7,
       maxOutputTokens: 4096
-    }
+    },
+    pricing: { input: 0.075, output: 0.3 },
+    capabilities: { contextWindow: 1048576, toolCalling: true }
   },
   'gemini-1.5-pro': {
     provider: 'gemini',
@@ -64,7 +81,9 @@ export const availableModels = {
       model: 'gemini-1.5-pro',
       temperature: 0.7,
       maxOutputTokens: 4096
-    }
+    },
+    pricing: { input: 1.25, output: 5 },
+    capabilities: { contextWindow: 2097152, toolCalling: true }
   },
   
   // Claudeモデル
@@ -74,7 +93,9 @@ export const availableModels = {
       model: 'claude-3-5-sonnet-20241022',
       temperature: 0.7,
       maxTokens: 4096
-    }
+    },
+    pricing: { input: 3, output: 15 },
+    capabilities: { contextWindow: 200000, toolCalling: true }
   },
   'claude-3-5-haiku-20241022': {
     provider: 'anthropic',
@@ -82,7 +103,9 @@ export const availableModels = {
       model: 'claude-3-5-haiku-20241022',
       temperature: 0.7,
       maxTokens: 4096
-    }
+    },
+    pricing: { input: 0.8, output: 4 },
+    capabilities: { contextWindow: 200000, toolCalling: true }
   },
   'claude-3-opus-20240229': {
     provider: 'anthropic',
@@ -90,7 +113,9 @@ export const availableModels = {
       model: 'claude-3-opus-20240229',
       temperature: 0.7,
       maxTokens: 4096
-    }
+    },
+    pricing: { input: 15, output: 75 },
+    capabilities: { contextWindow: 200000, toolCalling: true }
   },
   
   // DeepSeekモデル
@@ -100,7 +125,35 @@ export const availableModels = {
       model: 'deepseek-chat',
       temperature: 0.7,
       maxTokens: 4096
-    }
+    },
+    pricing: { input: 0.27, output: 1.1 },
+    capabilities: { contextWindow: 65536, toolCalling: true }
+  },
+
+  // OpenAI互換エンドポイント（llama.cpp / vLLM / LM Studio など）
+  // baseURLを指定すれば任意のモデルを追加できる（apiKey / apiKeyEnv は任意）
+  'local-openai': {
+    provider: 'openai-compatible',
+    options: {
+      model: process.env.LOCAL_OPENAI_MODEL || 'local-model',
+      baseURL: process.env.LOCAL_OPENAI_BASE_URL || 'http://localhost:8080/v1',
+      apiKeyEnv: 'LOCAL_OPENAI_API_KEY',
+      temperature: 0.7,
+      maxTokens: 4096
+    },
+    pricing: { input: 0, output: 0 },
+    capabilities: { contextWindow: 8192, toolCalling: false }
+  },
+
+  // モックモデル（フィクスチャの応答を再生するオフライン用モデル）
+  'mock': {
+    provider: 'mock',
+    options: {
+      model: 'mock',
+      fixture: 'fixtures/mock/default.json'
+    },
+    pricing: { input: 0, output: 0 },
+    capabilities: { contextWindow: 128000, toolCalling: false }
   }
 };
 
@@ -109,7 +162,38 @@ export const modelProviders = {
   openai: 'OpenAI',
   anthropic: 'Anthropic Claude',
   gemini: 'Google Gemini',
-  deepseek: 'DeepSeek'
+  deepseek: 'DeepSeek',
+  ollama: 'Ollama',
+  'openai-compatible': 'OpenAI互換エンドポイント',
+  mock: 'Mock'
+};
+
+// Ollamaモデルの名前の接頭辞（例: "ollama:llama3.1:8b"）
+export const OLLAMA_MODEL_PREFIX = 'ollama:';
+
+/**
+ * Ollamaのモデルタグを利用可能なモデルとして登録する
+ * @param {string} tag - Ollamaのモデルタグ（例: "llama3.1:8b"）
+ * @param {Object} details - /api/tags から取得したモデルの詳細情報
+ * @returns {string} 登録されたモデル名
+ */
+export const registerOllamaModel = (tag, details = {}) => {
+  const modelName = `${OLLAMA_MODEL_PREFIX}${tag}`;
+  if (!availableModels[modelName]) {
+    availableModels[modelName] = {
+      provider: 'ollama',
+      options: {
+        model: tag,
+        temperature: 0.7,
+        maxTokens: 4096
+      },
+      pricing: { input: 0, output: 0 },
+      capabilities: { contextWindow: 8192, toolCalling: false },
+      discovered: true,
+      details
+    };
+  }
+  return modelName;
 };
 
 /**
@@ -131,6 +215,30 @@ export const getModelProvider = (modelName) => {
   return availableModels[modelName].provider;
 };
 
+/**
+ * モデルのフォールバックチェーンを取得する
+ * @param {string} modelName - モデル名
+ * @returns {Array<string>} 先頭に指定したモデルを含む、切り替え順のモデル名リスト
+ */
+export const getFallbackChain = (modelName) => {
+  if (!isValidModel(modelName)) return [];
+  const fallbacks = (availableModels[modelName].fallbacks || [])
+    .filter(name => name !== modelName && isValidModel(name));
+  return [modelName, ...new Set(fallbacks)];
+};
+
+/**
+ * トークン使用量から推定コストを計算する
+ * @param {string} modelName - モデル名
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number} 推定コスト（USD）、料金が未定義の場合は0
+ */
+export const estimateCost = (modelName, usage) => {
+  const pricing = isValidModel(modelName) ? availableModels[modelName].pricing : null;
+  if (!pricing) return 0;
+  return ((usage.inputTokens || 0) * pricing.input + (usage.outputTokens || 0) * pricing.output) / 1_000_000;
+};
+
 /**
  * モデルの表示名を取得する
  * @param {string} modelName - モデル名
@@ -138,6 +246,9 @@ export const getModelProvider = (modelName) => {
  */
 export const getModelDisplayName = (modelName) => {
   if (!isValidModel(modelName)) return 'Unknown Model';
+  if (availableModels[modelName].displayName) {
+    return `${availableModels[modelName].displayName} (${modelName})`;
+  }
   const provider = modelProviders[availableModels[modelName].provider];
   return `${provider} (${modelName})`;
 }; 
\ No newline at end of file
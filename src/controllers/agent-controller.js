@@ -5,10 +5,27 @@
 import path from 'path';
 import fs from 'fs-extra';
 import ReActAgentAdapter from '../agents/react-agent-adapter.js';
+import { collectTurns } from '../agents/conversation-memory.js';
+import promptRegistry from '../agents/prompt-registry.js';
+import {
+  PIPELINE_ROLES,
+  ROLE_TOOLS,
+  REVIEW_VERDICTS,
+  resolveRoleSettings,
+  parseReview
+} from '../agents/pipeline.js';
 import modelSelector from '../models/selector.js';
 import config from '../config/index.js';
 import Logger from '../utils/logger.js';
+import { getCircuitBreakerStatuses } from '../models/resilience.js';
+import cassette from '../models/cassette.js';
+import usageTracker, { createEmptyUsage, addUsage } from '../utils/usage-tracker.js';
+import { buildComparisonReport } from '../utils/comparison-report.js';
 import { getFormattedDateTime, getTimestampedFilename } from '../utils/formatter.js';
+import { extractWrittenFiles, removePlaceholderFiles } from '../utils/output-files.js';
+import { createRunSignal } from '../agents/cancellation.js';
+import { collectTraceRuns } from '../agents/step-trace.js';
+import { APPROVAL_POLICIES } from '../tools/tool-approval.js';
 
 class AgentController {
   constructor() {
@@ -17,6 +34,8 @@ class AgentController {
     this.initialized = false;
     this.activeSession = null;
     this.sessionHistory = [];
+    // 1回の実行の時間の上限（秒、0の場合は上限なし）
+    this.runTimeoutSeconds = config.agent.timeoutSeconds;
     
     // 出力ディレクトリはconfig/index.jsで作成済み
     Logger.info('エージェントコントローラーを初期化しました', 'AgentController');
@@ -30,8 +49,8 @@ class AgentController {
     try {
       Logger.info('エージェントコントローラーの初期化を開始します', 'AgentController');
       
-      // モデルセレクタの利用可能なモデルを確認
-      const availableModels = modelSelector.getAvailableModels();
+      // ローカルのOllamaにインストールされたモデルを利用可能なモデルに追加
+      await modelSelector.discoverOllamaModels();
       
       // エージェントの初期化
       await this.agent.initialize();
@@ -69,7 +88,12 @@ class AgentController {
       name: sessionName,
       startTime: new Date(),
       messages: [],
-      modelName: this.agent.modelName
+      modelName: this.agent.modelName,
+      parameters: modelSelector.getEffectiveParameters(this.agent.modelName),
+      prompts: this.agent.getStatus().prompts,
+      // 会話の履歴の要約の状態 { summary, summarizedTurns }
+      memory: null,
+      usage: createEmptyUsage()
     };
     
     Logger.info(`新しいセッションを作成しました: ${sessionName}`, 'AgentController');
@@ -96,6 +120,7 @@ class AgentController {
       // セッションのモデル名を更新
       if (this.activeSession) {
         this.activeSession.modelName = modelName;
+        this.activeSession.parameters = modelSelector.getEffectiveParameters(modelName);
       }
       
       return true;
@@ -105,13 +130,208 @@ class AgentController {
     }
   }
   
+  /**
+   * 現在のモデルの生成パラメータを変更する
+   * @param {Object|null} params - { temperature, maxTokens, topP, stop }（nullの場合は設定ファイルの値に戻す）
+   * @returns {Promise<Object>} 変更後の実効パラメータ
+   */
+  async setModelParameters(params) {
+    try {
+      // 初期化されていない場合は初期化
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      const parameters = await this.agent.setModelParameters(params);
+      
+      // セッションに実効パラメータを記録
+      if (this.activeSession) {
+        this.activeSession.parameters = parameters;
+      }
+      
+      return parameters;
+    } catch (error) {
+      Logger.error(`パラメータの変更に失敗しました: ${error.message}`, 'AgentController');
+      throw error;
+    }
+  }
+  
+  /**
+   * 役割別ルーティングのポリシーを変更する
+   * @param {Object} routing - 役割ごとのモデル名 { planning, toolArgument, finalAnswer }
+   * @returns {Promise<Object>} すべての役割のモデル名
+   */
+  async setRoutingPolicy(routing) {
+    try {
+      // 初期化されていない場合は初期化
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      const modelNames = await this.agent.setRoutingPolicy(routing);
+      
+      // セッションにルーティングのポリシーを記録
+      if (this.activeSession) {
+        this.activeSession.routing = modelNames;
+      }
+      
+      return modelNames;
+    } catch (error) {
+      Logger.error(`ルーティングの変更に失敗しました: ${error.message}`, 'AgentController');
+      throw error;
+    }
+  }
+  
+  /**
+   * エージェント戦略を変更する
+   * @param {string} strategy - エージェント戦略（auto / react / tool-calling）
+   * @returns {Promise<string>} 実際に使用するエージェント戦略（react / tool-calling）
+   */
+  async setAgentStrategy(strategy) {
+    try {
+      // 初期化されていない場合は初期化
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      const activeStrategy = await this.agent.setAgentStrategy(strategy);
+      Logger.info(`エージェント戦略を${strategy}に設定しました（使用する戦略: ${activeStrategy}）`, 'AgentController');
+      
+      return activeStrategy;
+    } catch (error) {
+      Logger.error(`エージェント戦略の変更に失敗しました: ${error.message}`, 'AgentController');
+      throw error;
+    }
+  }
+  
+  /**
+   * 現在のモデルの実効パラメータを取得
+   * @returns {Object} { temperature, maxTokens, topP, stop, overridden }
+   */
+  getModelParameters() {
+    return modelSelector.getEffectiveParameters(this.agent.modelName);
+  }
+  
+  /**
+   * LLM呼び出しの記録・再生モードを設定する
+   * @param {string|null} mode - 'record' / 'replay'（nullの場合は無効）
+   * @param {string} name - カセット名またはファイルパス
+   */
+  useCassette(mode, name) {
+    modelSelector.useCassette(mode, name);
+    Logger.info(`カセットを${mode ? `${mode}モードに設定しました: ${name}` : '無効にしました'}`, 'AgentController');
+  }
+  
+  /**
+   * エージェントがドキュメントとツールの入力を書く言語を設定する
+   * @param {string} language - 出力言語（ja / en）
+   */
+  setOutputLanguage(language) {
+    this.agent.setOutputLanguage(language);
+    Logger.info(`出力言語を${language}に設定しました`, 'AgentController');
+  }
+  
+  /**
+   * セルフレビュー（保存したドキュメントの採点と修正）の設定を変更する
+   * @param {Object} reflection - { enabled, threshold, maxRounds }（未指定の項目は変更しない）
+   */
+  setReflection(reflection) {
+    this.agent.setReflectionOptions(reflection);
+    const { enabled, threshold, maxRounds } = this.agent.reflection;
+    Logger.info(`セルフレビューを${enabled ? `有効にしました（合格点: ${threshold}, 修正の最大回数: ${maxRounds}）` : '無効にしました'}`, 'AgentController');
+  }
+  
+  /**
+   * ツール呼び出しの承認（実行前の確認）の設定を変更する
+   * @param {Object} approval - { enabled, defaultPolicy, policies: ツール名ごとの扱い }（未指定の項目は変更しない）
+   */
+  setToolApproval(approval) {
+    this.agent.setApprovalOptions(approval);
+    const { enabled, policies } = this.agent.approval;
+    const autoTools = Object.keys(policies).filter(tool => policies[tool] === APPROVAL_POLICIES.AUTO);
+    Logger.info(`ツールの承認を${enabled ? `有効にしました（確認しないツール: ${autoTools.join(', ') || 'なし'}）` : '無効にしました'}`, 'AgentController');
+  }
+  
+  /**
+   * エージェントの実行方式を変更する
+   * @param {string} mode - 実行方式（single / plan-and-execute）
+   */
+  setAgentMode(mode) {
+    this.agent.setAgentMode(mode);
+    Logger.info(`実行方式を${mode}に設定しました`, 'AgentController');
+  }
+  
+  /**
+   * 会話の履歴（マルチターンの記憶）の設定を変更する
+   * @param {Object} memory - { mode: none / window / summary, windowTurns: 直近の会話の往復数 }（未指定の項目は変更しない）
+   */
+  setConversationMemory(memory) {
+    this.agent.setMemoryOptions(memory);
+    Logger.info(`会話の履歴を設定しました: ${this.agent.memory.mode}（直近: ${this.agent.memory.windowTurns}往復）`, 'AgentController');
+  }
+  
+  /**
+   * エージェントの出力言語を取得
+   * @returns {string} 出力言語（ja / en）
+   */
+  getOutputLanguage() {
+    return this.agent.outputLanguage;
+  }
+  
+  /**
+   * 要件分析でエージェントに渡す入力を出力言語のテンプレートから作成する
+   * @param {string} requirements - 要件
+   * @returns {string} エージェントへの入力
+   */
+  createAnalysisInput(requirements) {
+    return this.agent.renderPrompt('analysis-input', { requirements });
+  }
+  
+  /**
+   * 1回の実行の時間の上限を設定する
+   * @param {number} seconds - 上限（秒、0の場合は上限なし）
+   */
+  setRunTimeout(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      throw new Error(`実行時間の上限は0以上の秒数で指定してください: ${seconds}`);
+    }
+    this.runTimeoutSeconds = seconds;
+    Logger.info(`実行時間の上限を${seconds > 0 ? `${seconds}秒に設定しました` : '無効にしました'}`, 'AgentController');
+  }
+  
+  /**
+   * 1回の実行の最大反復回数と、上限に達したときの扱いを設定する
+   * 比較・パイプラインで作成するエージェントにも同じ設定を使用する
+   * @param {Object} options - { maxIterations, earlyStopping: generate / force }（未指定の項目は変更しない）
+   */
+  setIterationLimit(options) {
+    this.agent.setIterationOptions(options);
+    Logger.info(`最大反復回数を${this.agent.maxIterations}回に設定しました（上限に達したときの扱い: ${this.agent.earlyStopping}）`, 'AgentController');
+  }
+  
+  /**
+   * ストリーミング表示の有効・無効を切り替える
+   * @param {boolean} enabled - 有効にするか
+   */
+  setStreaming(enabled) {
+    this.agent.streaming = enabled;
+    Logger.info(`ストリーミングを${enabled ? '有効' : '無効'}にしました`, 'AgentController');
+  }
+  
   /**
    * エージェントに入力を処理させる
    * @param {string} input - ユーザー入力
    * @param {Object} options - 追加オプション
+   * @param {Function} options.onEvent - ストリーミングイベントを受け取る関数
+   * @param {Function} options.onApproval - ツール呼び出しの確認を行う関数（承認が有効な場合に使用）
+   * @param {AbortSignal} options.signal - 実行を中断するシグナル（Ctrl+C など）
    * @returns {Promise<Object>} 処理結果
+   * @throws {RunCancelledError} 中断またはタイムアウトした場合（途中までのステップはセッションに記録する）
    */
   async processInput(input, options = {}) {
+    // このリクエストで使用したトークン数を集計するための起点
+    const usageMark = usageTracker.mark();
+    
     try {
       // 初期化されていない場合は初期化
       if (!this.initialized) {
@@ -131,6 +351,12 @@ class AgentController {
       
       Logger.info(`入力を処理します: "${input.substring(0, 50)}${input.length > 50 ? '...' : ''}"`, 'AgentController');
       
+      // これまでの会話を履歴としてエージェントに渡す
+      const history = {
+        messages: [...this.activeSession.messages],
+        state: this.activeSession.memory
+      };
+      
       // ユーザー入力をセッションに追加
       this.activeSession.messages.push({
         role: 'user',
@@ -138,40 +364,376 @@ class AgentController {
         timestamp: new Date()
       });
       
-      // エージェントによる入力の処理
+      // エージェントによる入力の処理（呼び出し元の中断と実行時間の上限のどちらかで中断する）
       const result = await this.agent.run({
         input: input
+      }, {
+        onEvent: options.onEvent,
+        onApproval: options.onApproval,
+        signal: createRunSignal({ signal: options.signal, timeoutMs: this.runTimeoutSeconds * 1000 }),
+        history
       });
+      // 要約の状態はセッションに、使用した履歴の範囲は応答メッセージに記録する
+      this.activeSession.memory = result.memory.state;
+      const memory = { mode: result.memory.mode, turns: result.memory.turns, summarizedTurns: result.memory.summarizedTurns };
+      
+      // トークン使用量と推定コストを集計
+      const usage = await usageTracker.summarizeSince(usageMark);
+      addUsage(this.activeSession.usage, usage);
       
       // エージェントの応答をセッションに追加
       this.activeSession.messages.push({
         role: 'assistant',
         content: result.output,
         steps: result.intermediateSteps,
+        modelName: result.activeModelName,
+        strategy: result.strategy,
+        outputLanguage: result.outputLanguage,
+        prompts: result.prompts,
+        files: extractWrittenFiles(result.intermediateSteps),
+        memory,
+        mode: result.mode,
+        plan: result.plan,
+        stoppedEarly: result.stoppedEarly,
+        reflection: result.reflection,
+        approvals: result.approvals,
+        fallbacks: result.fallbacks,
+        parameters: modelSelector.getEffectiveParameters(result.activeModelName),
+        routing: result.routing,
+        context: result.context,
+        usage,
         timestamp: new Date()
       });
       
-      Logger.info('入力の処理が完了しました', 'AgentController');
+      if (result.context.inputChunks > 1 || result.context.trimmedCalls > 0) {
+        Logger.info(`コンテキストウィンドウに収めるため入力・スクラッチパッドを圧縮しました (入力チャンク: ${result.context.inputChunks}, スクラッチパッドの圧縮: ${result.context.trimmedCalls}回)`, 'AgentController');
+      }
+      
+      if (result.fallbacks.length > 0) {
+        Logger.warn(`実行中にモデルを切り替えました: ${result.fallbacks.map(f => `${f.from} → ${f.to}`).join(', ')}`, 'AgentController');
+      }
+      
+      Logger.info(`入力の処理が完了しました (トークン: ${usage.totalTokens}, 推定コスト: $${usage.cost.toFixed(4)})`, 'AgentController');
       
       return {
         output: result.output,
         intermediateSteps: result.intermediateSteps,
+        modelName: result.activeModelName,
+        strategy: result.strategy,
+        memory,
+        mode: result.mode,
+        plan: result.plan,
+        stoppedEarly: result.stoppedEarly,
+        reflection: result.reflection,
+        approvals: result.approvals,
+        fallbacks: result.fallbacks,
+        routing: result.routing,
+        context: result.context,
+        usage,
         sessionId: this.activeSession.id
       };
     } catch (error) {
       Logger.error(`入力処理エラー: ${error.message}`, 'AgentController');
       
-      // エラーをセッションに追加
-      this.activeSession.messages.push({
-        role: 'error',
-        content: error.message,
-        timestamp: new Date()
-      });
+      // 失敗までに使用したトークンも集計（初期化に失敗した場合はセッションがない）
+      if (this.activeSession) {
+        const usage = await usageTracker.summarizeSince(usageMark);
+        addUsage(this.activeSession.usage, usage);
+        
+        // 中断された場合は途中までのステップを記録し、内容が保存されないまま残った仮のファイルを削除する
+        if (error.code === 'RUN_CANCELLED') {
+          const files = extractWrittenFiles(error.intermediateSteps);
+          error.removedFiles = await removePlaceholderFiles(files);
+          error.files = files.filter(file => !error.removedFiles.includes(file));
+          error.sessionId = this.activeSession.id;
+          
+          this.activeSession.messages.push({
+            role: 'cancelled',
+            content: error.message,
+            reason: error.reason,
+            steps: error.intermediateSteps,
+            files: error.files,
+            removedFiles: error.removedFiles,
+            usage,
+            timestamp: new Date()
+          });
+          throw error;
+        }
+        
+        // エラーをセッションに追加
+        this.activeSession.messages.push({
+          role: 'error',
+          content: error.message,
+          usage,
+          timestamp: new Date()
+        });
+      }
       
       throw error;
     }
   }
   
+  /**
+   * 同じ要件を複数のモデルで実行し、比較レポートを作成する
+   * 各モデルは専用のエージェントで実行し、出力ファイルが重ならないようプロジェクト名にモデル名を付加する
+   * @param {string} requirements - 要件
+   * @param {Array<string>} modelNames - 比較するモデル名
+   * @param {Object} options - オプション
+   * @param {string} options.projectName - プロジェクト名
+   * @param {boolean} options.concurrent - 並列に実行するか（falseの場合は順番に実行）
+   * @param {Function} options.onProgress - モデルごとの開始・完了を受け取る関数
+   * @returns {Promise<Object>} { reportPath, results }
+   */
+  async compareModels(requirements, modelNames, options = {}) {
+    const projectName = options.projectName || `Compare_${getFormattedDateTime()}`;
+    const onProgress = options.onProgress || (() => {});
+    const models = [...new Set(modelNames)];
+    
+    for (const modelName of models) {
+      if (!modelSelector.getModelInfo(modelName) && !modelName.startsWith(config.models.OLLAMA_MODEL_PREFIX)) {
+        throw new Error(`無効なモデル名です: ${modelName}`);
+      }
+    }
+    
+    Logger.info(`モデル比較を開始します: ${models.join(', ')} (${options.concurrent ? '並列' : '順次'})`, 'AgentController');
+    const startedAt = new Date();
+    
+    const runModel = async (modelName) => {
+      const modelProjectName = `${projectName}_${modelName.replace(/[^A-Za-z0-9.-]+/g, '-')}`;
+      const usageMark = usageTracker.mark();
+      // 並列実行では他のモデルの記録が混ざるため、実行ごとのスコープで使用量を集計する
+      const usageScope = Symbol(modelName);
+      const startTime = Date.now();
+      onProgress({ type: 'start', modelName });
+      
+      // 比較の条件をそろえるため、役割別ルーティングを使わずに単一のモデルで実行
+      const agent = new ReActAgentAdapter({
+        modelName,
+        streaming: false,
+        verbose: false,
+        maxIterations: this.agent.maxIterations,
+        earlyStopping: this.agent.earlyStopping,
+        outputLanguage: this.agent.outputLanguage,
+        routing: { planning: modelName, toolArgument: modelName, finalAnswer: modelName }
+      });
+      const input = agent.renderPrompt('compare-input', { project_name: modelProjectName, requirements });
+      
+      let result;
+      try {
+        const runResult = await usageTracker.runInScope(usageScope, () => agent.run({ input }));
+        const files = extractWrittenFiles(runResult.intermediateSteps);
+        result = {
+          modelName,
+          success: true,
+          output: runResult.output,
+          steps: runResult.intermediateSteps.length,
+          files: await Promise.all(files.map(async file => ({ path: file, content: await fs.readFile(file, 'utf8') }))),
+          fallbacks: runResult.fallbacks
+        };
+      } catch (error) {
+        Logger.error(`モデル "${modelName}" の実行に失敗しました: ${error.message}`, 'AgentController');
+        result = { modelName, success: false, error: error.message, output: '', steps: 0, files: [], fallbacks: [] };
+      }
+      
+      result.durationMs = Date.now() - startTime;
+      result.usage = await usageTracker.summarizeSince(usageMark, { scope: usageScope });
+      onProgress({ type: 'end', modelName, result });
+      return result;
+    };
+    
+    let results;
+    if (options.concurrent) {
+      results = await Promise.all(models.map(runModel));
+    } else {
+      results = [];
+      for (const modelName of models) {
+        results.push(await runModel(modelName));
+      }
+    }
+    
+    // レポートの保存
+    const report = buildComparisonReport({
+      projectName,
+      requirements,
+      concurrent: !!options.concurrent,
+      startedAt,
+      results,
+      baseDir: config.app.outputDirs.comparisons
+    });
+    const reportPath = path.join(
+      config.app.outputDirs.comparisons,
+      getTimestampedFilename(`${projectName.replace(/\s+/g, '_')}_comparison`, 'md')
+    );
+    await fs.outputFile(reportPath, report, 'utf8');
+    
+    Logger.info(`モデル比較レポートを保存しました: ${reportPath}`, 'AgentController');
+    return { reportPath, results };
+  }
+  
+  /**
+   * 要件分析担当・設計担当・レビュー担当のエージェントが順番に作業するパイプラインを実行する
+   * レビュー担当が修正を依頼した場合は、指摘を渡して対象の担当から作業をやり直す
+   * 各担当の成果物（引き継ぎ資料）は output/pipelines/<プロジェクト名>_<日時>/ に保存する
+   * @param {string} requirements - 要件
+   * @param {Object} options - オプション
+   * @param {string} options.projectName - プロジェクト名（省略時は日時から作成）
+   * @param {Object} options.models - 役割ごとのモデル名 { analyst, designer, reviewer }（省略時は設定ファイル・選択中のモデル）
+   * @param {number} options.maxRevisions - レビュー担当が修正を依頼できる最大回数
+   * @param {Function} options.onProgress - 進捗（role_start / role_end / review）を受け取る関数
+   * @returns {Promise<Object>} { dir: 保存先ディレクトリ, status: approved / revision_limit / failed, rounds: 各担当の実行結果 }
+   */
+  async runPipeline(requirements, options = {}) {
+    const projectName = options.projectName || `Pipeline_${getFormattedDateTime()}`;
+    const onProgress = options.onProgress || (() => {});
+    const maxRevisions = options.maxRevisions ?? config.pipeline.maxRevisions;
+    const dir = path.join(config.app.outputDirs.pipelines, `${projectName.replace(/\s+/g, '_')}_${getFormattedDateTime()}`);
+    await fs.ensureDir(dir);
+    
+    const usageMark = usageTracker.mark();
+    const startedAt = new Date();
+    const language = this.agent.outputLanguage;
+    const roles = Object.fromEntries(Object.values(PIPELINE_ROLES)
+      .map(role => [role, resolveRoleSettings(role, options.models, this.agent.modelName)]));
+    Logger.info(`パイプラインを開始します: ${JSON.stringify(roles)}`, 'AgentController');
+    
+    // 担当ごとのエージェント（やり直しでも同じエージェントを使用する）
+    const agents = {};
+    const getAgent = (role) => {
+      const modelName = roles[role].model;
+      agents[role] ||= new ReActAgentAdapter({
+        modelName,
+        tools: ROLE_TOOLS[role],
+        rolePrompt: roles[role].prompt,
+        streaming: false,
+        verbose: false,
+        maxIterations: this.agent.maxIterations,
+        earlyStopping: this.agent.earlyStopping,
+        strategy: this.agent.strategy,
+        outputLanguage: language,
+        routing: { planning: modelName, toolArgument: modelName, finalAnswer: modelName }
+      });
+      return agents[role];
+    };
+    
+    // 担当の成果物を引き継ぎ資料として保存する
+    const saveArtifact = async (round, role, content) => {
+      const file = path.join(dir, `round${round}_${role}.md`);
+      await fs.outputFile(file, content, 'utf8');
+      return file;
+    };
+    
+    // 要件分析担当・設計担当を実行し、作成したファイルの内容（ファイルがない場合は最終回答）を成果物とする
+    // 入力は担当のエージェントの出力言語のテンプレート（pipeline-<担当>-input と、指摘がある場合は pipeline-feedback）から作成する
+    const runAgentRole = async (round, role, documentText, reviewText) => {
+      onProgress({ type: 'role_start', round, role, modelName: roles[role].model });
+      const agent = getAgent(role);
+      const input = agent.renderPrompt(`pipeline-${role}-input`, {
+        project_name: projectName,
+        requirements: documentText,
+        feedback: reviewText ? agent.renderPrompt('pipeline-feedback', { feedback: reviewText }) : ''
+      });
+      const result = await agent.run({ input });
+      const files = extractWrittenFiles(result.intermediateSteps);
+      const contents = await Promise.all(files.map(file => fs.readFile(file, 'utf8')));
+      const artifact = contents.length > 0 ? contents.join('\n\n---\n\n') : result.output;
+      const record = {
+        round,
+        role,
+        modelName: roles[role].model,
+        output: result.output,
+        steps: result.intermediateSteps.length,
+        files,
+        prompts: result.prompts,
+        artifact: await saveArtifact(round, role, artifact)
+      };
+      onProgress({ type: 'role_end', ...record });
+      return { record, artifact };
+    };
+    
+    // レビュー担当は成果物を読んで講評する（ツールは使用しない）
+    const runReviewer = async (round, requirementsArtifact, designArtifact) => {
+      const role = PIPELINE_ROLES.REVIEWER;
+      onProgress({ type: 'role_start', round, role, modelName: roles[role].model });
+      const model = await modelSelector.getModel(roles[role].model);
+      const names = [`preamble-${language}`, `${roles[role].prompt}-${language}`];
+      const prompt = [
+        promptRegistry.get(names[0]).template,
+        promptRegistry.render(names[1], { requirements: requirementsArtifact, design: designArtifact })
+      ].join('\n\n');
+      const output = await model.generate(prompt);
+      const review = parseReview(output);
+      const record = {
+        round,
+        role,
+        modelName: roles[role].model,
+        output,
+        ...review,
+        prompts: names.map(name => promptRegistry.describe(name)),
+        artifact: await saveArtifact(round, role, output)
+      };
+      onProgress({ type: 'review', ...record });
+      return { record, output, review };
+    };
+    
+    const rounds = [];
+    let status = 'failed';
+    let error = null;
+    let requirementsArtifact = '';
+    let designArtifact = '';
+    let feedback = '';
+    let targets = [PIPELINE_ROLES.ANALYST, PIPELINE_ROLES.DESIGNER];
+    
+    try {
+      for (let round = 1; ; round++) {
+        // 要件をやり直した場合は、設計も新しい要件に合わせてやり直す
+        if (targets.includes(PIPELINE_ROLES.ANALYST)) {
+          const analyst = await runAgentRole(round, PIPELINE_ROLES.ANALYST, requirements, feedback);
+          rounds.push(analyst.record);
+          requirementsArtifact = analyst.artifact;
+        }
+        
+        const designer = await runAgentRole(round, PIPELINE_ROLES.DESIGNER, requirementsArtifact, feedback);
+        rounds.push(designer.record);
+        designArtifact = designer.artifact;
+        
+        const reviewer = await runReviewer(round, requirementsArtifact, designArtifact);
+        rounds.push(reviewer.record);
+        
+        if (reviewer.review.verdict === REVIEW_VERDICTS.APPROVE) {
+          status = 'approved';
+          break;
+        }
+        if (round > maxRevisions) {
+          status = 'revision_limit';
+          Logger.warn(`修正の依頼が上限（${maxRevisions}回）に達したため、パイプラインを終了します`, 'AgentController');
+          break;
+        }
+        feedback = reviewer.output;
+        targets = reviewer.review.targets;
+      }
+    } catch (err) {
+      Logger.error(`パイプラインの実行に失敗しました: ${err.message}`, 'AgentController');
+      error = err.message;
+    }
+    
+    const usage = await usageTracker.summarizeSince(usageMark);
+    const summary = {
+      projectName,
+      requirements,
+      startedAt,
+      finishedAt: new Date(),
+      status,
+      error,
+      roles,
+      rounds,
+      usage
+    };
+    await fs.writeJson(path.join(dir, 'pipeline.json'), summary, { spaces: 2 });
+    
+    Logger.info(`パイプラインが終了しました（${status}）: ${dir}`, 'AgentController');
+    return { dir, ...summary };
+  }
+  
   /**
    * 現在のセッションを保存する
    * @param {string} folder - 保存先フォルダ名（outputDirsのプロパティ名）
@@ -217,6 +779,31 @@ class AgentController {
     }
   }
   
+  /**
+   * 中間ステップのトレースを表示するため、現在のセッションの実行（応答・中断）を取得する
+   * @returns {Array<Object>} { input, role, steps, timestamp } の配列（古い順）
+   */
+  getTraceRuns() {
+    return collectTraceRuns(this.activeSession?.messages);
+  }
+  
+  /**
+   * 保存したセッションファイルから実行（応答・中断）を読み込む
+   * @param {string} filePath - セッションファイルのパス
+   * @returns {Promise<Array<Object>>} { input, role, steps, timestamp } の配列（古い順）
+   * @throws {Error} ファイルが見つからない、またはセッションファイルの形式でない場合
+   */
+  async loadTraceRuns(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      throw new Error(`セッションファイルが見つかりません: ${filePath}`);
+    }
+    const session = await fs.readJson(filePath);
+    if (!Array.isArray(session?.messages)) {
+      throw new Error(`セッションファイルの形式が正しくありません（messages がありません）: ${filePath}`);
+    }
+    return collectTraceRuns(session.messages);
+  }
+  
   /**
    * 現在のエージェント状態を取得
    * @returns {Object} 状態情報
@@ -226,7 +813,12 @@ class AgentController {
       initialized: this.initialized,
       agentStatus: this.agent.getStatus(),
       hasActiveSession: !!this.activeSession,
-      sessionCount: this.sessionHistory.length + (this.activeSession ? 1 : 0)
+      conversationTurns: this.activeSession ? collectTurns(this.activeSession.messages).length : 0,
+      runTimeoutSeconds: this.runTimeoutSeconds,
+      sessionCount: this.sessionHistory.length + (this.activeSession ? 1 : 0),
+      circuitBreakers: getCircuitBreakerStatuses(),
+      cassette: cassette.getStatus(),
+      sessionUsage: this.activeSession ? this.activeSession.usage : createEmptyUsage()
     };
   }
   
@@ -26,7 +26,7 @@ process.on('uncaughtException', (error) => {
 });
 
 // 未処理のPromiseエラーをキャッチ
-process.on('unhandledRejection', (reason, promise) => {
+process.on('unhandledRejection', (reason) => {
   Logger.error(`未処理のPromise拒否: ${reason}`, 'Main');
   console.error('未処理のPromise拒否が発生しました。詳細はログを確認してください。');
 });
@@ -4,57 +4,18 @@
 import { ChatAnthropic } from "@langchain/anthropic";
 import config from '../config/index.js';
 import Logger from '../utils/logger.js';
+import LoggingCallbacks from './callbacks.js';
+import { callWithResilience } from './resilience.js';
 
 // デフォルトのLangChainパラメータ
 const DEFAULT_PARAMS = {
   temperature: 0.7,
   maxTokens: 1024,
   verbose: true,  // LangChainの内部ログ出力を有効化
-  streaming: false
+  streaming: config.streaming.enabled,
+  maxRetries: 0  // 再試行はresilience.jsで行うため、LangChain側の再試行は無効化
 };
 
-// HTTP通信のロギング機能
-class LoggingCallbacks {
-  static handlers = {
-    handleLLMStart: async (llm, prompts) => {
-      Logger.logChatEvent('llm/start', { 
-        name: llm.name, 
-        input: { messages: prompts }
-      });
-    },
-    handleLLMEnd: async (output) => {
-      Logger.logChatEvent('llm/end', { output });
-    },
-    handleLLMError: async (error) => {
-      Logger.logChatEvent('llm/error', { error: error.message });
-    },
-    handleChainStart: async (chain, inputs) => {
-      Logger.logChatEvent('chain/start', { 
-        name: chain.name, 
-        input: inputs
-      });
-    },
-    handleChainEnd: async (outputs) => {
-      Logger.logChatEvent('chain/end', { outputs });
-    },
-    handleChainError: async (error) => {
-      Logger.logChatEvent('chain/error', { error: error.message });
-    },
-    handleToolStart: async (tool, input) => {
-      Logger.logChatEvent('tool/start', { 
-        name: tool.name, 
-        input
-      });
-    },
-    handleToolEnd: async (output) => {
-      Logger.logChatEvent('tool/end', { output });
-    },
-    handleToolError: async (error) => {
-      Logger.logChatEvent('tool/error', { error: error.message });
-    }
-  };
-}
-
 /**
  * Anthropicモデルクラス
  */
@@ -80,7 +41,7 @@ class AnthropicModel {
       ...options,
       modelName: this.modelConfig.options.model,
       anthropicApiKey: apiKey,
-      callbacks: [LoggingCallbacks.handlers]
+      callbacks: [LoggingCallbacks.forModel(modelName)]
     };
     
     Logger.info(`Anthropicモデル "${modelName}" を設定しました`, 'AnthropicModel');
@@ -92,9 +53,11 @@ class AnthropicModel {
   /**
    * チャットメッセージを送信し、応答を取得
    * @param {Array} messages - メッセージの配列
+   * @param {Object} options - 呼び出しのオプション
+   * @param {AbortSignal} options.signal - 呼び出しを中断するシグナル（省略可）
    * @returns {Promise<Object>} モデルからの応答
    */
-  async chat(messages) {
+  async chat(messages, options = {}) {
     try {
       Logger.info(`"${this.modelName}" にメッセージを送信します`, 'AnthropicModel');
       
@@ -119,7 +82,7 @@ class AnthropicModel {
       });
       
       // モデルに問い合わせ
-      const response = await this.model.invoke(messages);
+      const response = await callWithResilience('anthropic', () => this.model.invoke(messages, { signal: options.signal }), { signal: options.signal });
       
       // HTTP通信レスポンスのログ記録
       Logger.logHttpResponse({
@@ -146,12 +109,13 @@ class AnthropicModel {
   /**
    * テキスト生成
    * @param {string} prompt - 入力プロンプト
+   * @param {Object} options - 呼び出しのオプション（chat を参照）
    * @returns {Promise<string>} 生成されたテキスト
    */
-  async generate(prompt) {
+  async generate(prompt, options = {}) {
     // Anthropicでは、humanメッセージとして扱う
     const messages = [{ role: 'user', content: prompt }];
-    const response = await this.chat(messages);
+    const response = await this.chat(messages, options);
     return response.content;
   }
   
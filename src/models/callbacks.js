@@ -0,0 +1,111 @@
+/**
+ * モデル共通のコールバック
+ * LangChainのイベントをチャットログに記録し、トークン使用量を集計する
+ */
+import Logger from '../utils/logger.js';
+import usageTracker from '../utils/usage-tracker.js';
+
+/**
+ * LLMの出力からトークン使用量を取得する
+ * プロバイダーによって形式が異なるため、標準のusage_metadataを優先し、なければllmOutputを参照する
+ * @param {Object} output - LLMResult
+ * @returns {Object|null} { inputTokens, outputTokens }、取得できない場合はnull
+ */
+export const extractTokenUsage = (output) => {
+  const generations = (output?.generations || []).flat();
+  const metadataList = generations
+    .map(generation => generation.message?.usage_metadata)
+    .filter(Boolean);
+  
+  if (metadataList.length > 0) {
+    return metadataList.reduce((total, metadata) => ({
+      inputTokens: total.inputTokens + (metadata.input_tokens || 0),
+      outputTokens: total.outputTokens + (metadata.output_tokens || 0)
+    }), { inputTokens: 0, outputTokens: 0 });
+  }
+  
+  // OpenAI形式（tokenUsage / estimatedTokenUsage）
+  const tokenUsage = output?.llmOutput?.tokenUsage || output?.llmOutput?.estimatedTokenUsage;
+  if (tokenUsage) {
+    return {
+      inputTokens: tokenUsage.promptTokens || 0,
+      outputTokens: tokenUsage.completionTokens || 0
+    };
+  }
+  
+  // Anthropic形式（usage）
+  const usage = output?.llmOutput?.usage;
+  if (usage) {
+    return {
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0
+    };
+  }
+  
+  return null;
+};
+
+// HTTP通信のロギング機能
+export class LoggingCallbacks {
+  static handlers = {
+    handleLLMStart: async (llm, prompts) => {
+      Logger.logChatEvent('llm/start', { 
+        name: llm.name, 
+        input: { messages: prompts }
+      });
+    },
+    handleLLMEnd: async (output) => {
+      Logger.logChatEvent('llm/end', { output });
+    },
+    handleLLMError: async (error) => {
+      Logger.logChatEvent('llm/error', { error: error.message });
+    },
+    handleChainStart: async (chain, inputs) => {
+      Logger.logChatEvent('chain/start', { 
+        name: chain.name, 
+        input: inputs
+      });
+    },
+    handleChainEnd: async (outputs) => {
+      Logger.logChatEvent('chain/end', { outputs });
+    },
+    handleChainError: async (error) => {
+      Logger.logChatEvent('chain/error', { error: error.message });
+    },
+    handleToolStart: async (tool, input) => {
+      Logger.logChatEvent('tool/start', { 
+        name: tool.name, 
+        input
+      });
+    },
+    handleToolEnd: async (output) => {
+      Logger.logChatEvent('tool/end', { output });
+    },
+    handleToolError: async (error) => {
+      Logger.logChatEvent('tool/error', { error: error.message });
+    }
+  };
+  
+  /**
+   * モデル用のハンドラーを作成する（トークン使用量をモデル名とともに集計する）
+   * 使用量を呼び出し元の使用量スコープ（usageTracker.runInScope）で記録するため、バックグラウンドではなく呼び出しの中で実行する
+   * @param {string} modelName - モデル名
+   * @returns {Object} コールバックハンドラー
+   */
+  static forModel(modelName) {
+    return {
+      ...this.handlers,
+      awaitHandlers: true,
+      handleLLMEnd: async (output) => {
+        const usage = extractTokenUsage(output);
+        Logger.logChatEvent('llm/end', { model: modelName, output, usage });
+        
+        if (usage) {
+          usageTracker.record(modelName, usage);
+        }
+      }
+    };
+  }
+}
+
+export default LoggingCallbacks;
@@ -0,0 +1,410 @@
+/**
+ * カセット（LLM呼び出しの記録・再生）
+ * 実際のプロバイダーとのやり取りを記録し、後から同じ応答をそのまま再生する
+ * ツールアダプターの回帰確認や、APIキー・ネットワークなしでのデモに使用する
+ */
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk, coerceMessageLikeToMessage } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import config from '../config/index.js';
+import Logger from '../utils/logger.js';
+import LoggingCallbacks from './callbacks.js';
+import { bindToolsToWrapper, withCallTools } from './tool-binding.js';
+
+// カセットのモード
+export const CASSETTE_MODES = {
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+// カセットファイルの形式のバージョン
+const CASSETTE_VERSION = 1;
+
+// ツールの出力に含まれるファイル名の日時（getTimestampedFilename の形式）
+// 実行のたびに変わるため、キーの計算では置き換えて扱う
+const TIMESTAMP_PATTERN = /\d{8}_\d{6}/g;
+
+/**
+ * キーの計算に使用するプロンプトから、実行のたびや環境ごとに変わる部分を置き換える
+ * ツールの出力には出力先の絶対パスが含まれるため、別の作業ディレクトリやCIでも同じキーになるよう
+ * 出力ディレクトリとプロジェクトのルートを置き換える（出力ディレクトリはルートの下にあることが多いため先に置き換える）
+ * @param {string} prompt - JSONに変換したプロンプト
+ * @returns {string} 置き換えたプロンプト
+ */
+export const normalizePrompt = (prompt) => [
+  [config.app.outputDir, '<outputDir>'],
+  [config.app.rootDir, '<rootDir>']
+].reduce(
+  // JSONの文字列ではパスの区切り文字（Windowsの \）がエスケープされているため、エスケープした形で置き換える
+  (text, [dir, placeholder]) => text.split(JSON.stringify(path.resolve(dir)).slice(1, -1)).join(placeholder),
+  prompt
+).replace(TIMESTAMP_PATTERN, '<timestamp>');
+
+/**
+ * 再生モードで記録されていない呼び出しが行われたことを表すエラー
+ */
+export class CassetteMissError extends Error {
+  constructor(key, file) {
+    super(`カセットに記録されていない呼び出しです（${key}）: ${file}。--record で記録し直してください`);
+    this.name = 'CassetteMissError';
+    this.code = 'CASSETTE_MISS';
+    this.key = key;
+    this.file = file;
+  }
+}
+
+/**
+ * メッセージの内容をテキストに変換する
+ * @param {string|Array} content - メッセージの内容
+ * @returns {string} テキスト
+ */
+const contentToText = (content) => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return '';
+};
+
+/**
+ * メッセージを記録用の形式に変換する
+ * ネイティブのツール呼び出しを含むメッセージは、呼び出したツールと引数も記録する
+ * @param {Array} messages - メッセージの配列（BaseMessage または { role, content }）
+ * @returns {Array<Object>} { type, content } の配列
+ */
+const serializeMessages = (messages) => messages.map((message) => {
+  const coerced = coerceMessageLikeToMessage(message);
+  const serialized = { type: coerced._getType(), content: coerced.content };
+  if (coerced.tool_calls?.length > 0) {
+    serialized.tool_calls = coerced.tool_calls.map(({ name, args }) => ({ name, args }));
+  }
+  return serialized;
+});
+
+/**
+ * 記録された応答から、ストリーミング用のメッセージチャンクを作成する
+ * @param {Object} response - 記録された応答（serializeResponse の形式）
+ * @returns {AIMessageChunk} メッセージチャンク
+ */
+const responseToChunk = ({ tool_calls, ...response }) => new AIMessageChunk({
+  ...response,
+  tool_call_chunks: (tool_calls || []).map((toolCall, index) => ({
+    type: 'tool_call_chunk',
+    name: toolCall.name,
+    args: JSON.stringify(toolCall.args),
+    id: toolCall.id,
+    index
+  }))
+});
+
+/**
+ * モデルの応答を記録用の形式に変換する
+ * @param {AIMessage} message - モデルの応答
+ * @returns {Object} 記録用の応答
+ */
+const serializeResponse = (message) => ({
+  content: message.content,
+  additional_kwargs: message.additional_kwargs || {},
+  response_metadata: message.response_metadata || {},
+  tool_calls: message.tool_calls || [],
+  usage_metadata: message.usage_metadata
+});
+
+/**
+ * 記録と再生を行うカセット
+ * カセットファイルにはモデル名とプロンプトのハッシュをキーとして応答を保存する
+ * 同じキーの呼び出しが複数回ある場合は記録した順に再生する
+ */
+class Cassette {
+  constructor() {
+    this.mode = null;
+    this.file = null;
+    this.interactions = {};
+    // 再生位置（キー → 次に再生する応答の位置）
+    this.cursors = new Map();
+    // 今回の記録で上書きしたキー
+    this.recordedKeys = new Set();
+  }
+
+  /**
+   * カセットのモードを設定する
+   * @param {string|null} mode - CASSETTE_MODES の値（nullの場合は無効）
+   * @param {string} name - カセット名（cassette.dir 内のファイル名、またはファイルパス）
+   * @throws {Error} 無効なモードや、再生するカセットファイルが存在しない場合
+   */
+  use(mode, name = config.cassette.name) {
+    if (mode && !Object.values(CASSETTE_MODES).includes(mode)) {
+      throw new Error(`無効なカセットモードです: ${mode}（record または replay を指定してください）`);
+    }
+
+    this.mode = mode || null;
+    this.file = mode ? this._resolveFile(name) : null;
+    this.interactions = {};
+    this.cursors.clear();
+    this.recordedKeys.clear();
+
+    if (!this.mode) return;
+
+    if (fs.existsSync(this.file)) {
+      const data = fs.readJsonSync(this.file);
+      if (data.version !== CASSETTE_VERSION) {
+        throw new Error(`カセットファイルのバージョンが対応していません（${data.version}）: ${this.file}`);
+      }
+      this.interactions = data.interactions || {};
+    } else if (this.mode === CASSETTE_MODES.REPLAY) {
+      throw new Error(`再生するカセットファイルが見つかりません: ${this.file}`);
+    }
+
+    Logger.info(`カセットを${this.mode === CASSETTE_MODES.RECORD ? '記録' : '再生'}モードで使用します: ${this.file}`, 'Cassette');
+  }
+
+  /**
+   * カセット名からファイルパスを取得する
+   * @param {string} name - カセット名またはファイルパス
+   * @returns {string} ファイルパス
+   * @private
+   */
+  _resolveFile(name) {
+    if (name.endsWith('.json') || name.includes('/') || name.includes(path.sep)) {
+      return path.resolve(config.app.rootDir, name);
+    }
+    return path.join(config.cassette.dir, `${name}.json`);
+  }
+
+  /**
+   * 呼び出しのキーを作成する（モデル名 + プロンプトのハッシュ）
+   * @param {string} modelName - モデル名
+   * @param {Array} messages - メッセージの配列
+   * @param {Array<string>} stop - 停止シーケンス
+   * @param {Array} tools - 結び付けたツール（ネイティブのツール呼び出しを使用する場合）
+   * @returns {string} キー
+   */
+  keyFor(modelName, messages, stop, tools) {
+    const call = { messages: serializeMessages(messages), stop: stop || [] };
+    if (tools?.length > 0) {
+      call.tools = tools.map(tool => tool.name);
+    }
+    const prompt = normalizePrompt(JSON.stringify(call));
+    const hash = crypto.createHash('sha256').update(prompt).digest('hex');
+    return `${modelName}:${hash.substring(0, 16)}`;
+  }
+
+  /**
+   * 記録された応答を取得する
+   * @param {string} key - 呼び出しのキー
+   * @returns {Object} 記録された応答（serializeResponse の形式）
+   * @throws {CassetteMissError} 記録されていない場合
+   */
+  replay(key) {
+    const entries = this.interactions[key];
+    if (!entries || entries.length === 0) {
+      throw new CassetteMissError(key, this.file);
+    }
+
+    // 記録した回数より多く呼び出された場合は最後の応答を返す
+    const cursor = this.cursors.get(key) || 0;
+    this.cursors.set(key, cursor + 1);
+    const { response } = entries[Math.min(cursor, entries.length - 1)];
+
+    Logger.debug(`カセットから応答を再生しました: ${key}`, 'Cassette');
+    return response;
+  }
+
+  /**
+   * 応答を記録してカセットファイルに保存する
+   * @param {string} key - 呼び出しのキー
+   * @param {Array} messages - メッセージの配列
+   * @param {Array<string>} stop - 停止シーケンス
+   * @param {AIMessage} message - モデルの応答
+   */
+  record(key, messages, stop, message) {
+    // 以前の記録は今回最初に呼び出されたときに置き換える
+    if (!this.recordedKeys.has(key)) {
+      this.interactions[key] = [];
+      this.recordedKeys.add(key);
+    }
+
+    this.interactions[key].push({
+      messages: serializeMessages(messages),
+      stop: stop || [],
+      response: serializeResponse(message),
+      recordedAt: new Date()
+    });
+
+    fs.outputJsonSync(this.file, {
+      version: CASSETTE_VERSION,
+      interactions: this.interactions
+    }, { spaces: 2 });
+
+    Logger.debug(`応答をカセットに記録しました: ${key}`, 'Cassette');
+  }
+
+  /**
+   * 現在の状態を取得する
+   * @returns {Object} 状態情報
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      file: this.file,
+      interactionCount: Object.keys(this.interactions).length
+    };
+  }
+}
+
+/**
+ * カセットを通して呼び出すLangChainチャットモデル
+ * 記録モードでは元のモデルを呼び出して応答を記録し、再生モードでは記録された応答を返す
+ */
+class CassetteChatModel extends BaseChatModel {
+  /**
+   * コンストラクタ
+   * @param {Object} fields - 設定
+   * @param {string} fields.modelName - モデル名
+   * @param {Cassette} fields.cassette - カセット
+   * @param {Object} fields.model - 記録時に呼び出す元のモデル（再生モードでは不要）
+   */
+  constructor(fields) {
+    super({
+      // 再生時は元のモデルのコールバックが動かないため、使用量の記録をここで行う
+      callbacks: fields.model ? undefined : [LoggingCallbacks.forModel(fields.modelName)]
+    });
+    this.modelName = fields.modelName;
+    this.cassette = fields.cassette;
+    this.model = fields.model;
+  }
+
+  _llmType() {
+    return 'cassette';
+  }
+
+  /**
+   * ツールを結び付ける（記録時は元のモデルにも同じツールを結び付けて呼び出す）
+   * @param {Array} tools - ツールの配列
+   * @param {Object} kwargs - 追加の呼び出しオプション
+   * @returns {Object} ツールを結び付けたモデル
+   */
+  bindTools(tools, kwargs) {
+    return bindToolsToWrapper(this, tools, kwargs);
+  }
+
+  async _generate(messages, options) {
+    const key = this.cassette.keyFor(this.modelName, messages, options.stop, options.tools);
+    let message;
+
+    if (this.cassette.mode === CASSETTE_MODES.REPLAY) {
+      message = new AIMessage(this.cassette.replay(key));
+    } else {
+      const model = withCallTools(this.model, options, this.modelName);
+      message = await model.invoke(messages, { stop: options.stop, signal: options.signal });
+      this.cassette.record(key, messages, options.stop, message);
+    }
+
+    return {
+      generations: [{ text: contentToText(message.content), message }]
+    };
+  }
+
+  /**
+   * ストリーミングで応答を生成する
+   * 記録モードでは元のモデルのチャンクをそのまま返し、受信し終えた応答を記録する
+   * 再生モードでは記録された応答を1つのチャンクとして返す
+   */
+  async *_streamResponseChunks(messages, options, runManager) {
+    const key = this.cassette.keyFor(this.modelName, messages, options.stop, options.tools);
+
+    if (this.cassette.mode === CASSETTE_MODES.REPLAY) {
+      const message = responseToChunk(this.cassette.replay(key));
+      const text = contentToText(message.content);
+      const chunk = new ChatGenerationChunk({ text, message });
+      yield chunk;
+      await runManager?.handleLLMNewToken(text, undefined, undefined, undefined, undefined, { chunk });
+      return;
+    }
+
+    let full;
+    const model = withCallTools(this.model, options, this.modelName);
+    const stream = await model.stream(messages, { stop: options.stop, signal: options.signal });
+    for await (const message of stream) {
+      full = full ? full.concat(message) : message;
+      const text = contentToText(message.content);
+      const chunk = new ChatGenerationChunk({ text, message });
+      yield chunk;
+      await runManager?.handleLLMNewToken(text, undefined, undefined, undefined, undefined, { chunk });
+    }
+
+    if (full) {
+      this.cassette.record(key, messages, options.stop, full);
+    }
+  }
+}
+
+/**
+ * 再生モードで使用するモデル
+ * プロバイダーのモデルを作成しないため、APIキーやネットワークがなくても動作する
+ */
+export class ReplayModel {
+  /**
+   * コンストラクタ
+   * @param {string} modelName - モデル名
+   * @param {Cassette} cassette - カセット
+   */
+  constructor(modelName, cassette) {
+    this.modelName = modelName;
+    this.model = new CassetteChatModel({ modelName, cassette });
+    Logger.info(`モデル "${modelName}" をカセットから再生します`, 'ReplayModel');
+  }
+
+  /**
+   * チャットメッセージを送信し、応答を取得
+   * @param {Array} messages - メッセージの配列
+   * @param {Object} options - 呼び出しのオプション
+   * @param {AbortSignal} options.signal - 呼び出しを中断するシグナル（省略可）
+   * @returns {Promise<Object>} 記録された応答
+   */
+  async chat(messages, options = {}) {
+    return this.model.invoke(messages, { signal: options.signal });
+  }
+
+  /**
+   * テキスト生成
+   * @param {string} prompt - 入力プロンプト
+   * @param {Object} options - 呼び出しのオプション（chat を参照）
+   * @returns {Promise<string>} 記録されたテキスト
+   */
+  async generate(prompt, options = {}) {
+    const response = await this.chat([{ role: 'user', content: prompt }], options);
+    return response.content;
+  }
+
+  /**
+   * モデル情報の取得
+   * @returns {Object} モデル情報
+   */
+  getInfo() {
+    return {
+      name: this.modelName,
+      provider: config.models.getModelProvider(this.modelName),
+      cassette: this.model.cassette.file
+    };
+  }
+}
+
+/**
+ * 記録モードでモデルインスタンスのチャットモデルをカセット経由に置き換える
+ * @param {string} modelName - モデル名
+ * @param {Object} modelInstance - プロバイダーのモデルインスタンス
+ * @param {Cassette} cassette - カセット
+ * @returns {Object} モデルインスタンス
+ */
+export const wrapForRecording = (modelName, modelInstance, cassette) => {
+  modelInstance.model = new CassetteChatModel({ modelName, cassette, model: modelInstance.model });
+  return modelInstance;
+};
+
+// シングルトンインスタンスを作成してエクスポート
+const cassette = new Cassette();
+export default cassette;
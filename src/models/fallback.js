@@ -0,0 +1,201 @@
+/**
+ * フォールバックモデル実装
+ * 一時的なエラー（レート制限・障害など）が発生した場合に、設定された順序で次のモデルへ切り替える
+ */
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import config from '../config/index.js';
+import Logger from '../utils/logger.js';
+import { isRetryableError } from '../utils/errors.js';
+import { callWithResilience, streamWithResilience } from './resilience.js';
+import { bindToolsToWrapper, withCallTools } from './tool-binding.js';
+
+/**
+ * メッセージの内容をテキストに変換する
+ * @param {string|Array} content - メッセージの内容
+ * @returns {string} テキスト
+ */
+const contentToText = (content) => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return '';
+};
+
+/**
+ * フォールバックチェーンを持つLangChainチャットモデル
+ * 各モデルの呼び出しには再試行・サーキットブレーカーを適用し、
+ * それでも回復しない場合に次のモデルへ切り替える
+ * 一度切り替えたモデルは reset() が呼ばれるまで使い続ける
+ */
+class FallbackChatModel extends BaseChatModel {
+  /**
+   * コンストラクタ
+   * @param {Object} fields - 設定
+   * @param {Array<string>} fields.chain - 使用するモデル名の配列（先頭が本来のモデル）
+   * @param {Function} fields.loadModel - モデル名からモデルインスタンスを取得する関数
+   * @param {Function} fields.getParameters - モデル名から実効パラメータを取得する関数
+   * @param {Function} fields.onFallback - モデルを切り替えたときに呼ばれる関数
+   */
+  constructor(fields) {
+    super({});
+    this.chain = fields.chain;
+    this.loadModel = fields.loadModel;
+    this.getParameters = fields.getParameters || (() => ({}));
+    this.onFallback = fields.onFallback || (() => {});
+    this.activeIndex = 0;
+  }
+
+  _llmType() {
+    return 'fallback';
+  }
+
+  /**
+   * ツールを結び付ける（切り替え先のモデルにも同じツールを結び付けて呼び出す）
+   * @param {Array} tools - ツールの配列
+   * @param {Object} kwargs - 追加の呼び出しオプション
+   * @returns {Object} ツールを結び付けたモデル
+   */
+  bindTools(tools, kwargs) {
+    return bindToolsToWrapper(this, tools, kwargs);
+  }
+
+  /**
+   * 現在使用しているモデル名
+   * @returns {string} モデル名
+   */
+  get activeModelName() {
+    return this.chain[this.activeIndex];
+  }
+
+  /**
+   * チェーンの先頭のモデルに戻す
+   */
+  reset() {
+    this.activeIndex = 0;
+  }
+
+  /**
+   * 次のモデルへ切り替える
+   * @param {number} index - 失敗したモデルの位置
+   * @param {Error} error - 切り替えの原因となったエラー
+   * @private
+   */
+  _switchFrom(index, error) {
+    const event = {
+      from: this.chain[index],
+      to: this.chain[index + 1],
+      reason: error.message,
+      timestamp: new Date()
+    };
+    this.activeIndex = index + 1;
+    this.onFallback(event);
+  }
+
+  /**
+   * 呼び出し時のオプションを作成する
+   * 呼び出し時の停止シーケンスはモデル設定の停止シーケンスを上書きしてしまうため、両方を結合して渡す
+   * @param {string} modelName - モデル名
+   * @param {Object} options - 呼び出し時のオプション
+   * @returns {Object} { stop, signal }
+   * @private
+   */
+  _callOptions(modelName, options) {
+    const stop = [...new Set([...(options.stop || []), ...(this.getParameters(modelName).stop || [])])];
+    return {
+      stop: stop.length > 0 ? stop : undefined,
+      signal: options.signal
+    };
+  }
+
+  async _generate(messages, options) {
+    let lastError;
+
+    for (let index = this.activeIndex; index < this.chain.length; index++) {
+      const modelName = this.chain[index];
+      const isLast = index === this.chain.length - 1;
+
+      // モデルの取得（APIキー未設定などで利用できない場合は次のモデルへ）
+      let instance;
+      try {
+        instance = await this.loadModel(modelName);
+      } catch (error) {
+        Logger.warn(`フォールバック先のモデル "${modelName}" を利用できません: ${error.message}`, 'FallbackChatModel');
+        lastError = error;
+        if (!isLast) this._switchFrom(index, error);
+        continue;
+      }
+
+      try {
+        // プロバイダー単位の再試行・サーキットブレーカーを適用して呼び出す
+        const provider = config.models.getModelProvider(modelName);
+        const model = withCallTools(instance.model, options, modelName);
+        const message = await callWithResilience(provider, () => model.invoke(messages, this._callOptions(modelName, options)), { signal: options.signal });
+
+        return {
+          generations: [{ text: contentToText(message.content), message }]
+        };
+      } catch (error) {
+        lastError = error;
+        if (isLast || options.signal?.aborted || !isRetryableError(error)) {
+          throw error;
+        }
+        this._switchFrom(index, error);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * ストリーミングで応答を生成する
+   * トークンを受信するたびにhandleLLMNewTokenを発行する。切り替えは最初のトークンを受信する前のみ行う
+   */
+  async *_streamResponseChunks(messages, options, runManager) {
+    let lastError;
+
+    for (let index = this.activeIndex; index < this.chain.length; index++) {
+      const modelName = this.chain[index];
+      const isLast = index === this.chain.length - 1;
+
+      let instance;
+      try {
+        instance = await this.loadModel(modelName);
+      } catch (error) {
+        Logger.warn(`フォールバック先のモデル "${modelName}" を利用できません: ${error.message}`, 'FallbackChatModel');
+        lastError = error;
+        if (!isLast) this._switchFrom(index, error);
+        continue;
+      }
+
+      let received = false;
+      try {
+        const provider = config.models.getModelProvider(modelName);
+        const model = withCallTools(instance.model, options, modelName);
+        // 再試行・サーキットブレーカーはストリームの読み出し全体に適用する
+        const stream = streamWithResilience(provider, () => model.stream(messages, this._callOptions(modelName, options)), { signal: options.signal });
+
+        for await (const message of stream) {
+          received = true;
+          const text = contentToText(message.content);
+          const chunk = new ChatGenerationChunk({ text, message });
+          yield chunk;
+          await runManager?.handleLLMNewToken(text, undefined, undefined, undefined, undefined, { chunk });
+        }
+        return;
+      } catch (error) {
+        lastError = error;
+        // 出力の途中で切り替えると応答が混在するため、受信済みの場合はそのままエラーとする
+        if (received || isLast || options.signal?.aborted || !isRetryableError(error)) {
+          throw error;
+        }
+        this._switchFrom(index, error);
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+export default FallbackChatModel;
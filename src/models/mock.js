@@ -0,0 +1,164 @@
+/**
+ * モックモデル実装
+ * フィクスチャファイルに記述されたReActの応答を順番に再生する（APIキー・ネットワーク不要）
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import { SimpleChatModel } from "@langchain/core/language_models/chat_models";
+import config from '../config/index.js';
+import Logger from '../utils/logger.js';
+import LoggingCallbacks from './callbacks.js';
+
+// デフォルトのフィクスチャファイル
+const DEFAULT_FIXTURE = 'fixtures/mock/default.json';
+
+/**
+ * フィクスチャの応答を順番に返すLangChainチャットモデル
+ */
+class ScriptedChatModel extends SimpleChatModel {
+  /**
+   * コンストラクタ
+   * @param {Object} fields - 設定
+   * @param {Array<string>} fields.turns - 再生する応答の配列
+   * @param {boolean} fields.repeat - 最後まで再生したら先頭に戻るか
+   */
+  constructor(fields) {
+    super(fields);
+    this.turns = fields.turns;
+    this.repeat = fields.repeat ?? false;
+    this.cursor = 0;
+  }
+
+  _llmType() {
+    return 'mock';
+  }
+
+  async _call(messages, options) {
+    if (this.cursor >= this.turns.length) {
+      if (!this.repeat) {
+        throw new Error(`モックのシナリオを最後まで再生しました（${this.turns.length}ターン）`);
+      }
+      this.cursor = 0;
+    }
+
+    const turn = this.turns[this.cursor];
+    this.cursor += 1;
+
+    // 停止シーケンス以降は実際のモデルと同様に切り捨てる
+    let text = turn;
+    for (const stop of options?.stop || []) {
+      const index = text.indexOf(stop);
+      if (index >= 0) {
+        text = text.substring(0, index);
+      }
+    }
+
+    return text;
+  }
+
+  async _generate(messages, options, runManager) {
+    const result = await super._generate(messages, options, runManager);
+
+    // モックは実際のトークン数を持たないため、使用量は0として報告する（呼び出し回数のみ集計される）
+    result.generations[0].message.usage_metadata = {
+      input_tokens: 0,
+      output_tokens: 0,
+      total_tokens: 0
+    };
+
+    return result;
+  }
+}
+
+/**
+ * モックモデルクラス
+ */
+class MockModel {
+  constructor(modelName, options = {}) {
+    this.modelName = modelName;
+    this.modelConfig = config.models.availableModels[modelName];
+
+    if (!this.modelConfig || this.modelConfig.provider !== 'mock') {
+      throw new Error(`無効なモックモデル: ${modelName}`);
+    }
+
+    // フィクスチャの読み込み（環境変数 > モデル設定 > デフォルト）
+    const fixture = process.env.MOCK_FIXTURE || this.modelConfig.options.fixture || DEFAULT_FIXTURE;
+    this.fixturePath = path.resolve(config.app.rootDir, fixture);
+
+    if (!fs.existsSync(this.fixturePath)) {
+      throw new Error(`モックのフィクスチャファイルが見つかりません: ${this.fixturePath}`);
+    }
+
+    const scenario = fs.readJsonSync(this.fixturePath);
+    if (!Array.isArray(scenario.turns) || scenario.turns.length === 0) {
+      throw new Error(`フィクスチャにturnsが定義されていません: ${this.fixturePath}`);
+    }
+
+    this.params = {
+      ...this.modelConfig.options,
+      ...options,
+      fixture: this.fixturePath
+    };
+
+    this.model = new ScriptedChatModel({
+      turns: scenario.turns,
+      repeat: scenario.repeat,
+      callbacks: [LoggingCallbacks.forModel(modelName)]
+    });
+
+    Logger.info(`モックモデル "${modelName}" を設定しました (${scenario.turns.length}ターン: ${this.fixturePath})`, 'MockModel');
+  }
+
+  /**
+   * チャットメッセージを送信し、応答を取得
+   * @param {Array} messages - メッセージの配列
+   * @param {Object} options - 呼び出しのオプション
+   * @param {AbortSignal} options.signal - 呼び出しを中断するシグナル（省略可）
+   * @returns {Promise<Object>} モデルからの応答
+   */
+  async chat(messages, options = {}) {
+    try {
+      Logger.info(`"${this.modelName}" にメッセージを送信します`, 'MockModel');
+      return await this.model.invoke(messages, { signal: options.signal });
+    } catch (error) {
+      Logger.error(`チャットエラー: ${error.message}`, 'MockModel');
+      throw error;
+    }
+  }
+
+  /**
+   * テキスト生成
+   * @param {string} prompt - 入力プロンプト
+   * @param {Object} options - 呼び出しのオプション（chat を参照）
+   * @returns {Promise<string>} 生成されたテキスト
+   */
+  async generate(prompt, options = {}) {
+    const messages = [{ role: 'user', content: prompt }];
+    const response = await this.chat(messages, options);
+    return response.content;
+  }
+
+  /**
+   * 再生位置を先頭に戻す
+   */
+  reset() {
+    this.model.cursor = 0;
+  }
+
+  /**
+   * モデル情報の取得
+   * @returns {Object} モデル情報
+   */
+  getInfo() {
+    return {
+      name: this.modelName,
+      provider: 'mock',
+      fixture: this.fixturePath,
+      turns: this.model.turns.length,
+      cursor: this.model.cursor
+    };
+  }
+}
+
+export default MockModel;
@@ -0,0 +1,140 @@
+/**
+ * Ollamaモデル実装
+ * ローカルのOllamaサーバーにインストールされた任意のモデルタグを利用する
+ */
+import { ChatOllama } from "@langchain/community/chat_models/ollama";
+import config from '../config/index.js';
+import Logger from '../utils/logger.js';
+import LoggingCallbacks from './callbacks.js';
+import { callWithResilience } from './resilience.js';
+
+// デフォルトのLangChainパラメータ
+const DEFAULT_PARAMS = {
+  temperature: 0.7,
+  maxTokens: 1024,
+  verbose: true,  // LangChainの内部ログ出力を有効化
+  streaming: config.streaming.enabled,
+  maxRetries: 0  // 再試行はresilience.jsで行うため、LangChain側の再試行は無効化
+};
+
+/**
+ * Ollamaモデルクラス
+ */
+class OllamaModel {
+  constructor(modelName, options = {}) {
+    this.modelName = modelName;
+    this.modelConfig = config.models.availableModels[modelName];
+    
+    if (!this.modelConfig || this.modelConfig.provider !== 'ollama') {
+      throw new Error(`無効なOllamaモデル: ${modelName}`);
+    }
+    
+    // 接続先の取得（モデル個別の設定 > 共通設定）
+    const baseUrl = this.modelConfig.options.baseUrl || config.ollama.baseUrl;
+    
+    // パラメータの設定（実行時に調整されたパラメータを優先）
+    const { maxTokens, ...overrides } = options;
+    this.params = {
+      temperature: this.modelConfig.options.temperature ?? DEFAULT_PARAMS.temperature,
+      numPredict: maxTokens || this.modelConfig.options.maxTokens || DEFAULT_PARAMS.maxTokens,
+      topP: this.modelConfig.options.topP,
+      stop: this.modelConfig.options.stop,
+      maxRetries: DEFAULT_PARAMS.maxRetries,
+      streaming: DEFAULT_PARAMS.streaming,
+      ...overrides,
+      model: this.modelConfig.options.model,
+      baseUrl,
+      callbacks: [LoggingCallbacks.forModel(modelName)]
+    };
+    
+    // LangChain ChatOllamaの初期化
+    this.model = new ChatOllama(this.params);
+    
+    Logger.info(`Ollamaモデル "${modelName}" を設定しました (${baseUrl})`, 'OllamaModel');
+  }
+  
+  /**
+   * チャットメッセージを送信し、応答を取得
+   * @param {Array} messages - メッセージの配列
+   * @param {Object} options - 呼び出しのオプション
+   * @param {AbortSignal} options.signal - 呼び出しを中断するシグナル（省略可）
+   * @returns {Promise<Object>} モデルからの応答
+   */
+  async chat(messages, options = {}) {
+    try {
+      Logger.info(`"${this.modelName}" にメッセージを送信します`, 'OllamaModel');
+      
+      // HTTP通信リクエストのログ記録
+      Logger.logHttpRequest({
+        url: `${this.params.baseUrl}/api/chat`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        data: {
+          model: this.params.model,
+          messages: messages.map(m => ({
+            role: m.role, 
+            content: m.content
+          })),
+          options: {
+            temperature: this.params.temperature,
+            num_predict: this.params.numPredict
+          }
+        }
+      });
+      
+      // モデルに問い合わせ
+      const response = await callWithResilience('ollama', () => this.model.invoke(messages, { signal: options.signal }), { signal: options.signal });
+      
+      // HTTP通信レスポンスのログ記録
+      Logger.logHttpResponse({
+        status: 200,
+        data: {
+          message: response
+        }
+      });
+      
+      return response;
+    } catch (error) {
+      Logger.error(`チャットエラー: ${error.message}`, 'OllamaModel');
+      
+      // エラーレスポンスのログ記録
+      Logger.logHttpResponse({
+        status: error.status || 500,
+        error: error.message
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * テキスト生成
+   * @param {string} prompt - 入力プロンプト
+   * @param {Object} options - 呼び出しのオプション（chat を参照）
+   * @returns {Promise<string>} 生成されたテキスト
+   */
+  async generate(prompt, options = {}) {
+    const messages = [{ role: 'user', content: prompt }];
+    const response = await this.chat(messages, options);
+    return response.content;
+  }
+  
+  /**
+   * モデル情報の取得
+   * @returns {Object} モデル情報
+   */
+  getInfo() {
+    return {
+      name: this.modelName,
+      provider: 'ollama',
+      baseUrl: this.params.baseUrl,
+      model: this.params.model,
+      temperature: this.params.temperature,
+      maxTokens: this.params.numPredict
+    };
+  }
+}
+
+export default OllamaModel;
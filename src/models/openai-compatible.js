@@ -0,0 +1,166 @@
+/**
+ * OpenAI互換エンドポイントモデル実装
+ * llama.cpp / vLLM / LM Studio などOpenAI互換APIを提供するサーバーに接続する
+ */
+import { ChatOpenAI } from "@langchain/openai";
+import config from '../config/index.js';
+import Logger from '../utils/logger.js';
+import LoggingCallbacks from './callbacks.js';
+import { callWithResilience } from './resilience.js';
+
+// APIキーを必要としないサーバー向けのダミーキー（ChatOpenAIはキーの指定が必須のため）
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+// デフォルトのLangChainパラメータ
+const DEFAULT_PARAMS = {
+  temperature: 0.7,
+  maxTokens: 1024,
+  verbose: true,  // LangChainの内部ログ出力を有効化
+  streaming: config.streaming.enabled,
+  maxRetries: 0  // 再試行はresilience.jsで行うため、LangChain側の再試行は無効化
+};
+
+/**
+ * OpenAI互換エンドポイントモデルクラス
+ */
+class OpenAICompatibleModel {
+  constructor(modelName, options = {}) {
+    this.modelName = modelName;
+    this.modelConfig = config.models.availableModels[modelName];
+    
+    if (!this.modelConfig || this.modelConfig.provider !== 'openai-compatible') {
+      throw new Error(`無効なOpenAI互換モデル: ${modelName}`);
+    }
+    
+    // エンドポイントの取得
+    this.baseURL = this.modelConfig.options.baseURL;
+    if (!this.baseURL) {
+      throw new Error(`OpenAI互換モデル "${modelName}" にbaseURLが設定されていません`);
+    }
+    
+    // APIキーの取得（任意: 直接指定 > 環境変数名指定 > ダミーキー）
+    const apiKey = this.modelConfig.options.apiKey
+      || (this.modelConfig.options.apiKeyEnv && process.env[this.modelConfig.options.apiKeyEnv])
+      || PLACEHOLDER_API_KEY;
+    
+    // パラメータの設定
+    this.params = {
+      temperature: this.modelConfig.options.temperature ?? DEFAULT_PARAMS.temperature,
+      maxTokens: this.modelConfig.options.maxTokens || DEFAULT_PARAMS.maxTokens,
+      topP: this.modelConfig.options.topP,
+      stop: this.modelConfig.options.stop,
+      ...options,
+      modelName: this.modelConfig.options.model,
+      apiKey
+    };
+    
+    try {
+      this.model = new ChatOpenAI({
+        temperature: this.params.temperature,
+        maxTokens: this.params.maxTokens,
+        topP: this.params.topP,
+        stop: this.params.stop,
+        modelName: this.params.modelName,
+        maxRetries: DEFAULT_PARAMS.maxRetries,
+        streaming: DEFAULT_PARAMS.streaming,
+        openAIApiKey: apiKey,
+        configuration: {
+          baseURL: this.baseURL,
+          apiKey: apiKey,
+        },
+        callbacks: [LoggingCallbacks.forModel(modelName)]
+      });
+
+      Logger.info(`OpenAI互換モデル "${modelName}" を設定しました (${this.baseURL})`, 'OpenAICompatibleModel');
+    } catch (error) {
+      Logger.error(`OpenAI互換モデルの初期化エラー: ${error.message}`, 'OpenAICompatibleModel');
+      throw error;
+    }
+  }
+  
+  /**
+   * チャットメッセージを送信し、応答を取得
+   * @param {Array} messages - メッセージの配列
+   * @param {Object} options - 呼び出しのオプション
+   * @param {AbortSignal} options.signal - 呼び出しを中断するシグナル（省略可）
+   * @returns {Promise<Object>} モデルからの応答
+   */
+  async chat(messages, options = {}) {
+    try {
+      Logger.info(`"${this.modelName}" にメッセージを送信します`, 'OpenAICompatibleModel');
+      
+      // HTTP通信リクエストのログ記録
+      Logger.logHttpRequest({
+        url: `${this.baseURL.replace(/\/$/, '')}/chat/completions`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.params.apiKey}`
+        },
+        data: {
+          model: this.params.modelName,
+          messages: messages.map(m => ({
+            role: m.role, 
+            content: m.content
+          })),
+          temperature: this.params.temperature,
+          max_tokens: this.params.maxTokens
+        }
+      });
+      
+      // モデルに問い合わせ
+      const response = await callWithResilience('openai-compatible', () => this.model.invoke(messages, { signal: options.signal }), { signal: options.signal });
+      
+      // HTTP通信レスポンスのログ記録
+      Logger.logHttpResponse({
+        status: 200,
+        data: {
+          message: response
+        }
+      });
+      
+      return response;
+    } catch (error) {
+      Logger.error(`チャットエラー: ${error.message}`, 'OpenAICompatibleModel');
+      
+      // エラーレスポンスのログ記録
+      Logger.logHttpResponse({
+        status: error.status || 500,
+        error: error.message
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * テキスト生成
+   * @param {string} prompt - 入力プロンプト
+   * @param {Object} options - 呼び出しのオプション（chat を参照）
+   * @returns {Promise<string>} 生成されたテキスト
+   */
+  async generate(prompt, options = {}) {
+    const messages = [{ role: 'user', content: prompt }];
+    const response = await this.chat(messages, options);
+    return response.content;
+  }
+  
+  /**
+   * モデル情報の取得
+   * @returns {Object} モデル情報
+   */
+  getInfo() {
+    return {
+      name: this.modelName,
+      provider: 'openai-compatible',
+      baseURL: this.baseURL,
+      model: this.params.modelName,
+      temperature: this.params.temperature,
+      maxTokens: this.params.maxTokens,
+      topP: this.params.topP,
+      stop: this.params.stop
+    };
+  }
+}
+
+export default OpenAICompatibleModel;
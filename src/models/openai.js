@@ -4,57 +4,18 @@
 import { ChatOpenAI } from "@langchain/openai";
 import config from '../config/index.js';
 import Logger from '../utils/logger.js';
+import LoggingCallbacks from './callbacks.js';
+import { callWithResilience } from './resilience.js';
 
 // デフォルトのLangChainパラメータ
 const DEFAULT_PARAMS = {
   temperature: 0.7,
   maxTokens: 1024,
   verbose: true,  // LangChainの内部ログ出力を有効化
-  streaming: false
+  streaming: config.streaming.enabled,
+  maxRetries: 0  // 再試行はresilience.jsで行うため、LangChain側の再試行は無効化
 };
 
-// HTTP通信のロギング機能
-class LoggingCallbacks {
-  static handlers = {
-    handleLLMStart: async (llm, prompts) => {
-      Logger.logChatEvent('llm/start', { 
-        name: llm.name, 
-        input: { messages: prompts }
-      });
-    },
-    handleLLMEnd: async (output) => {
-      Logger.logChatEvent('llm/end', { output });
-    },
-    handleLLMError: async (error) => {
-      Logger.logChatEvent('llm/error', { error: error.message });
-    },
-    handleChainStart: async (chain, inputs) => {
-      Logger.logChatEvent('chain/start', { 
-        name: chain.name, 
-        input: inputs
-      });
-    },
-    handleChainEnd: async (outputs) => {
-      Logger.logChatEvent('chain/end', { outputs });
-    },
-    handleChainError: async (error) => {
-      Logger.logChatEvent('chain/error', { error: error.message });
-    },
-    handleToolStart: async (tool, input) => {
-      Logger.logChatEvent('tool/start', { 
-        name: tool.name, 
-        input
-      });
-    },
-    handleToolEnd: async (output) => {
-      Logger.logChatEvent('tool/end', { output });
-    },
-    handleToolError: async (error) => {
-      Logger.logChatEvent('tool/error', { error: error.message });
-    }
-  };
-}
-
 /**
  * OpenAIモデルクラス
  */
@@ -73,19 +34,33 @@ class OpenAIModel {
       throw new Error('OpenAI APIキーが設定されていません');
     }
     
+    // パラメータの設定（実行時に調整されたパラメータを優先）
+    this.params = {
+      temperature: this.modelConfig.options.temperature ?? DEFAULT_PARAMS.temperature,
+      maxTokens: this.modelConfig.options.maxTokens || DEFAULT_PARAMS.maxTokens,
+      topP: this.modelConfig.options.topP,
+      stop: this.modelConfig.options.stop,
+      ...options,
+      modelName: this.modelConfig.options.model
+    };
+    
     try {
       // LangChain v0.3.17のChatOpenAIの初期化方法を修正
       // Azure関連のパラメータをすべて除外し、明示的にOpenAI APIを使用することを指定
       this.model = new ChatOpenAI({
-        temperature: this.modelConfig.options.temperature || DEFAULT_PARAMS.temperature,
-        maxTokens: this.modelConfig.options.maxTokens || DEFAULT_PARAMS.maxTokens,
-        modelName: this.modelConfig.options.model,
+        temperature: this.params.temperature,
+        maxTokens: this.params.maxTokens,
+        topP: this.params.topP,
+        stop: this.params.stop,
+        modelName: this.params.modelName,
+        maxRetries: DEFAULT_PARAMS.maxRetries,
+        streaming: DEFAULT_PARAMS.streaming,
         openAIApiKey: apiKey,
         configuration: {
           baseURL: "https://api.openai.com/v1",
           apiKey: apiKey,
         },
-        callbacks: [LoggingCallbacks.handlers]
+        callbacks: [LoggingCallbacks.forModel(modelName)]
       });
 
       Logger.info(`OpenAIモデル "${modelName}" を設定しました`, 'OpenAIModel');
@@ -98,9 +73,11 @@ class OpenAIModel {
   /**
    * チャットメッセージを送信し、応答を取得
    * @param {Array} messages - メッセージの配列
+   * @param {Object} options - 呼び出しのオプション
+   * @param {AbortSignal} options.signal - 呼び出しを中断するシグナル（省略可）
    * @returns {Promise<Object>} モデルからの応答
    */
-  async chat(messages) {
+  async chat(messages, options = {}) {
     try {
       Logger.info(`"${this.modelName}" にメッセージを送信します`, 'OpenAIModel');
       
@@ -113,18 +90,20 @@ class OpenAIModel {
           'Authorization': `Bearer ${config.apiKeys.openai}`
         },
         data: {
-          model: this.modelConfig.options.model,
+          model: this.params.modelName,
           messages: messages.map(m => ({
             role: m.role, 
             content: m.content
           })),
-          temperature: this.modelConfig.options.temperature || DEFAULT_PARAMS.temperature,
-          max_tokens: this.modelConfig.options.maxTokens || DEFAULT_PARAMS.maxTokens
+          temperature: this.params.temperature,
+          max_tokens: this.params.maxTokens,
+          top_p: this.params.topP,
+          stop: this.params.stop
         }
       });
       
       // モデルに問い合わせ
-      const response = await this.model.invoke(messages);
+      const response = await callWithResilience('openai', () => this.model.invoke(messages, { signal: options.signal }), { signal: options.signal });
       
       // HTTP通信レスポンスのログ記録
       Logger.logHttpResponse({
@@ -151,11 +130,12 @@ class OpenAIModel {
   /**
    * テキスト生成
    * @param {string} prompt - 入力プロンプト
+   * @param {Object} options - 呼び出しのオプション（chat を参照）
    * @returns {Promise<string>} 生成されたテキスト
    */
-  async generate(prompt) {
+  async generate(prompt, options = {}) {
     const messages = [{ role: 'user', content: prompt }];
-    const response = await this.chat(messages);
+    const response = await this.chat(messages, options);
     return response.content;
   }
   
@@ -167,9 +147,11 @@ class OpenAIModel {
     return {
       name: this.modelName,
       provider: 'openai',
-      model: this.modelConfig.options.model,
-      temperature: this.modelConfig.options.temperature || DEFAULT_PARAMS.temperature,
-      maxTokens: this.modelConfig.options.maxTokens || DEFAULT_PARAMS.maxTokens
+      model: this.params.modelName,
+      temperature: this.params.temperature,
+      maxTokens: this.params.maxTokens,
+      topP: this.params.topP,
+      stop: this.params.stop
     };
   }
 }
@@ -0,0 +1,98 @@
+/**
+ * モデルの生成パラメータ
+ * 実行時に調整できるパラメータの検証と、プロバイダーごとのLangChainパラメータ名への変換を行う
+ */
+
+// 実行時に調整できるパラメータ
+export const TUNABLE_PARAMETERS = ['temperature', 'maxTokens', 'topP', 'stop'];
+
+// ReActエージェントが停止シーケンスを1つ使用するため、ユーザーが指定できる数はAPIの上限（4）より1つ少ない
+const MAX_STOP_SEQUENCES = 3;
+
+// プロバイダーごとのLangChainパラメータ名
+const PROVIDER_PARAMETER_NAMES = {
+  openai: { maxTokens: 'maxTokens', stop: 'stop' },
+  'openai-compatible': { maxTokens: 'maxTokens', stop: 'stop' },
+  deepseek: { maxTokens: 'maxTokens', stop: 'stop' },
+  anthropic: { maxTokens: 'maxTokens', stop: 'stopSequences' },
+  gemini: { maxTokens: 'maxOutputTokens', stop: 'stopSequences' },
+  ollama: { maxTokens: 'maxTokens', stop: 'stop' },
+  mock: { maxTokens: 'maxTokens', stop: 'stop' }
+};
+
+/**
+ * パラメータを検証して正規化する
+ * @param {Object} params - { temperature, maxTokens, topP, stop }（未指定の項目は変更しない）
+ * @returns {Object} 正規化されたパラメータ
+ * @throws {Error} 値が範囲外の場合
+ */
+export const validateParameters = (params = {}) => {
+  const normalized = {};
+
+  if (params.temperature !== undefined) {
+    const temperature = Number(params.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+      throw new Error(`temperatureは0〜2の数値で指定してください: ${params.temperature}`);
+    }
+    normalized.temperature = temperature;
+  }
+
+  if (params.maxTokens !== undefined) {
+    const maxTokens = Number(params.maxTokens);
+    if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+      throw new Error(`maxTokensは1以上の整数で指定してください: ${params.maxTokens}`);
+    }
+    normalized.maxTokens = maxTokens;
+  }
+
+  if (params.topP !== undefined) {
+    const topP = Number(params.topP);
+    if (!Number.isFinite(topP) || topP <= 0 || topP > 1) {
+      throw new Error(`topPは0より大きく1以下の数値で指定してください: ${params.topP}`);
+    }
+    normalized.topP = topP;
+  }
+
+  if (params.stop !== undefined) {
+    const stop = (Array.isArray(params.stop) ? params.stop : [params.stop])
+      .filter(sequence => typeof sequence === 'string' && sequence !== '');
+    if (stop.length > MAX_STOP_SEQUENCES) {
+      throw new Error(`停止シーケンスは${MAX_STOP_SEQUENCES}個まで指定できます`);
+    }
+    normalized.stop = stop;
+  }
+
+  return normalized;
+};
+
+/**
+ * モデル設定（options）から共通形式のパラメータを取得する
+ * @param {Object} options - availableModelsのoptions
+ * @returns {Object} { temperature, maxTokens, topP, stop }
+ */
+export const fromModelOptions = (options = {}) => {
+  return {
+    temperature: options.temperature,
+    maxTokens: options.maxTokens ?? options.maxOutputTokens,
+    topP: options.topP,
+    stop: options.stop ?? options.stopSequences ?? []
+  };
+};
+
+/**
+ * 共通形式のパラメータをプロバイダーのLangChainパラメータ名に変換する
+ * @param {string} provider - プロバイダー名
+ * @param {Object} params - { temperature, maxTokens, topP, stop }
+ * @returns {Object} プロバイダーのパラメータ
+ */
+export const toProviderOptions = (provider, params = {}) => {
+  const names = PROVIDER_PARAMETER_NAMES[provider] || PROVIDER_PARAMETER_NAMES.openai;
+  const options = {};
+
+  if (params.temperature !== undefined) options.temperature = params.temperature;
+  if (params.maxTokens !== undefined) options[names.maxTokens] = params.maxTokens;
+  if (params.topP !== undefined) options.topP = params.topP;
+  if (params.stop !== undefined && params.stop.length > 0) options[names.stop] = params.stop;
+
+  return options;
+};
@@ -0,0 +1,287 @@
+/**
+ * モデル呼び出しの耐障害レイヤー
+ * 一時的なエラー（429/5xx）の再試行（指数バックオフ + ジッター、Retry-After対応）と
+ * プロバイダーごとのサーキットブレーカーを提供する
+ */
+import config from '../config/index.js';
+import Logger from '../utils/logger.js';
+import { isRetryableError } from '../utils/errors.js';
+
+// サーキットブレーカーの状態
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * サーキットブレーカーが開いているため呼び出しを拒否したことを表すエラー
+ */
+export class CircuitOpenError extends Error {
+  constructor(provider, retryAt) {
+    super(`${provider}のサーキットブレーカーが開いています。${retryAt.toLocaleTimeString()}以降に再試行してください`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.provider = provider;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * プロバイダー単位のサーキットブレーカー
+ */
+class CircuitBreaker {
+  /**
+   * コンストラクタ
+   * @param {string} provider - プロバイダー名
+   * @param {Object} options - 設定
+   * @param {number} options.failureThreshold - 開くまでの連続失敗回数
+   * @param {number} options.resetTimeoutMs - 開いてから試行を再開するまでの時間（ミリ秒）
+   */
+  constructor(provider, options) {
+    this.provider = provider;
+    this.failureThreshold = options.failureThreshold;
+    this.resetTimeoutMs = options.resetTimeoutMs;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * 呼び出しが可能か確認する（不可の場合は CircuitOpenError をスロー）
+   */
+  assertCanCall() {
+    if (this.state !== CIRCUIT_STATES.OPEN) return;
+
+    const retryAt = new Date(this.openedAt + this.resetTimeoutMs);
+    if (Date.now() < retryAt.getTime()) {
+      throw new CircuitOpenError(this.provider, retryAt);
+    }
+
+    // 待機時間が経過したので1回だけ試行を許可
+    this.state = CIRCUIT_STATES.HALF_OPEN;
+    Logger.info(`${this.provider}のサーキットブレーカーを半開状態にしました`, 'CircuitBreaker');
+  }
+
+  /**
+   * 呼び出しの成功を記録する
+   */
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      Logger.info(`${this.provider}のサーキットブレーカーを閉じました`, 'CircuitBreaker');
+    }
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * 呼び出しの失敗を記録する
+   */
+  recordFailure() {
+    this.failures += 1;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+      Logger.warn(`${this.provider}のサーキットブレーカーを開きました（連続失敗: ${this.failures}回）`, 'CircuitBreaker');
+    }
+  }
+
+  /**
+   * 状態情報を取得する
+   * @returns {Object} 状態情報
+   */
+  getStatus() {
+    return {
+      provider: this.provider,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null
+    };
+  }
+}
+
+// プロバイダーごとのサーキットブレーカー
+const circuitBreakers = new Map();
+
+/**
+ * プロバイダーのサーキットブレーカーを取得する
+ * @param {string} provider - プロバイダー名
+ * @returns {CircuitBreaker} サーキットブレーカー
+ */
+export const getCircuitBreaker = (provider) => {
+  if (!circuitBreakers.has(provider)) {
+    circuitBreakers.set(provider, new CircuitBreaker(provider, config.resilience.circuitBreaker));
+  }
+  return circuitBreakers.get(provider);
+};
+
+/**
+ * すべてのサーキットブレーカーの状態を取得する
+ * @returns {Array<Object>} 状態情報のリスト
+ */
+export const getCircuitBreakerStatuses = () => {
+  return [...circuitBreakers.values()].map(breaker => breaker.getStatus());
+};
+
+/**
+ * エラーのRetry-Afterヘッダーから待機時間を取得する
+ * @param {Error} error - エラーオブジェクト
+ * @returns {number|null} 待機時間（ミリ秒）、指定がない場合はnull
+ */
+export const getRetryAfterMs = (error) => {
+  const headers = error?.headers ?? error?.response?.headers;
+  if (!headers) return null;
+
+  const getHeader = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = Number(getHeader('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs > 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = getHeader('retry-after');
+  if (!retryAfter) return null;
+
+  // 秒数またはHTTP日付形式
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * 再試行までの待機時間を計算する（指数バックオフ + ジッター）
+ * @param {number} attempt - 再試行回数（1から）
+ * @param {Error} error - 直前のエラー
+ * @returns {number} 待機時間（ミリ秒）
+ */
+export const getRetryDelayMs = (attempt, error) => {
+  const { initialDelayMs, maxDelayMs, backoffMultiplier, jitterRatio } = config.resilience;
+
+  const retryAfterMs = getRetryAfterMs(error);
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, maxDelayMs);
+  }
+
+  const baseDelay = Math.min(initialDelayMs * (backoffMultiplier ** (attempt - 1)), maxDelayMs);
+  const jitter = baseDelay * jitterRatio * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(baseDelay + jitter));
+};
+
+/**
+ * 指定時間待機する（シグナルで中断された場合は待機をやめて中断の理由で失敗する）
+ * @param {number} ms - 待機時間（ミリ秒）
+ * @param {AbortSignal} signal - 中断のシグナル（省略可）
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * 失敗した呼び出しをサーキットブレーカーに記録し、再試行する場合は待機する
+ * 再試行しない場合（中断・再試行できないエラー・再試行回数の超過・ブレーカーが開いた）はエラーをスローする
+ * @param {CircuitBreaker} breaker - サーキットブレーカー
+ * @param {number} attempt - 失敗した試行の番号（0から）
+ * @param {Error} error - 発生したエラー
+ * @param {AbortSignal} signal - 中断のシグナル（省略可）
+ * @returns {Promise<void>}
+ */
+const handleFailure = async (breaker, attempt, error, signal) => {
+  const { maxRetries } = config.resilience;
+
+  if (signal?.aborted || !isRetryableError(error)) {
+    throw error;
+  }
+
+  breaker.recordFailure();
+
+  if (attempt >= maxRetries || breaker.state === CIRCUIT_STATES.OPEN) {
+    throw error;
+  }
+
+  const delayMs = getRetryDelayMs(attempt + 1, error);
+  Logger.warn(`${breaker.provider}の呼び出しに失敗しました（${error.message}）。${delayMs}ms後に再試行します (${attempt + 1}/${maxRetries})`, 'Resilience');
+  await sleep(delayMs, signal);
+};
+
+/**
+ * 再試行とサーキットブレーカーを適用して関数を実行する
+ * 中断のシグナルが指定された場合、中断後は再試行せず、再試行までの待機も打ち切る
+ * @param {string} provider - プロバイダー名
+ * @param {Function} fn - 実行する非同期関数
+ * @param {Object} options - オプション
+ * @param {AbortSignal} options.signal - 中断のシグナル（省略可）
+ * @returns {Promise<*>} 関数の実行結果
+ */
+export const callWithResilience = async (provider, fn, { signal } = {}) => {
+  const breaker = getCircuitBreaker(provider);
+
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+    breaker.assertCanCall();
+
+    try {
+      const result = await fn();
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      await handleFailure(breaker, attempt, error, signal);
+    }
+  }
+};
+
+/**
+ * 再試行とサーキットブレーカーを適用してストリームを読み出す
+ * 成功・失敗はストリームの作成時点ではなく、読み出しを終えた時点（または読み出し中のエラー）で記録する
+ * 再試行は最初のチャンクを受信する前のみ行い、受信後のエラーは失敗を記録してそのままスローする
+ * @param {string} provider - プロバイダー名
+ * @param {Function} createStream - ストリームを作成する非同期関数
+ * @param {Object} options - オプション
+ * @param {AbortSignal} options.signal - 中断のシグナル（省略可）
+ * @returns {AsyncGenerator<*>} ストリームのチャンク
+ */
+export async function* streamWithResilience(provider, createStream, { signal } = {}) {
+  const breaker = getCircuitBreaker(provider);
+
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+    breaker.assertCanCall();
+
+    let received = false;
+    try {
+      const stream = await createStream();
+      for await (const chunk of stream) {
+        received = true;
+        yield chunk;
+      }
+      breaker.recordSuccess();
+      return;
+    } catch (error) {
+      if (received) {
+        // 出力の途中で再試行すると応答が重複するため、失敗の記録のみ行う
+        if (!signal?.aborted && isRetryableError(error)) {
+          breaker.recordFailure();
+        }
+        throw error;
+      }
+      await handleFailure(breaker, attempt, error, signal);
+    }
+  }
+}
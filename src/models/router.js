@@ -0,0 +1,267 @@
+/**
+ * 役割別モデルルーティング
+ * ReActエージェントの1回の実行の中で、LLM呼び出しの役割（計画・ツール引数・最終回答）ごとに使用するモデルを切り替える
+ */
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import Logger from '../utils/logger.js';
+import { bindToolsToWrapper, withCallTools } from './tool-binding.js';
+
+// ルーティングの役割
+export const ROUTING_ROLES = {
+  // 最初の呼び出し（質問を受けて最初の行動を決める）
+  PLANNING: 'planning',
+  // 2回目以降の途中の呼び出し（観察結果を受けて次のツールと引数を決める）
+  TOOL_ARGUMENT: 'toolArgument',
+  // 最終回答を書く呼び出し
+  FINAL_ANSWER: 'finalAnswer'
+};
+
+// 最終回答の開始を表すReActの書式
+const FINAL_ANSWER_MARKER = 'Final Answer:';
+
+// ツール呼び出しを表すReActの書式
+const ACTION_PATTERN = /Action\s*\d*\s*:/;
+
+/**
+ * メッセージの内容をテキストに変換する
+ * @param {string|Array} content - メッセージの内容
+ * @returns {string} テキスト
+ */
+const contentToText = (content) => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return '';
+};
+
+/**
+ * 応答がツールの呼び出しか（ReActの書式、またはネイティブのツール呼び出し）
+ * @param {Object} message - モデルの応答
+ * @returns {boolean} ツールの呼び出しか
+ */
+const isToolAction = (message) => message?.tool_calls?.length > 0 || ACTION_PATTERN.test(contentToText(message?.content));
+
+/**
+ * ルーティングポリシーを正規化する（未指定の役割はデフォルトのモデルを使用）
+ * @param {string} defaultModel - デフォルトのモデル名
+ * @param {Object} policy - { planning, toolArgument, finalAnswer }
+ * @returns {Object} すべての役割のモデル名
+ */
+export const resolveRoutingPolicy = (defaultModel, policy = {}) => ({
+  [ROUTING_ROLES.PLANNING]: policy.planning || defaultModel,
+  [ROUTING_ROLES.TOOL_ARGUMENT]: policy.toolArgument || defaultModel,
+  [ROUTING_ROLES.FINAL_ANSWER]: policy.finalAnswer || defaultModel
+});
+
+/**
+ * 役割ごとにモデルを切り替えるLangChainチャットモデル
+ * 1回目の呼び出しは計画、2回目以降はツール引数の役割のモデルで実行する
+ * 最終回答の役割に別のモデルが指定されている場合は、途中のモデルを "Final Answer:" で停止させ、
+ * 最終回答を書く呼び出しを最終回答の役割のモデルで実行し直す
+ */
+class RoutingChatModel extends BaseChatModel {
+  /**
+   * コンストラクタ
+   * @param {Object} fields - 設定
+   * @param {Object} fields.modelNames - 役割ごとのモデル名
+   * @param {Object} fields.chatModels - モデル名ごとのチャットモデル
+   */
+  constructor(fields) {
+    super({});
+    this.modelNames = fields.modelNames;
+    this.chatModels = fields.chatModels;
+    this.callIndex = 0;
+    this.decisions = [];
+  }
+
+  _llmType() {
+    return 'routing';
+  }
+
+  /**
+   * ツールを結び付ける（役割ごとのモデルにも同じツールを結び付けて呼び出す）
+   * @param {Array} tools - ツールの配列
+   * @param {Object} kwargs - 追加の呼び出しオプション
+   * @returns {Object} ツールを結び付けたモデル
+   */
+  bindTools(tools, kwargs) {
+    return bindToolsToWrapper(this, tools, kwargs);
+  }
+
+  /**
+   * 最終回答を書いたモデル名（フォールバックで切り替わった場合は切り替え後のモデル）
+   * @returns {string} モデル名
+   */
+  get activeModelName() {
+    const finalAnswer = this.decisions.find(decision => decision.role === ROUTING_ROLES.FINAL_ANSWER);
+    const modelName = finalAnswer?.modelName || this.modelNames[ROUTING_ROLES.FINAL_ANSWER];
+    return this.chatModels[modelName]?.activeModelName || modelName;
+  }
+
+  /**
+   * 実行ごとの状態を初期化する
+   */
+  reset() {
+    this.callIndex = 0;
+    this.decisions = [];
+    Object.values(this.chatModels).forEach(chatModel => chatModel.reset?.());
+  }
+
+  /**
+   * 呼び出しの役割を決める
+   * @returns {string} 役割
+   * @private
+   */
+  _roleForCall() {
+    return this.callIndex === 0 ? ROUTING_ROLES.PLANNING : ROUTING_ROLES.TOOL_ARGUMENT;
+  }
+
+  /**
+   * ルーティングの判断を記録する
+   * @param {string} role - 役割
+   * @param {string} modelName - 使用したモデル名
+   * @param {string} reason - 判断の理由
+   * @private
+   */
+  _recordDecision(role, modelName, reason) {
+    const chatModel = this.chatModels[modelName];
+    const decision = {
+      call: this.callIndex,
+      role,
+      modelName: chatModel?.activeModelName || modelName,
+      reason,
+      timestamp: new Date()
+    };
+    this.decisions.push(decision);
+    Logger.info(`ルーティング: 呼び出し${decision.call + 1}回目 → ${role} (${decision.modelName}): ${reason}`, 'RoutingChatModel');
+  }
+
+  /**
+   * 出力の内容に応じてルーティングの判断を記録する
+   * 同じモデルが最終回答まで書いた場合は最終回答の役割として記録する
+   * @param {string} role - 役割
+   * @param {string} modelName - 使用したモデル名
+   * @param {Object} message - モデルの応答
+   * @param {Object} options - 呼び出し時のオプション
+   * @private
+   */
+  _recordOutcome(role, modelName, message, options) {
+    if (isToolAction(message)) {
+      this._recordDecision(role, modelName, 'ツールを選択');
+    } else if (options.tools?.length > 0 || contentToText(message?.content).includes(FINAL_ANSWER_MARKER)) {
+      // ネイティブのツール呼び出しでは、ツールを呼び出さない応答が最終回答になる
+      this._recordDecision(ROUTING_ROLES.FINAL_ANSWER, modelName, '最終回答を生成');
+    } else {
+      this._recordDecision(role, modelName, '応答を生成');
+    }
+  }
+
+  /**
+   * 最終回答の前で停止させるか（最終回答の役割に別のモデルが指定されているか）
+   * @param {string} role - 役割
+   * @returns {boolean} 停止させるか
+   * @private
+   */
+  _shouldHandOffFinalAnswer(role) {
+    return this.modelNames[role] !== this.modelNames[ROUTING_ROLES.FINAL_ANSWER];
+  }
+
+  /**
+   * 途中のモデルの呼び出しオプションを作成する
+   * @param {string} role - 役割
+   * @param {Object} options - 呼び出し時のオプション
+   * @returns {Object} { stop, signal }
+   * @private
+   */
+  _callOptions(role, options) {
+    const stop = [...(options.stop || [])];
+    if (this._shouldHandOffFinalAnswer(role)) {
+      stop.push(FINAL_ANSWER_MARKER);
+    }
+    return { stop, signal: options.signal };
+  }
+
+  /**
+   * 役割のモデルを取得する（ツールが結び付けられている場合は同じツールを結び付ける）
+   * @param {string} modelName - モデル名
+   * @param {Object} options - 呼び出し時のオプション
+   * @returns {Object} チャットモデル
+   * @private
+   */
+  _modelFor(modelName, options) {
+    return withCallTools(this.chatModels[modelName], options, modelName);
+  }
+
+  async _generate(messages, options) {
+    const role = this._roleForCall();
+    let modelName = this.modelNames[role];
+    let message = await this._modelFor(modelName, options).invoke(messages, this._callOptions(role, options));
+
+    if (this._shouldHandOffFinalAnswer(role) && !isToolAction(message)) {
+      // ツールを呼び出さずに停止した場合は最終回答とみなし、最終回答のモデルで書き直す
+      this._recordDecision(role, modelName, '最終回答の直前で停止');
+      modelName = this.modelNames[ROUTING_ROLES.FINAL_ANSWER];
+      message = await this._modelFor(modelName, options).invoke(messages, { stop: options.stop, signal: options.signal });
+      this._recordDecision(ROUTING_ROLES.FINAL_ANSWER, modelName, `${role}のモデルから最終回答を引き継ぎ`);
+    } else {
+      this._recordOutcome(role, modelName, message, options);
+    }
+
+    this.callIndex += 1;
+    return {
+      generations: [{ text: contentToText(message?.content), message }]
+    };
+  }
+
+  /**
+   * ストリーミングで応答を生成する
+   * トークンは受信するたびに通知し、使用するモデルが確定してから応答全体を1つのチャンクとして返す
+   * 最終回答を別のモデルに引き継ぐ可能性がある場合は、途中のモデルのトークンをツールの呼び出しと分かるまで保留し、
+   * 引き継いだ場合は破棄する（引き継ぎ後のモデルの出力と重複して表示されないようにする）
+   */
+  async *_streamResponseChunks(messages, options, runManager) {
+    const streamFrom = async (modelName, callOptions, holdTokens = false) => {
+      let full;
+      const pending = [];
+      const stream = await this._modelFor(modelName, options).stream(messages, callOptions);
+      for await (const chunk of stream) {
+        full = full ? full.concat(chunk) : chunk;
+        const token = contentToText(chunk.content);
+        if (holdTokens && !isToolAction(full)) {
+          pending.push(token);
+          continue;
+        }
+        // ツールの呼び出しと分かった時点で、保留していたトークンをまとめて通知する
+        if (pending.length > 0) {
+          await runManager?.handleLLMNewToken(pending.splice(0).join(''));
+        }
+        await runManager?.handleLLMNewToken(token);
+      }
+      // チャンクを1つも受信しなかった場合は空の応答とする
+      return full ?? new AIMessageChunk({ content: '' });
+    };
+
+    const role = this._roleForCall();
+    let modelName = this.modelNames[role];
+    let message = await streamFrom(modelName, this._callOptions(role, options), this._shouldHandOffFinalAnswer(role));
+    let text = contentToText(message?.content);
+
+    if (this._shouldHandOffFinalAnswer(role) && !isToolAction(message)) {
+      this._recordDecision(role, modelName, '最終回答の直前で停止');
+      modelName = this.modelNames[ROUTING_ROLES.FINAL_ANSWER];
+      message = await streamFrom(modelName, { stop: options.stop, signal: options.signal });
+      text = contentToText(message?.content);
+      this._recordDecision(ROUTING_ROLES.FINAL_ANSWER, modelName, `${role}のモデルから最終回答を引き継ぎ`);
+    } else {
+      this._recordOutcome(role, modelName, message, options);
+    }
+
+    this.callIndex += 1;
+    yield new ChatGenerationChunk({ text, message });
+  }
+}
+
+export default RoutingChatModel;
@@ -4,6 +4,9 @@
  */
 import config, { hasValidApiKey } from '../config/index.js';
 import Logger from '../utils/logger.js';
+import FallbackChatModel from './fallback.js';
+import cassette, { CASSETTE_MODES, ReplayModel, wrapForRecording } from './cassette.js';
+import { validateParameters, fromModelOptions, toProviderOptions } from './parameters.js';
 
 // モデルのプロバイダごとのインポート
 // 実際のインスタンス化は必要になった時点で行う（遅延初期化）
@@ -13,8 +16,8 @@ const modelProviders = {
     return OpenAIModel;
   },
   anthropic: async () => {
-    const { default: ClaudeModel } = await import('./claude.js');
-    return ClaudeModel;
+    const { default: AnthropicModel } = await import('./anthropic.js');
+    return AnthropicModel;
   },
   gemini: async () => {
     const { default: GeminiModel } = await import('./gemini.js');
@@ -23,6 +26,18 @@ const modelProviders = {
   deepseek: async () => {
     const { default: DeepSeekModel } = await import('./deepseek.js');
     return DeepSeekModel;
+  },
+  'openai-compatible': async () => {
+    const { default: OpenAICompatibleModel } = await import('./openai-compatible.js');
+    return OpenAICompatibleModel;
+  },
+  ollama: async () => {
+    const { default: OllamaModel } = await import('./ollama.js');
+    return OllamaModel;
+  },
+  mock: async () => {
+    const { default: MockModel } = await import('./mock.js');
+    return MockModel;
   }
 };
 
@@ -30,6 +45,8 @@ class ModelSelector {
   constructor() {
     this.currentModelName = config.models.defaultModel;
     this.modelInstances = new Map();
+    // 実行時に調整された生成パラメータ（モデル名 → パラメータ）
+    this.modelOverrides = new Map();
     this.Logger = Logger;
   }
 
@@ -64,6 +81,8 @@ class ModelSelector {
    * @throws {Error} 無効なモデルが指定された場合
    */
   async getModel(modelName) {
+    this._registerOllamaModelName(modelName);
+    
     if (!config.models.isValidModel(modelName)) {
       throw new Error(`無効なモデル名です: ${modelName}`);
     }
@@ -73,8 +92,16 @@ class ModelSelector {
       return this.modelInstances.get(modelName);
     }
 
+    // 再生モードではプロバイダーのモデルを作成せず、カセットに記録された応答を返す
+    if (cassette.mode === CASSETTE_MODES.REPLAY) {
+      const replayModel = new ReplayModel(modelName, cassette);
+      this.modelInstances.set(modelName, replayModel);
+      return replayModel;
+    }
+
     const providerName = config.models.getModelProvider(modelName);
-    const modelOptions = config.models.availableModels[modelName].options;
+    // 実行時に調整されたパラメータをプロバイダーのパラメータ名に変換して渡す
+    const modelOptions = toProviderOptions(providerName, this.modelOverrides.get(modelName));
 
     // APIキーが設定されているか確認
     if (!hasValidApiKey(providerName)) {
@@ -83,11 +110,16 @@ class ModelSelector {
 
     try {
       // プロバイダのクラスを動的に読み込み
-      const ModelClass = await modelProviders[providerName]();
+      const ModelClass = await this.loadProviderClass(providerName);
       
       // モデルインスタンスを作成
       const modelInstance = new ModelClass(modelName, modelOptions);
       
+      // 記録モードではやり取りをカセットに保存する
+      if (cassette.mode === CASSETTE_MODES.RECORD) {
+        wrapForRecording(modelName, modelInstance, cassette);
+      }
+      
       // キャッシュに保存
       this.modelInstances.set(modelName, modelInstance);
       
@@ -99,6 +131,50 @@ class ModelSelector {
     }
   }
 
+  /**
+   * プロバイダのモデルクラスを読み込む
+   * @param {string} providerName - プロバイダー名
+   * @returns {Promise<Function>} モデルクラス
+   * @throws {Error} 未対応のプロバイダーやモジュールの読み込みに失敗した場合
+   */
+  async loadProviderClass(providerName) {
+    const loader = modelProviders[providerName];
+    if (!loader) {
+      throw new Error(`プロバイダ "${providerName}" のモジュールが登録されていません`);
+    }
+    return loader();
+  }
+
+  /**
+   * エージェントに渡すLangChainチャットモデルを取得
+   * 呼び出しには再試行・サーキットブレーカーが適用され、フォールバックチェーンが設定されている場合は
+   * 一時的なエラーで次のモデルへ切り替える
+   * @param {string} modelName - モデル名
+   * @param {Object} options - オプション
+   * @param {Function} options.onFallback - モデルを切り替えたときに呼ばれる関数
+   * @returns {Promise<Object>} LangChainチャットモデル
+   */
+  async getChatModel(modelName, options = {}) {
+    await this.getModel(modelName);
+    const chain = config.models.getFallbackChain(modelName);
+    
+    if (chain.length > 1) {
+      this.Logger.info(`モデル "${modelName}" のフォールバックチェーン: ${chain.join(' → ')}`, 'ModelSelector');
+    }
+    
+    return new FallbackChatModel({
+      chain,
+      loadModel: (name) => this.getModel(name),
+      getParameters: (name) => this.getEffectiveParameters(name),
+      onFallback: (event) => {
+        this.Logger.warn(`モデルを "${event.from}" から "${event.to}" に切り替えます: ${event.reason}`, 'ModelSelector');
+        if (options.onFallback) {
+          options.onFallback(event);
+        }
+      }
+    });
+  }
+
   /**
    * 現在のモデルを変更する
    * @param {string} modelName - 新しいモデル名
@@ -106,6 +182,8 @@ class ModelSelector {
    * @throws {Error} 無効なモデルが指定された場合
    */
   async setCurrentModel(modelName) {
+    this._registerOllamaModelName(modelName);
+    
     if (!config.models.isValidModel(modelName)) {
       throw new Error(`無効なモデル名です: ${modelName}`);
     }
@@ -125,6 +203,66 @@ class ModelSelector {
     }
   }
 
+  /**
+   * LLM呼び出しの記録・再生モードを設定する
+   * 作成済みのモデルインスタンスは破棄され、次回取得時にカセットを通して作り直される
+   * @param {string|null} mode - 'record' / 'replay'（nullの場合は無効）
+   * @param {string} name - カセット名またはファイルパス
+   */
+  useCassette(mode, name) {
+    cassette.use(mode, name);
+    this.modelInstances.clear();
+  }
+
+  /**
+   * モデルの生成パラメータを実行時に変更する
+   * 変更はこのプロセスの間のみ有効で、キャッシュ済みのインスタンスは次回取得時に作り直される
+   * @param {string} modelName - モデル名
+   * @param {Object|null} params - { temperature, maxTokens, topP, stop }（nullの場合は設定ファイルの値に戻す）
+   * @returns {Object} 変更後の実効パラメータ
+   * @throws {Error} 無効なモデル名やパラメータが指定された場合
+   */
+  setModelParameters(modelName, params) {
+    this._registerOllamaModelName(modelName);
+    
+    if (!config.models.isValidModel(modelName)) {
+      throw new Error(`無効なモデル名です: ${modelName}`);
+    }
+
+    if (params === null) {
+      this.modelOverrides.delete(modelName);
+      this.Logger.info(`モデル "${modelName}" のパラメータを設定ファイルの値に戻しました`, 'ModelSelector');
+    } else {
+      const overrides = {
+        ...(this.modelOverrides.get(modelName) || {}),
+        ...validateParameters(params)
+      };
+      this.modelOverrides.set(modelName, overrides);
+      this.Logger.info(`モデル "${modelName}" のパラメータを変更しました: ${JSON.stringify(overrides)}`, 'ModelSelector');
+    }
+
+    // 新しいパラメータで作り直すためキャッシュを破棄
+    this.modelInstances.delete(modelName);
+    
+    return this.getEffectiveParameters(modelName);
+  }
+
+  /**
+   * モデルの実効パラメータ（設定ファイルの値 + 実行時の変更）を取得
+   * @param {string} modelName - モデル名
+   * @returns {Object} { temperature, maxTokens, topP, stop, overridden }
+   */
+  getEffectiveParameters(modelName) {
+    const modelData = config.models.availableModels[modelName];
+    const overrides = this.modelOverrides.get(modelName) || {};
+    
+    return {
+      ...fromModelOptions(modelData?.options),
+      ...overrides,
+      overridden: Object.keys(overrides)
+    };
+  }
+
   /**
    * 利用可能なモデル一覧を取得
    * @returns {Array<string>} 利用可能なモデル名のリスト
@@ -133,6 +271,55 @@ class ModelSelector {
     return Object.keys(config.models.availableModels);
   }
 
+  /**
+   * ローカルのOllamaサーバーからインストール済みモデルを取得し、利用可能なモデルに追加する
+   * サーバーに接続できない場合は何もしない
+   * @returns {Promise<Array<string>>} 追加されたモデル名のリスト
+   */
+  async discoverOllamaModels() {
+    if (!config.ollama.discovery) {
+      return [];
+    }
+    
+    const url = `${config.ollama.baseUrl.replace(/\/$/, '')}/api/tags`;
+    
+    try {
+      const response = await fetch(url, {
+        signal: AbortSignal.timeout(config.ollama.discoveryTimeout)
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      const { models = [] } = await response.json();
+      const modelNames = models.map(model => config.models.registerOllamaModel(model.name, {
+        size: model.size,
+        modifiedAt: model.modified_at,
+        parameterSize: model.details?.parameter_size
+      }));
+      
+      this.Logger.info(`Ollamaから${modelNames.length}件のモデルを検出しました: ${url}`, 'ModelSelector');
+      return modelNames;
+    } catch (error) {
+      this.Logger.debug(`Ollamaのモデル一覧を取得できませんでした (${url}): ${error.message}`, 'ModelSelector');
+      return [];
+    }
+  }
+  
+  /**
+   * "ollama:<タグ>" 形式のモデル名が未登録の場合は登録する
+   * @param {string} modelName - モデル名
+   * @private
+   */
+  _registerOllamaModelName(modelName) {
+    if (typeof modelName === 'string'
+      && modelName.startsWith(config.models.OLLAMA_MODEL_PREFIX)
+      && modelName.length > config.models.OLLAMA_MODEL_PREFIX.length) {
+      config.models.registerOllamaModel(modelName.substring(config.models.OLLAMA_MODEL_PREFIX.length));
+    }
+  }
+
   /**
    * 特定のプロバイダーの利用可能なモデル一覧を取得
    * @param {string} provider - プロバイダー名
@@ -140,8 +327,8 @@ class ModelSelector {
    */
   getAvailableModelsByProvider(provider) {
     return Object.entries(config.models.availableModels)
-      .filter(([_, model]) => model.provider === provider)
-      .map(([name, _]) => name);
+      .filter(([, model]) => model.provider === provider)
+      .map(([name]) => name);
   }
 
   /**
@@ -161,7 +348,9 @@ class ModelSelector {
       name: modelName,
       provider: modelData.provider,
       providerName: provider,
-      options: { ...modelData.options }
+      options: { ...modelData.options },
+      parameters: this.getEffectiveParameters(modelName),
+      fallbacks: config.models.getFallbackChain(modelName).slice(1)
     };
   }
 }
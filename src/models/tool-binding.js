@@ -0,0 +1,33 @@
+/**
+ * ツールの結び付け
+ * 他のチャットモデルを呼び出すラッパー（フォールバック・カセット・ルーティング）で、
+ * エージェントが結び付けたツールを呼び出し先のモデルに引き継ぐ
+ */
+
+/**
+ * ラッパーのモデルにツールを結び付ける
+ * ツールは呼び出し時のオプション（options.tools）として _generate に渡される
+ * @param {Object} model - ラッパーのチャットモデル
+ * @param {Array} tools - ツールの配列
+ * @param {Object} kwargs - 追加の呼び出しオプション（tool_choice など）
+ * @returns {Object} ツールを結び付けたモデル
+ */
+export const bindToolsToWrapper = (model, tools, kwargs = {}) => model.bind({ tools, ...kwargs });
+
+/**
+ * 呼び出し時のオプションにツールが含まれる場合は、呼び出し先のモデルにツールを結び付ける
+ * @param {Object} model - 呼び出し先のチャットモデル
+ * @param {Object} options - 呼び出し時のオプション
+ * @param {string} modelName - 呼び出し先のモデル名（エラーメッセージ用）
+ * @returns {Object} ツールを結び付けたモデル（ツールがない場合は元のモデル）
+ * @throws {Error} 呼び出し先のモデルがツールの結び付けに対応していない場合
+ */
+export const withCallTools = (model, options, modelName) => {
+  if (!options.tools || options.tools.length === 0) {
+    return model;
+  }
+  if (typeof model.bindTools !== 'function') {
+    throw new Error(`モデル "${modelName}" はネイティブのツール呼び出しに対応していません`);
+  }
+  return model.bindTools(options.tools, options.tool_choice ? { tool_choice: options.tool_choice } : undefined);
+};
@@ -5,7 +5,6 @@ import readline from 'readline';
 import dotenv from 'dotenv';
 import Logger from './utils/logger.js';
 import ReActAgentAdapter from './agents/react-agent-adapter.js';
-import ReActToolAdapter from './tools/react-tool-adapter.js';
 import { saveDocumentTool } from './tools/analysis-tools.js';
 
 // 環境変数の読み込み
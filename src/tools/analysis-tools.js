@@ -7,7 +7,7 @@ import { StructuredTool } from "@langchain/core/tools";
 import { z } from "zod";
 import config from '../config/index.js';
 import Logger from '../utils/logger.js';
-import { getFormattedDateTime, getTimestampedFilename } from '../utils/formatter.js';
+import { getTimestampedFilename } from '../utils/formatter.js';
 
 /**
  * 要件分析ツール - ユーザーの入力から要件を分析する
@@ -2,7 +2,7 @@
  * LangChain v0.3 ReActエージェント用ツールアダプター
  * 文字列入力をツールが期待するJSON形式に変換する
  */
-import { StructuredTool } from "@langchain/core/tools";
+import { StructuredTool, DynamicStructuredTool } from "@langchain/core/tools";
 import { z } from "zod";
 import Logger from '../utils/logger.js';
 
@@ -13,21 +13,44 @@ class ReActToolAdapter {
   /**
    * 構造化ツールにアダプターをラップする
    * @param {Array<StructuredTool>} tools - 元のツール配列 
+   * @param {Object} options - ラップのオプション
+   * @param {Function} options.review - 実行前に引数を確認する関数（省略可、{ tool, args } を受け取り { approved, args, observation } を返す）
+   * @param {Function} options.onParse - 文字列の入力を解析した引数を受け取る関数（省略可、{ tool, args, runId } を受け取る）
    * @returns {Array<StructuredTool>} - ラップされたツール配列
    */
-  static wrapTools(tools) {
-    return tools.map(tool => this.wrapTool(tool));
+  static wrapTools(tools, options = {}) {
+    return tools.map(tool => this.wrapTool(tool, options));
   }
   
   /**
    * 単一ツールをラップする
    * @param {StructuredTool} originalTool - 元のツール
+   * @param {Object} options - ラップのオプション（wrapTools を参照）
    * @returns {StructuredTool} - ラップされたツール
    */
-  static wrapTool(originalTool) {
-    const adaptedTool = new StringInputToolWrapper(originalTool);
+  static wrapTool(originalTool, options = {}) {
+    const adaptedTool = new StringInputToolWrapper(originalTool, options);
     return adaptedTool;
   }
+  
+  /**
+   * 構造化された引数を受け取るツール（ネイティブのツール呼び出し用）に実行前の確認を追加する
+   * @param {Array<StructuredTool>} tools - ツール配列
+   * @param {Function} review - 実行前に引数を確認する関数（wrapTools を参照）
+   * @returns {Array<StructuredTool>} - 確認を追加したツール配列
+   */
+  static withReview(tools, review) {
+    return tools.map(tool => new DynamicStructuredTool({
+      name: tool.name,
+      description: tool.description,
+      schema: tool.schema,
+      metadata: { ...tool.metadata, toolName: tool.name },
+      func: async (args) => {
+        const result = await review({ tool: tool.name, args });
+        return result.approved ? tool.invoke(result.args) : result.observation;
+      }
+    }));
+  }
 }
 
 /**
@@ -37,12 +60,19 @@ class StringInputToolWrapper extends StructuredTool {
   /**
    * コンストラクタ
    * @param {StructuredTool} originalTool - ラップするオリジナルのツール
+   * @param {Object} options - ラップのオプション
+   * @param {Function} options.review - 実行前に引数を確認する関数（省略可）
+   * @param {Function} options.onParse - 解析した引数を受け取る関数（省略可）
    */
-  constructor(originalTool) {
+  constructor(originalTool, options = {}) {
     super();
     this.name = originalTool.name;
     this.description = originalTool.description;
+    // ツールの開始イベントにはツール名が含まれないため、中間ステップの記録で対応付けられるようメタデータに含める
+    this.metadata = { ...originalTool.metadata, toolName: originalTool.name };
     this.originalTool = originalTool;
+    this.review = options.review || null;
+    this.onParse = options.onParse || null;
     
     // 元のスキーマから文字列スキーマを作成
     this.schema = z.string().describe(`このツールには文字列で指示を渡してください。
@@ -52,9 +82,10 @@ class StringInputToolWrapper extends StructuredTool {
   /**
    * ツールを実行する
    * @param {string} inputStr - 文字列入力
+   * @param {CallbackManagerForToolRun} runManager - ツールの実行のコールバックマネージャー（実行IDの取得に使用）
    * @returns {Promise<string>} - ツールの実行結果
    */
-  async _call(inputStr) {
+  async _call(inputStr, runManager) {
     try {
       Logger.info(`ツールアダプター: "${this.name}" に入力文字列を変換します`, 'StringInputToolWrapper');
       
@@ -75,9 +106,20 @@ class StringInputToolWrapper extends StructuredTool {
       Logger.info(`入力言語: ${isJapanese ? '日本語' : '英語/その他'}`, 'StringInputToolWrapper');
       
       // 文字列入力から構造化JSONを推測する
-      const jsonInput = this._parseStringToJson(inputStr);
+      let jsonInput = this._parseStringToJson(inputStr);
       
       Logger.info(`文字列入力 "${inputStr.substring(0, 50)}..." を JSON に変換: ${JSON.stringify(jsonInput)}`, 'StringInputToolWrapper');
+      this.onParse?.({ tool: this.name, args: jsonInput, runId: runManager?.runId });
+      
+      // 実行前の確認（却下された場合はツールを実行せず、理由を実行結果として返す）
+      if (this.review) {
+        const review = await this.review({ tool: this.name, args: jsonInput });
+        if (!review.approved) {
+          Logger.info(`ツール "${this.name}" の実行が却下されました`, 'StringInputToolWrapper');
+          return review.observation;
+        }
+        jsonInput = review.args;
+      }
       
       // 元のツールを呼び出す - LangChain v0.3対応
       const originalTool = this.originalTool;
@@ -292,7 +334,7 @@ ${JSON.stringify(this.originalTool.schema.shape, null, 2)}
             // content: "値" または content: '値' パターン
             /content\s*:\s*["']([^]*?)["'](?:,|\s*\}|\s*$)/,
             // content: 値 パターン（クォートなし、複数行）
-            /content\s*:\s*([^,\}]+)(?:,|\s*\}|\s*$)/s,
+            /content\s*:\s*([^,}]+)(?:,|\s*}|\s*$)/s,
             // ```によるコードブロック内のコンテンツ
             /```(?:markdown|md)?\s*([^`]+)```/s,
             // 残りの入力全体をコンテンツとして扱う
@@ -319,8 +361,8 @@ ${JSON.stringify(this.originalTool.schema.shape, null, 2)}
           }
 
           // その他のパラメータを抽出
-          const folderTypeMatch = input.match(/folderType\s*:\s*["']?([^"',\}]+)["']?/);
-          const fileNameMatch = input.match(/fileName\s*:\s*["']?([^"',\}]+)["']?/);
+          const folderTypeMatch = input.match(/folderType\s*:\s*["']?([^"',}]+)["']?/);
+          const fileNameMatch = input.match(/fileName\s*:\s*["']?([^"',}]+)["']?/);
           const overwriteMatch = input.match(/overwrite\s*:\s*(true|false)/i);
 
           if (folderTypeMatch) {
@@ -0,0 +1,78 @@
+/**
+ * ツール呼び出しの承認（ヒューマン・イン・ザ・ループ）
+ * ファイルを書き込むツールなどを実行する前に引数を確認し、承認・引数の修正・却下（理由をエージェントに返す）を選べるようにする
+ */
+
+// ツールごとの承認の扱い
+export const APPROVAL_POLICIES = {
+  // 実行の前に確認する
+  ASK: 'ask',
+  // 確認せずに実行する
+  AUTO: 'auto'
+};
+
+// 確認の結果
+export const APPROVAL_DECISIONS = {
+  APPROVE: 'approve',
+  // 引数を修正して実行する
+  EDIT: 'edit',
+  // 実行せず、理由をエージェントに返す
+  REJECT: 'reject'
+};
+
+// 既定で確認しないツール（ファイルを書き込まず、Mermaid記法のテキストを返すだけのツール）
+export const DEFAULT_APPROVAL_POLICIES = {
+  generate_uml: APPROVAL_POLICIES.AUTO,
+  generate_layout: APPROVAL_POLICIES.AUTO
+};
+
+/**
+ * 承認の扱いの指定が有効か確認する
+ * @param {string} policy - 承認の扱い
+ * @returns {string} 承認の扱い
+ * @throws {Error} 無効な値が指定された場合
+ */
+export const validateApprovalPolicy = (policy) => {
+  if (!Object.values(APPROVAL_POLICIES).includes(policy)) {
+    throw new Error(`無効なツールの承認の設定です: ${policy}（${Object.values(APPROVAL_POLICIES).join(' / ')} を指定してください）`);
+  }
+  return policy;
+};
+
+/**
+ * ツールごとの承認の扱いの指定（例: "save_document:ask,generate_uml:auto"）を読み取る
+ * @param {string} text - ツール名と扱いをコロンで区切り、カンマで並べた文字列
+ * @returns {Object} ツール名をキー、承認の扱いを値とするオブジェクト
+ * @throws {Error} 形式が正しくない場合
+ */
+export const parseApprovalPolicies = (text) => {
+  const policies = {};
+  for (const entry of String(text ?? '').split(',').map(value => value.trim()).filter(Boolean)) {
+    const [tool, policy] = entry.split(':').map(value => value.trim());
+    if (!tool || !policy) {
+      throw new Error(`ツールの承認の設定は "ツール名:ask" または "ツール名:auto" の形式で指定してください: ${entry}`);
+    }
+    policies[tool] = validateApprovalPolicy(policy);
+  }
+  return policies;
+};
+
+/**
+ * ツールの承認の扱いを取得する
+ * @param {string} toolName - ツール名
+ * @param {Object} approval - 承認の設定 { defaultPolicy, policies }
+ * @returns {string} 承認の扱い（APPROVAL_POLICIES の値）
+ */
+export const resolveApprovalPolicy = (toolName, approval) => approval.policies[toolName] || approval.defaultPolicy;
+
+/**
+ * 却下したツール呼び出しの結果としてエージェントに返すテキストを作成する
+ * 理由の有無で tool-rejection / tool-rejection-no-feedback テンプレートを使い分ける
+ * @param {string} toolName - ツール名
+ * @param {string} feedback - ユーザーが入力した却下の理由・修正の指示（省略可）
+ * @param {Function} renderPrompt - テンプレートを出力言語で展開する関数 (name, values) => string
+ * @returns {string} ツールの実行結果（Observation）として返すテキスト
+ */
+export const formatRejection = (toolName, feedback, renderPrompt) => (feedback?.trim()
+  ? renderPrompt('tool-rejection', { tool: toolName, feedback: feedback.trim() })
+  : renderPrompt('tool-rejection-no-feedback', { tool: toolName }));
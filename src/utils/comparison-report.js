@@ -0,0 +1,126 @@
+/**
+ * モデル比較レポート
+ * 同じ要件を複数のモデルで実行した結果を、横並びのMarkdownレポートにまとめる
+ */
+import path from 'path';
+import { formatCost, formatDuration } from './formatter.js';
+
+// 網羅を確認するセクション（要件定義書・外部設計書に期待される見出し）
+export const COVERAGE_SECTIONS = [
+  { name: '機能要件', pattern: /(?<!非)機能要件|functional requirements/i },
+  { name: '非機能要件', pattern: /非機能要件|non-functional/i },
+  { name: 'ユーザーストーリー', pattern: /ユーザー\s*ストーリー|user stor/i },
+  { name: '優先度', pattern: /優先度|優先順位|priorit/i },
+  { name: 'アーキテクチャ', pattern: /アーキテクチャ|architecture/i },
+  { name: 'UML・ダイアグラム', pattern: /UML|ダイアグラム|図|diagram/i },
+  { name: '画面設計', pattern: /画面|UI|レイアウト|screen/i },
+  { name: 'コンポーネント構成', pattern: /コンポーネント|component/i }
+];
+
+/**
+ * Markdownの見出しを抽出する
+ * @param {string} text - Markdownテキスト
+ * @returns {Array<string>} 見出しの配列
+ */
+const extractHeadings = (text) => (text || '')
+  .split(/\r?\n/)
+  .filter(line => /^#{1,6}\s/.test(line))
+  .map(line => line.replace(/^#+\s*/, ''));
+
+/**
+ * 出力に含まれる見出しからセクションの網羅状況を調べる
+ * @param {Array<string>} texts - 最終回答と出力ファイルの内容
+ * @returns {Object} セクション名 → 見出しがあるか
+ */
+export const analyzeCoverage = (texts) => {
+  const headings = texts.flatMap(extractHeadings);
+  return Object.fromEntries(COVERAGE_SECTIONS.map(section => [
+    section.name,
+    headings.some(heading => section.pattern.test(heading))
+  ]));
+};
+
+/**
+ * 表のセルに入れられるよう文字列を整形する
+ * @param {*} value - 値
+ * @returns {string} セルの文字列
+ */
+const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+/**
+ * 比較レポートのMarkdownを作成する
+ * @param {Object} params - パラメータ
+ * @param {string} params.projectName - プロジェクト名
+ * @param {string} params.requirements - 入力した要件
+ * @param {boolean} params.concurrent - 並列に実行したか
+ * @param {Date} params.startedAt - 開始日時
+ * @param {Array<Object>} params.results - モデルごとの実行結果
+ * @param {string} params.baseDir - ファイルパスを相対表示する基準ディレクトリ
+ * @returns {string} Markdownテキスト
+ */
+export const buildComparisonReport = ({ projectName, requirements, concurrent, startedAt, results, baseDir }) => {
+  const relative = (file) => path.relative(baseDir, file).replace(/\\/g, '/');
+  const coverages = results.map(result => analyzeCoverage([
+    result.output,
+    ...result.files.map(file => file.content)
+  ]));
+  const countCovered = (coverage) => Object.values(coverage).filter(Boolean).length;
+
+  const header = `| 項目 | ${results.map(result => cell(result.modelName)).join(' | ')} |`;
+  const separator = `|---|${results.map(() => '---').join('|')}|`;
+  const row = (label, values) => `| ${label} | ${values.map(cell).join(' | ')} |`;
+
+  const lines = [
+    `# モデル比較レポート: ${projectName}`,
+    '',
+    `- 実行日時: ${startedAt.toLocaleString('ja-JP')}`,
+    `- 実行方式: ${concurrent ? '並列' : '順次'}`,
+    `- 比較したモデル: ${results.map(result => result.modelName).join(', ')}`,
+    '',
+    '## 要件',
+    '',
+    ...requirements.split(/\r?\n/).map(line => `> ${line}`),
+    '',
+    '## サマリー',
+    '',
+    header,
+    separator,
+    row('状態', results.map(result => (result.success ? '✓ 成功' : `✗ 失敗: ${result.error}`))),
+    row('所要時間', results.map(result => formatDuration(result.durationMs))),
+    row('ステップ数', results.map(result => result.steps)),
+    row('トークン（入力/出力）', results.map(result => `${result.usage.inputTokens.toLocaleString()} / ${result.usage.outputTokens.toLocaleString()}`)),
+    row('推定コスト', results.map(result => formatCost(result.usage.cost))),
+    row('最終回答の文字数', results.map(result => (result.output || '').length.toLocaleString())),
+    row('出力ファイル数', results.map(result => result.files.length)),
+    row('出力ファイルの合計文字数', results.map(result => result.files.reduce((total, file) => total + file.content.length, 0).toLocaleString())),
+    row('セクション網羅', coverages.map(coverage => `${countCovered(coverage)} / ${COVERAGE_SECTIONS.length}`)),
+    '',
+    '## セクションの網羅',
+    '',
+    '最終回答と出力ファイルの見出しに、各セクションが含まれているかを示します。',
+    '',
+    header.replace('| 項目 |', '| セクション |'),
+    separator,
+    ...COVERAGE_SECTIONS.map(section => row(section.name, coverages.map(coverage => (coverage[section.name] ? '✓' : '-')))),
+    '',
+    '## 出力ファイル',
+    ''
+  ];
+
+  for (const result of results) {
+    lines.push(`### ${result.modelName}`, '');
+    if (result.files.length === 0) {
+      lines.push('- （なし）');
+    } else {
+      result.files.forEach(file => lines.push(`- [${relative(file.path)}](${relative(file.path)})（${file.content.length.toLocaleString()}文字）`));
+    }
+    lines.push('');
+  }
+
+  lines.push('## 最終回答', '');
+  for (const result of results) {
+    lines.push(`### ${result.modelName}`, '', result.success ? result.output : `（失敗: ${result.error}）`, '');
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,257 @@
+/**
+ * 環境診断
+ * セットアップの問題（Node.jsのバージョン、.env、モデルカタログ、APIキー、ディレクトリの権限、プロバイダーモジュール）を検出する
+ * 分類と詳細は表示言語に合わせて表示できるよう、メッセージカタログのキー（doctor.categories.* / doctor.details.*）で返す
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import config, { hasValidApiKey, keylessProviders } from '../config/index.js';
+import modelSelector from '../models/selector.js';
+
+// 診断結果の状態
+export const CHECK_STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail',
+  SKIP: 'skip'
+};
+
+// config.apiKeys の項目に対応する環境変数とプロバイダー
+const API_KEY_ENTRIES = {
+  openai: { env: 'OPENAI_API_KEY', provider: 'openai' },
+  anthropic: { env: 'ANTHROPIC_API_KEY', provider: 'anthropic' },
+  google: { env: 'GOOGLE_GENERATIVE_AI_API_KEY', provider: 'gemini' },
+  deepseek: { env: 'DEEPSEEK_API_KEY', provider: 'deepseek' }
+};
+
+// 診断の分類（メッセージカタログの doctor.categories のキー）
+export const CHECK_CATEGORIES = {
+  ENVIRONMENT: 'environment',
+  API_KEYS: 'apiKeys',
+  DIRECTORIES: 'directories',
+  PROVIDERS: 'providers',
+  PROBE: 'probe'
+};
+
+// 疎通確認のタイムアウト（ミリ秒）
+const PROBE_TIMEOUT_MS = 30000;
+
+/**
+ * 診断結果を作成する
+ * @param {string} category - CHECK_CATEGORIES の値
+ * @param {string} name - 項目名
+ * @param {string} status - CHECK_STATUS の値
+ * @param {string} detail - 詳細のキー（メッセージカタログの doctor.details のキー）
+ * @param {Object} params - 詳細に埋め込む値
+ * @returns {Object} 診断結果 { category, name, status, detail: { key, params } }
+ */
+const result = (category, name, status, detail, params = {}) => ({ category, name, status, detail: { key: detail, params } });
+
+/**
+ * "18.0.0" のようなバージョン文字列を比較する
+ * @param {string} a - バージョン
+ * @param {string} b - バージョン
+ * @returns {number} a が大きければ正、小さければ負、等しければ0
+ */
+const compareVersions = (a, b) => {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+/**
+ * Node.jsのバージョンを確認する（package.json の engines.node と比較）
+ * @returns {Array<Object>} 診断結果
+ */
+export const checkNodeVersion = () => {
+  const packageJson = fs.readJsonSync(path.join(config.app.rootDir, 'package.json'));
+  const required = packageJson.engines?.node || '';
+  const minimum = required.replace(/^[^\d]*/, '');
+  const current = process.versions.node;
+
+  if (!minimum) {
+    return [result(CHECK_CATEGORIES.ENVIRONMENT, 'Node.js', CHECK_STATUS.PASS, 'nodeVersion', { current })];
+  }
+
+  return [compareVersions(current, minimum) >= 0
+    ? result(CHECK_CATEGORIES.ENVIRONMENT, 'Node.js', CHECK_STATUS.PASS, 'nodeVersionRequired', { current, required })
+    : result(CHECK_CATEGORIES.ENVIRONMENT, 'Node.js', CHECK_STATUS.FAIL, 'nodeTooOld', { current, required })];
+};
+
+/**
+ * .env ファイルの有無を確認する
+ * @returns {Array<Object>} 診断結果
+ */
+export const checkEnvFile = () => {
+  const envPath = path.join(config.app.rootDir, '.env');
+  return [fs.existsSync(envPath)
+    ? result(CHECK_CATEGORIES.ENVIRONMENT, '.env', CHECK_STATUS.PASS, 'envFound', { path: envPath })
+    : result(CHECK_CATEGORIES.ENVIRONMENT, '.env', CHECK_STATUS.WARN, 'envMissing', { path: envPath })];
+};
+
+/**
+ * モデルカタログファイルの読み込みと検証の結果を確認する
+ * @returns {Array<Object>} 診断結果
+ */
+export const checkModelCatalog = () => {
+  if (config.models.catalogError) {
+    return [result(CHECK_CATEGORIES.ENVIRONMENT, 'モデルカタログ', CHECK_STATUS.FAIL, 'catalogFailed', { message: config.models.catalogError })];
+  }
+  return [config.models.catalogFiles.length > 0
+    ? result(CHECK_CATEGORIES.ENVIRONMENT, 'モデルカタログ', CHECK_STATUS.PASS, 'catalogLoaded', { files: config.models.catalogFiles.join(', ') })
+    : result(CHECK_CATEGORIES.ENVIRONMENT, 'モデルカタログ', CHECK_STATUS.PASS, 'catalogNone')];
+};
+
+/**
+ * APIキーの設定を確認する
+ * デフォルトモデルのプロバイダーのキーが未設定の場合のみ失敗とする
+ * @returns {Array<Object>} 診断結果
+ */
+export const checkApiKeys = () => {
+  const defaultProvider = config.models.getModelProvider(config.models.defaultModel);
+
+  return Object.keys(config.apiKeys).map((keyName) => {
+    const entry = API_KEY_ENTRIES[keyName] || { env: keyName, provider: keyName };
+
+    if (config.apiKeys[keyName]) {
+      return result(CHECK_CATEGORIES.API_KEYS, entry.env, CHECK_STATUS.PASS, 'apiKeySet');
+    }
+    if (entry.provider === defaultProvider) {
+      return result(CHECK_CATEGORIES.API_KEYS, entry.env, CHECK_STATUS.FAIL, 'apiKeyRequired', { model: config.models.defaultModel });
+    }
+    return result(CHECK_CATEGORIES.API_KEYS, entry.env, CHECK_STATUS.WARN, 'apiKeyMissing');
+  });
+};
+
+/**
+ * 出力ディレクトリとログディレクトリへの書き込み権限を確認する
+ * @returns {Promise<Array<Object>>} 診断結果
+ */
+export const checkWritableDirs = async () => {
+  const dirs = {
+    logDir: config.app.logDir,
+    ...Object.fromEntries(Object.entries(config.app.outputDirs).map(([name, dir]) => [`outputDirs.${name}`, dir]))
+  };
+
+  const results = [];
+  for (const [name, dir] of Object.entries(dirs)) {
+    try {
+      await fs.access(dir, fs.constants.W_OK);
+      results.push(result(CHECK_CATEGORIES.DIRECTORIES, name, CHECK_STATUS.PASS, 'dirWritable', { dir }));
+    } catch (error) {
+      results.push(result(CHECK_CATEGORIES.DIRECTORIES, name, CHECK_STATUS.FAIL, 'dirNotWritable', { dir, reason: error.code || error.message }));
+    }
+  }
+  return results;
+};
+
+/**
+ * 各プロバイダーのモジュールを読み込めるか確認する
+ * @returns {Promise<Array<Object>>} 診断結果
+ */
+export const checkProviderModules = async () => {
+  const results = [];
+  for (const provider of Object.keys(config.models.modelProviders)) {
+    try {
+      const ModelClass = await modelSelector.loadProviderClass(provider);
+      results.push(result(CHECK_CATEGORIES.PROVIDERS, provider, CHECK_STATUS.PASS, 'providerLoaded', { className: ModelClass.name }));
+    } catch (error) {
+      results.push(result(CHECK_CATEGORIES.PROVIDERS, provider, CHECK_STATUS.FAIL, 'providerLoadFailed', { message: error.message }));
+    }
+  }
+  return results;
+};
+
+/**
+ * プロバイダーの疎通確認に使用するモデルを選ぶ（デフォルトモデル > 最初のモデル）
+ * @param {string} provider - プロバイダー名
+ * @returns {string|undefined} モデル名
+ */
+const selectProbeModel = (provider) => {
+  if (config.models.getModelProvider(config.models.defaultModel) === provider) {
+    return config.models.defaultModel;
+  }
+  return modelSelector.getAvailableModelsByProvider(provider)[0];
+};
+
+/**
+ * 疎通確認の対象外とする理由を取得する（対象の場合はnull）
+ * @param {string} provider - プロバイダー名
+ * @param {string} modelName - モデル名
+ * @returns {Object|null} 対象外とする理由 { key: 詳細のキー, params }
+ */
+const getProbeSkipReason = (provider, modelName) => {
+  if (provider === 'ollama' && !(modelName && config.models.availableModels[modelName].discovered)) {
+    return { key: 'probeOllamaNotFound', params: { url: config.ollama.baseUrl } };
+  }
+  if (!modelName) {
+    return { key: 'probeNoModel' };
+  }
+  if (!keylessProviders.includes(provider) && !hasValidApiKey(provider)) {
+    return { key: 'probeNoApiKey' };
+  }
+  if (provider === 'openai-compatible' && !process.env.LOCAL_OPENAI_BASE_URL && modelName === 'local-openai') {
+    return { key: 'probeNoBaseUrl' };
+  }
+  return null;
+};
+
+/**
+ * 設定済みの各プロバイダーに短いメッセージを送信して疎通を確認する
+ * 再試行・フォールバックは行わず、1回の呼び出しの結果で判定する
+ * @returns {Promise<Array<Object>>} 診断結果
+ */
+export const probeProviders = async () => {
+  // ローカルのOllamaにインストールされたモデルを検出
+  await modelSelector.discoverOllamaModels();
+
+  const results = [];
+  for (const provider of Object.keys(config.models.modelProviders)) {
+    const modelName = selectProbeModel(provider);
+    const skipReason = getProbeSkipReason(provider, modelName);
+
+    if (skipReason) {
+      results.push(result(CHECK_CATEGORIES.PROBE, provider, CHECK_STATUS.SKIP, skipReason.key, skipReason.params));
+      continue;
+    }
+
+    const startTime = Date.now();
+    try {
+      const instance = await modelSelector.getModel(modelName);
+      await instance.model.invoke([{ role: 'user', content: 'Reply with "OK".' }], {
+        signal: AbortSignal.timeout(PROBE_TIMEOUT_MS)
+      });
+      results.push(result(CHECK_CATEGORIES.PROBE, provider, CHECK_STATUS.PASS, 'probePassed', { model: modelName, duration: Date.now() - startTime }));
+    } catch (error) {
+      results.push(result(CHECK_CATEGORIES.PROBE, provider, CHECK_STATUS.FAIL, 'probeFailed', { model: modelName, message: error.message }));
+    }
+  }
+  return results;
+};
+
+/**
+ * すべての診断を実行する
+ * @param {Object} options - オプション
+ * @param {boolean} options.probe - 各プロバイダーへの疎通確認を行うか
+ * @returns {Promise<Array<Object>>} 診断結果
+ */
+export const runDiagnostics = async (options = {}) => {
+  const results = [
+    ...checkNodeVersion(),
+    ...checkEnvFile(),
+    ...checkModelCatalog(),
+    ...checkApiKeys(),
+    ...(await checkWritableDirs()),
+    ...(await checkProviderModules())
+  ];
+
+  if (options.probe) {
+    results.push(...(await probeProviders()));
+  }
+
+  return results;
+};
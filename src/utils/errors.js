@@ -0,0 +1,74 @@
+/**
+ * エラー判定ユーティリティ
+ * プロバイダーから返されたエラーの種類を判定する
+ */
+
+// 再試行で回復する可能性があるHTTPステータス
+const RETRYABLE_STATUS_CODES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+
+// 再試行で回復する可能性があるネットワークエラーコード
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// エラーメッセージから一時的な障害を判定するパターン
+const RETRYABLE_MESSAGE_PATTERN = /rate limit|too many requests|overloaded|temporarily unavailable|service unavailable|timed? ?out|fetch failed|socket hang up/i;
+
+/**
+ * エラーからHTTPステータスコードを取得する
+ * @param {Error} error - エラーオブジェクト
+ * @returns {number|null} ステータスコード、取得できない場合はnull
+ */
+export const getErrorStatus = (error) => {
+  if (!error) return null;
+  const status = error.status ?? error.statusCode ?? error.response?.status ?? error.cause?.status;
+  return typeof status === 'number' ? status : null;
+};
+
+/**
+ * 再試行や別モデルへの切り替えで回復する可能性があるエラーか判定する
+ * @param {Error} error - エラーオブジェクト
+ * @returns {boolean} 一時的なエラー（429/5xx/ネットワークエラー）の場合はtrue
+ */
+export const isRetryableError = (error) => {
+  if (!error) return false;
+  
+  // ユーザーによる中断は再試行しない
+  if (error.name === 'AbortError') return false;
+  
+  // サーキットブレーカーが開いている場合は別モデルへの切り替えで回復できる
+  if (error.code === 'CIRCUIT_OPEN') return true;
+  
+  const status = getErrorStatus(error);
+  if (status !== null) {
+    return RETRYABLE_STATUS_CODES.includes(status);
+  }
+  
+  const code = error.code ?? error.cause?.code;
+  if (code && RETRYABLE_ERROR_CODES.includes(code)) {
+    return true;
+  }
+  
+  return RETRYABLE_MESSAGE_PATTERN.test(error.message || '');
+};
+
+// コンテキスト長の超過を表すエラーメッセージのパターン（各プロバイダーの表現）
+const CONTEXT_LENGTH_MESSAGE_PATTERN = /context[_ ]length|context window|maximum context|too many tokens|prompt is too long|input is too long|exceeds the (maximum|token)/i;
+
+/**
+ * モデルのコンテキスト長を超えたことによるエラーか判定する
+ * @param {Error} error - エラーオブジェクト
+ * @returns {boolean} コンテキスト長の超過によるエラーの場合はtrue
+ */
+export const isContextLengthError = (error) => {
+  if (!error) return false;
+  const code = error.code ?? error.error?.code;
+  if (code === 'context_length_exceeded') return true;
+  return CONTEXT_LENGTH_MESSAGE_PATTERN.test(error.message || '');
+};
+
+/**
+ * 記録・再生モードの再生で、カセットに記録されていない呼び出しが行われたことによるエラーか判定する
+ * 既定の値で処理を続けると記録と異なる結果になるため、呼び出し元は失敗として扱う
+ * @param {Error} error - エラーオブジェクト
+ * @returns {boolean} カセットに記録されていない呼び出しの場合はtrue
+ */
+export const isCassetteMissError = (error) => error?.code === 'CASSETTE_MISS';
@@ -85,6 +85,15 @@ export const formatDuration = (ms) => {
   return `${(ms / 1000).toFixed(1)}s`;
 };
 
+/**
+ * 推定コスト（USD）を読みやすい形式に変換する (例: "$0.0123")
+ * @param {number} usd - 金額（USD）
+ * @returns {string} 整形された金額文字列
+ */
+export const formatCost = (usd) => {
+  return `$${(usd || 0).toFixed(4)}`;
+};
+
 /**
  * 指定されたファイル名に日時を付加する
  * @param {string} baseName - ベースファイル名
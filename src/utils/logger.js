@@ -3,7 +3,6 @@
  * アプリケーションログ、通信ログ、チャットログを管理する
  */
 import winston from 'winston';
-import fs from 'fs-extra';
 import config from '../config/index.js';
 
 // ログレベル定義
@@ -25,11 +24,6 @@ const LOG_LEVEL_MAP = {
 // 現在の日付を取得
 const getCurrentDate = () => new Date();
 
-// フォーマッタ
-const logFormat = winston.format.printf(({ level, message, timestamp, module }) => {
-  return `[${timestamp}] [${level.toUpperCase()}] [${module || 'App'}] - ${message}`;
-});
-
 // ロガーの設定
 const logger = winston.createLogger({
   level: config.logging.level,
@@ -138,12 +132,6 @@ class Logger {
   static error(message, module) {
     // Errorオブジェクトがそのまま渡された場合の処理
     if (message instanceof Error) {
-      const errorObj = {
-        message: message.message,
-        name: message.name,
-        stack: message.stack,
-      };
-      
       // スタックトレースをログに記録
       this.log(LOG_LEVELS.ERROR, `エラー: ${message.message}`, module);
       this.log(LOG_LEVELS.ERROR, `スタックトレース: ${message.stack || '利用不可'}`, module);
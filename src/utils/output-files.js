@@ -0,0 +1,54 @@
+/**
+ * 出力ファイルユーティリティ
+ * エージェントの実行中にツールが出力ディレクトリへ書き込んだファイルを取得する
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import config from '../config/index.js';
+
+/**
+ * ツールの実行結果に含まれる出力ディレクトリ内のファイルパスを抽出する
+ * @param {Array} intermediateSteps - エージェントの中間ステップ
+ * @returns {Array<string>} 存在するファイルパスの配列
+ */
+export const extractWrittenFiles = (intermediateSteps) => {
+  const outputDir = config.app.outputDir.replace(/\\/g, '/');
+  const escaped = outputDir.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`${escaped}/[^\\s、。」）"']+?\\.(?:md|json|txt|puml|svg|png)`, 'g');
+  
+  const files = intermediateSteps
+    .flatMap(step => String(step.observation ?? '').match(pattern) || [])
+    .map(file => path.resolve(file));
+  
+  return [...new Set(files)].filter(file => fs.existsSync(file));
+};
+
+// ツール（requirement_analysis / external_design）が事前に保存する仮の内容の末尾の文
+const PLACEHOLDER_NOTICE_PATTERN = /このドキュメントはAIアシスタントによる(要件分析|外部設計)が必要です。/;
+
+/**
+ * 仮の内容のまま残っているファイル（エージェントが内容を保存していない要件定義書・外部設計書）を取得する
+ * @param {Array<string>} files - 実行中に書き込まれたファイルのパス
+ * @returns {Promise<Array<string>>} 仮の内容のままのファイルのパス
+ */
+export const findPlaceholderFiles = async (files) => {
+  const placeholders = [];
+  for (const file of files.filter(file => file.endsWith('.md'))) {
+    const content = await fs.readFile(file, 'utf8');
+    if (PLACEHOLDER_NOTICE_PATTERN.test(content)) {
+      placeholders.push(file);
+    }
+  }
+  return placeholders;
+};
+
+/**
+ * 仮の内容のまま残っているファイル（エージェントが内容を保存する前に中断された要件定義書・外部設計書）を削除する
+ * @param {Array<string>} files - 実行中に書き込まれたファイルのパス
+ * @returns {Promise<Array<string>>} 削除したファイルのパス
+ */
+export const removePlaceholderFiles = async (files) => {
+  const removed = await findPlaceholderFiles(files);
+  await Promise.all(removed.map(file => fs.remove(file)));
+  return removed;
+};
@@ -0,0 +1,132 @@
+/**
+ * トークン使用量トラッカー
+ * LLM呼び出しごとのトークン使用量を記録し、推定コストを集計する
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import { awaitAllCallbacks } from "@langchain/core/callbacks/promises";
+import config from '../config/index.js';
+
+/**
+ * 空の使用量集計を作成する
+ * @returns {Object} 使用量集計
+ */
+export const createEmptyUsage = () => ({
+  inputTokens: 0,
+  outputTokens: 0,
+  totalTokens: 0,
+  cost: 0,
+  calls: 0,
+  byModel: {}
+});
+
+/**
+ * 使用量集計に使用量を加算する
+ * @param {Object} total - 加算先の使用量集計
+ * @param {Object} usage - 加算する使用量集計
+ * @returns {Object} 加算先の使用量集計
+ */
+export const addUsage = (total, usage) => {
+  total.inputTokens += usage.inputTokens;
+  total.outputTokens += usage.outputTokens;
+  total.totalTokens += usage.totalTokens;
+  total.cost += usage.cost;
+  total.calls += usage.calls;
+  
+  for (const [modelName, modelUsage] of Object.entries(usage.byModel || {})) {
+    if (!total.byModel[modelName]) {
+      total.byModel[modelName] = { inputTokens: 0, outputTokens: 0, cost: 0, calls: 0 };
+    }
+    const target = total.byModel[modelName];
+    target.inputTokens += modelUsage.inputTokens;
+    target.outputTokens += modelUsage.outputTokens;
+    target.cost += modelUsage.cost;
+    target.calls += modelUsage.calls;
+  }
+  
+  return total;
+};
+
+/**
+ * トークン使用量を記録するクラス
+ */
+class UsageTracker {
+  constructor() {
+    this.records = [];
+    // 実行中の処理の使用量スコープ（runInScope で設定する）
+    this.scopeStorage = new AsyncLocalStorage();
+  }
+  
+  /**
+   * 使用量のスコープを設定して関数を実行する
+   * 関数の中で行われたLLM呼び出しの記録にはスコープが付くため、並列に実行した処理の使用量を
+   * summarizeSince でモデル名によらず実行ごとに集計できる（フォールバックで切り替えたモデルの使用量も含む）
+   * @param {*} scope - スコープを識別する値
+   * @param {Function} fn - 実行する関数
+   * @returns {*} 関数の戻り値
+   */
+  runInScope(scope, fn) {
+    return this.scopeStorage.run(scope, fn);
+  }
+  
+  /**
+   * LLM呼び出し1回分の使用量を記録する
+   * @param {string} modelName - モデル名
+   * @param {Object} usage - { inputTokens, outputTokens }
+   */
+  record(modelName, usage) {
+    this.records.push({
+      modelName,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      cost: config.models.estimateCost(modelName, usage),
+      scope: this.scopeStorage.getStore() ?? null,
+      timestamp: new Date()
+    });
+  }
+  
+  /**
+   * 現在の記録位置を取得する（summarizeSinceの起点として使用）
+   * @returns {number} 記録位置
+   */
+  mark() {
+    return this.records.length;
+  }
+  
+  /**
+   * 指定した記録位置以降の使用量を集計する
+   * バックグラウンドで実行されるコールバックの完了を待ってから集計する
+   * @param {number} mark - mark()で取得した記録位置
+   * @param {Object} options - オプション
+   * @param {string} options.modelName - 指定した場合はそのモデルの記録のみ集計
+   * @param {*} options.scope - 指定した場合は runInScope でそのスコープを設定した処理の記録のみ集計
+   * @returns {Promise<Object>} 使用量集計
+   */
+  async summarizeSince(mark, options = {}) {
+    await awaitAllCallbacks();
+    
+    const records = this.records
+      .slice(mark)
+      .filter(record => !options.modelName || record.modelName === options.modelName)
+      .filter(record => options.scope === undefined || record.scope === options.scope);
+    
+    return records.reduce((total, record) => addUsage(total, {
+      inputTokens: record.inputTokens,
+      outputTokens: record.outputTokens,
+      totalTokens: record.inputTokens + record.outputTokens,
+      cost: record.cost,
+      calls: 1,
+      byModel: {
+        [record.modelName]: {
+          inputTokens: record.inputTokens,
+          outputTokens: record.outputTokens,
+          cost: record.cost,
+          calls: 1
+        }
+      }
+    }), createEmptyUsage());
+  }
+}
+
+// シングルトンインスタンスを作成してエクスポート
+const usageTracker = new UsageTracker();
+export default usageTracker;
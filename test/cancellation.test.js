@@ -0,0 +1,68 @@
+/**
+ * 実行の中断（タイムアウト・ユーザーによる中断）のテスト
+ */
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import {
+  CANCEL_REASONS,
+  RunCancelledError,
+  createRunSignal,
+  getCancelReason
+} from '../src/agents/cancellation.js';
+
+describe('中断シグナル', () => {
+  test('呼び出し元のシグナルと実行時間の上限のどちらでも中断し、理由を区別する', async () => {
+    expect(createRunSignal({})).toBeUndefined();
+
+    const controller = new AbortController();
+    const signal = createRunSignal({ signal: controller.signal, timeoutMs: 60000 });
+    controller.abort();
+    expect(signal.aborted).toBe(true);
+    expect(getCancelReason(signal)).toBe(CANCEL_REASONS.USER);
+
+    const timeout = createRunSignal({ timeoutMs: 1 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(getCancelReason(timeout)).toBe(CANCEL_REASONS.TIMEOUT);
+    expect(new RunCancelledError(CANCEL_REASONS.TIMEOUT).code).toBe('RUN_CANCELLED');
+  });
+});
+
+describe('中断されたエージェントの実行', () => {
+  let dir;
+  let ReActAgentAdapter;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cancel-fixture-'));
+    const fixture = path.join(dir, 'cancel.json');
+    await fs.writeJson(fixture, {
+      turns: [
+        'Thought: 要件を分析します。\nAction: requirement_analysis\nAction Input: {"projectName": "cancel_project", "description": "タスク管理"}',
+        'Thought: 完了しました。\nFinal Answer: 分析しました'
+      ]
+    });
+    process.env.MOCK_FIXTURE = fixture;
+    ({ default: ReActAgentAdapter } = await import('../src/agents/react-agent-adapter.js'));
+  });
+
+  afterAll(async () => {
+    delete process.env.MOCK_FIXTURE;
+    await fs.remove(dir);
+  });
+
+  test('中断までに完了したツール呼び出しを RunCancelledError に含める', async () => {
+    const agent = new ReActAgentAdapter({ modelName: 'mock', streaming: false, verbose: false, approval: { enabled: true } });
+    const controller = new AbortController();
+    // ツールの確認中に中断し、ツールの実行後の次の計画を始めないようにする
+    const onApproval = async () => {
+      controller.abort();
+      return { decision: 'approve' };
+    };
+
+    const error = await agent.run({ input: 'タスク管理アプリの要件を分析して' }, { onApproval, signal: controller.signal }).catch(err => err);
+
+    expect(error).toBeInstanceOf(RunCancelledError);
+    expect(error.reason).toBe(CANCEL_REASONS.USER);
+    expect(error.intermediateSteps.map(step => step.action.tool)).toEqual(['requirement_analysis']);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * カセット（LLM呼び出しの記録・再生）のテスト
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import cassette, { normalizePrompt } from '../src/models/cassette.js';
+import config from '../src/config/index.js';
+import agentController from '../src/controllers/agent-controller.js';
+
+/**
+ * 出力ディレクトリを切り替える（別の作業ディレクトリで再生する場合を再現する）
+ * @param {string} dir - 出力ディレクトリ
+ */
+const useOutputDir = (dir) => {
+  const previous = config.app.outputDir;
+  config.app.outputDir = dir;
+  for (const [name, subDir] of Object.entries(config.app.outputDirs)) {
+    config.app.outputDirs[name] = path.join(dir, path.relative(previous, subDir));
+    fs.ensureDirSync(config.app.outputDirs[name]);
+  }
+};
+
+describe('normalizePrompt', () => {
+  test('出力ディレクトリ・プロジェクトのルート・ファイル名の日時を置き換える', () => {
+    const prompt = JSON.stringify({
+      output: path.join(config.app.outputDir, 'requirements', 'app_requirements_20261019_101500.md'),
+      fixture: path.join(config.app.rootDir, 'fixtures', 'mock', 'default.json')
+    });
+
+    expect(JSON.parse(normalizePrompt(prompt))).toEqual({
+      output: path.join('<outputDir>', 'requirements', 'app_requirements_<timestamp>.md'),
+      fixture: path.join('<rootDir>', 'fixtures', 'mock', 'default.json')
+    });
+  });
+});
+
+describe('keyFor', () => {
+  const { rootDir, outputDir } = config.app;
+
+  afterEach(() => {
+    config.app.rootDir = rootDir;
+    config.app.outputDir = outputDir;
+  });
+
+  const messagesFor = (dir, timestamp) => [
+    { role: 'user', content: '要件定義書を作成して' },
+    { role: 'assistant', content: `ドキュメントが ${path.join(dir, 'requirements', `app_requirements_${timestamp}.md`)} に保存されました。` }
+  ];
+
+  test('作業ディレクトリと実行日時が異なっても同じキーになる', () => {
+    const key = cassette.keyFor('mock', messagesFor(outputDir, '20261019_101500'), ['\nObservation:']);
+
+    config.app.rootDir = path.resolve('/srv/ci/react-agent');
+    config.app.outputDir = path.join(config.app.rootDir, 'output');
+    const otherKey = cassette.keyFor('mock', messagesFor(config.app.outputDir, '20261020_093000'), ['\nObservation:']);
+
+    expect(otherKey).toBe(key);
+  });
+
+  test('プロンプトの内容が異なる場合は別のキーになる', () => {
+    const key = cassette.keyFor('mock', [{ role: 'user', content: '要件定義書を作成して' }]);
+    const otherKey = cassette.keyFor('mock', [{ role: 'user', content: '外部設計書を作成して' }]);
+
+    expect(otherKey).not.toBe(key);
+  });
+});
+
+describe('モックのシナリオの記録と再生', () => {
+  const file = path.join(config.cassette.dir, 'default-scenario.json');
+  const input = 'タスク管理アプリケーションの要件定義と外部設計をして';
+
+  beforeAll(async () => {
+    agentController.agent.verbose = false;
+    await agentController.initialize();
+  });
+
+  afterAll(() => {
+    agentController.useCassette(null);
+  });
+
+  test('別の出力ディレクトリでも記録した応答を再生できる', async () => {
+    agentController.useCassette('record', file);
+    const recorded = await agentController.processInput(input);
+
+    useOutputDir(path.join(path.dirname(config.app.outputDir), 'replay-output'));
+    agentController.useCassette('replay', file);
+    agentController.createSession();
+    const replayed = await agentController.processInput(input);
+
+    expect(replayed.output).toBe(recorded.output);
+    expect(replayed.intermediateSteps.map(step => step.action.tool)).toEqual(recorded.intermediateSteps.map(step => step.action.tool));
+    expect(fs.existsSync(path.join(config.app.outputDirs.designs, 'mock_project_design.md'))).toBe(true);
+  });
+
+  test('記録されていない呼び出しは失敗する', async () => {
+    agentController.useCassette('replay', file);
+    agentController.createSession();
+
+    await expect(agentController.processInput('記録していない依頼')).rejects.toThrow('カセットに記録されていない呼び出しです');
+  });
+});
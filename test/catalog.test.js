@@ -0,0 +1,151 @@
+/**
+ * モデルカタログのテスト
+ */
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { loadModelCatalog, readCatalogFile } from '../src/config/catalog.js';
+
+const modelProviders = { openai: 'OpenAI', anthropic: 'Anthropic Claude', 'openai-compatible': 'OpenAI互換エンドポイント' };
+
+/**
+ * 組み込みのモデル定義を作成する
+ * @returns {Object} モデル定義
+ */
+const createBuiltinModels = () => ({
+  'gpt-4o': {
+    provider: 'openai',
+    options: { model: 'gpt-4o', temperature: 0.7 },
+    capabilities: { contextWindow: 128000, toolCalling: true }
+  },
+  'claude-3-5-sonnet-20241022': {
+    provider: 'anthropic',
+    options: { model: 'claude-3-5-sonnet-20241022' }
+  }
+});
+
+describe('loadModelCatalog', () => {
+  let rootDir;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'model-catalog-'));
+    delete process.env.MODEL_CATALOG;
+  });
+
+  afterEach(async () => {
+    await fs.remove(rootDir);
+  });
+
+  /**
+   * カタログを読み込む
+   * @param {string} text - models.yaml の内容
+   * @param {Object} params - 追加のパラメータ
+   * @returns {Object} { availableModels, result }
+   */
+  const load = async (text, params = {}) => {
+    await fs.writeFile(path.join(rootDir, 'models.yaml'), text);
+    const availableModels = createBuiltinModels();
+    const result = loadModelCatalog({
+      rootDir,
+      availableModels,
+      modelProviders,
+      builtinDefaultModel: 'gpt-4o',
+      ...params
+    });
+    return { availableModels, result };
+  };
+
+  test('モデルの追加・上書き・除外をマージする', async () => {
+    const { availableModels, result } = await load([
+      'defaultModel: my-vllm',
+      'models:',
+      '  my-vllm:',
+      '    provider: openai-compatible',
+      '    options:',
+      '      model: Qwen/Qwen2.5-7B-Instruct',
+      '      baseURL: http://localhost:8000/v1',
+      '  gpt-4o:',
+      '    options:',
+      '      temperature: 0.3',
+      '    capabilities:',
+      '      toolCalling: false',
+      '  claude-3-5-sonnet-20241022:',
+      '    hidden: true'
+    ].join('\n'));
+
+    expect(result).toEqual({ files: [path.join(rootDir, 'models.yaml')], defaultModel: 'my-vllm' });
+    expect(availableModels['my-vllm'].options.baseURL).toBe('http://localhost:8000/v1');
+    expect(availableModels['gpt-4o']).toEqual({
+      provider: 'openai',
+      options: { model: 'gpt-4o', temperature: 0.3 },
+      capabilities: { contextWindow: 128000, toolCalling: false }
+    });
+    expect(availableModels).not.toHaveProperty('claude-3-5-sonnet-20241022');
+  });
+
+  test('対応していないプロバイダーはエラーになる', async () => {
+    await expect(load([
+      'models:',
+      '  other:',
+      '    provider: unknown',
+      '    options:',
+      '      model: other'
+    ].join('\n'))).rejects.toThrow('provider "unknown" には対応していません');
+  });
+
+  test('使用するデフォルトモデルを hidden で除外するとエラーになる', async () => {
+    await expect(load([
+      'models:',
+      '  gpt-4o:',
+      '    hidden: true'
+    ].join('\n'))).rejects.toThrow('デフォルトモデル "gpt-4o" はモデルカタログで hidden: true に設定されています');
+
+    // 環境変数で別のモデルを指定している場合は除外できる
+    const { availableModels } = await load([
+      'models:',
+      '  gpt-4o:',
+      '    hidden: true'
+    ].join('\n'), { envDefaultModel: 'claude-3-5-sonnet-20241022' });
+    expect(availableModels).not.toHaveProperty('gpt-4o');
+  });
+
+  test('fallbacks に存在しないモデルを指定するとエラーになる', async () => {
+    await expect(load([
+      'models:',
+      '  gpt-4o:',
+      '    fallbacks:',
+      '      - claude-3-5-sonnet-20241022',
+      '      - not-a-model'
+    ].join('\n'))).rejects.toThrow('モデル "gpt-4o" のfallbacksに存在しないモデルが指定されています');
+  });
+
+  test('検証に失敗した場合はモデル定義を変更しない', async () => {
+    await fs.writeFile(path.join(rootDir, 'models.yaml'), [
+      'models:',
+      '  claude-3-5-sonnet-20241022:',
+      '    hidden: true',
+      '  gpt-4o:',
+      '    fallbacks:',
+      '      - claude-3-5-sonnet-20241022'
+    ].join('\n'));
+    const availableModels = createBuiltinModels();
+
+    expect(() => loadModelCatalog({ rootDir, availableModels, modelProviders, builtinDefaultModel: 'gpt-4o' }))
+      .toThrow('存在しないモデル');
+    expect(availableModels).toEqual(createBuiltinModels());
+  });
+});
+
+describe('readCatalogFile', () => {
+  test('スキーマに合わない項目を一覧で報告する', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'model-catalog-'));
+    const file = path.join(dir, 'models.json');
+    await fs.writeJson(file, { models: { 'gpt-4o': { pricing: { input: -1, output: 1 }, unknownField: true } } });
+
+    try {
+      expect(() => readCatalogFile(file)).toThrow(/モデルカタログの形式が正しくありません[\s\S]*models\.gpt-4o\.pricing\.input/);
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
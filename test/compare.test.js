@@ -0,0 +1,70 @@
+/**
+ * モデル比較のテスト
+ */
+import fs from 'fs-extra';
+import { HumanMessage } from '@langchain/core/messages';
+import config from '../src/config/index.js';
+import usageTracker from '../src/utils/usage-tracker.js';
+import { analyzeCoverage } from '../src/utils/comparison-report.js';
+import MockModel from '../src/models/mock.js';
+
+const { default: agentController } = await import('../src/controllers/agent-controller.js');
+
+describe('usageTracker.runInScope', () => {
+  test('並列に実行した処理の使用量をスコープごとに集計する', async () => {
+    const { model } = new MockModel('mock');
+    const first = Symbol('first');
+    const second = Symbol('second');
+    const mark = usageTracker.mark();
+
+    await Promise.all([
+      usageTracker.runInScope(first, async () => {
+        await model.invoke([new HumanMessage('要件を分析して')]);
+        await model.invoke([new HumanMessage('画面を設計して')]);
+      }),
+      usageTracker.runInScope(second, () => model.invoke([new HumanMessage('要件を分析して')]))
+    ]);
+
+    expect((await usageTracker.summarizeSince(mark, { scope: first })).calls).toBe(2);
+    expect((await usageTracker.summarizeSince(mark, { scope: second })).calls).toBe(1);
+    expect((await usageTracker.summarizeSince(mark)).calls).toBe(3);
+  });
+});
+
+describe('analyzeCoverage', () => {
+  test('見出しからドキュメントの網羅状況を判定する', () => {
+    const coverage = analyzeCoverage(['# 機能要件\n\n- タスクの登録', '## 非機能要件\n本文中の画面は対象外']);
+
+    expect(coverage).toMatchObject({ '機能要件': true, '非機能要件': true, '画面設計': false });
+  });
+});
+
+describe('agentController.compareModels', () => {
+  beforeAll(() => {
+    // 比較用に2つ目のモックモデルを追加する
+    config.models.availableModels['mock-b'] = { ...config.models.availableModels.mock };
+  });
+
+  afterAll(() => {
+    delete config.models.availableModels['mock-b'];
+  });
+
+  test('並列に実行してもモデルごとの使用量が混ざらない', async () => {
+    const { reportPath, results } = await agentController.compareModels('タスク管理アプリを作りたい', ['mock', 'mock-b'], {
+      projectName: 'CompareTest',
+      concurrent: true
+    });
+
+    expect(results.map(result => [result.modelName, result.success])).toEqual([['mock', true], ['mock-b', true]]);
+    // 既定のフィクスチャは4回のツール呼び出しと最終回答で5回モデルを呼び出す
+    expect(results.map(result => result.usage.calls)).toEqual([5, 5]);
+    expect(results[1].usage.byModel).toEqual({ 'mock-b': expect.objectContaining({ calls: 5 }) });
+
+    const report = await fs.readFile(reportPath, 'utf8');
+    expect(report).toContain('mock-b');
+  });
+
+  test('無効なモデル名はエラーになる', async () => {
+    await expect(agentController.compareModels('要件', ['mock', 'not-a-model'])).rejects.toThrow('無効なモデル名です: not-a-model');
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * コンテキストウィンドウ管理のテスト
+ */
+import {
+  estimateTokens,
+  getPromptBudget,
+  getSharedPromptBudget,
+  getInputBudget,
+  splitIntoChunks,
+  fitStepsToBudget
+} from '../src/agents/context-window.js';
+import { formatToOpenAIToolMessages as formatToToolMessages } from "langchain/agents/format_scratchpad/openai_tools";
+import { AIMessage } from "@langchain/core/messages";
+import { isContextLengthError } from '../src/utils/errors.js';
+import promptRegistry from '../src/agents/prompt-registry.js';
+
+/**
+ * テキスト形式のReActのステップを作成する
+ * @param {number} index - ステップの番号
+ * @param {number} length - 観察結果の文字数
+ * @returns {Object} { action, observation }
+ */
+const createStep = (index, length = 2000) => ({
+  action: {
+    tool: `tool_${index}`,
+    toolInput: { text: 'x'.repeat(length) },
+    log: `ステップ${index}を実行する\nAction: tool_${index}\nAction Input: {"text":"${'x'.repeat(length)}"}`
+  },
+  observation: 'あ'.repeat(length)
+});
+
+/**
+ * ネイティブのツール呼び出しのステップ（ToolsAgentAction）を作成する
+ * @param {number} index - ステップの番号
+ * @param {number} length - ツールの引数と観察結果の文字数
+ * @returns {Object} { action, observation }
+ */
+const createToolCallStep = (index, length = 2000) => {
+  const args = { content: 'い'.repeat(length), options: { title: `ドキュメント${index}` } };
+  return {
+    action: {
+      tool: `tool_${index}`,
+      toolInput: args,
+      toolCallId: `call_${index}`,
+      log: `Invoking "tool_${index}" with ${JSON.stringify(args)}\n`,
+      messageLog: [new AIMessage({
+        content: `ステップ${index}を実行する`,
+        tool_calls: [{ name: `tool_${index}`, args, id: `call_${index}`, type: 'tool_call' }]
+      })]
+    },
+    observation: 'あ'.repeat(length)
+  };
+};
+
+describe('estimateTokens', () => {
+  test('英数字は約4文字、非ASCII文字は1文字で1トークンとして数える', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('要件定義')).toBe(4);
+    expect(estimateTokens('abc要件')).toBe(3);
+  });
+});
+
+describe('プロンプトの予算', () => {
+  test('コンテキストウィンドウから出力トークン数と安全マージンを差し引く', () => {
+    // gpt-4o: 128000トークンの90%から最大出力トークン数（4096）を差し引く
+    expect(getPromptBudget('gpt-4o')).toBe(115200 - 4096);
+    expect(getInputBudget(1000)).toBe(400);
+  });
+
+  test('複数のモデルでは最も小さいモデルに合わせる', () => {
+    expect(getSharedPromptBudget(['gpt-4o', 'local-openai'])).toBe(getPromptBudget('local-openai'));
+  });
+});
+
+describe('splitIntoChunks', () => {
+  test('段落を区切りとしてトークン数の上限以下に分割する', () => {
+    const paragraphs = Array.from({ length: 10 }, (_, index) => `段落${index}: ${'要件'.repeat(20)}`);
+    const chunks = splitIntoChunks(paragraphs.join('\n\n'), 100);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every(chunk => estimateTokens(chunk) <= 100)).toBe(true);
+    expect(chunks.join('\n\n')).toBe(paragraphs.join('\n\n'));
+  });
+
+  test('区切りのない長いテキストは文字単位で分割する', () => {
+    const chunks = splitIntoChunks('要'.repeat(250), 100);
+
+    expect(chunks.map(chunk => chunk.length)).toEqual([100, 100, 50]);
+  });
+});
+
+describe('fitStepsToBudget', () => {
+  test('上限に収まる場合はそのまま返す', () => {
+    const steps = [createStep(1, 10), createStep(2, 10)];
+
+    expect(fitStepsToBudget(steps, 10000)).toEqual({ steps, trimmed: 0, summarized: 0 });
+  });
+
+  test('直近のステップ以外のツール入力と観察結果を切り詰める', () => {
+    const steps = [1, 2, 3, 4].map(index => createStep(index));
+    const { steps: fitted, trimmed, summarized } = fitStepsToBudget(steps, 6500);
+
+    expect({ trimmed, summarized }).toEqual({ trimmed: 2, summarized: 0 });
+    expect(fitted[0].observation).toContain('文字省略');
+    expect(fitted[0].action.log).toMatch(/^ステップ1を実行する\nAction: tool_1\nAction Input: /);
+    expect(fitted.slice(2)).toEqual(steps.slice(2));
+    // 元のステップは変更しない
+    expect(steps[0].observation).toHaveLength(2000);
+  });
+
+  test('それでも超える場合は古いステップから要約に置き換える', () => {
+    const steps = [1, 2, 3, 4].map(index => createStep(index));
+    const { steps: fitted, trimmed, summarized } = fitStepsToBudget(steps, 5700);
+
+    expect({ trimmed, summarized }).toEqual({ trimmed: 1, summarized: 1 });
+    expect(fitted[0].summary).toBe(true);
+    expect(fitted[0].action.log).toContain('tool_1');
+    expect(fitted).toHaveLength(4);
+  });
+});
+
+describe('fitStepsToBudget（出力言語）', () => {
+  test('要約と省略の注記は指定したテンプレートで作成する', () => {
+    const renderEnglish = (name, values) => promptRegistry.render(`${name}-en`, values);
+    const steps = [1, 2, 3, 4].map(index => createStep(index));
+    const { steps: fitted, summarized } = fitStepsToBudget(steps, 5700, renderEnglish);
+
+    expect(summarized).toBe(1);
+    expect(fitted[0].action.log).toBe('So far I have made 1 tool call(s) (tool_1).');
+    expect(fitted[0].observation).toMatch(/^The details of these steps have been omitted/);
+    expect(fitted[1].observation).toMatch(/… \(\d+ characters omitted\)$/);
+  });
+});
+
+describe('fitStepsToBudget（ネイティブのツール呼び出し）', () => {
+  test('ツール呼び出しの引数をトークン数の推定に含める', () => {
+    // 観察結果だけなら上限に収まるが、引数を含めると超える
+    const steps = [1, 2, 3].map(index => createToolCallStep(index));
+
+    expect(fitStepsToBudget(steps, 9000).trimmed).toBe(1);
+  });
+
+  test('messageLog のツール呼び出しの引数を切り詰める', () => {
+    const steps = [1, 2, 3].map(index => createToolCallStep(index));
+    const { steps: fitted } = fitStepsToBudget(steps, 9000);
+
+    const [message] = fitted[0].action.messageLog;
+    expect(message.content).toBe('ステップ1を実行する');
+    expect(message.tool_calls[0]).toMatchObject({ name: 'tool_1', id: 'call_1', args: { options: { title: 'ドキュメント1' } } });
+    expect(message.tool_calls[0].args.content).toContain('文字省略');
+    expect(fitted[0].action.toolCallId).toBe('call_1');
+    // 元のステップは変更しない
+    expect(steps[0].action.messageLog[0].tool_calls[0].args.content).toHaveLength(2000);
+
+    const messages = formatToToolMessages(fitted);
+    expect(messages.map(item => item._getType())).toEqual(['ai', 'tool', 'ai', 'tool', 'ai', 'tool']);
+    expect(messages[1].content).toContain('文字省略');
+  });
+
+  test('要約は観察結果を含むAIメッセージとしてスクラッチパッドに入る', () => {
+    const steps = [1, 2, 3, 4].map(index => createToolCallStep(index));
+    const { steps: fitted, summarized } = fitStepsToBudget(steps, 8500);
+
+    expect(summarized).toBe(2);
+    const [summary] = formatToToolMessages(fitted);
+    expect(summary._getType()).toBe('ai');
+    expect(summary.tool_calls).toEqual([]);
+    expect(summary.content).toContain('tool_1');
+    expect(summary.content).toContain(fitted[0].observation);
+  });
+});
+
+describe('isContextLengthError', () => {
+  test('プロバイダーごとのコンテキスト長の超過を判定する', () => {
+    expect(isContextLengthError(Object.assign(new Error('bad request'), { code: 'context_length_exceeded' }))).toBe(true);
+    expect(isContextLengthError(new Error('prompt is too long: 210000 tokens > 200000 maximum'))).toBe(true);
+    expect(isContextLengthError(new Error('503 Service Unavailable'))).toBe(false);
+    expect(isContextLengthError(null)).toBe(false);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * 会話の履歴（マルチターンの記憶）のテスト
+ */
+import promptRegistry from '../src/agents/prompt-registry.js';
+import ReActAgentAdapter from '../src/agents/react-agent-adapter.js';
+import {
+  MEMORY_MODES,
+  validateMemoryMode,
+  collectTurns,
+  buildConversationHistory
+} from '../src/agents/conversation-memory.js';
+
+/**
+ * 指定した言語でテンプレートを展開する関数を作成する
+ * @param {string} language - 出力言語
+ * @returns {Function} (name, values) => string
+ */
+const renderIn = language => (name, values) => promptRegistry.render(`${name}-${language}`, values);
+
+/**
+ * 往復の数だけセッションのメッセージを作成する
+ * @param {number} count - 往復の数
+ * @returns {Array<Object>} セッションのメッセージ
+ */
+const createMessages = count => Array.from({ length: count }, (_, index) => [
+  { role: 'user', content: `依頼${index + 1}` },
+  { role: 'assistant', content: `回答${index + 1}`, files: index === 0 ? ['output/requirements.md'] : [] }
+]).flat();
+
+describe('collectTurns', () => {
+  test('回答のない入力を除いて往復にまとめる', () => {
+    const messages = [
+      { role: 'user', content: '失敗した依頼' },
+      ...createMessages(2)
+    ];
+
+    expect(collectTurns(messages)).toEqual([
+      { user: '依頼1', assistant: '回答1', files: ['output/requirements.md'] },
+      { user: '依頼2', assistant: '回答2', files: [] }
+    ]);
+  });
+});
+
+describe('buildConversationHistory', () => {
+  const options = { mode: MEMORY_MODES.WINDOW, windowTurns: 2, maxTokens: 2000, renderPrompt: renderIn('ja') };
+
+  test('直近の往復だけを履歴にする', async () => {
+    const history = await buildConversationHistory(createMessages(3), null, options);
+
+    expect(history.turns).toBe(2);
+    expect(history.text).toBe('直近の会話:\nユーザー: 依頼2\nエージェント: 回答2\n作成したファイル: -\n\nユーザー: 依頼3\nエージェント: 回答3\n作成したファイル: -');
+  });
+
+  test('none では履歴を使用しない', async () => {
+    const history = await buildConversationHistory(createMessages(3), null, { ...options, mode: MEMORY_MODES.NONE });
+
+    expect(history).toEqual({ text: '', turns: 0, summarizedTurns: 0, state: null });
+  });
+
+  test('summary では直近の範囲を外れた往復だけを要約に追加する', async () => {
+    const prompts = [];
+    const summarize = async (prompt) => {
+      prompts.push(prompt);
+      return `要約${prompts.length}`;
+    };
+
+    const first = await buildConversationHistory(createMessages(3), null, { ...options, mode: MEMORY_MODES.SUMMARY, summarize });
+    expect(first.state).toEqual({ summary: '要約1', summarizedTurns: 1 });
+    expect(first.text).toMatch(/^これまでの会話の要約:\n要約1\n\n直近の会話:\n/);
+    expect(prompts[0]).toContain('これまでの要約:\n-');
+    expect(prompts[0]).toContain('作成したファイル: output/requirements.md');
+
+    // 往復が増えていなければ要約し直さない
+    await buildConversationHistory(createMessages(3), first.state, { ...options, mode: MEMORY_MODES.SUMMARY, summarize });
+    expect(prompts).toHaveLength(1);
+
+    const second = await buildConversationHistory(createMessages(4), first.state, { ...options, mode: MEMORY_MODES.SUMMARY, summarize });
+    expect(second.state).toEqual({ summary: '要約2', summarizedTurns: 2 });
+    expect(prompts[1]).toContain('これまでの要約:\n要約1');
+    expect(prompts[1]).not.toContain('依頼1');
+  });
+
+  test('上限を超える場合は古い往復から除く', async () => {
+    const history = await buildConversationHistory(createMessages(3), null, { ...options, windowTurns: 3, maxTokens: 40 });
+
+    expect(history.turns).toBe(1);
+    expect(history.text).toContain('依頼3');
+  });
+
+  test('出力言語のテンプレートで履歴を作成する', async () => {
+    const history = await buildConversationHistory(createMessages(1), null, { ...options, renderPrompt: renderIn('en') });
+
+    expect(history.text).toBe('Recent conversation:\nUser: 依頼1\nAgent: 回答1\nFiles created: output/requirements.md');
+  });
+});
+
+describe('会話の履歴の設定', () => {
+  test('無効な値はエラーになる', () => {
+    expect(validateMemoryMode('summary')).toBe('summary');
+    expect(() => validateMemoryMode('all')).toThrow('無効な会話の履歴の設定です: all');
+
+    const agent = new ReActAgentAdapter({ modelName: 'mock', verbose: false });
+    agent.setMemoryOptions({ mode: 'none' });
+    expect(agent.memory.mode).toBe('none');
+    expect(() => agent.setMemoryOptions({ windowTurns: 0 })).toThrow('直近の会話の往復数は1以上の整数で指定してください');
+  });
+
+  test('履歴を付けた入力と使用したテンプレートを実行結果に記録する', async () => {
+    const agent = new ReActAgentAdapter({ modelName: 'mock', streaming: false, verbose: false });
+
+    const result = await agent.run({ input: 'その設計に管理画面を追加して' }, { history: { messages: createMessages(1), state: null } });
+
+    expect(result.memory).toEqual({ mode: MEMORY_MODES.WINDOW, turns: 1, summarizedTurns: 0, state: null });
+    expect(result.prompts.map(prompt => prompt.name)).toEqual(expect.arrayContaining(['conversation-ja', 'conversation-turn-ja', 'conversation-recent-ja']));
+  });
+});
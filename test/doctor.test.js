@@ -0,0 +1,114 @@
+/**
+ * 環境診断のテスト
+ */
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { spawnSync } from 'child_process';
+import config from '../src/config/index.js';
+import {
+  CHECK_STATUS,
+  CHECK_CATEGORIES,
+  checkModelCatalog,
+  checkApiKeys,
+  checkWritableDirs,
+  checkProviderModules,
+  runDiagnostics
+} from '../src/utils/doctor.js';
+
+describe('checkModelCatalog', () => {
+  afterEach(() => {
+    config.models.catalogError = null;
+  });
+
+  test('カタログファイルがない場合は組み込みのモデル定義を使用する', () => {
+    expect(checkModelCatalog()).toEqual([
+      expect.objectContaining({ name: 'モデルカタログ', status: CHECK_STATUS.PASS })
+    ]);
+  });
+
+  test('カタログの読み込みに失敗した場合は失敗として表示する', () => {
+    config.models.catalogError = 'モデルカタログが不正です';
+
+    expect(checkModelCatalog()).toEqual([
+      expect.objectContaining({ status: CHECK_STATUS.FAIL, detail: { key: 'catalogFailed', params: { message: 'モデルカタログが不正です' } } })
+    ]);
+  });
+});
+
+describe('checkApiKeys', () => {
+  const original = { defaultModel: config.models.defaultModel, apiKeys: { ...config.apiKeys } };
+
+  afterEach(() => {
+    config.models.defaultModel = original.defaultModel;
+    Object.assign(config.apiKeys, original.apiKeys);
+  });
+
+  test('デフォルトモデルのプロバイダーのキーが未設定の場合のみ失敗とする', () => {
+    config.models.defaultModel = 'gpt-4o';
+    config.apiKeys.openai = '';
+    config.apiKeys.anthropic = '';
+
+    const results = checkApiKeys();
+    expect(results.find(r => r.name === 'OPENAI_API_KEY').status).toBe(CHECK_STATUS.FAIL);
+    expect(results.find(r => r.name === 'ANTHROPIC_API_KEY').status).toBe(CHECK_STATUS.WARN);
+  });
+
+  test('設定済みのキーは合格とする', () => {
+    config.apiKeys.openai = 'sk-test';
+
+    expect(checkApiKeys().find(r => r.name === 'OPENAI_API_KEY').status).toBe(CHECK_STATUS.PASS);
+  });
+});
+
+describe('runDiagnostics', () => {
+  test('ディレクトリとプロバイダーモジュールを確認する', async () => {
+    const dirs = await checkWritableDirs();
+    expect(dirs.every(r => r.status === CHECK_STATUS.PASS)).toBe(true);
+
+    const modules = await checkProviderModules();
+    expect(modules.map(r => r.name)).toEqual(Object.keys(config.models.modelProviders));
+    expect(modules.find(r => r.name === 'mock').status).toBe(CHECK_STATUS.PASS);
+  });
+
+  test('疎通確認は指定した場合のみ行う', async () => {
+    const results = await runDiagnostics();
+    expect(results.some(r => r.category === CHECK_CATEGORIES.PROBE)).toBe(false);
+  });
+});
+
+describe('モデルカタログのエラー', () => {
+  let catalogPath;
+
+  beforeAll(async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'doctor-catalog-'));
+    catalogPath = path.join(dir, 'models.json');
+    await fs.writeJson(catalogPath, { models: { broken: { provider: 'unknown-provider' } } });
+  });
+
+  afterAll(async () => {
+    await fs.remove(path.dirname(catalogPath));
+  });
+
+  /**
+   * CLIを別プロセスで実行する
+   * @param {Array<string>} args - コマンドライン引数
+   * @returns {Object} 実行結果
+   */
+  const runCli = args => spawnSync(process.execPath, ['src/index.js', ...args], {
+    env: { ...process.env, MODEL_CATALOG: catalogPath },
+    encoding: 'utf8'
+  });
+
+  test('doctor はカタログのエラーを失敗した項目として表示する', () => {
+    const result = runCli(['doctor']);
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain('unknown-provider');
+  });
+
+  test('その他のコマンドは実行前に終了する', () => {
+    const result = runCli(['params']);
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('unknown-provider');
+  });
+});
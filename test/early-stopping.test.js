@@ -0,0 +1,87 @@
+/**
+ * 反復回数の上限で停止した場合の処理のテスト
+ */
+import fs from 'fs-extra';
+import promptRegistry from '../src/agents/prompt-registry.js';
+import { formatStoppedSteps, extractDocumentText, validateEarlyStoppingMethod, validateMaxIterations } from '../src/agents/early-stopping.js';
+
+process.env.MOCK_FIXTURE = 'fixtures/mock/early-stop.json';
+const { default: agentController } = await import('../src/controllers/agent-controller.js');
+
+const renderIn = language => (name, values) => promptRegistry.render(`${name}-${language}`, values);
+
+describe('formatStoppedSteps', () => {
+  const steps = [{
+    action: {
+      tool: 'requirement_analysis',
+      toolInput: '{projectName: app}',
+      log: 'Thought: 要件を分析します。\nAction: requirement_analysis\nAction Input: {"projectName": "app"}'
+    },
+    observation: '分析しました'
+  }];
+
+  test('各ステップを出力言語のテンプレートで書く', () => {
+    expect(formatStoppedSteps(steps, renderIn('ja'))).toBe([
+      '### 1. requirement_analysis',
+      '思考: 要件を分析します。',
+      '入力: {projectName: app}',
+      '結果: 分析しました'
+    ].join('\n'));
+    expect(formatStoppedSteps(steps, renderIn('en'))).toBe([
+      '### 1. requirement_analysis',
+      'Thought: 要件を分析します。',
+      'Input: {projectName: app}',
+      'Result: 分析しました'
+    ].join('\n'));
+  });
+
+  test('長い結果は省略し、ステップがない場合は "-" を返す', () => {
+    const long = [{ ...steps[0], observation: 'x'.repeat(2000) }];
+    expect(formatStoppedSteps(long, renderIn('en'))).toMatch(/\nResult: x{1500}\n\.\.\.$/);
+    expect(formatStoppedSteps([], renderIn('ja'))).toBe('-');
+  });
+});
+
+describe('extractDocumentText', () => {
+  test('全体を囲むコードブロックを取り除く', () => {
+    expect(extractDocumentText('```markdown\n# 要件定義書\n```')).toBe('# 要件定義書\n');
+    expect(extractDocumentText('# 要件定義書')).toBe('# 要件定義書\n');
+  });
+});
+
+describe('設定の検証', () => {
+  test('最大反復回数は1以上の整数のみ受け付ける', () => {
+    expect(validateMaxIterations(3)).toBe(3);
+    expect(() => validateMaxIterations(0)).toThrow('最大反復回数は1以上の整数で指定してください');
+  });
+
+  test('早期終了の扱いは generate / force のみ受け付ける', () => {
+    expect(validateEarlyStoppingMethod('force')).toBe('force');
+    expect(() => validateEarlyStoppingMethod('stop')).toThrow('無効な早期終了の扱いです');
+  });
+});
+
+describe('モックのシナリオ（反復回数の上限で停止）', () => {
+  let result;
+
+  beforeAll(async () => {
+    agentController.agent.verbose = false;
+    await agentController.initialize();
+    agentController.setIterationLimit({ maxIterations: 1, earlyStopping: 'generate' });
+    result = await agentController.processInput('タスク管理アプリの要件を分析して');
+  });
+
+  test('実行したステップから最終回答を生成する', () => {
+    expect(result.output).toBe('要件分析までを完了しました。残りの作業: 要件定義書の保存、外部設計。');
+    expect(result.stoppedEarly).toMatchObject({ maxIterations: 1, method: 'generate' });
+    expect(result.intermediateSteps.map(step => step.action.tool)).toEqual(['requirement_analysis']);
+    expect(agentController.activeSession.messages.at(-1).prompts.map(prompt => prompt.name)).toEqual(expect.arrayContaining(['early-stop-ja', 'draft-document-ja', 'stopped-step-ja']));
+  });
+
+  test('仮の内容のまま残ったドキュメントに下書きを保存する', async () => {
+    expect(result.stoppedEarly.drafts).toHaveLength(1);
+    const draft = await fs.readFile(result.stoppedEarly.drafts[0], 'utf8');
+    expect(draft).toContain('# mock_project - 要件定義書（下書き）');
+    expect(draft).not.toContain('```');
+  });
+});
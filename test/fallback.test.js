@@ -0,0 +1,190 @@
+/**
+ * フォールバックモデルのテスト
+ */
+import { AIMessage, AIMessageChunk, HumanMessage } from '@langchain/core/messages';
+import config from '../src/config/index.js';
+import FallbackChatModel from '../src/models/fallback.js';
+import { getCircuitBreaker } from '../src/models/resilience.js';
+
+const PRIMARY = 'gpt-4o';
+const SECONDARY = 'claude-3-5-sonnet-20241022';
+const TERTIARY = 'gemini-1.5-pro';
+
+/**
+ * 一時的な障害を表すエラーを作成する
+ * @returns {Error} 503エラー
+ */
+const createTransientError = () => Object.assign(new Error('503 Service Unavailable'), { status: 503 });
+
+/**
+ * 指定した動作をするモデルのインスタンスを作成する
+ * @param {Object} behavior - 動作
+ * @param {string} behavior.text - 返す応答
+ * @param {Error} behavior.error - 呼び出し時に投げるエラー（省略時は失敗しない）
+ * @param {Array<string>} behavior.chunks - ストリーミングで返すチャンク（省略時はtextを1チャンクで返す）
+ * @param {number} behavior.failAt - ストリーミングでこの数のチャンクを返した後に失敗する
+ * @param {Function} behavior.onChunk - チャンクを返すたびに呼ばれる関数
+ * @returns {Object} { model }
+ */
+const createFakeInstance = ({ text = '応答', error, chunks = [text], failAt, onChunk = () => {} }) => ({
+  model: {
+    invoke: async () => {
+      if (error) throw error;
+      return new AIMessage(text);
+    },
+    stream: async () => (async function* () {
+      if (error) throw error;
+      for (const [index, chunk] of chunks.entries()) {
+        if (index === failAt) throw createTransientError();
+        yield new AIMessageChunk(chunk);
+        onChunk(index);
+      }
+      if (failAt === chunks.length) throw createTransientError();
+    })()
+  }
+});
+
+/**
+ * フォールバックモデルを作成する
+ * @param {Object} behaviors - モデル名ごとの動作（unavailableがtrueのモデルは取得に失敗する）
+ * @returns {Object} { model, fallbacks }
+ */
+const createFallbackModel = (behaviors) => {
+  const fallbacks = [];
+  const model = new FallbackChatModel({
+    chain: Object.keys(behaviors),
+    loadModel: async (name) => {
+      if (behaviors[name].unavailable) {
+        throw new Error('APIキーが設定されていません');
+      }
+      return createFakeInstance(behaviors[name]);
+    },
+    onFallback: event => fallbacks.push(event)
+  });
+  return { model, fallbacks };
+};
+
+const input = [new HumanMessage('要件を分析して')];
+
+/**
+ * ストリーミングの応答をすべて読み出す
+ * @param {FallbackChatModel} model - モデル
+ * @returns {Promise<string>} 応答のテキスト
+ */
+const readStream = async (model) => {
+  let text = '';
+  for await (const chunk of await model.stream(input)) {
+    text += chunk.content;
+  }
+  return text;
+};
+
+const breakerOf = modelName => getCircuitBreaker(config.models.getModelProvider(modelName));
+
+beforeAll(() => {
+  config.resilience.maxRetries = 0;
+});
+
+beforeEach(() => {
+  [PRIMARY, SECONDARY, TERTIARY].forEach(modelName => breakerOf(modelName).recordSuccess());
+});
+
+describe('FallbackChatModel', () => {
+  test('呼び出しが一時的なエラーで失敗した場合は次のモデルへ切り替える', async () => {
+    const { model, fallbacks } = createFallbackModel({
+      [PRIMARY]: { error: createTransientError() },
+      [SECONDARY]: { text: '切り替え後の応答' }
+    });
+
+    const message = await model.invoke(input);
+
+    expect(message.content).toBe('切り替え後の応答');
+    expect(fallbacks.map(({ from, to, reason }) => [from, to, reason])).toEqual([[PRIMARY, SECONDARY, '503 Service Unavailable']]);
+    expect(model.activeModelName).toBe(SECONDARY);
+
+    // 切り替えたモデルは reset() まで使い続ける
+    model.reset();
+    expect(model.activeModelName).toBe(PRIMARY);
+  });
+
+  test('再試行できないエラーでは切り替えない', async () => {
+    const { model, fallbacks } = createFallbackModel({
+      [PRIMARY]: { error: Object.assign(new Error('invalid request'), { status: 400 }) },
+      [SECONDARY]: { text: '切り替え後の応答' }
+    });
+
+    await expect(model.invoke(input)).rejects.toThrow('invalid request');
+    expect(fallbacks).toHaveLength(0);
+  });
+
+  test('利用できないモデルはスキップする', async () => {
+    const { model, fallbacks } = createFallbackModel({
+      [PRIMARY]: { error: createTransientError() },
+      [SECONDARY]: { unavailable: true },
+      [TERTIARY]: { text: '最後のモデルの応答' }
+    });
+
+    expect((await model.invoke(input)).content).toBe('最後のモデルの応答');
+    expect(fallbacks.map(({ to }) => to)).toEqual([SECONDARY, TERTIARY]);
+  });
+
+  test('最後のモデルも失敗した場合はそのエラーを投げる', async () => {
+    const { model } = createFallbackModel({
+      [PRIMARY]: { error: createTransientError() },
+      [SECONDARY]: { error: Object.assign(new Error('429 Too Many Requests'), { status: 429 }) }
+    });
+
+    await expect(model.invoke(input)).rejects.toThrow('429 Too Many Requests');
+  });
+});
+
+describe('FallbackChatModel（ストリーミング）', () => {
+  test('最初のチャンクより前で失敗した場合は次のモデルへ切り替える', async () => {
+    const { model, fallbacks } = createFallbackModel({
+      [PRIMARY]: { chunks: ['失敗'], failAt: 0 },
+      [SECONDARY]: { chunks: ['切り替え', '後の応答'] }
+    });
+
+    expect(await readStream(model)).toBe('切り替え後の応答');
+    expect(fallbacks).toHaveLength(1);
+    expect(breakerOf(PRIMARY).failures).toBe(1);
+  });
+
+  test('チャンクを受信した後に失敗した場合は切り替えずに失敗を記録する', async () => {
+    const { model, fallbacks } = createFallbackModel({
+      [PRIMARY]: { chunks: ['途中', 'まで'], failAt: 1 },
+      [SECONDARY]: { chunks: ['切り替え後の応答'] }
+    });
+
+    await expect(readStream(model)).rejects.toThrow('503 Service Unavailable');
+    expect(fallbacks).toHaveLength(0);
+    expect(breakerOf(PRIMARY).failures).toBe(1);
+  });
+
+  test('成功はストリームを最後まで読み出した時点で記録する', async () => {
+    const failuresDuringStream = [];
+    const { model } = createFallbackModel({
+      [PRIMARY]: { chunks: ['最初', 'の', '応答'], onChunk: () => failuresDuringStream.push(breakerOf(PRIMARY).failures) }
+    });
+    breakerOf(PRIMARY).recordFailure();
+
+    expect(await readStream(model)).toBe('最初の応答');
+    expect(failuresDuringStream).toEqual([1, 1, 1]);
+    expect(breakerOf(PRIMARY).failures).toBe(0);
+  });
+});
+
+describe('getFallbackChain', () => {
+  afterEach(() => {
+    delete config.models.availableModels[PRIMARY].fallbacks;
+  });
+
+  test('既定ではフォールバックを設定しない', () => {
+    expect(config.models.getFallbackChain(PRIMARY)).toEqual([PRIMARY]);
+  });
+
+  test('存在しないモデル・自分自身・重複を除いたチェーンを返す', () => {
+    config.models.availableModels[PRIMARY].fallbacks = [SECONDARY, PRIMARY, 'unknown-model', SECONDARY, TERTIARY];
+    expect(config.models.getFallbackChain(PRIMARY)).toEqual([PRIMARY, SECONDARY, TERTIARY]);
+  });
+});
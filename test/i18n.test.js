@@ -0,0 +1,53 @@
+/**
+ * CLIのメッセージカタログのテスト
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import {
+  SUPPORTED_LOCALES,
+  validateLocale,
+  detectLocale,
+  translate
+} from '../src/cli/i18n.js';
+
+const LOCALE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'cli', 'locales');
+
+/**
+ * カタログのキーを "a.b.c" 形式で列挙する
+ * @param {Object} catalog - カタログ
+ * @param {string} prefix - 親のキー
+ * @returns {Array<string>} キーの配列
+ */
+const listKeys = (catalog, prefix = '') => Object.entries(catalog).flatMap(([key, value]) => (
+  typeof value === 'object' ? listKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+describe('メッセージカタログ', () => {
+  test('すべてのロケールが同じキーを持つ', async () => {
+    const [base, ...others] = await Promise.all(SUPPORTED_LOCALES.map(locale => fs.readJson(path.join(LOCALE_DIR, `${locale}.json`))));
+
+    for (const catalog of others) {
+      expect(listKeys(catalog).sort()).toEqual(listKeys(base).sort());
+    }
+  });
+
+  test('値を埋め込み、見つからないキーはそのまま返す', () => {
+    expect(translate('ja', 'doctor.details.apiKeyRequired', { model: 'gpt-4o' })).toBe('未設定（デフォルトモデル "gpt-4o" で必要です）');
+    expect(translate('en', 'doctor.details.apiKeyRequired', { model: 'gpt-4o' })).toBe('not set (required by the default model "gpt-4o")');
+    expect(translate('en', 'not.found')).toBe('not.found');
+  });
+});
+
+describe('ロケールの指定', () => {
+  test('コマンドラインの --locale を優先する', () => {
+    expect(detectLocale(['node', 'index.js', '--locale', 'en', 'status'])).toBe('en');
+    expect(detectLocale(['node', 'index.js', '--locale=en'])).toBe('en');
+    expect(detectLocale(['node', 'index.js', 'status'])).toBe('ja');
+  });
+
+  test('対応していないロケールはエラーになる', () => {
+    expect(validateLocale('en')).toBe('en');
+    expect(() => validateLocale('fr')).toThrow('Unsupported locale: fr');
+  });
+});
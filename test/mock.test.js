@@ -0,0 +1,97 @@
+/**
+ * モックモデルのテスト
+ */
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+const { default: config } = await import('../src/config/index.js');
+const { default: MockModel } = await import('../src/models/mock.js');
+const { default: agentController } = await import('../src/controllers/agent-controller.js');
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-fixture-'));
+let fixtureCount = 0;
+
+/**
+ * 一時的なフィクスチャファイルを作成する
+ * @param {Object} scenario - シナリオ
+ * @returns {string} フィクスチャファイルのパス
+ */
+const writeFixture = (scenario) => {
+  fixtureCount += 1;
+  const filePath = path.join(fixtureDir, `scenario-${fixtureCount}.json`);
+  fs.writeJsonSync(filePath, scenario);
+  return filePath;
+};
+
+afterAll(async () => {
+  await fs.remove(fixtureDir);
+});
+
+describe('MockModel', () => {
+  afterEach(() => {
+    delete process.env.MOCK_FIXTURE;
+  });
+
+  test('フィクスチャの応答を順番に返し、停止シーケンス以降を切り捨てる', async () => {
+    process.env.MOCK_FIXTURE = writeFixture({
+      repeat: false,
+      turns: ['Thought: 1つ目\nObservation: 捏造された結果', '2つ目']
+    });
+    const model = new MockModel('mock');
+
+    const first = await model.model.invoke('入力', { stop: ['\nObservation:'] });
+    expect(first.content).toBe('Thought: 1つ目');
+    expect(await model.generate('入力')).toBe('2つ目');
+    expect(model.getInfo()).toMatchObject({ provider: 'mock', turns: 2, cursor: 2 });
+  });
+
+  test('repeatがfalseの場合は最後まで再生するとエラーになる', async () => {
+    process.env.MOCK_FIXTURE = writeFixture({ repeat: false, turns: ['応答'] });
+    const model = new MockModel('mock');
+
+    await model.generate('入力');
+    await expect(model.generate('入力')).rejects.toThrow('モックのシナリオを最後まで再生しました（1ターン）');
+
+    model.reset();
+    expect(await model.generate('入力')).toBe('応答');
+  });
+
+  test('repeatがtrueの場合は先頭に戻る', async () => {
+    process.env.MOCK_FIXTURE = writeFixture({ repeat: true, turns: ['A', 'B'] });
+    const model = new MockModel('mock');
+
+    const outputs = [];
+    for (let i = 0; i < 3; i++) {
+      outputs.push(await model.generate('入力'));
+    }
+    expect(outputs).toEqual(['A', 'B', 'A']);
+  });
+
+  test('turnsが定義されていないフィクスチャはエラーになる', () => {
+    process.env.MOCK_FIXTURE = writeFixture({ turns: [] });
+    expect(() => new MockModel('mock')).toThrow('フィクスチャにturnsが定義されていません');
+  });
+});
+
+describe('モックモデルによるエージェントの実行', () => {
+  beforeAll(() => {
+    agentController.agent.verbose = false;
+  });
+
+  test('デフォルトのシナリオで要件定義書と外部設計書を保存する', async () => {
+    const result = await agentController.processInput('タスク管理アプリケーションの要件を分析してください');
+
+    expect(result.output).toBe('mock_project の要件定義書と外部設計書を作成し、保存しました。');
+    expect(result.intermediateSteps.map(step => step.action.tool)).toEqual([
+      'requirement_analysis',
+      'save_document',
+      'external_design',
+      'save_document'
+    ]);
+
+    const requirements = await fs.readFile(path.join(config.app.outputDirs.requirements, 'mock_project_requirements.md'), 'utf8');
+    expect(requirements).toContain('# mock_project - 要件定義書');
+    expect(await fs.pathExists(path.join(config.app.outputDirs.designs, 'mock_project_design.md'))).toBe(true);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Ollamaモデルのテスト
+ */
+import http from 'http';
+
+const { default: config } = await import('../src/config/index.js');
+const { default: modelSelector } = await import('../src/models/selector.js');
+
+describe('Ollamaモデル', () => {
+  let server;
+  let chatRequests;
+  const original = { ...config.ollama };
+
+  beforeAll(async () => {
+    chatRequests = [];
+    // Ollamaの /api/tags と /api/chat を返すローカルサーバー
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        if (req.url === '/api/tags') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            models: [{ name: 'llama3.1:8b', size: 4661224676, modified_at: '2024-08-01T00:00:00Z', details: { parameter_size: '8.0B' } }]
+          }));
+          return;
+        }
+
+        const request = JSON.parse(body);
+        chatRequests.push(request);
+        const message = { role: 'assistant', content: 'Ollamaの応答' };
+        const done = { model: request.model, created_at: new Date().toISOString(), message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 3, eval_count: 2 };
+        if (request.stream === false) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ...done, message }));
+        } else {
+          res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+          res.write(`${JSON.stringify({ model: request.model, created_at: new Date().toISOString(), message, done: false })}\n`);
+          res.end(`${JSON.stringify(done)}\n`);
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    config.ollama.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    Object.assign(config.ollama, original);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('インストール済みのモデルを ollama:<タグ> として検出する', async () => {
+    config.ollama.discovery = true;
+    const modelNames = await modelSelector.discoverOllamaModels();
+
+    expect(modelNames).toEqual(['ollama:llama3.1:8b']);
+    expect(config.models.availableModels['ollama:llama3.1:8b']).toMatchObject({
+      provider: 'ollama',
+      discovered: true,
+      options: { model: 'llama3.1:8b' },
+      details: { parameterSize: '8.0B' }
+    });
+  });
+
+  test('検出が無効な場合はサーバーに問い合わせない', async () => {
+    config.ollama.discovery = false;
+    expect(await modelSelector.discoverOllamaModels()).toEqual([]);
+  });
+
+  test('サーバーに接続できない場合は空のリストを返す', async () => {
+    config.ollama.discovery = true;
+    const baseUrl = config.ollama.baseUrl;
+    config.ollama.baseUrl = 'http://127.0.0.1:1';
+    try {
+      expect(await modelSelector.discoverOllamaModels()).toEqual([]);
+    } finally {
+      config.ollama.baseUrl = baseUrl;
+    }
+  });
+
+  test('未検出のタグも ollama:<タグ> の指定で利用できる', async () => {
+    const model = await modelSelector.getModel('ollama:qwen2.5:7b');
+
+    expect(await model.generate('こんにちは')).toBe('Ollamaの応答');
+    expect(chatRequests.at(-1).model).toBe('qwen2.5:7b');
+    expect(model.getInfo()).toMatchObject({ provider: 'ollama', model: 'qwen2.5:7b' });
+  });
+});
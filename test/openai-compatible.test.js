@@ -0,0 +1,98 @@
+/**
+ * OpenAI互換エンドポイントモデルのテスト
+ */
+import http from 'http';
+
+const { default: config, hasValidApiKey } = await import('../src/config/index.js');
+const { default: OpenAICompatibleModel } = await import('../src/models/openai-compatible.js');
+
+const MODEL_NAME = 'test-openai-compatible';
+
+describe('OpenAICompatibleModel', () => {
+  let server;
+  let requests;
+  let baseURL;
+
+  beforeAll(async () => {
+    requests = [];
+    // OpenAI互換のチャットAPIを返すローカルサーバー
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = JSON.parse(body);
+        requests.push({ url: req.url, headers: req.headers, body: request });
+
+        if (request.stream) {
+          // ストリーミングの場合はServer-Sent Eventsで返す
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          for (const content of ['ローカル', 'の応答']) {
+            const chunk = { id: 'chatcmpl-test', object: 'chat.completion.chunk', created: 0, model: 'served-model', choices: [{ index: 0, delta: { role: 'assistant', content }, finish_reason: null }] };
+            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+          }
+          res.end('data: [DONE]\n\n');
+          return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'chatcmpl-test',
+          object: 'chat.completion',
+          created: 0,
+          model: 'served-model',
+          choices: [{ index: 0, message: { role: 'assistant', content: 'ローカルの応答' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 }
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    delete config.models.availableModels[MODEL_NAME];
+    delete process.env.TEST_COMPATIBLE_API_KEY;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    config.models.availableModels[MODEL_NAME] = {
+      provider: 'openai-compatible',
+      options: { model: 'served-model', baseURL, apiKeyEnv: 'TEST_COMPATIBLE_API_KEY' }
+    };
+  });
+
+  test('設定したbaseURLのエンドポイントに問い合わせる', async () => {
+    const model = new OpenAICompatibleModel(MODEL_NAME);
+
+    expect(await model.generate('こんにちは')).toBe('ローカルの応答');
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].body.model).toBe('served-model');
+    // APIキーが未設定の場合はダミーキーを送る
+    expect(requests[0].headers.authorization).toBe('Bearer not-needed');
+  });
+
+  test('apiKeyEnvで指定した環境変数のAPIキーを使用する', async () => {
+    process.env.TEST_COMPATIBLE_API_KEY = 'secret-key';
+    const model = new OpenAICompatibleModel(MODEL_NAME);
+
+    await model.generate('こんにちは');
+    expect(requests[0].headers.authorization).toBe('Bearer secret-key');
+  });
+
+  test('baseURLが設定されていない場合はエラーになる', () => {
+    delete config.models.availableModels[MODEL_NAME].options.baseURL;
+    expect(() => new OpenAICompatibleModel(MODEL_NAME)).toThrow('baseURLが設定されていません');
+  });
+
+  test('APIキーの設定がなくても利用可能なモデルとして扱う', () => {
+    expect(hasValidApiKey('openai-compatible')).toBe(true);
+    expect(new OpenAICompatibleModel(MODEL_NAME).getInfo()).toMatchObject({
+      provider: 'openai-compatible',
+      baseURL,
+      model: 'served-model'
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * エージェントの出力言語のテスト
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import promptRegistry from '../src/agents/prompt-registry.js';
+import ReActAgentAdapter, { OUTPUT_LANGUAGES, validateOutputLanguage } from '../src/agents/react-agent-adapter.js';
+
+const PROMPT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'agents', 'prompts');
+
+describe('出力言語ごとのテンプレート', () => {
+  test('言語別のテンプレートはすべての出力言語で同じ変数を持つ', async () => {
+    const files = await fs.readdir(PROMPT_DIR);
+    const names = [...new Set(files
+      .map(file => file.match(/^(.+)-ja\.txt$/)?.[1])
+      .filter(Boolean))];
+
+    expect(names.length).toBeGreaterThan(0);
+    for (const name of names) {
+      const [base, ...others] = OUTPUT_LANGUAGES.map(language => promptRegistry.get(`${name}-${language}`));
+      for (const prompt of others) {
+        expect(prompt.variables).toEqual(base.variables);
+      }
+    }
+  });
+
+  test('対応していない出力言語はエラーになる', () => {
+    expect(validateOutputLanguage('en')).toBe('en');
+    expect(() => validateOutputLanguage('fr')).toThrow('無効な出力言語です: fr');
+  });
+});
+
+describe('ReActAgentAdapter.renderPrompt', () => {
+  test('出力言語のテンプレートで入力を作成する', () => {
+    const agent = new ReActAgentAdapter({ modelName: 'mock', outputLanguage: 'en', verbose: false });
+
+    expect(agent.renderPrompt('analysis-input', { requirements: 'A task app' }))
+      .toBe('Analyze the following requirements and propose an appropriate external design:\n\nA task app');
+
+    agent.setOutputLanguage('ja');
+    expect(agent.renderPrompt('analysis-input', { requirements: 'タスク管理アプリ' })).toMatch(/^以下の要件について分析し/);
+  });
+
+  test('使用したテンプレートを次の実行の結果に記録する', async () => {
+    const agent = new ReActAgentAdapter({ modelName: 'mock', outputLanguage: 'en', streaming: false, verbose: false });
+
+    const input = agent.renderPrompt('analysis-input', { requirements: 'A task app' });
+    const first = await agent.run({ input });
+    expect(first.prompts.map(prompt => prompt.name)).toEqual(expect.arrayContaining(['preamble-en', 'analysis-input-en']));
+    expect(first.prompts.find(prompt => prompt.name === 'analysis-input-en')).toEqual(promptRegistry.describe('analysis-input-en'));
+
+    const second = await agent.run({ input });
+    expect(second.prompts.map(prompt => prompt.name)).not.toContain('analysis-input-en');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * 生成パラメータの実行時調整のテスト
+ */
+import { validateParameters, toProviderOptions, fromModelOptions } from '../src/models/parameters.js';
+
+const { default: modelSelector } = await import('../src/models/selector.js');
+
+describe('validateParameters', () => {
+  test('指定された項目のみを数値に正規化する', () => {
+    expect(validateParameters({ temperature: '0.2', maxTokens: '512' })).toEqual({ temperature: 0.2, maxTokens: 512 });
+    expect(validateParameters({ stop: 'END' })).toEqual({ stop: ['END'] });
+    expect(validateParameters({})).toEqual({});
+  });
+
+  test.each([
+    [{ temperature: 2.5 }, 'temperatureは0〜2の数値で指定してください'],
+    [{ maxTokens: 1.5 }, 'maxTokensは1以上の整数で指定してください'],
+    [{ topP: 0 }, 'topPは0より大きく1以下の数値で指定してください'],
+    [{ stop: ['a', 'b', 'c', 'd'] }, '停止シーケンスは3個まで指定できます']
+  ])('範囲外の値はエラーになる: %j', (params, message) => {
+    expect(() => validateParameters(params)).toThrow(message);
+  });
+});
+
+describe('toProviderOptions', () => {
+  test('プロバイダーごとのパラメータ名に変換する', () => {
+    const params = { temperature: 0.1, maxTokens: 256, topP: 0.9, stop: ['END'] };
+
+    expect(toProviderOptions('openai', params)).toEqual({ temperature: 0.1, maxTokens: 256, topP: 0.9, stop: ['END'] });
+    expect(toProviderOptions('anthropic', params)).toEqual({ temperature: 0.1, maxTokens: 256, topP: 0.9, stopSequences: ['END'] });
+    expect(toProviderOptions('gemini', params)).toEqual({ temperature: 0.1, maxOutputTokens: 256, topP: 0.9, stopSequences: ['END'] });
+  });
+
+  test('設定ファイルの値を共通形式に変換する', () => {
+    expect(fromModelOptions({ temperature: 0.5, maxOutputTokens: 100, stopSequences: ['X'] }))
+      .toEqual({ temperature: 0.5, maxTokens: 100, topP: undefined, stop: ['X'] });
+  });
+});
+
+describe('modelSelector.setModelParameters', () => {
+  const MODEL_NAME = 'local-openai';
+
+  afterEach(() => {
+    modelSelector.setModelParameters(MODEL_NAME, null);
+  });
+
+  test('変更したパラメータでモデルを作り直す', async () => {
+    const before = await modelSelector.getModel(MODEL_NAME);
+
+    const parameters = modelSelector.setModelParameters(MODEL_NAME, { temperature: 0.1, stop: ['END'] });
+    expect(parameters).toMatchObject({ temperature: 0.1, maxTokens: 4096, stop: ['END'], overridden: ['temperature', 'stop'] });
+
+    // 変更は既存の変更に追加される
+    expect(modelSelector.setModelParameters(MODEL_NAME, { maxTokens: 128 }).overridden).toEqual(['temperature', 'stop', 'maxTokens']);
+
+    const after = await modelSelector.getModel(MODEL_NAME);
+    expect(after).not.toBe(before);
+    expect(after.params).toMatchObject({ temperature: 0.1, maxTokens: 128, stop: ['END'] });
+  });
+
+  test('nullを指定すると設定ファイルの値に戻す', () => {
+    modelSelector.setModelParameters(MODEL_NAME, { temperature: 0.1 });
+
+    expect(modelSelector.setModelParameters(MODEL_NAME, null)).toMatchObject({ temperature: 0.7, overridden: [] });
+  });
+
+  test('無効なモデル名はエラーになる', () => {
+    expect(() => modelSelector.setModelParameters('not-a-model', { temperature: 0.1 })).toThrow('無効なモデル名です: not-a-model');
+  });
+});
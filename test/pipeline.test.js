@@ -0,0 +1,89 @@
+/**
+ * 複数エージェントのパイプラインのテスト
+ */
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import {
+  PIPELINE_ROLES,
+  REVIEW_VERDICTS,
+  resolveRoleSettings,
+  parseReview
+} from '../src/agents/pipeline.js';
+
+describe('parseReview', () => {
+  test('承認は明示された場合のみ', () => {
+    expect(parseReview('問題ありません。\nVERDICT: APPROVE\nTARGET: none')).toEqual({ verdict: REVIEW_VERDICTS.APPROVE, targets: [] });
+    expect(parseReview('判定なし')).toEqual({
+      verdict: REVIEW_VERDICTS.REVISE,
+      targets: [PIPELINE_ROLES.ANALYST, PIPELINE_ROLES.DESIGNER]
+    });
+  });
+
+  test('修正対象の成果物を担当に変換する', () => {
+    expect(parseReview('- 画面遷移が不足しています\nVERDICT：REVISE\nTARGET: design').targets).toEqual([PIPELINE_ROLES.DESIGNER]);
+    expect(parseReview('VERDICT: revise\nTARGET: requirements, design').targets).toEqual([PIPELINE_ROLES.ANALYST, PIPELINE_ROLES.DESIGNER]);
+  });
+});
+
+describe('resolveRoleSettings', () => {
+  test('指定したモデル、設定、選択中のモデルの順に使用する', () => {
+    expect(resolveRoleSettings(PIPELINE_ROLES.REVIEWER, { reviewer: 'gpt-4o' }, 'mock')).toEqual({ model: 'gpt-4o', prompt: 'role-reviewer' });
+    expect(resolveRoleSettings(PIPELINE_ROLES.ANALYST, {}, 'mock')).toEqual({ model: 'mock', prompt: 'role-analyst' });
+  });
+});
+
+describe('agentController.runPipeline', () => {
+  let dir;
+  let agentController;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-fixture-'));
+    const fixture = path.join(dir, 'pipeline.json');
+    await fs.writeJson(fixture, {
+      turns: [
+        // 1回目: 要件分析担当 → 設計担当 → レビュー担当（設計の修正を依頼）
+        'Thought: 要件定義書を保存します。\nAction: save_document\nAction Input: {"folderType": "requirements", "fileName": "pipeline_requirements.md", "content": "# 要件定義書\\n- タスクの登録", "overwrite": true}',
+        'Thought: 保存しました。\nFinal Answer: 要件定義書を保存しました',
+        'Thought: 設計しました。\nFinal Answer: 画面一覧: タスク一覧画面',
+        '- 編集画面がありません\nVERDICT: REVISE\nTARGET: design',
+        // 2回目: 設計担当だけをやり直す → レビュー担当（承認）
+        'Thought: 指摘を反映しました。\nFinal Answer: 画面一覧: タスク一覧画面、タスク編集画面',
+        '問題ありません。\nVERDICT: APPROVE\nTARGET: none'
+      ]
+    });
+    process.env.MOCK_FIXTURE = fixture;
+    ({ default: agentController } = await import('../src/controllers/agent-controller.js'));
+  });
+
+  afterAll(async () => {
+    delete process.env.MOCK_FIXTURE;
+    await fs.remove(dir);
+  });
+
+  test('レビューの指摘を渡して対象の担当だけをやり直す', async () => {
+    const result = await agentController.runPipeline('タスク管理アプリ', { projectName: 'PipelineTest' });
+
+    expect(result.status).toBe('approved');
+    expect(result.rounds.map(record => [record.round, record.role])).toEqual([
+      [1, PIPELINE_ROLES.ANALYST],
+      [1, PIPELINE_ROLES.DESIGNER],
+      [1, PIPELINE_ROLES.REVIEWER],
+      [2, PIPELINE_ROLES.DESIGNER],
+      [2, PIPELINE_ROLES.REVIEWER]
+    ]);
+    expect(await fs.readFile(result.rounds[0].artifact, 'utf8')).toContain('# 要件定義書');
+
+    // やり直した担当の入力にはレビューの指摘を付け、使用したテンプレートを記録する
+    expect(result.rounds[3].prompts.map(prompt => prompt.name)).toEqual(expect.arrayContaining([
+      'role-designer-ja',
+      'pipeline-designer-input-ja',
+      'pipeline-feedback-ja'
+    ]));
+    expect(result.rounds[1].prompts.map(prompt => prompt.name)).not.toContain('pipeline-feedback-ja');
+    expect(result.rounds[2].prompts.map(prompt => prompt.name)).toEqual(['preamble-ja', 'role-reviewer-ja']);
+
+    const saved = await fs.readJson(path.join(result.dir, 'pipeline.json'));
+    expect(saved.status).toBe('approved');
+  });
+});
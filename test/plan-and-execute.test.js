@@ -0,0 +1,127 @@
+/**
+ * 計画実行（plan-and-execute）方式のテスト
+ */
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import promptRegistry from '../src/agents/prompt-registry.js';
+import {
+  PLAN_STEP_STATUS,
+  validateAgentMode,
+  parsePlan,
+  createPlan,
+  formatStepResults,
+  isStoppedEarly,
+  summarizePlanResult
+} from '../src/agents/plan-and-execute.js';
+
+describe('parsePlan', () => {
+  test('出力に含まれるJSON配列を読み取り、最大ステップ数で切り詰める', () => {
+    const text = '計画は次のとおりです。\n[{"title": "要件分析", "instruction": "要件を分析する"}, {"title": "保存", "instruction": "保存する"}]';
+
+    expect(parsePlan(text, 5)).toEqual([
+      { title: '要件分析', instruction: '要件を分析する' },
+      { title: '保存', instruction: '保存する' }
+    ]);
+    expect(parsePlan(text, 1)).toHaveLength(1);
+  });
+
+  test('JSON配列がない・形式が正しくない場合はエラーになる', () => {
+    expect(() => parsePlan('計画を作成できません', 5)).toThrow('計画のJSON配列が見つかりません');
+    expect(() => parsePlan('[{"title": "要件分析"}]', 5)).toThrow('計画の形式が正しくありません');
+  });
+});
+
+describe('createPlan', () => {
+  test('モデルの出力を読み取れない場合は既定の計画を使用する', async () => {
+    const plan = await createPlan(async () => '計画を作成できません', 'prompt', 6, () => promptRegistry.render('default-plan-en'));
+
+    expect(plan.source).toBe('default');
+    expect(plan.steps.map(step => step.title)).toEqual(['Requirements analysis', 'Screen design', 'UML diagrams', 'Save']);
+    expect(plan.steps.every(step => step.status === PLAN_STEP_STATUS.PENDING)).toBe(true);
+  });
+
+  test('カセットに記録されていない呼び出しは既定の計画を使用せずに失敗する', async () => {
+    const miss = Object.assign(new Error('カセットに記録されていない呼び出しです'), { code: 'CASSETTE_MISS' });
+    let usedDefault = false;
+    const getDefaultPlan = () => {
+      usedDefault = true;
+      return promptRegistry.render('default-plan-ja');
+    };
+
+    await expect(createPlan(async () => { throw miss; }, 'prompt', 6, getDefaultPlan)).rejects.toBe(miss);
+    expect(usedDefault).toBe(false);
+  });
+});
+
+describe('計画の結果', () => {
+  const plan = {
+    steps: [
+      { index: 1, title: '要件分析', status: PLAN_STEP_STATUS.COMPLETED, output: '要件定義書を保存しました' },
+      { index: 2, title: '画面設計', status: PLAN_STEP_STATUS.FAILED, error: 'タイムアウトしました' },
+      { index: 3, title: '保存', status: PLAN_STEP_STATUS.PENDING }
+    ]
+  };
+
+  test('完了したステップの結果を次のステップに渡す', () => {
+    expect(formatStepResults(plan)).toBe('1. 要件分析:\n要件定義書を保存しました');
+    expect(formatStepResults({ steps: [] })).toBe('-');
+  });
+
+  test('各ステップの状態と結果を最終的な回答にまとめる', () => {
+    expect(summarizePlanResult(plan)).toBe([
+      '## 1. 要件分析 [completed]\n要件定義書を保存しました',
+      '## 2. 画面設計 [failed]\nタイムアウトしました',
+      '## 3. 保存 [pending]'
+    ].join('\n\n'));
+  });
+
+  test('反復回数の上限による終了と実行方式を判定する', () => {
+    expect(isStoppedEarly('Agent stopped due to max iterations.')).toBe(true);
+    expect(isStoppedEarly('完了しました')).toBe(false);
+    expect(validateAgentMode('plan-and-execute')).toBe('plan-and-execute');
+    expect(() => validateAgentMode('multi')).toThrow('無効な実行方式です: multi');
+  });
+});
+
+describe('計画実行方式でのエージェントの実行', () => {
+  let dir;
+  let ReActAgentAdapter;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'plan-fixture-'));
+    const fixture = path.join(dir, 'plan.json');
+    await fs.writeJson(fixture, {
+      turns: [
+        '[{"title": "要件分析", "instruction": "要件を分析する"}, {"title": "報告", "instruction": "結果を報告する"}]',
+        'Thought: 要件を分析します。\nAction: requirement_analysis\nAction Input: {"projectName": "plan_project", "description": "タスク管理"}',
+        'Thought: 分析が終わりました。\nFinal Answer: 要件を分析しました',
+        'Thought: 報告します。\nFinal Answer: 報告しました'
+      ]
+    });
+    process.env.MOCK_FIXTURE = fixture;
+    ({ default: ReActAgentAdapter } = await import('../src/agents/react-agent-adapter.js'));
+  });
+
+  afterAll(async () => {
+    delete process.env.MOCK_FIXTURE;
+    await fs.remove(dir);
+  });
+
+  test('計画のステップごとに実行し、状態と結果を記録する', async () => {
+    const agent = new ReActAgentAdapter({ modelName: 'mock', mode: 'plan-and-execute', streaming: false, verbose: false });
+    const events = [];
+
+    const result = await agent.run({ input: 'タスク管理アプリの要件を分析して' }, { onEvent: event => events.push(event.type) });
+
+    expect(result.plan.source).toBe('model');
+    expect(result.plan.steps.map(step => [step.title, step.status])).toEqual([
+      ['要件分析', PLAN_STEP_STATUS.COMPLETED],
+      ['報告', PLAN_STEP_STATUS.COMPLETED]
+    ]);
+    expect(result.intermediateSteps.map(step => [step.action.tool, step.planStep])).toEqual([['requirement_analysis', 1]]);
+    expect(result.output).toBe('## 1. 要件分析 [completed]\n要件を分析しました\n\n## 2. 報告 [completed]\n報告しました');
+    expect(result.prompts.map(prompt => prompt.name)).toEqual(expect.arrayContaining(['planner-ja', 'plan-step-ja']));
+    expect(events).toEqual(['plan', 'plan_step', 'plan_step', 'plan_step', 'plan_step']);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * プロンプトテンプレートのレジストリのテスト
+ */
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import config from '../src/config/index.js';
+import promptRegistry, { readPromptFile } from '../src/agents/prompt-registry.js';
+
+/**
+ * テンプレートファイルの内容を作成する
+ * @param {Object} header - ヘッダーの各行
+ * @param {string} body - テンプレートの本文
+ * @returns {string} ファイルの内容
+ */
+const templateFile = (header, body) => `---\n${Object.entries(header).map(([key, value]) => `${key}: ${value}`).join('\n')}\n---\n${body}\n`;
+
+describe('readPromptFile', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-file-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('ヘッダーと本文を読み込む（改行コードはLFにそろえる）', async () => {
+    const file = path.join(dir, 'sample.txt');
+    await fs.writeFile(file, templateFile({ name: 'sample', version: 2 }, '1行目\n{input}').replace(/\n/g, '\r\n'));
+
+    expect(readPromptFile(file)).toEqual({ name: 'sample', version: '2', template: '1行目\n{input}', file });
+  });
+
+  test('ヘッダーがない・不明な項目がある場合はエラーになる', async () => {
+    const noHeader = path.join(dir, 'no-header.txt');
+    await fs.writeFile(noHeader, '本文のみ');
+    expect(() => readPromptFile(noHeader)).toThrow('プロンプトテンプレートにヘッダー（name / version）がありません');
+
+    const unknownKey = path.join(dir, 'unknown.txt');
+    await fs.writeFile(unknownKey, templateFile({ name: 'sample', version: '1.0.0', author: 'someone' }, '本文'));
+    expect(() => readPromptFile(unknownKey)).toThrow('プロンプトテンプレートのヘッダーが正しくありません');
+  });
+});
+
+describe('promptRegistry', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dir-'));
+    promptRegistry.templates = null;
+  });
+
+  afterEach(async () => {
+    config.prompts.dir = undefined;
+    promptRegistry.templates = null;
+    await fs.remove(dir);
+  });
+
+  test('同梱のテンプレートを取得する', () => {
+    const react = promptRegistry.get('react');
+
+    expect(react.template).toContain('{agent_scratchpad}');
+    expect(promptRegistry.describe('react')).toEqual({ name: 'react', version: react.version, source: 'bundled' });
+    expect(() => promptRegistry.get('not-found')).toThrow('プロンプトテンプレート "not-found" が見つかりません');
+  });
+
+  test('変数に値を埋め込む（埋め込んだ値の中の変数は置き換えない）', () => {
+    expect(promptRegistry.render('compare-input-ja', { project_name: 'Demo', requirements: '{project_name}を含む要件' }))
+      .toBe('プロジェクト名: Demo\n\n以下の要件について分析し、適切な外部設計を提案してください:\n\n{project_name}を含む要件');
+  });
+
+  test('PROMPT_DIRのテンプレートで上書きする', async () => {
+    const { variables } = promptRegistry.get('react');
+    await fs.writeFile(path.join(dir, 'react.txt'), templateFile(
+      { name: 'react', version: '2.0.0' },
+      `独自のReActプロンプト\n${variables.map(name => `{${name}}`).join('\n')}`
+    ));
+    config.prompts.dir = dir;
+    promptRegistry.templates = null;
+
+    expect(promptRegistry.describe('react')).toEqual({ name: 'react', version: '2.0.0', source: 'override' });
+    expect(promptRegistry.get('react').template).toMatch(/^独自のReActプロンプト/);
+  });
+
+  test('上書きしたテンプレートに必要な変数がない場合はエラーになる', async () => {
+    await fs.writeFile(path.join(dir, 'react.txt'), templateFile({ name: 'react', version: '2.0.0' }, '{input}のみ'));
+    config.prompts.dir = dir;
+
+    expect(() => promptRegistry.get('react')).toThrow(/プロンプトテンプレート "react" に必要な変数がありません .*\{agent_scratchpad\}/);
+  });
+
+  test('存在しないPROMPT_DIRはエラーになる', () => {
+    config.prompts.dir = path.join(dir, 'missing');
+
+    expect(() => promptRegistry.get('react')).toThrow('PROMPT_DIRで指定されたディレクトリが見つかりません');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * セルフレビュー（自己批評と修正）のテスト
+ */
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import config from '../src/config/index.js';
+import promptRegistry from '../src/agents/prompt-registry.js';
+import {
+  loadChecklist,
+  formatDocuments,
+  formatChecklist,
+  parseCritique,
+  formatFeedback
+} from '../src/agents/reflection.js';
+
+const checklist = [
+  { id: 'actors', description: 'すべてのアクターが定義されている' },
+  { id: 'error-handling', description: '異常時の動作が定義されている' }
+];
+
+describe('loadChecklist', () => {
+  test('REFLECTION_CHECKLIST がなければ出力言語の既定のチェックリストを使用する', () => {
+    const english = loadChecklist(() => promptRegistry.render('default-checklist-en'));
+    const japanese = loadChecklist(() => promptRegistry.render('default-checklist-ja'));
+
+    expect(english.map(item => item.id)).toEqual(['non-functional', 'actors', 'screen-transitions', 'error-handling', 'traceability']);
+    expect(japanese.map(item => item.id)).toEqual(english.map(item => item.id));
+    expect(english[1].description).toMatch(/^All actors/);
+  });
+
+  test('既定のチェックリストの形式が正しくない場合はエラーになる', () => {
+    expect(() => loadChecklist(() => '[]')).toThrow('チェックリストの形式が正しくありません (default-checklist)');
+  });
+});
+
+describe('採点と修正の指摘', () => {
+  test('長いドキュメントは省略し、出力ディレクトリからの相対パスを見出しにする', () => {
+    const document = { path: path.join(config.app.outputDirs.requirements, 'a.md'), content: 'x'.repeat(10) };
+
+    expect(formatDocuments([document], 4)).toBe('### requirements/a.md\nxxxx\n...');
+    expect(formatDocuments([document], Infinity)).toBe(`### requirements/a.md\n${'x'.repeat(10)}`);
+    expect(formatChecklist(checklist)).toBe('- actors: すべてのアクターが定義されている\n- error-handling: 異常時の動作が定義されている');
+  });
+
+  test('採点されなかった項目はコメントなしの不合格として扱い、不合格の項目を指摘にする', () => {
+    const critique = parseCritique('{"items": [{"id": "actors", "passed": true}, {"id": "unknown", "passed": false}]}', checklist);
+
+    expect(critique.score).toBe(50);
+    expect(critique.items[1]).toEqual({ id: 'error-handling', description: '異常時の動作が定義されている', passed: false, comment: '' });
+    expect(formatFeedback(critique.items)).toBe('- 異常時の動作が定義されている');
+    expect(() => parseCritique('採点できません', checklist)).toThrow('採点結果のJSONが見つかりません');
+  });
+});
+
+describe('セルフレビューを有効にしたエージェントの実行', () => {
+  let dir;
+  let ReActAgentAdapter;
+
+  const save = content => `Action: save_document\nAction Input: ${JSON.stringify({ folderType: 'requirements', fileName: 'reflection_test.md', content, overwrite: true })}`;
+  const critique = passed => JSON.stringify({
+    items: ['non-functional', 'actors', 'screen-transitions', 'error-handling', 'traceability']
+      .map(id => ({ id, passed: passed || id !== 'non-functional', comment: passed ? '' : '性能要件がありません' }))
+  });
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reflection-fixture-'));
+    const fixture = path.join(dir, 'reflection.json');
+    await fs.writeJson(fixture, {
+      turns: [
+        `Thought: 要件定義書を保存します。\n${save('# 要件定義書')}`,
+        'Thought: 保存しました。\nFinal Answer: 要件定義書を保存しました',
+        critique(false),
+        `Thought: 指摘を反映します。\n${save('# 要件定義書\n## 非機能要件\n- 応答時間は1秒以内')}`,
+        'Thought: 修正しました。\nFinal Answer: 非機能要件を追加しました',
+        critique(true)
+      ]
+    });
+    process.env.MOCK_FIXTURE = fixture;
+    ({ default: ReActAgentAdapter } = await import('../src/agents/react-agent-adapter.js'));
+  });
+
+  afterAll(async () => {
+    delete process.env.MOCK_FIXTURE;
+    await fs.remove(dir);
+  });
+
+  test('合格点に達するまで指摘を渡して修正させ、採点結果を記録する', async () => {
+    const agent = new ReActAgentAdapter({
+      modelName: 'mock',
+      streaming: false,
+      verbose: false,
+      reflection: { enabled: true, threshold: 100, maxRounds: 2 }
+    });
+    const events = [];
+
+    const result = await agent.run({ input: '要件定義書を作成して' }, { onEvent: event => events.push(event) });
+
+    expect(result.reflection.passed).toBe(true);
+    expect(result.reflection.rounds.map(round => round.score)).toEqual([80, 100]);
+    expect(result.reflection.rounds[0].items.find(item => !item.passed).comment).toBe('性能要件がありません');
+    expect(result.intermediateSteps.map(step => step.reflectionRound)).toEqual([undefined, 1]);
+    expect(events.filter(event => event.type === 'reflection').map(event => event.passed)).toEqual([false, true]);
+    expect(result.prompts.map(prompt => prompt.name)).toEqual(expect.arrayContaining(['default-checklist-ja', 'critic-ja', 'revise-ja']));
+    expect(await fs.readFile(path.join(config.app.outputDirs.requirements, 'reflection_test.md'), 'utf8')).toContain('非機能要件');
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * 再試行・サーキットブレーカーのテスト
+ */
+import { spawnSync } from 'child_process';
+import config from '../src/config/index.js';
+import {
+  callWithResilience,
+  streamWithResilience,
+  getCircuitBreaker,
+  getRetryDelayMs,
+  CircuitOpenError,
+  CIRCUIT_STATES
+} from '../src/models/resilience.js';
+
+const PROVIDER = 'openai';
+
+/**
+ * 一時的な障害を表すエラーを作成する
+ * @returns {Error} 503エラー
+ */
+const createTransientError = () => Object.assign(new Error('503 Service Unavailable'), { status: 503 });
+
+/**
+ * チャンクを返した後に失敗するストリームを作成する
+ * @param {Array<string>} chunks - 返すチャンク
+ * @param {Function} onChunk - チャンクを返すたびに呼ばれる関数
+ * @param {boolean} fail - 最後に失敗するか
+ * @returns {AsyncGenerator<string>} ストリーム
+ */
+async function* createStream(chunks, { onChunk = () => {}, fail = false } = {}) {
+  for (const chunk of chunks) {
+    yield chunk;
+    onChunk(chunk);
+  }
+  if (fail) throw createTransientError();
+}
+
+/**
+ * ストリームをすべて読み出す
+ * @param {AsyncGenerator<string>} stream - ストリーム
+ * @returns {Promise<Array<string>>} チャンクの配列
+ */
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+const original = JSON.parse(JSON.stringify(config.resilience));
+let breaker;
+
+beforeAll(() => {
+  config.resilience.initialDelayMs = 1;
+  config.resilience.maxDelayMs = 5;
+  config.resilience.circuitBreaker.failureThreshold = 2;
+  breaker = getCircuitBreaker(PROVIDER);
+});
+
+afterAll(() => {
+  Object.assign(config.resilience, original);
+});
+
+beforeEach(() => {
+  config.resilience.maxRetries = 0;
+  breaker.recordSuccess();
+});
+
+describe('callWithResilience', () => {
+  test('一時的なエラーは再試行する', async () => {
+    config.resilience.maxRetries = 2;
+    let calls = 0;
+
+    const result = await callWithResilience(PROVIDER, async () => {
+      calls += 1;
+      if (calls === 1) throw createTransientError();
+      return '応答';
+    });
+
+    expect(result).toBe('応答');
+    expect(calls).toBe(2);
+    expect(breaker.failures).toBe(0);
+  });
+
+  test('連続して失敗するとサーキットブレーカーを開き、以降の呼び出しを拒否する', async () => {
+    const failing = async () => {
+      throw createTransientError();
+    };
+
+    await expect(callWithResilience(PROVIDER, failing)).rejects.toThrow('503 Service Unavailable');
+    await expect(callWithResilience(PROVIDER, failing)).rejects.toThrow('503 Service Unavailable');
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    await expect(callWithResilience(PROVIDER, async () => '応答')).rejects.toBeInstanceOf(CircuitOpenError);
+  });
+
+  test('再試行できないエラーは失敗として記録しない', async () => {
+    config.resilience.maxRetries = 2;
+    let calls = 0;
+
+    await expect(callWithResilience(PROVIDER, async () => {
+      calls += 1;
+      throw new Error('invalid request');
+    })).rejects.toThrow('invalid request');
+
+    expect(calls).toBe(1);
+    expect(breaker.failures).toBe(0);
+  });
+});
+
+describe('streamWithResilience', () => {
+  test('成功はストリームを最後まで読み出した時点で記録する', async () => {
+    breaker.recordFailure();
+    const failuresDuringStream = [];
+
+    const chunks = await readAll(streamWithResilience(PROVIDER, async () => createStream(['最初', 'の', '応答'], {
+      onChunk: () => failuresDuringStream.push(breaker.failures)
+    })));
+
+    expect(chunks).toEqual(['最初', 'の', '応答']);
+    expect(failuresDuringStream).toEqual([1, 1, 1]);
+    expect(breaker.failures).toBe(0);
+  });
+
+  test('最初のチャンクより前の失敗は再試行する', async () => {
+    config.resilience.maxRetries = 1;
+    let calls = 0;
+
+    const retried = await readAll(streamWithResilience(PROVIDER, async () => {
+      calls += 1;
+      if (calls === 1) throw createTransientError();
+      return createStream(['再試行後の応答']);
+    }));
+
+    expect(retried).toEqual(['再試行後の応答']);
+    expect(calls).toBe(2);
+  });
+
+  test('チャンクを受信した後の失敗は再試行せずに失敗を記録する', async () => {
+    config.resilience.maxRetries = 2;
+    let calls = 0;
+    const chunks = [];
+
+    await expect((async () => {
+      for await (const chunk of streamWithResilience(PROVIDER, async () => {
+        calls += 1;
+        return createStream(['途中'], { fail: true });
+      })) {
+        chunks.push(chunk);
+      }
+    })()).rejects.toThrow('503 Service Unavailable');
+
+    expect(chunks).toEqual(['途中']);
+    expect(calls).toBe(1);
+    expect(breaker.failures).toBe(1);
+  });
+});
+
+describe('getRetryDelayMs', () => {
+  test('Retry-Afterヘッダーがある場合はその時間（上限まで）待機する', () => {
+    const error = Object.assign(createTransientError(), { headers: { 'retry-after': '0.002' } });
+    expect(getRetryDelayMs(1, error)).toBe(2);
+
+    const longError = Object.assign(createTransientError(), { headers: { 'retry-after': '120' } });
+    expect(getRetryDelayMs(1, longError)).toBe(config.resilience.maxDelayMs);
+  });
+});
+
+describe('LLM_MAX_RETRIES', () => {
+  /**
+   * 環境変数を指定して設定を読み込む
+   * @param {string} value - LLM_MAX_RETRIESの値
+   * @returns {Object} 子プロセスの実行結果
+   */
+  const loadConfig = value => spawnSync(process.execPath, [
+    '--input-type=module',
+    '-e',
+    "const { default: config } = await import('./src/config/index.js'); console.log(config.resilience.maxRetries);"
+  ], { env: { ...process.env, LLM_MAX_RETRIES: value }, encoding: 'utf8' });
+
+  test('0以上の整数を設定できる', () => {
+    const result = loadConfig('0');
+    expect(result.status).toBe(0);
+    expect(result.stdout.trim()).toBe('0');
+  });
+
+  test.each(['abc', '-1', '1.5'])('不正な値（%s）は起動時にエラーになる', (value) => {
+    const result = loadConfig(value);
+    expect(result.status).not.toBe(0);
+    expect(result.stderr).toContain(`LLM_MAX_RETRIESは0以上の整数で指定してください: ${value}`);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * 役割別モデルルーティングのテスト
+ */
+import { AIMessage, AIMessageChunk, HumanMessage } from "@langchain/core/messages";
+import RoutingChatModel, { ROUTING_ROLES, resolveRoutingPolicy } from '../src/models/router.js';
+
+/**
+ * 決められた応答を順番に返すチャットモデルを作成する
+ * @param {Array<Array<string>>} responses - 呼び出しごとのチャンクの内容
+ * @returns {Object} チャットモデル
+ */
+const createScriptedModel = (responses) => {
+  const model = {
+    calls: [],
+    async invoke(messages, options) {
+      model.calls.push(options);
+      return new AIMessage(responses[model.calls.length - 1].join(''));
+    },
+    async stream(messages, options) {
+      model.calls.push(options);
+      const chunks = responses[model.calls.length - 1];
+      return (async function* () {
+        for (const content of chunks) {
+          yield new AIMessageChunk({ content });
+        }
+      })();
+    }
+  };
+  return model;
+};
+
+const ACTION_CHUNKS = ['Thought: ', '要件を分析する\n', 'Action: analyze_requirements\n', 'Action Input: {}'];
+const FINAL_CHUNKS = ['Thought: 最終回答を書く\n', 'Final Answer: ', '完成した設計書'];
+
+/**
+ * 途中の呼び出しと最終回答に別のモデルを使用するルーティングモデルを作成する
+ * @param {Object} responses - モデル名ごとの応答
+ * @returns {RoutingChatModel} ルーティングモデル
+ */
+const createRouter = (responses) => new RoutingChatModel({
+  modelNames: resolveRoutingPolicy('small', { finalAnswer: 'large' }),
+  chatModels: {
+    small: createScriptedModel(responses.small),
+    large: createScriptedModel(responses.large || [])
+  }
+});
+
+/**
+ * ストリーミングで呼び出し、通知されたトークンと応答を返す
+ * @param {RoutingChatModel} router - ルーティングモデル
+ * @returns {Promise<Object>} { tokens, content }
+ */
+const streamTokens = async (router) => {
+  const tokens = [];
+  let content = '';
+  const stream = await router.stream([new HumanMessage('設計して')], {
+    callbacks: [{ handleLLMNewToken: token => tokens.push(token) }]
+  });
+  for await (const chunk of stream) {
+    content += chunk.content;
+  }
+  return { tokens, content };
+};
+
+describe('resolveRoutingPolicy', () => {
+  test('指定しなかった役割はデフォルトのモデルを使用する', () => {
+    expect(resolveRoutingPolicy('gpt-4o', { finalAnswer: 'claude' })).toEqual({
+      [ROUTING_ROLES.PLANNING]: 'gpt-4o',
+      [ROUTING_ROLES.TOOL_ARGUMENT]: 'gpt-4o',
+      [ROUTING_ROLES.FINAL_ANSWER]: 'claude'
+    });
+  });
+});
+
+describe('RoutingChatModel', () => {
+  test('ツールを選択した呼び出しは途中のモデルの応答を返す', async () => {
+    const router = createRouter({ small: [ACTION_CHUNKS] });
+
+    const message = await router.invoke([new HumanMessage('設計して')]);
+
+    expect(message.content).toBe(ACTION_CHUNKS.join(''));
+    expect(router.chatModels.small.calls[0].stop).toContain('Final Answer:');
+    expect(router.decisions.map(decision => decision.role)).toEqual([ROUTING_ROLES.PLANNING]);
+  });
+
+  test('最終回答の直前で停止した場合は最終回答のモデルに引き継ぐ', async () => {
+    const router = createRouter({ small: [['Thought: 最終回答を書く\n']], large: [FINAL_CHUNKS] });
+
+    const message = await router.invoke([new HumanMessage('設計して')]);
+
+    expect(message.content).toBe(FINAL_CHUNKS.join(''));
+    expect(router.decisions.map(decision => [decision.role, decision.modelName])).toEqual([
+      [ROUTING_ROLES.PLANNING, 'small'],
+      [ROUTING_ROLES.FINAL_ANSWER, 'large']
+    ]);
+    expect(router.activeModelName).toBe('large');
+  });
+
+  describe('ストリーミング', () => {
+    test('ツールの呼び出しと分かった時点で途中のモデルのトークンを通知する', async () => {
+      const router = createRouter({ small: [ACTION_CHUNKS] });
+
+      const { tokens, content } = await streamTokens(router);
+
+      // 保留していた Thought のトークンはまとめて通知される
+      expect(tokens).toEqual(['Thought: 要件を分析する\n', ...ACTION_CHUNKS.slice(2)]);
+      expect(content).toBe(ACTION_CHUNKS.join(''));
+    });
+
+    test('最終回答を引き継いだ場合は途中のモデルのトークンを表示しない', async () => {
+      const router = createRouter({ small: [['Thought: ', '最終回答を書く\n']], large: [FINAL_CHUNKS] });
+
+      const { tokens, content } = await streamTokens(router);
+
+      expect(tokens).toEqual(FINAL_CHUNKS);
+      expect(content).toBe(FINAL_CHUNKS.join(''));
+    });
+
+    test('チャンクを受信しなかった場合も失敗しない', async () => {
+      const router = createRouter({ small: [[]], large: [[]] });
+
+      const { tokens, content } = await streamTokens(router);
+
+      expect(tokens).toEqual([]);
+      expect(content).toBe('');
+      expect(router.decisions.map(decision => decision.role)).toEqual([ROUTING_ROLES.PLANNING, ROUTING_ROLES.FINAL_ANSWER]);
+    });
+  });
+});
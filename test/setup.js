@@ -0,0 +1,24 @@
+/**
+ * テストの共通設定
+ * 設定モジュールを読み込む前に、モックモデルと一時ディレクトリを使用するよう環境変数を設定する
+ * （テストファイルごとに別の一時ディレクトリを作成し、終了後に削除する）
+ */
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'react-agent-test-'));
+
+process.env.DEFAULT_MODEL = 'mock';
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_DIR = path.join(tempDir, 'logs');
+process.env.OUTPUT_DIR = path.join(tempDir, 'output');
+process.env.CASSETTE_DIR = path.join(tempDir, 'cassettes');
+process.env.OLLAMA_DISCOVERY = 'false';
+process.env.OUTPUT_LANGUAGE = 'ja';
+process.env.CLI_LOCALE = 'ja';
+delete process.env.MOCK_FIXTURE;
+
+afterAll(async () => {
+  await fs.remove(tempDir);
+});
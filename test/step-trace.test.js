@@ -0,0 +1,125 @@
+/**
+ * 中間ステップのトレースのテスト
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import { createStepRecorder, buildTimeline, getRawToolInput } from '../src/agents/step-trace.js';
+
+process.env.MOCK_FIXTURE = 'fixtures/mock/invalid-tool.json';
+const { default: config } = await import('../src/config/index.js');
+const { default: agentController } = await import('../src/controllers/agent-controller.js');
+
+/**
+ * ReActのアクションを作成する
+ * @param {string} tool - ツール名
+ * @param {string} toolInput - 入力
+ * @returns {Object} アクション
+ */
+const createAction = (tool, toolInput) => ({
+  tool,
+  toolInput,
+  log: `Thought: ${tool}を実行します。\nAction: ${tool}\nAction Input: ${toolInput}`
+});
+
+describe('createStepRecorder', () => {
+  test('ツールの開始イベントをメタデータのツール名でアクションに対応付ける', () => {
+    const recorder = createStepRecorder();
+    const analysis = createAction('requirement_analysis', 'a');
+    const save = createAction('save_document', 'b');
+
+    recorder.handler.handleAgentAction(analysis);
+    recorder.handler.handleAgentAction(save);
+    // 後に出力されたアクションのツールが先に開始されても、順番ではなくツール名で対応付ける
+    recorder.handler.handleToolStart({}, 'b', 'run-save', undefined, [], { toolName: 'save_document' });
+    recorder.handler.handleToolStart({}, 'a', 'run-analysis', undefined, [], { toolName: 'requirement_analysis' });
+    recorder.recordParsedInput('run-save', { fileName: 'b.md' });
+    recorder.handler.handleToolEnd('保存しました', 'run-save');
+    recorder.handler.handleToolError(new Error('失敗しました'), 'run-analysis');
+
+    expect(recorder.steps.map(step => [step.action, step.observation])).toEqual([
+      [save, '保存しました'],
+      [analysis, 'ツールの実行エラー: 失敗しました']
+    ]);
+    expect(recorder.steps[0].parsedInput).toEqual({ fileName: 'b.md' });
+    expect(recorder.steps[0].durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('ツールを開始しなかったアクションは次の計画で捨てる', () => {
+    const recorder = createStepRecorder();
+    const unknown = createAction('unknown_tool', 'x');
+    const save = createAction('save_document', 'b');
+
+    recorder.handler.handleAgentAction(unknown);
+    recorder.handler.handleAgentAction(createAction('save_document', 'a'));
+    recorder.handler.handleToolStart({}, 'a', 'run-1', undefined, [], { toolName: 'save_document' });
+    recorder.handler.handleToolEnd('保存しました', 'run-1');
+
+    // ツール名が分からない開始イベントでも、前の計画に残った unknown_tool を対応付けない
+    recorder.handler.handleAgentAction(save);
+    recorder.handler.handleToolStart({}, 'b', 'run-2', undefined, [], {});
+    recorder.handler.handleToolEnd('保存しました', 'run-2');
+
+    expect(recorder.steps.map(step => step.action)).not.toContain(unknown);
+    expect(recorder.steps[1].action).toBe(save);
+  });
+
+  test('同じツールのアクションが複数ある場合は入力が一致するものを優先する', () => {
+    const recorder = createStepRecorder();
+    const first = createAction('save_document', 'a');
+    const second = createAction('save_document', 'b');
+
+    recorder.handler.handleAgentAction(first);
+    recorder.handler.handleAgentAction(second);
+    recorder.handler.handleToolStart({}, 'b', 'run-2', undefined, [], { toolName: 'save_document' });
+    recorder.handler.handleToolEnd('b', 'run-2');
+
+    expect(recorder.steps[0].action).toBe(second);
+  });
+});
+
+describe('getRawToolInput', () => {
+  test('アクションのログの "Action Input:" 以降をそのまま返す', () => {
+    const action = {
+      tool: 'save_document',
+      // ReActの出力パーサーは `"` を取り除く
+      toolInput: '{fileName: a.md}',
+      log: 'Thought: 保存します。\nAction: save_document\nAction Input: {"fileName": "a.md"}'
+    };
+    expect(getRawToolInput(action)).toBe('{"fileName": "a.md"}');
+  });
+
+  test('ネイティブのツール呼び出しは構造化された引数を返す', () => {
+    const action = { tool: 'save_document', toolInput: { fileName: 'a.md' }, log: '', messageLog: [] };
+    expect(getRawToolInput(action)).toEqual({ fileName: 'a.md' });
+  });
+});
+
+describe('モックのシナリオ（存在しないツールの呼び出し）', () => {
+  let result;
+
+  beforeAll(async () => {
+    agentController.agent.verbose = false;
+    await agentController.initialize();
+    result = await agentController.processInput('要件定義書を作成して');
+  });
+
+  test('存在しないツールのステップには実行時間と解析後の引数を記録しない', () => {
+    const [unknown] = buildTimeline(result.intermediateSteps);
+    expect(unknown.tool).toBe('unknown_tool');
+    expect(unknown.durationMs).toBeNull();
+    expect(unknown.parsedInput).toBeNull();
+  });
+
+  test('続くツールの呼び出しに実行時間・解析後の引数・入力のテキストを記録する', async () => {
+    const fixture = await fs.readJson(path.join(config.app.rootDir, 'fixtures/mock/invalid-tool.json'));
+    const expectedInput = fixture.turns[1].split('Action Input:')[1].trim();
+
+    const [, save] = buildTimeline(result.intermediateSteps);
+    expect(save.tool).toBe('save_document');
+    expect(save.rawInput).toBe(expectedInput);
+    expect(save.parsedInput).toMatchObject({ folderType: 'requirements', fileName: 'mock_project_requirements.md' });
+    expect(save.durationMs).toBeGreaterThanOrEqual(0);
+    expect(result.output).toBe('mock_project の要件定義書を保存しました。');
+    expect(fs.existsSync(path.join(config.app.outputDir, 'requirements', 'mock_project_requirements.md'))).toBe(true);
+  });
+});
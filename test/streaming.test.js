@@ -0,0 +1,48 @@
+/**
+ * ストリーミング表示のイベントのテスト
+ */
+const { default: agentController } = await import('../src/controllers/agent-controller.js');
+
+describe('ストリーミングイベント', () => {
+  beforeAll(() => {
+    agentController.agent.verbose = false;
+  });
+
+  test('トークン・思考・ツールの実行をイベントとして順番に通知する', async () => {
+    const events = [];
+    const result = await agentController.processInput('タスク管理アプリケーションの要件を分析してください', {
+      onEvent: event => events.push(event)
+    });
+
+    const tokens = events.filter(event => event.type === 'token').map(event => event.token).join('');
+    expect(tokens).toContain('Thought: まず要件を分析します。');
+    expect(tokens).toContain('Final Answer: mock_project の要件定義書と外部設計書を作成し、保存しました。');
+
+    const agentEvents = events.filter(event => event.type !== 'token');
+    expect(agentEvents.filter(event => event.type === 'thought').map(event => [event.tool, event.thought])).toEqual([
+      ['requirement_analysis', 'まず要件を分析します。'],
+      ['save_document', '分析結果を要件定義書として保存します。'],
+      ['external_design', '要件をもとに外部設計を行います。'],
+      ['save_document', '外部設計書を保存します。']
+    ]);
+    expect(agentEvents.filter(event => event.type === 'tool_start').map(event => event.tool)).toEqual([
+      'requirement_analysis',
+      'save_document',
+      'external_design',
+      'save_document'
+    ]);
+    // 思考 → ツール開始 → ツール終了 の順で通知する
+    expect(agentEvents.slice(0, 3).map(event => event.type)).toEqual(['thought', 'tool_start', 'tool_end']);
+    expect(result.output).toBe('mock_project の要件定義書と外部設計書を作成し、保存しました。');
+  });
+
+  test('イベントの処理に失敗しても実行を続ける', async () => {
+    const result = await agentController.processInput('タスク管理アプリケーションの要件を分析してください', {
+      onEvent: () => {
+        throw new Error('表示に失敗しました');
+      }
+    });
+
+    expect(result.output).toBe('mock_project の要件定義書と外部設計書を作成し、保存しました。');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * ツール呼び出しの承認のテスト
+ */
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import config from '../src/config/index.js';
+import promptRegistry from '../src/agents/prompt-registry.js';
+import {
+  APPROVAL_POLICIES,
+  APPROVAL_DECISIONS,
+  parseApprovalPolicies,
+  resolveApprovalPolicy,
+  formatRejection
+} from '../src/tools/tool-approval.js';
+
+const renderIn = language => (name, values) => promptRegistry.render(`${name}-${language}`, values);
+
+describe('承認の設定', () => {
+  test('ツールごとの扱いを読み取り、指定のないツールは既定の扱いにする', () => {
+    const policies = parseApprovalPolicies(' save_document:ask , requirement_analysis:auto ');
+
+    expect(policies).toEqual({ save_document: 'ask', requirement_analysis: 'auto' });
+    expect(resolveApprovalPolicy('requirement_analysis', { defaultPolicy: APPROVAL_POLICIES.ASK, policies })).toBe('auto');
+    expect(resolveApprovalPolicy('generate_uml', { defaultPolicy: APPROVAL_POLICIES.ASK, policies })).toBe('ask');
+  });
+
+  test('形式・扱いが正しくない場合はエラーになる', () => {
+    expect(() => parseApprovalPolicies('save_document')).toThrow('"ツール名:ask" または "ツール名:auto" の形式');
+    expect(() => parseApprovalPolicies('save_document:never')).toThrow('無効なツールの承認の設定です: never');
+  });
+});
+
+describe('formatRejection', () => {
+  test('却下の理由の有無に応じて出力言語のテキストを返す', () => {
+    expect(formatRejection('save_document', ' 英語で書いて ', renderIn('ja'))).toBe(
+      'ユーザーがツール "save_document" の実行を却下したため、ツールは実行されませんでした。\nユーザーからの指示: 英語で書いて\nこの指示に従って内容や引数を見直してから、必要であれば再度ツールを使用してください。'
+    );
+    expect(formatRejection('save_document', 'Write it in English', renderIn('en'))).toMatch(/^The user rejected running the tool "save_document"[\s\S]*Instruction from the user: Write it in English\n/);
+    expect(formatRejection('save_document', '  ', renderIn('en'))).toMatch(/\nNo reason was given\./);
+  });
+});
+
+describe('承認を有効にしたエージェントの実行', () => {
+  let dir;
+  let ReActAgentAdapter;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'approval-fixture-'));
+    const fixture = path.join(dir, 'approval.json');
+    const args = { folderType: 'requirements', fileName: 'approval_test.md', content: '# 要件定義書' };
+    await fs.writeJson(fixture, {
+      turns: [
+        `Thought: 保存します。\nAction: save_document\nAction Input: ${JSON.stringify(args)}`,
+        'Thought: 却下されました。\nFinal Answer: 保存を見送りました'
+      ]
+    });
+    process.env.MOCK_FIXTURE = fixture;
+    ({ default: ReActAgentAdapter } = await import('../src/agents/react-agent-adapter.js'));
+  });
+
+  afterAll(async () => {
+    delete process.env.MOCK_FIXTURE;
+    await fs.remove(dir);
+  });
+
+  test('却下したツールは実行せず、理由を観察結果としてエージェントに返す', async () => {
+    const agent = new ReActAgentAdapter({ modelName: 'mock', streaming: false, verbose: false, approval: { enabled: true } });
+    const requests = [];
+    const onApproval = async (request) => {
+      requests.push(request.tool);
+      return { decision: APPROVAL_DECISIONS.REJECT, feedback: '内容が足りません' };
+    };
+
+    const result = await agent.run({ input: '要件定義書を保存して' }, { onApproval });
+
+    expect(requests).toEqual(['save_document']);
+    expect(result.output).toBe('保存を見送りました');
+    expect(result.intermediateSteps[0].observation).toContain('ユーザーからの指示: 内容が足りません');
+    expect(result.approvals).toEqual([expect.objectContaining({ tool: 'save_document', decision: 'reject', feedback: '内容が足りません' })]);
+    expect(result.prompts.map(prompt => prompt.name)).toContain('tool-rejection-ja');
+    expect(fs.existsSync(path.join(config.app.outputDirs.requirements, 'approval_test.md'))).toBe(false);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * ネイティブのツール呼び出しのテスト
+ */
+import { z } from 'zod';
+import { tool, StructuredTool } from '@langchain/core/tools';
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+import config from '../src/config/index.js';
+import {
+  AGENT_STRATEGIES,
+  validateAgentStrategy,
+  resolveAgentStrategy,
+  toNativeTools,
+  getToolCallThought
+} from '../src/agents/tool-calling-agent.js';
+import { withCallTools } from '../src/models/tool-binding.js';
+import RoutingChatModel, { ROUTING_ROLES, resolveRoutingPolicy } from '../src/models/router.js';
+
+describe('resolveAgentStrategy', () => {
+  afterEach(() => {
+    delete config.models.availableModels['gpt-4o'].agentStrategy;
+  });
+
+  test('無効な戦略はエラーになる', () => {
+    expect(validateAgentStrategy('tool-calling')).toBe(AGENT_STRATEGIES.TOOL_CALLING);
+    expect(() => validateAgentStrategy('plan')).toThrow('無効なエージェント戦略です: plan');
+  });
+
+  test('すべてのモデルが対応している場合のみネイティブのツール呼び出しを使用する', () => {
+    expect(resolveAgentStrategy('gpt-4o', ['gpt-4o', 'claude-3-5-sonnet-20241022']).strategy).toBe(AGENT_STRATEGIES.TOOL_CALLING);
+
+    const { strategy, reason } = resolveAgentStrategy('gpt-4o', ['gpt-4o', 'mock'], AGENT_STRATEGIES.TOOL_CALLING);
+    expect(strategy).toBe(AGENT_STRATEGIES.REACT);
+    expect(reason).toContain('mock');
+  });
+
+  test('明示的な指定とモデル定義の agentStrategy を優先する', () => {
+    expect(resolveAgentStrategy('gpt-4o', ['gpt-4o'], AGENT_STRATEGIES.REACT).strategy).toBe(AGENT_STRATEGIES.REACT);
+
+    config.models.availableModels['gpt-4o'].agentStrategy = AGENT_STRATEGIES.REACT;
+    expect(resolveAgentStrategy('gpt-4o', ['gpt-4o']).strategy).toBe(AGENT_STRATEGIES.REACT);
+    expect(resolveAgentStrategy('gpt-4o', ['gpt-4o'], AGENT_STRATEGIES.TOOL_CALLING).strategy).toBe(AGENT_STRATEGIES.TOOL_CALLING);
+  });
+});
+
+describe('toNativeTools', () => {
+  test('文字列も受け付けるツールはオブジェクトの引数だけを公開する', async () => {
+    const calls = [];
+    // リポジトリのツールと同じく、文字列とオブジェクトのユニオン型のスキーマを持つツール
+    class UnionTool extends StructuredTool {
+      constructor() {
+        super();
+        this.name = 'save_document';
+        this.description = 'ドキュメントを保存する';
+        this.schema = z.union([z.object({ content: z.string() }), z.string()]);
+      }
+
+      async _call(input) {
+        calls.push(input);
+        return '保存しました';
+      }
+    }
+
+    const [nativeTool] = toNativeTools([new UnionTool()]);
+
+    expect(nativeTool.schema).toBeInstanceOf(z.ZodObject);
+    expect(await nativeTool.invoke({ content: '本文' })).toBe('保存しました');
+    expect(calls).toEqual([{ content: '本文' }]);
+  });
+});
+
+describe('getToolCallThought', () => {
+  test('ツール呼び出しと一緒に出力されたテキストを取得する', () => {
+    expect(getToolCallThought({ messageLog: [new AIMessage({ content: [{ type: 'text', text: ' 要件を分析する ' }] })] })).toBe('要件を分析する');
+    expect(getToolCallThought({ log: 'Thought: ...' })).toBe('');
+  });
+});
+
+describe('ツールの結び付け', () => {
+  const searchTool = tool(async () => '結果', {
+    name: 'search',
+    description: '検索する',
+    schema: z.object({ query: z.string() })
+  });
+
+  /**
+   * 結び付けられたツールを記録するチャットモデルを作成する
+   * @param {AIMessage} response - 返す応答
+   * @returns {Object} チャットモデル
+   */
+  const createToolModel = (response) => {
+    const model = {
+      boundTools: null,
+      bindTools(tools) {
+        model.boundTools = tools;
+        return { invoke: async () => response };
+      },
+      invoke: async () => response
+    };
+    return model;
+  };
+
+  test('呼び出し時のオプションにツールがある場合のみ結び付ける', () => {
+    const model = createToolModel(new AIMessage('応答'));
+
+    expect(withCallTools(model, {}, 'gpt-4o')).toBe(model);
+    withCallTools(model, { tools: [searchTool] }, 'gpt-4o');
+    expect(model.boundTools).toEqual([searchTool]);
+    expect(() => withCallTools({}, { tools: [searchTool] }, 'mock')).toThrow('モデル "mock" はネイティブのツール呼び出しに対応していません');
+  });
+
+  test('ルーティングモデルに結び付けたツールを呼び出し先のモデルに引き継ぐ', async () => {
+    const response = new AIMessage({ content: '', tool_calls: [{ name: 'search', args: { query: '要件' }, id: 'call_1' }] });
+    const small = createToolModel(response);
+    const router = new RoutingChatModel({
+      modelNames: resolveRoutingPolicy('small', { finalAnswer: 'large' }),
+      chatModels: { small, large: createToolModel(new AIMessage('最終回答')) }
+    });
+
+    const message = await router.bindTools([searchTool]).invoke([new HumanMessage('検索して')]);
+
+    expect(small.boundTools.map(item => item.name)).toEqual(['search']);
+    expect(message.tool_calls).toEqual([expect.objectContaining({ name: 'search', args: { query: '要件' } })]);
+    expect(router.decisions.map(decision => [decision.role, decision.reason])).toEqual([[ROUTING_ROLES.PLANNING, 'ツールを選択']]);
+  });
+});
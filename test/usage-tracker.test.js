@@ -0,0 +1,108 @@
+/**
+ * トークン使用量の集計のテスト
+ */
+import { AIMessage } from '@langchain/core/messages';
+import { extractTokenUsage } from '../src/models/callbacks.js';
+import usageTracker, { addUsage, createEmptyUsage } from '../src/utils/usage-tracker.js';
+
+const { default: agentController } = await import('../src/controllers/agent-controller.js');
+
+describe('extractTokenUsage', () => {
+  test('usage_metadataを優先して合計する', () => {
+    const message = new AIMessage({
+      content: '応答',
+      usage_metadata: { input_tokens: 10, output_tokens: 5, total_tokens: 15 }
+    });
+    const output = {
+      generations: [[{ text: '応答', message }]],
+      llmOutput: { tokenUsage: { promptTokens: 99, completionTokens: 99 } }
+    };
+
+    expect(extractTokenUsage(output)).toEqual({ inputTokens: 10, outputTokens: 5 });
+  });
+
+  test('OpenAI形式とAnthropic形式のllmOutputを読み取る', () => {
+    expect(extractTokenUsage({
+      generations: [[{ text: '応答' }]],
+      llmOutput: { tokenUsage: { promptTokens: 7, completionTokens: 3 } }
+    })).toEqual({ inputTokens: 7, outputTokens: 3 });
+
+    expect(extractTokenUsage({
+      generations: [[{ text: '応答' }]],
+      llmOutput: { usage: { input_tokens: 4, output_tokens: 2 } }
+    })).toEqual({ inputTokens: 4, outputTokens: 2 });
+  });
+
+  test('使用量が取得できない場合はnullを返す', () => {
+    expect(extractTokenUsage({ generations: [[{ text: '応答' }]] })).toBeNull();
+  });
+});
+
+describe('UsageTracker', () => {
+  test('記録位置以降の使用量と推定コストをモデル別に集計する', async () => {
+    const mark = usageTracker.mark();
+    usageTracker.record('gpt-4o', { inputTokens: 1_000_000, outputTokens: 100_000 });
+    usageTracker.record('gpt-4o', { inputTokens: 0, outputTokens: 100_000 });
+    usageTracker.record('mock', { inputTokens: 10, outputTokens: 10 });
+
+    const usage = await usageTracker.summarizeSince(mark);
+
+    expect(usage).toMatchObject({ inputTokens: 1_000_010, outputTokens: 200_010, totalTokens: 1_200_020, calls: 3 });
+    // gpt-4o: 入力 $2.5/100万トークン、出力 $10/100万トークン
+    expect(usage.cost).toBeCloseTo(4.5);
+    expect(usage.byModel['gpt-4o']).toMatchObject({ calls: 2, outputTokens: 200_000 });
+    expect(usage.byModel.mock).toMatchObject({ calls: 1, cost: 0 });
+
+    expect((await usageTracker.summarizeSince(mark, { modelName: 'mock' })).calls).toBe(1);
+  });
+
+  test('addUsageは合計とモデル別の内訳を加算する', () => {
+    const total = createEmptyUsage();
+    const usage = {
+      inputTokens: 2,
+      outputTokens: 1,
+      totalTokens: 3,
+      cost: 0.5,
+      calls: 1,
+      byModel: { mock: { inputTokens: 2, outputTokens: 1, cost: 0.5, calls: 1 } }
+    };
+
+    addUsage(total, usage);
+    addUsage(total, usage);
+
+    expect(total).toEqual({
+      inputTokens: 4,
+      outputTokens: 2,
+      totalTokens: 6,
+      cost: 1,
+      calls: 2,
+      byModel: { mock: { inputTokens: 4, outputTokens: 2, cost: 1, calls: 2 } }
+    });
+  });
+});
+
+describe('実行ごとの使用量の集計', () => {
+  beforeAll(() => {
+    agentController.agent.verbose = false;
+  });
+
+  afterEach(() => {
+    delete process.env.MOCK_FIXTURE;
+  });
+
+  test('初期化に失敗した場合は元のエラーをそのまま投げる', async () => {
+    process.env.MOCK_FIXTURE = 'fixtures/mock/not-found.json';
+
+    await expect(agentController.processInput('要件を分析してください'))
+      .rejects.toThrow('モックのフィクスチャファイルが見つかりません');
+    expect(agentController.activeSession).toBeNull();
+  });
+
+  test('モックモデルは呼び出し回数のみを集計し、トークン数は0とする', async () => {
+    const result = await agentController.processInput('タスク管理アプリケーションの要件を分析してください');
+
+    expect(result.usage).toMatchObject({ inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, calls: 5 });
+    expect(result.usage.byModel.mock.calls).toBe(5);
+    expect(agentController.activeSession.usage.calls).toBe(5);
+  });
+});